@@ -5,7 +5,11 @@
  */
 
 import { router } from './router.js';
-import { loadProgress, getStageProgress, isStageUnlocked, getCurrentModule, getOverallProgress, getDrillStats } from './storage.js';
+import { unbindHotkeys } from './hotkeys.js';
+import { playSound } from './sound.js';
+import { applyMotionSetting } from './motion.js';
+import { registerServiceWorker, handleRouteUpdate } from './pwa.js';
+import { loadProgress, getStageProgress, isStageUnlocked, getCurrentModule, getOverallProgress, getDrillStats, getSettings, updateSettings } from './storage.js';
 import { renderHandStrengthModule } from './modules/handStrength.js';
 import { renderPositionModule } from './modules/position.js';
 import { renderEquityModule } from './modules/equity.js';
@@ -16,14 +20,23 @@ import { renderOpenFoldDrill } from './drills/openFoldDrill.js';
 import { renderEquitySnapDrill } from './drills/equitySnapDrill.js';
 import { renderRangeCheckDrill } from './drills/rangeCheckDrill.js';
 import { renderPositionDrill } from './drills/positionDrill.js';
+import { renderPushFoldDrill } from './drills/pushFoldDrill.js';
+import { renderOutsDrill } from './drills/outsDrill.js';
+import { renderPotOddsDrill } from './drills/potOddsDrill.js';
+import { renderCombosDrill } from './drills/combosDrill.js';
+import { renderReviewDrill } from './drills/reviewDrill.js';
 import { renderScenariosHub } from './scenarios/index.js';
-import { renderDefendVs3BetScenario } from './scenarios/preflopDefend3bet.js';
-import { renderBBDefenseScenario } from './scenarios/preflopBBDefense.js';
-import { render3BetValueScenario } from './scenarios/preflop3betValue.js';
-import { renderSB3BetOrFoldScenario } from './scenarios/preflopSB3betOrFold.js';
-import { renderCold4BetScenario } from './scenarios/preflopCold4bet.js';
 import { renderBoardTextureScenario } from './scenarios/postflopBoardTexture.js';
+import { renderCbetScenario } from './scenarios/postflopCbet.js';
+import { renderTurnRiverScenario } from './scenarios/postflopTurnRiver.js';
+import { renderDefinedScenario } from './scenarios/ScenarioRunner.js';
+import { getScenarioDefinition } from './data/scenarioDefinitions.js';
+import { renderFullHands } from './fullhands/index.js';
 import { renderMethodologyPage } from './pages/methodology.js';
+import { renderRangeEditor } from './pages/rangeEditor.js';
+import { renderStatsPage } from './pages/stats.js';
+import { renderProgressTransfer } from './pages/progressTransfer.js';
+import { renderHotkeySettings } from './pages/hotkeySettings.js';
 
 // Main content container
 const mainContent = document.getElementById('main-content');
@@ -50,7 +63,7 @@ function renderHomePage() {
         ${renderStageCard(1, 'Foundations', 'Master the fundamentals: hand strength, position, equity, and ranges.', 'foundations', progress)}
         ${renderStageCard(2, 'Drills', 'Practice with rapid-fire exercises to build muscle memory.', 'drills', progress)}
         ${renderStageCard(3, 'Scenarios', 'Apply your knowledge in realistic multi-street situations.', 'scenarios', progress)}
-        ${renderStageCard(4, 'Full Hands', 'Play complete hands with GTO feedback on every decision.', 'full-hands', progress, true)}
+        ${renderStageCard(4, 'Full Hands', 'Play complete hands with GTO feedback on every decision.', 'full-hands', progress)}
       </div>
 
       <div class="home__progress-summary animate-fade-in-up stagger-3">
@@ -205,6 +218,8 @@ function renderModulePage(params) {
  * Render settings page
  */
 function renderSettingsPage() {
+  const { soundEnabled, animationsEnabled } = getSettings();
+
   mainContent.innerHTML = `
     <div class="container" style="padding-top: var(--space-8);">
       <div class="page-header">
@@ -216,6 +231,44 @@ function renderSettingsPage() {
         <h1 class="page-header__title">Settings</h1>
       </div>
 
+      <div class="lesson__section">
+        <h3 class="lesson__subtitle">Custom Ranges</h3>
+        <p class="lesson__text mb-4">Build and save your own ranges, and quiz the range drills against them.</p>
+        <a href="#/ranges/edit" class="btn btn--secondary">Open Range Editor</a>
+      </div>
+
+      <div class="divider"></div>
+
+      <div class="lesson__section">
+        <h3 class="lesson__subtitle">Sound &amp; Motion</h3>
+        <label class="settings-toggle">
+          <input type="checkbox" id="sound-toggle" ${soundEnabled ? 'checked' : ''}>
+          <span>Sound effects for answers, streak milestones, countdowns and timers</span>
+        </label>
+        <label class="settings-toggle">
+          <input type="checkbox" id="animations-toggle" ${animationsEnabled ? 'checked' : ''}>
+          <span>Animations (turn off for reduced motion)</span>
+        </label>
+      </div>
+
+      <div class="divider"></div>
+
+      <div class="lesson__section">
+        <h3 class="lesson__subtitle">Keyboard Shortcuts</h3>
+        <p class="lesson__text mb-4">Answer drills and scenarios from the keyboard. Click a shortcut, then press the key you want (Esc cancels).</p>
+        <div id="hotkey-settings"></div>
+      </div>
+
+      <div class="divider"></div>
+
+      <div class="lesson__section">
+        <h3 class="lesson__subtitle">Backup &amp; Transfer</h3>
+        <p class="lesson__text mb-4">Download your progress to move it to another device, or restore it from a file.</p>
+        <div id="progress-transfer"></div>
+      </div>
+
+      <div class="divider"></div>
+
       <div class="lesson__section">
         <h3 class="lesson__subtitle">Progress</h3>
         <p class="lesson__text mb-4">Reset your progress to start over from the beginning.</p>
@@ -243,6 +296,19 @@ function renderSettingsPage() {
       </div>
     </div>
   `;
+
+  document.getElementById('sound-toggle').addEventListener('change', (e) => {
+    updateSettings({ soundEnabled: e.target.checked });
+    playSound('correct'); // Let the player hear what they turned on
+  });
+
+  document.getElementById('animations-toggle').addEventListener('change', (e) => {
+    updateSettings({ animationsEnabled: e.target.checked });
+    applyMotionSetting();
+  });
+
+  renderHotkeySettings(document.getElementById('hotkey-settings'));
+  renderProgressTransfer(document.getElementById('progress-transfer'));
 }
 
 /**
@@ -322,19 +388,6 @@ function render404() {
   `;
 }
 
-/**
- * Render coming soon page for locked stages
- */
-function renderComingSoon(stageName) {
-  mainContent.innerHTML = `
-    <div class="container" style="padding-top: var(--space-16); text-align: center;">
-      <h1 class="display-md mb-4">${stageName}</h1>
-      <p class="text-lg text-secondary mb-8">Complete the previous stage to unlock this content.</p>
-      <a href="#/foundations" class="btn btn--primary">Go to Foundations</a>
-    </div>
-  `;
-}
-
 /**
  * Render a drill page
  */
@@ -357,6 +410,21 @@ function renderDrillPage(params) {
     case 'position-speed':
       renderPositionDrill(mainContent);
       break;
+    case 'outs':
+      renderOutsDrill(mainContent);
+      break;
+    case 'pot-odds':
+      renderPotOddsDrill(mainContent);
+      break;
+    case 'combos':
+      renderCombosDrill(mainContent);
+      break;
+    case 'push-fold':
+      renderPushFoldDrill(mainContent);
+      break;
+    case 'review':
+      renderReviewDrill(mainContent);
+      break;
     default:
       render404();
   }
@@ -369,26 +437,23 @@ function renderScenarioPage(params) {
   const scenarioId = params.id;
 
   switch (scenarioId) {
-    case 'defend-3bet':
-      renderDefendVs3BetScenario(mainContent);
-      break;
-    case 'bb-defense':
-      renderBBDefenseScenario(mainContent);
-      break;
-    case '3bet-value':
-      render3BetValueScenario(mainContent);
-      break;
-    case 'sb-3bet-fold':
-      renderSB3BetOrFoldScenario(mainContent);
-      break;
-    case 'cold-4bet':
-      renderCold4BetScenario(mainContent);
-      break;
     case 'board-texture':
       renderBoardTextureScenario(mainContent);
       break;
-    default:
-      render404();
+    case 'cbet':
+      renderCbetScenario(mainContent);
+      break;
+    case 'turn-river':
+      renderTurnRiverScenario(mainContent);
+      break;
+    default: {
+      const definition = getScenarioDefinition(scenarioId);
+      if (definition) {
+        renderDefinedScenario(mainContent, definition);
+      } else {
+        render404();
+      }
+    }
   }
 }
 
@@ -403,7 +468,9 @@ router.register('/about', renderAboutPage);
 router.register('/scenarios', () => renderScenariosHub(mainContent));
 router.register('/scenario/:id', renderScenarioPage);
 router.register('/methodology', () => renderMethodologyPage(mainContent));
-router.register('/full-hands', () => renderComingSoon('Full Hands'));
+router.register('/full-hands', () => renderFullHands(mainContent));
+router.register('/ranges/edit', () => renderRangeEditor(mainContent));
+router.register('/stats', () => renderStatsPage(mainContent));
 router.register('*', render404);
 
 // Set up navigation callback for transitions
@@ -411,6 +478,12 @@ router.setOnNavigate((newRoute, oldRoute) => {
   // Scroll to top on navigation
   window.scrollTo(0, 0);
 
+  // Hotkeys belong to the drill or scenario that bound them
+  unbindHotkeys();
+
+  // Offer a downloaded update, but not in the middle of a drill
+  handleRouteUpdate(newRoute);
+
   // Add transition class
   mainContent.style.opacity = '0';
   setTimeout(() => {
@@ -419,4 +492,6 @@ router.setOnNavigate((newRoute, oldRoute) => {
 });
 
 // Initialize
+applyMotionSetting();
+window.addEventListener('load', registerServiceWorker);
 console.log('Hold\'em Trainer initialized');
@@ -3,19 +3,23 @@
  * Displays preflop/postflop action timeline
  */
 
+import { cardToString } from '../data/hands.js';
+
 /**
  * Render action history timeline
  * @param {Object} options - Configuration options
  * @param {Array} options.actions - Array of action objects
  * @param {string} options.heroPosition - Hero's position
  * @param {string} [options.layout='horizontal'] - 'horizontal' or 'vertical'
+ * @param {string} [options.title='Preflop Action'] - Heading (e.g. 'Flop Action')
  * @returns {string} HTML string
  */
 export function renderActionHistory(options) {
   const {
     actions = [],
     heroPosition,
-    layout = 'horizontal'
+    layout = 'horizontal',
+    title = 'Preflop Action'
   } = options;
 
   if (actions.length === 0) {
@@ -26,7 +30,7 @@ export function renderActionHistory(options) {
 
   return `
     <div class="action-history ${layoutClass}">
-      <div class="action-history__title">Preflop Action</div>
+      <div class="action-history__title">${title}</div>
       <div class="action-history__positions">
         ${actions.map((action, index) => renderActionStep(action, heroPosition, index, actions.length)).join('')}
       </div>
@@ -34,6 +38,45 @@ export function renderActionHistory(options) {
   `;
 }
 
+/**
+ * Render a hand's action street by street, one row per street
+ * @param {Object} options - Configuration options
+ * @param {Array} options.streets - { name, cards, actions } per street, in order; `cards` are the
+ *   board cards dealt on that street (omit for preflop). Streets without actions are skipped
+ * @param {string} options.heroPosition - Hero's position
+ * @param {string} [options.title='Action'] - Heading
+ * @returns {string} HTML string
+ */
+export function renderStreetActionHistory(options) {
+  const {
+    streets = [],
+    heroPosition,
+    title = 'Action'
+  } = options;
+
+  const played = streets.filter(street => street.actions && street.actions.length > 0);
+  if (played.length === 0) {
+    return '';
+  }
+
+  return `
+    <div class="action-history action-history--streets">
+      <div class="action-history__title">${title}</div>
+      ${played.map(street => `
+        <div class="action-history__street">
+          <div class="action-history__street-name">
+            ${street.name}
+            ${street.cards ? `<span class="action-history__street-cards">${street.cards.map(cardToString).join(' ')}</span>` : ''}
+          </div>
+          <div class="action-history__positions">
+            ${street.actions.map((action, index) => renderActionStep(action, heroPosition, index, street.actions.length)).join('')}
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
 /**
  * Render a single action step
  * @param {Object} action - Action object
@@ -70,7 +113,8 @@ function getActionClass(action) {
   const actionLower = action.toLowerCase();
   if (actionLower === 'fold') return 'action-history__action--fold';
   if (actionLower === 'call') return 'action-history__action--call';
-  if (actionLower === 'raise' || actionLower === 'open') return 'action-history__action--raise';
+  if (actionLower === 'raise' || actionLower === 'open' || actionLower === 'bet') return 'action-history__action--raise';
+  if (actionLower === 'check') return 'action-history__action--check';
   if (actionLower === '3bet' || actionLower === '3-bet') return 'action-history__action--3bet';
   if (actionLower === '4bet' || actionLower === '4-bet') return 'action-history__action--4bet';
   return '';
@@ -149,7 +193,7 @@ export function renderActionSummary(options) {
 /**
  * Create action object helper
  * @param {string} position - Position (UTG, MP, CO, BTN, SB, BB)
- * @param {string} action - Action type (fold, call, raise, 3bet, 4bet)
+ * @param {string} action - Action type (fold, check, call, bet, raise, 3bet, 4bet)
  * @param {number|null} amount - Amount in BB
  * @returns {Object} Action object
  */
@@ -0,0 +1,52 @@
+/**
+ * Countdown Component
+ * The 3-2-1-GO overlay that opens every drill and scenario run, with its sounds.
+ * With animations off there is no overlay: the run starts on the GO cue.
+ */
+
+import { playSound } from '../sound.js';
+import { areAnimationsEnabled } from '../motion.js';
+
+// Time each number stays on screen (ms)
+const STEP_DURATION = 800;
+
+/**
+ * Count down over a container, then start the run
+ * @param {HTMLElement} container - Element to show the overlay in
+ * @param {Function} callback - Called when the countdown is over
+ */
+export function showCountdown(container, callback) {
+  if (!areAnimationsEnabled()) {
+    playSound('go');
+    callback();
+    return;
+  }
+
+  const overlay = document.createElement('div');
+  overlay.className = 'drill-countdown';
+  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
+  container.appendChild(overlay);
+  playSound('countdown');
+
+  let count = 3;
+  const countdownEl = overlay.querySelector('.drill-countdown__number');
+
+  const interval = setInterval(() => {
+    count--;
+    if (count > 0) {
+      countdownEl.textContent = count;
+      playSound('countdown');
+      countdownEl.classList.remove('drill-countdown__number--pulse');
+      void countdownEl.offsetWidth;
+      countdownEl.classList.add('drill-countdown__number--pulse');
+    } else if (count === 0) {
+      countdownEl.textContent = 'GO!';
+      playSound('go');
+      countdownEl.classList.add('drill-countdown__number--go');
+    } else {
+      clearInterval(interval);
+      overlay.remove();
+      callback();
+    }
+  }, STEP_DURATION);
+}
@@ -0,0 +1,53 @@
+/**
+ * DifficultySelector Component
+ * Easy / Normal / Edge Only / Adaptive picker for the range drill start screens
+ */
+
+import { DIFFICULTIES } from '../data/handDifficulty.js';
+
+/**
+ * Render the difficulty picker
+ * @param {string} selected - Selected difficulty (key of DIFFICULTIES)
+ * @returns {string} HTML string
+ */
+export function renderDifficultySelector(selected) {
+  return `
+    <div class="difficulty-selector">
+      <div class="difficulty-selector__label" id="difficulty-selector-label">Difficulty</div>
+      <div class="difficulty-selector__options" role="radiogroup" aria-labelledby="difficulty-selector-label">
+        ${Object.entries(DIFFICULTIES).map(([difficulty, info]) => `
+          <button type="button" class="difficulty-selector__option${difficulty === selected ? ' difficulty-selector__option--active' : ''}"
+            role="radio" aria-checked="${difficulty === selected}" data-difficulty="${difficulty}">
+            ${info.name}
+          </button>
+        `).join('')}
+      </div>
+      <div class="difficulty-selector__note">${DIFFICULTIES[selected]?.description || ''}</div>
+    </div>
+  `;
+}
+
+/**
+ * Wire up a rendered difficulty picker
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {Function} onChange - Called with the chosen difficulty
+ */
+export function bindDifficultySelector(root, onChange) {
+  const selector = root.querySelector('.difficulty-selector');
+  if (!selector) return;
+
+  selector.querySelectorAll('.difficulty-selector__option').forEach(option => {
+    option.addEventListener('click', () => {
+      const { difficulty } = option.dataset;
+
+      selector.querySelectorAll('.difficulty-selector__option').forEach(other => {
+        const isActive = other === option;
+        other.classList.toggle('difficulty-selector__option--active', isActive);
+        other.setAttribute('aria-checked', String(isActive));
+      });
+      selector.querySelector('.difficulty-selector__note').textContent = DIFFICULTIES[difficulty]?.description || '';
+
+      onChange(difficulty);
+    });
+  });
+}
@@ -3,6 +3,8 @@
  * End-of-drill summary showing stats, performance rating, and actions
  */
 
+import { DRILL_MODES, DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+
 export class DrillResults {
   constructor(options = {}) {
     this.drillId = options.drillId || 'unknown';
@@ -14,6 +16,10 @@ export class DrillResults {
     this.element = null;
     this.stats = null;
     this.previousBest = options.previousBest || null;
+
+    // Blitz, survival and sudden death runs are scored on correct answers against the mode's best
+    this.mode = options.mode || DEFAULT_DRILL_MODE;
+    this.modeBest = options.modeBest || null;
   }
 
   /**
@@ -22,23 +28,19 @@ export class DrillResults {
   render(container, stats) {
     this.stats = stats;
 
-    const rating = this.calculateRating(stats);
-    const isNewRecord = this.checkNewRecords(stats);
+    const isClassic = this.mode === DEFAULT_DRILL_MODE;
+    const isNewRecord = isClassic ? this.checkNewRecords(stats) : this.checkNewModeRecords(stats);
 
     this.element = document.createElement('div');
     this.element.className = 'drill-results';
     this.element.innerHTML = `
       <div class="drill-results__content">
         <div class="drill-results__header">
-          <h2 class="drill-results__title">Drill Complete!</h2>
+          <h2 class="drill-results__title">${DRILL_MODES[this.mode].endTitle}</h2>
           <div class="drill-results__drill-name">${this.drillName}</div>
         </div>
 
-        <div class="drill-results__rating">
-          ${this.renderStars(rating.stars)}
-          <div class="drill-results__grade">${rating.grade}</div>
-          <div class="drill-results__message">${rating.message}</div>
-        </div>
+        ${isClassic ? this.renderRating(stats) : this.renderModeScore(stats, isNewRecord.score)}
 
         <div class="drill-results__stats">
           <div class="drill-results__stat">
@@ -60,7 +62,7 @@ export class DrillResults {
           </div>
         </div>
 
-        ${this.renderComparison(stats)}
+        ${isClassic ? this.renderComparison(stats) : ''}
 
         <div class="drill-results__actions">
           <button class="btn btn--primary drill-results__btn drill-results__btn--again">
@@ -74,7 +76,7 @@ export class DrillResults {
           </button>
         </div>
 
-        ${stats.passed ? this.renderPassBadge() : this.renderEncouragement(stats)}
+        ${isClassic ? (stats.passed ? this.renderPassBadge() : this.renderEncouragement(stats)) : ''}
 
         ${this.renderFeedbackLinks()}
 
@@ -112,6 +114,35 @@ export class DrillResults {
     return this.element;
   }
 
+  /**
+   * Render star rating and grade (classic runs)
+   */
+  renderRating(stats) {
+    const rating = this.calculateRating(stats);
+
+    return `
+      <div class="drill-results__rating">
+        ${this.renderStars(rating.stars)}
+        <div class="drill-results__grade">${rating.grade}</div>
+        <div class="drill-results__message">${rating.message}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the run's score against the mode's best (blitz, survival, sudden death)
+   */
+  renderModeScore(stats, isNewBest) {
+    return `
+      <div class="drill-results__rating">
+        <div class="drill-results__grade">${stats.correct}</div>
+        <div class="drill-results__message">correct in ${DRILL_MODES[this.mode].name}</div>
+        ${isNewBest ? '<div class="drill-results__stat-detail drill-results__stat-detail--new">New Best!</div>' : ''}
+        ${!isNewBest && this.modeBest ? `<div class="drill-results__stat-detail">Best: ${this.modeBest.bestScore}</div>` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Calculate performance rating
    */
@@ -167,6 +198,20 @@ export class DrillResults {
     };
   }
 
+  /**
+   * Check for new records against the mode's previous bests
+   */
+  checkNewModeRecords(stats) {
+    if (!this.modeBest) {
+      return { score: stats.correct > 0, streak: stats.bestStreak > 0 };
+    }
+
+    return {
+      score: stats.correct > this.modeBest.bestScore,
+      streak: stats.bestStreak > this.modeBest.bestStreak
+    };
+  }
+
   /**
    * Render comparison to previous best
    */
@@ -280,6 +325,10 @@ export class DrillResults {
    * Get share text for this result
    */
   getShareText() {
+    if (this.mode !== DEFAULT_DRILL_MODE) {
+      return `I got ${this.stats?.correct || 0} right in ${DRILL_MODES[this.mode].name} mode on ${this.drillName} at LibreGTO - a free open source GTO poker trainer!`;
+    }
+
     const accuracy = Math.round(this.stats?.accuracy || 0);
     return `I scored ${accuracy}% on ${this.drillName} at LibreGTO - a free open source GTO poker trainer!`;
   }
@@ -360,6 +409,7 @@ export class DrillResults {
     if (!this.stats) return null;
 
     return {
+      mode: this.mode,
       accuracy: this.stats.accuracy,
       avgTime: this.stats.avgTime,
       bestStreak: this.stats.bestStreak,
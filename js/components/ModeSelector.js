@@ -0,0 +1,141 @@
+/**
+ * ModeSelector Component
+ * Classic / Blitz / Survival / Sudden Death picker for drill start screens,
+ * plus the pieces of a run that change with the mode (timer, header, lives)
+ */
+
+import { Timer } from './Timer.js';
+import { DRILL_MODES } from '../data/drillModes.js';
+import { getDrillModeBest } from '../storage.js';
+
+/**
+ * Render the mode picker
+ * @param {string} selected - Selected mode (key of DRILL_MODES)
+ * @param {string} drillId - Drill the picker is for (to show its bests)
+ * @param {number} totalQuestions - Questions in a classic run
+ * @returns {string} HTML string
+ */
+export function renderModeSelector(selected, drillId, totalQuestions) {
+  return `
+    <div class="mode-selector" data-drill-id="${drillId}" data-questions="${totalQuestions}">
+      <div class="mode-selector__label" id="mode-selector-label">Mode</div>
+      <div class="mode-selector__options" role="radiogroup" aria-labelledby="mode-selector-label">
+        ${Object.entries(DRILL_MODES).map(([mode, info]) => `
+          <button type="button" class="mode-selector__option${mode === selected ? ' mode-selector__option--active' : ''}"
+            role="radio" aria-checked="${mode === selected}" data-mode="${mode}">
+            ${info.name}
+          </button>
+        `).join('')}
+      </div>
+      <div class="mode-selector__note">${getModeNote(selected, drillId, totalQuestions)}</div>
+    </div>
+  `;
+}
+
+/**
+ * Wire up a rendered mode picker
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {Function} onChange - Called with the chosen mode
+ */
+export function bindModeSelector(root, onChange) {
+  const selector = root.querySelector('.mode-selector');
+  if (!selector) return;
+
+  const { drillId, questions } = selector.dataset;
+
+  selector.querySelectorAll('.mode-selector__option').forEach(option => {
+    option.addEventListener('click', () => {
+      const { mode } = option.dataset;
+
+      selector.querySelectorAll('.mode-selector__option').forEach(other => {
+        const isActive = other === option;
+        other.classList.toggle('mode-selector__option--active', isActive);
+        other.setAttribute('aria-checked', String(isActive));
+      });
+      selector.querySelector('.mode-selector__note').textContent = getModeNote(mode, drillId, Number(questions));
+
+      onChange(mode);
+    });
+  });
+}
+
+/**
+ * Create the drill timer for a mode: a 60s countdown for blitz, a stopwatch otherwise
+ * @param {string} mode - Key of DRILL_MODES
+ * @param {Function} onTimeUp - Called when a blitz runs out of time
+ * @returns {Timer}
+ */
+export function createModeTimer(mode, onTimeUp) {
+  const { duration } = DRILL_MODES[mode];
+
+  if (duration) {
+    return new Timer({ mode: 'countdown', duration, urgentThreshold: 10000, onComplete: onTimeUp });
+  }
+
+  return new Timer({ mode: 'stopwatch' });
+}
+
+/**
+ * Render the drill header's progress for a mode ("3/20", or the question number and lives)
+ * The current question goes in #question-number.
+ * @param {string} mode - Key of DRILL_MODES
+ * @param {number} totalQuestions - Questions in a classic run
+ * @returns {string} HTML string
+ */
+export function renderModeProgress(mode, totalQuestions) {
+  const { lives } = DRILL_MODES[mode];
+
+  if (!DRILL_MODES[mode].duration && !lives) {
+    return `<span id="question-number">1</span>/<span>${totalQuestions}</span>`;
+  }
+
+  return `
+    <span id="question-number">1</span>
+    ${lives ? `<span class="drill-header__lives" id="drill-lives" aria-label="${lives} lives left">${renderLives(lives, 0)}</span>` : ''}
+  `;
+}
+
+/**
+ * Show the lives left after a miss
+ * @param {string} mode - Key of DRILL_MODES
+ * @param {number} misses - Misses so far
+ */
+export function updateModeLives(mode, misses) {
+  const { lives } = DRILL_MODES[mode];
+  const element = document.getElementById('drill-lives');
+  if (!lives || !element) return;
+
+  element.innerHTML = renderLives(lives, misses);
+  element.setAttribute('aria-label', `${Math.max(lives - misses, 0)} lives left`);
+}
+
+/**
+ * Check if a run is over before the next question
+ * Blitz runs end on the timer instead.
+ * @param {string} mode - Key of DRILL_MODES
+ * @param {number} answered - Questions answered
+ * @param {number} correct - Questions answered correctly
+ * @param {number} totalQuestions - Questions in a classic run
+ */
+export function isModeRunOver(mode, answered, correct, totalQuestions) {
+  const { duration, lives } = DRILL_MODES[mode];
+
+  if (lives) return answered - correct >= lives;
+  if (duration) return false;
+  return answered >= totalQuestions;
+}
+
+// Description of a mode plus the player's best in it
+function getModeNote(mode, drillId, totalQuestions) {
+  const description = DRILL_MODES[mode].describe(totalQuestions);
+  const best = getDrillModeBest(drillId, mode);
+
+  return best && best.attempts > 0 ? `${description}. Best: ${best.bestScore} correct` : description;
+}
+
+// Hearts for lives left, hollow ones for lives lost
+function renderLives(lives, misses) {
+  return Array.from({ length: lives }, (_, i) =>
+    `<span class="drill-header__life${i < lives - misses ? '' : ' drill-header__life--lost'}">${i < lives - misses ? '♥' : '♡'}</span>`
+  ).join('');
+}
@@ -4,31 +4,28 @@
  * Used as a visual reference in drills that involve table position.
  */
 
-const SEAT_POSITIONS = [
-  { id: 'UTG', label: 'UTG' },
-  { id: 'MP',  label: 'MP' },
-  { id: 'CO',  label: 'CO' },
-  { id: 'BTN', label: 'BTN' },
-  { id: 'SB',  label: 'SB' },
-  { id: 'BB',  label: 'BB' }
-];
+import { TABLE_FORMATS, DEFAULT_TABLE_FORMAT, getTableSeats, getPositionSlug } from '../data/ranges.js';
+
+// Every seat any format uses, for clearing highlights
+const ALL_SEATS = [...new Set(Object.values(TABLE_FORMATS).flatMap(format => format.preflopOrder))];
 
 /**
  * Render a mini poker table with highlighted position(s)
  * @param {string|string[]} activePositions - position(s) to highlight
+ * @param {string} format - Table format (key of TABLE_FORMATS), 6-max by default
  * @returns {string} HTML string
  */
-export function renderPositionTableMini(activePositions) {
+export function renderPositionTableMini(activePositions, format = DEFAULT_TABLE_FORMAT) {
   const active = Array.isArray(activePositions) ? activePositions : [activePositions];
 
-  const seats = SEAT_POSITIONS.map(seat => {
-    const isActive = active.includes(seat.id);
-    const activeClass = isActive ? ` mini-table__seat--active mini-table__seat--${seat.id.toLowerCase()}` : '';
-    return `<div class="mini-table__seat mini-table__seat-pos--${seat.id.toLowerCase()}${activeClass}">${seat.label}</div>`;
+  const seats = getTableSeats(format).map(seat => {
+    const slug = getPositionSlug(seat);
+    const activeClass = active.includes(seat) ? ` mini-table__seat--active mini-table__seat--${slug}` : '';
+    return `<div class="mini-table__seat mini-table__seat-pos--${slug}${activeClass}">${seat}</div>`;
   }).join('');
 
   return `
-    <div class="mini-table" role="img" aria-label="Poker table showing ${active.join(', ')} position">
+    <div class="mini-table mini-table--${format}" role="img" aria-label="Poker table showing ${active.join(', ')} position">
       <div class="mini-table__felt">
         ${seats}
       </div>
@@ -48,12 +45,12 @@ export function updatePositionTableMini(container, activePositions) {
   seats.forEach(seat => {
     // Remove all active/position-color classes
     seat.classList.remove('mini-table__seat--active');
-    SEAT_POSITIONS.forEach(p => seat.classList.remove(`mini-table__seat--${p.id.toLowerCase()}`));
+    ALL_SEATS.forEach(p => seat.classList.remove(`mini-table__seat--${getPositionSlug(p)}`));
 
     // Check if this seat should be active by matching the text content
     const seatId = seat.textContent.trim();
     if (active.includes(seatId)) {
-      seat.classList.add('mini-table__seat--active', `mini-table__seat--${seatId.toLowerCase()}`);
+      seat.classList.add('mini-table__seat--active', `mini-table__seat--${getPositionSlug(seatId)}`);
     }
   });
 
@@ -22,7 +22,7 @@ export function renderPotDisplay(options) {
     showToCall = false
   } = options;
 
-  const spr = effectiveStack > 0 ? (effectiveStack / potSize).toFixed(1) : '0';
+  const spr = effectiveStack > 0 ? calculateSPR(effectiveStack, potSize).toFixed(1) : '0';
 
   return `
     <div class="pot-display">
@@ -73,7 +73,7 @@ export function renderPotDisplayCompact(options) {
     toCall = null
   } = options;
 
-  const spr = effectiveStack > 0 ? (effectiveStack / potSize).toFixed(1) : '0';
+  const spr = effectiveStack > 0 ? calculateSPR(effectiveStack, potSize).toFixed(1) : '0';
 
   let display = `Pot: ${formatBB(potSize)}BB | Stack: ${formatBB(effectiveStack)}BB | SPR: ${spr}`;
 
@@ -126,6 +126,16 @@ export function calculatePotSize(currentPot, action, amount) {
   }
 }
 
+/**
+ * Get the effective stack left behind at a stack depth
+ * @param {number} stackDepth - Starting stack in BB (the chosen stack depth)
+ * @param {number} [invested=0] - BB the player has already put in (blinds, open)
+ * @returns {number} Effective stack in BB
+ */
+export function getEffectiveStack(stackDepth, invested = 0) {
+  return Math.max(stackDepth - invested, 0);
+}
+
 /**
  * Calculate SPR (Stack-to-Pot Ratio)
  * @param {number} effectiveStack - Effective stack in BB
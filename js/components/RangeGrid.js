@@ -4,6 +4,7 @@
  */
 
 import { RANKS, getHandFromGrid, normalizeHand } from '../data/hands.js';
+import { parseRange, formatRange } from '../data/rangeNotation.js';
 
 /**
  * Create a range grid element
@@ -12,6 +13,8 @@ import { RANKS, getHandFromGrid, normalizeHand } from '../data/hands.js';
  * @param {boolean} options.compact - Use compact size
  * @param {Set|Array} options.range - Hands to highlight as "in range"
  * @param {string} options.highlightHand - Single hand to highlight
+ * @param {Object} options.actions - Per-hand actions: an action name or a frequency map
+ *   (e.g. { AKs: 'raise', A5s: { raise: 0.6, call: 0.4 } }); mixed hands get split-colored cells
  * @param {Function} options.onCellClick - Click handler (hand, isSelected)
  * @param {Function} options.onRangeChange - Called when range changes
  */
@@ -21,6 +24,7 @@ export function createRangeGrid(options = {}) {
     compact = false,
     range = new Set(),
     highlightHand = null,
+    actions = null,
     onCellClick = null,
     onRangeChange = null
   } = options;
@@ -41,7 +45,9 @@ export function createRangeGrid(options = {}) {
 
   // Store state on the element
   grid._rangeSet = rangeSet;
+  grid._weights = {}; // Partial weights for imported hands (e.g. AKs:0.5)
   grid._interactive = interactive;
+  grid._onRangeChange = onRangeChange;
 
   // Create 13x13 cells
   for (let row = 0; row < 13; row++) {
@@ -57,6 +63,10 @@ export function createRangeGrid(options = {}) {
       });
 
       grid.appendChild(cell);
+
+      if (actions && actions[hand]) {
+        setCellFrequencies(grid, hand, actions[hand]);
+      }
     }
   }
 
@@ -116,6 +126,12 @@ function handleCellClick(grid, hand, isSelected, onCellClick, onRangeChange) {
     grid._rangeSet.delete(hand);
   }
 
+  // Clicking a weighted cell makes it a plain in/out choice again
+  if (grid._weights[hand] !== undefined) {
+    delete grid._weights[hand];
+    clearCellWeight(grid.querySelector(`[data-hand="${hand}"]`));
+  }
+
   if (onCellClick) {
     onCellClick(hand, isSelected);
   }
@@ -133,15 +149,25 @@ function handleCellClick(grid, hand, isSelected, onCellClick, onRangeChange) {
 export function updateGridRange(grid, range) {
   const rangeSet = range instanceof Set ? range : new Set(range.map(h => normalizeHand(h)));
   grid._rangeSet = rangeSet;
+  grid._weights = {};
 
   const cells = grid.querySelectorAll('.range-grid__cell');
   cells.forEach(cell => {
     const hand = cell.dataset.hand;
     const isInRange = rangeSet.has(hand);
+    clearCellWeight(cell);
     cell.classList.toggle('range-grid__cell--open', isInRange);
   });
 }
 
+// Remove split-cell styling left by a weight or frequency
+function clearCellWeight(cell) {
+  if (!cell) return;
+  cell.classList.remove('range-grid__cell--mixed');
+  cell.style.background = '';
+  cell.removeAttribute('title');
+}
+
 /**
  * Highlight a specific hand on the grid
  * @param {HTMLElement} grid - Grid element
@@ -177,13 +203,122 @@ export function getGridRange(grid) {
  */
 export function clearGrid(grid) {
   grid._rangeSet = new Set();
+  grid._weights = {};
 
   const cells = grid.querySelectorAll('.range-grid__cell');
   cells.forEach(cell => {
+    clearCellWeight(cell);
     cell.classList.remove('range-grid__cell--open');
   });
 }
 
+/**
+ * Load range notation into the grid (e.g. "22+, A2s+, AKs:0.5")
+ * Weighted hands are drawn as split cells; onRangeChange is notified
+ * @param {HTMLElement} grid - Grid element
+ * @param {string} text - Range notation
+ * @returns {boolean} False if the notation couldn't be parsed
+ */
+export function importRangeNotation(grid, text) {
+  const weights = parseRange(text);
+  if (!weights) return false;
+
+  updateGridRange(grid, Object.keys(weights));
+
+  Object.entries(weights).forEach(([hand, weight]) => {
+    if (weight < 1) {
+      grid._weights[hand] = weight;
+      setCellFrequencies(grid, hand, { open: weight, fold: 1 - weight });
+    }
+  });
+
+  if (grid._onRangeChange) {
+    grid._onRangeChange(getGridRange(grid));
+  }
+
+  return true;
+}
+
+/**
+ * Get the grid's range as compact notation, keeping imported weights
+ * @param {HTMLElement} grid - Grid element
+ * @returns {string} Range notation
+ */
+export function exportRangeNotation(grid) {
+  const weights = {};
+  (grid._rangeSet || new Set()).forEach(hand => {
+    weights[hand] = grid._weights && grid._weights[hand] !== undefined ? grid._weights[hand] : 1;
+  });
+  return formatRange(weights);
+}
+
+/**
+ * Create "Import range" and "Copy range" actions for a grid
+ * @param {HTMLElement} grid - Grid element
+ * @param {object} options - Options
+ * @param {boolean} options.allowImport - Show the import action (defaults to interactive grids)
+ * @returns {HTMLElement} Controls element to place near the grid
+ */
+export function createRangeNotationControls(grid, options = {}) {
+  const { allowImport = grid._interactive } = options;
+
+  const controls = document.createElement('div');
+  controls.className = 'range-notation';
+  controls.innerHTML = `
+    <div class="range-notation__actions">
+      ${allowImport ? '<button type="button" class="btn btn--secondary btn--sm range-notation__import">Import range</button>' : ''}
+      <button type="button" class="btn btn--secondary btn--sm range-notation__copy">Copy range</button>
+    </div>
+    ${allowImport ? `
+      <div class="range-notation__form" hidden>
+        <textarea class="range-notation__input" rows="2" placeholder="e.g. 22+, A2s+, KTo+, 76s-54s, AKs:0.5" aria-label="Range notation"></textarea>
+        <button type="button" class="btn btn--primary btn--sm range-notation__apply">Apply</button>
+      </div>
+    ` : ''}
+    <div class="range-notation__message" aria-live="polite"></div>
+  `;
+
+  const message = controls.querySelector('.range-notation__message');
+  const showMessage = (text, isError = false) => {
+    message.textContent = text;
+    message.classList.toggle('range-notation__message--error', isError);
+  };
+
+  controls.querySelector('.range-notation__copy').addEventListener('click', async () => {
+    const notation = exportRangeNotation(grid);
+
+    try {
+      await navigator.clipboard.writeText(notation);
+      showMessage('Copied!');
+    } catch (err) {
+      // Clipboard can be blocked; show the text so it can be copied by hand
+      console.error('Failed to copy:', err);
+      showMessage(notation || 'Range is empty');
+    }
+  });
+
+  if (allowImport) {
+    const form = controls.querySelector('.range-notation__form');
+    const input = controls.querySelector('.range-notation__input');
+
+    controls.querySelector('.range-notation__import').addEventListener('click', () => {
+      form.hidden = !form.hidden;
+      if (!form.hidden) input.focus();
+    });
+
+    controls.querySelector('.range-notation__apply').addEventListener('click', () => {
+      if (importRangeNotation(grid, input.value)) {
+        form.hidden = true;
+        showMessage(`Imported ${grid._rangeSet.size} hands`);
+      } else {
+        showMessage('Could not read that range. Check the notation and try again.', true);
+      }
+    });
+  }
+
+  return controls;
+}
+
 /**
  * Set cell state by action type
  * @param {HTMLElement} grid - Grid element
@@ -201,8 +336,12 @@ export function setCellAction(grid, hand, action) {
     'range-grid__cell--open',
     'range-grid__cell--fold',
     'range-grid__cell--call',
-    'range-grid__cell--raise'
+    'range-grid__cell--raise',
+    'range-grid__cell--mixed',
+    'range-grid__cell--heat',
+    'range-grid__cell--combos'
   );
+  cell.style.background = '';
 
   // Add new action class
   if (action && action !== 'fold') {
@@ -210,6 +349,111 @@ export function setCellAction(grid, hand, action) {
   }
 }
 
+// Order mixed actions are drawn in, left to right
+const GRID_ACTION_ORDER = ['raise', 'open', 'call', 'fold'];
+
+// Map an action label ('3-bet', '4-bet', 'Call', ...) to a grid cell action
+// (limps and checks keep the hand, so they share the call color)
+function toGridAction(action) {
+  const lower = action.toLowerCase().replace(/[- ]/g, '');
+  if (['3bet', '4bet', '5bet', 'threebet', 'fourbet', 'fivebet', 'allin'].includes(lower)) return 'raise';
+  if (lower === 'limp' || lower === 'check') return 'call';
+  return GRID_ACTION_ORDER.includes(lower) ? lower : 'fold';
+}
+
+// Build a hard-stop gradient with one band per action, sized by frequency
+function getFrequencyGradient(frequencies) {
+  const bands = [];
+  let start = 0;
+
+  GRID_ACTION_ORDER.forEach(action => {
+    const frequency = frequencies[action] || 0;
+    if (frequency <= 0) return;
+
+    const end = start + frequency * 100;
+    bands.push(`var(--color-range-${action}) ${start}% ${end}%`);
+    start = end;
+  });
+
+  return `linear-gradient(to right, ${bands.join(', ')})`;
+}
+
+/**
+ * Set cell state from action frequencies
+ * A single action colors the cell as setCellAction does; several actions split the cell
+ * @param {HTMLElement} grid - Grid element
+ * @param {string} hand - Hand notation
+ * @param {string|Object} frequencies - Action name, or map of action to frequency (0-1)
+ */
+export function setCellFrequencies(grid, hand, frequencies) {
+  if (typeof frequencies === 'string') {
+    setCellAction(grid, hand, toGridAction(frequencies));
+    return;
+  }
+
+  // Merge labels that share a cell color (e.g. 3-bet and 4-bet)
+  const merged = {};
+  Object.entries(frequencies).forEach(([action, frequency]) => {
+    const gridAction = toGridAction(action);
+    merged[gridAction] = (merged[gridAction] || 0) + frequency;
+  });
+
+  const played = Object.keys(merged).filter(action => merged[action] > 0);
+  if (played.length <= 1) {
+    setCellAction(grid, hand, played[0] || 'fold');
+    return;
+  }
+
+  setCellAction(grid, hand, null);
+
+  const cell = grid.querySelector(`[data-hand="${normalizeHand(hand)}"]`);
+  if (!cell) return;
+
+  cell.classList.add('range-grid__cell--mixed');
+  cell.style.background = getFrequencyGradient(merged);
+  cell.title = Object.entries(frequencies)
+    .map(([action, frequency]) => `${action} ${Math.round(frequency * 100)}%`)
+    .join(' / ');
+}
+
+/**
+ * Shade a cell on a red-to-green scale (e.g. accuracy on the stats heatmap)
+ * @param {HTMLElement} grid - Grid element
+ * @param {string} hand - Hand notation
+ * @param {number} value - 0 (red) to 1 (green)
+ * @param {string} label - Tooltip text
+ */
+export function setCellHeat(grid, hand, value, label = '') {
+  const cell = grid.querySelector(`[data-hand="${normalizeHand(hand)}"]`);
+  if (!cell) return;
+
+  const percent = Math.round(Math.min(Math.max(value, 0), 1) * 100);
+
+  setCellAction(grid, hand, null);
+  cell.classList.add('range-grid__cell--heat');
+  cell.style.background = `color-mix(in srgb, var(--color-success) ${percent}%, var(--color-error))`;
+  cell.title = label;
+}
+
+/**
+ * Split a cell into the combos still live (green) and those blocked by known cards (red)
+ * @param {HTMLElement} grid - Grid element
+ * @param {string} hand - Hand notation
+ * @param {number} remaining - Combos left after card removal
+ * @param {number} total - Combos with no cards removed
+ */
+export function setCellCombos(grid, hand, remaining, total) {
+  const cell = grid.querySelector(`[data-hand="${normalizeHand(hand)}"]`);
+  if (!cell) return;
+
+  const percent = total > 0 ? Math.round((remaining / total) * 100) : 0;
+
+  setCellAction(grid, hand, null);
+  cell.classList.add('range-grid__cell--combos');
+  cell.style.background = `linear-gradient(to right, var(--color-range-open) ${percent}%, var(--color-error) ${percent}%)`;
+  cell.title = `${normalizeHand(hand)}: ${remaining} of ${total} combos left`;
+}
+
 /**
  * Create a comparison view with two grids side by side
  * @param {object} options - Options
@@ -407,6 +651,26 @@ export class RangeGrid {
       setCellAction(this.element, hand, action);
     }
   }
+
+  setCellFrequencies(hand, frequencies) {
+    if (this.element) {
+      setCellFrequencies(this.element, hand, frequencies);
+    }
+  }
+
+  importRange(text) {
+    if (this.element) {
+      return importRangeNotation(this.element, text);
+    }
+    return false;
+  }
+
+  exportRange() {
+    if (this.element) {
+      return exportRangeNotation(this.element);
+    }
+    return '';
+  }
 }
 
 export default {
@@ -415,7 +679,12 @@ export default {
   highlightHand,
   getGridRange,
   clearGrid,
+  importRangeNotation,
+  exportRangeNotation,
+  createRangeNotationControls,
   setCellAction,
+  setCellFrequencies,
+  setCellCombos,
   createRangeComparison,
   createDifferenceGrid,
   getRangeStats,
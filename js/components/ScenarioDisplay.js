@@ -4,10 +4,13 @@
  */
 
 import { PlayingCard } from './PlayingCard.js';
-import { renderActionHistory, renderActionSummary } from './ActionHistory.js';
+import { renderActionHistory, renderActionSummary, renderStreetActionHistory } from './ActionHistory.js';
 import { renderPotDisplay } from './PotDisplay.js';
 import { renderBoardDisplay } from './BoardDisplay.js';
 import { renderPositionTableMini } from './PositionTableMini.js';
+import { createRangeGrid } from './RangeGrid.js';
+import { bindHotkeys } from '../hotkeys.js';
+import { playSound } from '../sound.js';
 
 // Debounce state to prevent double-submissions
 let isProcessingDecision = false;
@@ -124,9 +127,12 @@ function renderContextSection(options) {
   const {
     heroPosition,
     actionHistory,
+    actionHistoryTitle,
+    streetHistory,
     actionSummary,
     potSize,
     effectiveStack,
+    toCall = null,
     showPositionTable
   } = options;
 
@@ -147,9 +153,11 @@ function renderContextSection(options) {
     `;
   }
 
-  // Action history or summary
-  if (actionHistory) {
-    html += `<div class="scenario-context__actions">${renderActionHistory({ actions: actionHistory, heroPosition })}</div>`;
+  // Street-by-street history, single-street history or summary
+  if (streetHistory) {
+    html += `<div class="scenario-context__actions">${renderStreetActionHistory({ streets: streetHistory, heroPosition })}</div>`;
+  } else if (actionHistory) {
+    html += `<div class="scenario-context__actions">${renderActionHistory({ actions: actionHistory, heroPosition, title: actionHistoryTitle })}</div>`;
   } else if (actionSummary) {
     html += `<div class="scenario-context__actions">${renderActionSummary(actionSummary)}</div>`;
   }
@@ -161,7 +169,9 @@ function renderContextSection(options) {
     html += renderPotDisplay({
       potSize,
       effectiveStack,
-      showSPR: effectiveStack > 0
+      toCall,
+      showSPR: effectiveStack > 0,
+      showToCall: toCall > 0
     });
   }
 
@@ -172,6 +182,7 @@ function renderContextSection(options) {
 
 /**
  * Render decision buttons with ARIA labels and keyboard support
+ * A decision's optional `variant` picks the button colour (e.g. 'raise'); it defaults to the action
  */
 function renderDecisionButtons(decisions) {
   return decisions.map((decision, index) => {
@@ -180,7 +191,7 @@ function renderDecisionButtons(decisions) {
       : decision.action;
 
     return `
-      <button class="scenario-decision-btn scenario-decision-btn--${decision.action.toLowerCase().replace(/\s+/g, '-')}"
+      <button class="scenario-decision-btn scenario-decision-btn--${decision.variant || decision.action.toLowerCase().replace(/\s+/g, '-')}"
               data-action="${decision.action}"
               data-index="${index}"
               aria-label="${ariaLabel}"
@@ -291,6 +302,15 @@ function bindScenarioEvents(container, { onDecision, onQuit, decisions }) {
     });
   });
 
+  // Shared hotkeys: number keys pick a decision, named actions press the matching button
+  bindHotkeys({
+    choice: '.scenario-decision-btn',
+    open: '.scenario-decision-btn[data-action="Open"]',
+    fold: '.scenario-decision-btn[data-action="Fold"]',
+    call: '.scenario-decision-btn[data-action="Call"]',
+    quit: '#quit-scenario'
+  });
+
   // Focus first decision button for keyboard users
   if (btnsArray.length > 0) {
     // Delay focus slightly to allow DOM to settle
@@ -319,17 +339,27 @@ function bindScenarioEvents(container, { onDecision, onQuit, decisions }) {
 
 /**
  * Show answer feedback with accessibility support
+ * Mixed-strategy hands report a fractional `credit` and their action `frequencies`;
+ * an explanation with `equity` ({ required, actual, requiredLabel, actualLabel }, in %)
+ * adds a needed-vs-actual comparison bar
  */
 export function showScenarioFeedback(container, result) {
   const {
     isCorrect,
     playerAnswer,
     correctAnswer,
+    credit = isCorrect ? 1 : 0,
+    frequencies = null,
     explanation,
     rangeDisplay,
     onNext
   } = result;
 
+  const isPartial = !isCorrect && credit > 0;
+  const isMixed = frequencies && Object.keys(frequencies).length > 1;
+  const resultState = isCorrect ? 'correct' : isPartial ? 'partial' : 'wrong';
+  playSound(isCorrect ? 'correct' : 'wrong');
+
   // Highlight buttons
   const buttons = container.querySelectorAll('.scenario-decision-btn');
   buttons.forEach(btn => {
@@ -338,11 +368,7 @@ export function showScenarioFeedback(container, result) {
     const action = btn.dataset.action;
 
     if (action === playerAnswer) {
-      if (isCorrect) {
-        btn.classList.add('scenario-decision-btn--correct');
-      } else {
-        btn.classList.add('scenario-decision-btn--wrong');
-      }
+      btn.classList.add(`scenario-decision-btn--${resultState}`);
     }
 
     if (action === correctAnswer && !isCorrect) {
@@ -358,9 +384,9 @@ export function showScenarioFeedback(container, result) {
   feedbackOverlay.setAttribute('aria-labelledby', 'feedback-title');
   feedbackOverlay.innerHTML = `
     <div class="scenario-feedback__content" aria-live="polite">
-      <div class="scenario-feedback__icon" aria-hidden="true">${isCorrect ? '&#10003;' : '&#10007;'}</div>
-      <div class="scenario-feedback__title scenario-feedback__title--${isCorrect ? 'correct' : 'wrong'}" id="feedback-title">
-        ${isCorrect ? 'Correct!' : 'Incorrect'}
+      <div class="scenario-feedback__icon" aria-hidden="true">${isCorrect ? '&#10003;' : isPartial ? '&#189;' : '&#10007;'}</div>
+      <div class="scenario-feedback__title scenario-feedback__title--${resultState}" id="feedback-title">
+        ${isCorrect ? 'Correct!' : isPartial ? `Partially Correct (${Math.round(credit * 100)}% credit)` : 'Incorrect'}
       </div>
 
       <div class="scenario-feedback__answers" role="list" aria-label="Answer comparison">
@@ -374,6 +400,15 @@ export function showScenarioFeedback(container, result) {
             <span class="scenario-feedback__answer-value">${correctAnswer}</span>
           </div>
         ` : ''}
+        ${isMixed ? `
+          <div class="scenario-feedback__answer" role="listitem">
+            <span class="scenario-feedback__answer-label">Mixed strategy:</span>
+            <span class="scenario-feedback__answer-value">${Object.entries(frequencies)
+              .sort((a, b) => b[1] - a[1])
+              .map(([action, frequency]) => `${action} ${Math.round(frequency * 100)}%`)
+              .join(' / ')}</span>
+          </div>
+        ` : ''}
       </div>
 
       ${explanation ? `
@@ -385,6 +420,7 @@ export function showScenarioFeedback(container, result) {
               ${explanation.points.map(p => `<li role="listitem">${p}</li>`).join('')}
             </ul>
           ` : ''}
+          ${explanation.equity ? renderEquityComparison(explanation.equity) : ''}
         </div>
       ` : ''}
 
@@ -399,6 +435,7 @@ export function showScenarioFeedback(container, result) {
               </div>
             `).join('')}
           </div>
+          ${rangeDisplay.grid ? '<div class="scenario-feedback__range-grid"></div>' : ''}
         </div>
       ` : ''}
 
@@ -414,6 +451,16 @@ export function showScenarioFeedback(container, result) {
     </div>
   `;
 
+  // Range chart with split cells for mixed hands
+  const gridSlot = feedbackOverlay.querySelector('.scenario-feedback__range-grid');
+  if (gridSlot) {
+    gridSlot.appendChild(createRangeGrid({
+      compact: true,
+      actions: rangeDisplay.grid.actions,
+      highlightHand: rangeDisplay.grid.hand
+    }));
+  }
+
   container.appendChild(feedbackOverlay);
 
   // Animate in
@@ -429,7 +476,12 @@ export function showScenarioFeedback(container, result) {
     });
 
     if (onNext) {
+      let advancing = false;
       const handleNext = () => {
+        // Enter, Space and the next hotkey can all land on the same press
+        if (advancing) return;
+        advancing = true;
+
         feedbackOverlay.classList.remove('scenario-feedback--visible');
         setTimeout(() => {
           feedbackOverlay.remove();
@@ -439,6 +491,7 @@ export function showScenarioFeedback(container, result) {
       };
 
       nextBtn.addEventListener('click', handleNext);
+      bindHotkeys({ next: '#next-question', quit: '#quit-scenario' });
 
       // Keyboard support
       nextBtn.addEventListener('keydown', (e) => {
@@ -451,6 +504,26 @@ export function showScenarioFeedback(container, result) {
   }
 }
 
+/**
+ * Render a needed-vs-actual equity bar (values in %)
+ */
+function renderEquityComparison({ required, actual, requiredLabel = 'Equity needed', actualLabel = 'Your equity' }) {
+  const enough = actual >= required;
+
+  return `
+    <div class="scenario-feedback__equity" role="img" aria-label="${actualLabel} ${actual.toFixed(1)}%, ${requiredLabel} ${required.toFixed(1)}%">
+      <div class="scenario-feedback__equity-values">
+        <span>${requiredLabel}: <strong>${required.toFixed(1)}%</strong></span>
+        <span>${actualLabel}: <strong class="scenario-feedback__equity-actual--${enough ? 'enough' : 'short'}">${actual.toFixed(1)}%</strong></span>
+      </div>
+      <div class="scenario-feedback__equity-bar">
+        <div class="scenario-feedback__equity-fill scenario-feedback__equity-fill--${enough ? 'enough' : 'short'}" style="width: ${Math.min(actual, 100)}%"></div>
+        <div class="scenario-feedback__equity-marker" style="left: ${Math.min(required, 100)}%"></div>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Update question number display
  */
@@ -0,0 +1,61 @@
+/**
+ * StackSelector Component
+ * Effective stack picker for drill and scenario start screens
+ */
+
+import { STACK_DEPTHS } from '../data/ranges.js';
+
+// How each depth plays
+const DEPTH_NOTES = {
+  20: 'Tournament short stack: raises and re-raises get it in',
+  40: 'Mid stack: less room to flat and play behind',
+  100: 'Standard cash game depth',
+  200: 'Deep: speculative hands gain value, thin 4-bets don\'t'
+};
+
+/**
+ * Render the stack depth picker
+ * @param {number} selected - Selected depth in BB
+ * @returns {string} HTML string
+ */
+export function renderStackSelector(selected) {
+  return `
+    <div class="stack-selector">
+      <div class="stack-selector__label" id="stack-selector-label">Effective stack</div>
+      <div class="stack-selector__options" role="radiogroup" aria-labelledby="stack-selector-label">
+        ${STACK_DEPTHS.map(depth => `
+          <button type="button" class="stack-selector__option${depth === selected ? ' stack-selector__option--active' : ''}"
+            role="radio" aria-checked="${depth === selected}" data-depth="${depth}">
+            ${depth}BB
+          </button>
+        `).join('')}
+      </div>
+      <div class="stack-selector__note">${DEPTH_NOTES[selected] || ''}</div>
+    </div>
+  `;
+}
+
+/**
+ * Wire up a rendered stack selector
+ * @param {HTMLElement} root - Element containing the selector
+ * @param {Function} onChange - Called with the chosen depth
+ */
+export function bindStackSelector(root, onChange) {
+  const selector = root.querySelector('.stack-selector');
+  if (!selector) return;
+
+  selector.querySelectorAll('.stack-selector__option').forEach(option => {
+    option.addEventListener('click', () => {
+      const depth = Number(option.dataset.depth);
+
+      selector.querySelectorAll('.stack-selector__option').forEach(other => {
+        const isActive = other === option;
+        other.classList.toggle('stack-selector__option--active', isActive);
+        other.setAttribute('aria-checked', String(isActive));
+      });
+      selector.querySelector('.stack-selector__note').textContent = DEPTH_NOTES[depth] || '';
+
+      onChange(depth);
+    });
+  });
+}
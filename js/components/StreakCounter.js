@@ -1,8 +1,12 @@
 /**
  * StreakCounter Component
- * Tracks and displays answer streaks with milestone celebrations
+ * Tracks and displays answer streaks with milestone celebrations, and plays the
+ * correct/wrong/milestone sounds (drills report every answer through it)
  */
 
+import { playSound } from '../sound.js';
+import { areAnimationsEnabled } from '../motion.js';
+
 export class StreakCounter {
   constructor(options = {}) {
     this.currentStreak = 0;
@@ -110,6 +114,7 @@ export class StreakCounter {
 
     // Check for milestone
     const milestone = this.checkMilestone();
+    playSound(milestone ? 'milestone' : 'correct');
     if (milestone) {
       this.showMilestoneAnimation(milestone);
       if (this.onMilestone) {
@@ -128,6 +133,7 @@ export class StreakCounter {
    */
   break() {
     const brokenStreak = this.currentStreak;
+    playSound('wrong');
 
     if (brokenStreak > 0) {
       this.showBreakAnimation();
@@ -160,7 +166,7 @@ export class StreakCounter {
    * Show increment animation
    */
   showIncrementAnimation() {
-    if (!this.element) return;
+    if (!this.element || !areAnimationsEnabled()) return;
 
     const valueElement = this.element.querySelector('.streak-counter__value');
     valueElement.classList.remove('streak-counter__value--pop');
@@ -175,7 +181,7 @@ export class StreakCounter {
    * Show streak break animation
    */
   showBreakAnimation() {
-    if (!this.element) return;
+    if (!this.element || !areAnimationsEnabled()) return;
 
     this.element.classList.add('streak-counter--breaking');
 
@@ -190,7 +196,7 @@ export class StreakCounter {
    * Show new best streak animation
    */
   showNewBestAnimation() {
-    if (!this.element) return;
+    if (!this.element || !areAnimationsEnabled()) return;
 
     const bestElement = this.element.querySelector('.streak-counter__best');
     bestElement.classList.add('streak-counter__best--new');
@@ -254,8 +260,10 @@ export class StreakCounter {
 
     popup.classList.add('streak-counter__milestone-popup--visible');
 
-    // Add celebration class to main element
-    this.element.classList.add('streak-counter--celebrating');
+    // Add celebration class to main element (the message still shows with animations off)
+    if (areAnimationsEnabled()) {
+      this.element.classList.add('streak-counter--celebrating');
+    }
 
     setTimeout(() => {
       if (popup) {
@@ -0,0 +1,60 @@
+/**
+ * TableFormatSelector Component
+ * Heads-up / 6-max / 9-max picker for position drills and lessons
+ */
+
+import { TABLE_FORMATS } from '../data/ranges.js';
+
+// How each format plays
+const FORMAT_NOTES = {
+  'heads-up': 'Two seats: the button posts the small blind and opens most hands',
+  '6max': 'Six seats, the standard online cash game',
+  '9max': 'Full ring: three more early seats, so the first opens are tighter'
+};
+
+/**
+ * Render the table format picker
+ * @param {string} selected - Selected format (key of TABLE_FORMATS)
+ * @returns {string} HTML string
+ */
+export function renderTableFormatSelector(selected) {
+  return `
+    <div class="table-format-selector">
+      <div class="table-format-selector__label" id="table-format-label">Table</div>
+      <div class="table-format-selector__options" role="radiogroup" aria-labelledby="table-format-label">
+        ${Object.entries(TABLE_FORMATS).map(([format, info]) => `
+          <button type="button" class="table-format-selector__option${format === selected ? ' table-format-selector__option--active' : ''}"
+            role="radio" aria-checked="${format === selected}" data-format="${format}">
+            ${info.name}
+          </button>
+        `).join('')}
+      </div>
+      <div class="table-format-selector__note">${FORMAT_NOTES[selected] || ''}</div>
+    </div>
+  `;
+}
+
+/**
+ * Wire up a rendered table format picker
+ * @param {HTMLElement} root - Element containing the picker
+ * @param {Function} onChange - Called with the chosen format
+ */
+export function bindTableFormatSelector(root, onChange) {
+  const selector = root.querySelector('.table-format-selector');
+  if (!selector) return;
+
+  selector.querySelectorAll('.table-format-selector__option').forEach(option => {
+    option.addEventListener('click', () => {
+      const format = option.dataset.format;
+
+      selector.querySelectorAll('.table-format-selector__option').forEach(other => {
+        const isActive = other === option;
+        other.classList.toggle('table-format-selector__option--active', isActive);
+        other.setAttribute('aria-checked', String(isActive));
+      });
+      selector.querySelector('.table-format-selector__note').textContent = FORMAT_NOTES[format] || '';
+
+      onChange(format);
+    });
+  });
+}
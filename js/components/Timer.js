@@ -3,6 +3,8 @@
  * Provides countdown and stopwatch functionality for drills
  */
 
+import { playSound } from '../sound.js';
+
 export class Timer {
   constructor(options = {}) {
     this.mode = options.mode || 'countdown'; // 'countdown' or 'stopwatch'
@@ -92,9 +94,12 @@ export class Timer {
       // Add urgency classes
       if (this.remaining <= this.urgentThreshold) {
         this.element.classList.add('timer--urgent');
-        if (!this.urgentTriggered && this.onUrgent) {
+        if (!this.urgentTriggered) {
           this.urgentTriggered = true;
-          this.onUrgent(this.remaining);
+          playSound('urgent');
+          if (this.onUrgent) {
+            this.onUrgent(this.remaining);
+          }
         }
       }
 
@@ -0,0 +1,168 @@
+/**
+ * C-Bet Strategy
+ * Flop continuation-bet heuristics for the preflop raiser: board texture x
+ * position x hand class, adjusted for SPR. Simplified for teaching, not solver output.
+ */
+
+import { getRankValue } from './hands.js';
+import { evaluateHand, scoreHand, HAND_CATEGORIES } from './evaluator.js';
+
+// Flop actions for the preflop raiser, with their share of the pot
+const CHECK = 'Check';
+const BET_SMALL = 'Bet 33%';
+const BET_BIG = 'Bet 75%';
+
+export const CBET_ACTIONS = [CHECK, BET_SMALL, BET_BIG];
+export const CBET_SIZES = { [CHECK]: 0, [BET_SMALL]: 0.33, [BET_BIG]: 0.75 };
+
+// Hero's postflop hand, strongest first
+export const POSTFLOP_HAND_CLASSES = {
+  strong: 'Strong made hand',
+  medium: 'Medium-strength hand',
+  draw: 'Draw',
+  air: 'Air'
+};
+
+// Who the board favours and how that shapes the c-bet
+export const RANGE_ADVANTAGE = {
+  dry: 'Dry boards favour the preflop raiser: you have more big pairs and strong aces, so a small bet works with your whole range',
+  paired: 'Paired boards rarely hit the caller, so the raiser keeps the range advantage and can bet small often',
+  wet: 'Wet, connected boards hit the caller\'s suited connectors and small pairs, so bet a polarized range big and check the middle',
+  monotone: 'Monotone boards shrink everyone\'s edge: one card of the suit changes hand values, so bet small and less often'
+};
+
+// Base strategy by texture, then position ('ip' / 'oop'), then hand class
+const CBET_STRATEGY = {
+  dry: {
+    ip: { strong: BET_SMALL, medium: BET_SMALL, draw: BET_SMALL, air: BET_SMALL },
+    oop: { strong: BET_SMALL, medium: CHECK, draw: BET_SMALL, air: BET_SMALL }
+  },
+  paired: {
+    ip: { strong: BET_SMALL, medium: CHECK, draw: BET_SMALL, air: BET_SMALL },
+    oop: { strong: BET_SMALL, medium: CHECK, draw: BET_SMALL, air: CHECK }
+  },
+  wet: {
+    ip: { strong: BET_BIG, medium: CHECK, draw: BET_BIG, air: CHECK },
+    oop: { strong: BET_BIG, medium: CHECK, draw: CHECK, air: CHECK }
+  },
+  monotone: {
+    ip: { strong: BET_SMALL, medium: CHECK, draw: BET_SMALL, air: CHECK },
+    oop: { strong: BET_SMALL, medium: CHECK, draw: CHECK, air: CHECK }
+  }
+};
+
+// SPR categories (from getSPRCategory) low enough to get stacks in over two streets
+const COMMIT_SPR_CATEGORIES = ['shallow', 'medium'];
+
+// Why each hand class takes its action
+const HAND_CLASS_REASONS = {
+  strong: {
+    [BET_SMALL]: 'Strong hands bet small here to keep the caller\'s whole range in',
+    [BET_BIG]: 'Strong hands bet big to charge draws and build the pot'
+  },
+  medium: {
+    [BET_SMALL]: 'A cheap bet gets value and protection from a range that missed',
+    [CHECK]: 'Medium hands check for pot control: they beat bluffs but fold out little worse'
+  },
+  draw: {
+    [BET_SMALL]: 'A small semi-bluff takes the pot often and has equity when called',
+    [BET_BIG]: 'Draws are the best bluffs: a big bet wins now or builds the pot for when you hit',
+    [CHECK]: 'Out of position the draw checks and takes a free card rather than bloat the pot'
+  },
+  air: {
+    [BET_SMALL]: 'A cheap stab folds out the many hands that missed this board',
+    [CHECK]: 'Air gives up: the caller hit this board and a bluff has no equity to fall back on'
+  }
+};
+
+// Flush draw (four to a suit using a hole card) or open-ended straight draw
+function hasDraw(holeCards, board) {
+  const cards = [...holeCards, ...board];
+
+  const flushDraw = holeCards.some(hole =>
+    cards.filter(card => card.suit === hole.suit).length === 4
+  );
+  if (flushDraw) return true;
+
+  const values = new Set(cards.map(card => getRankValue(card.rank)));
+  if (values.has(14)) values.add(1);
+  const holeValues = holeCards.map(card => getRankValue(card.rank));
+
+  // Four in a row with a card missing at both ends (A-2-3-4 and J-Q-K-A are one-ended)
+  for (let low = 2; low <= 10; low++) {
+    const run = [low, low + 1, low + 2, low + 3];
+    if (run.every(value => values.has(value)) && run.some(value => holeValues.includes(value))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Classify hero's hand on the flop, turn or river
+ * @param {Array<{rank: string, suit: string}>} holeCards - Hero's two cards
+ * @param {Array<{rank: string, suit: string}>} board - 3-5 board cards
+ * @returns {string|null} Key of POSTFLOP_HAND_CLASSES, or null for invalid cards
+ *   (on the river a missed draw is air)
+ */
+export function classifyPostflopHand(holeCards, board) {
+  const made = evaluateHand([...holeCards, ...board]);
+  if (!made) return null;
+
+  // Pairs on the board belong to both players
+  const category = made.handClass - scoreHand(board).category;
+  if (category >= HAND_CATEGORIES.TWO_PAIR) return 'strong';
+
+  if (category === HAND_CATEGORIES.PAIR) {
+    const boardValues = [...new Set(board.map(card => getRankValue(card.rank)))].sort((a, b) => b - a);
+    const [high, low] = holeCards.map(card => getRankValue(card.rank)).sort((a, b) => b - a);
+
+    // Overpair, or top pair with a ten or better kicker
+    if (high === low) return high > boardValues[0] ? 'strong' : 'medium';
+    const kicker = high === boardValues[0] ? low : low === boardValues[0] ? high : 0;
+    return kicker >= 10 ? 'strong' : 'medium';
+  }
+
+  return board.length < 5 && hasDraw(holeCards, board) ? 'draw' : 'air';
+}
+
+/**
+ * Get the c-bet heuristic for a flop spot
+ * @param {Object} spot
+ * @param {string} spot.texture - Board texture (key of BOARD_TEXTURES)
+ * @param {boolean} spot.inPosition - Whether the preflop raiser acts last postflop
+ * @param {string} spot.handClass - Key of POSTFLOP_HAND_CLASSES
+ * @param {string} [spot.sprCategory] - Category from getSPRCategory
+ * @returns {{action: string, reason: string}|null} One of CBET_ACTIONS and why, or null for an unknown spot
+ */
+export function getCbetAction({ texture, inPosition, handClass, sprCategory }) {
+  const action = CBET_STRATEGY[texture]?.[inPosition ? 'ip' : 'oop']?.[handClass];
+  if (!action) {
+    console.error(`No c-bet strategy for ${texture} / ${handClass}`);
+    return null;
+  }
+
+  // Low SPR: strong hands size up so the stacks go in by the turn
+  if (handClass === 'strong' && COMMIT_SPR_CATEGORIES.includes(sprCategory)) {
+    return {
+      action: BET_BIG,
+      reason: 'With a low SPR, strong hands bet big so the rest of the stack goes in by the turn'
+    };
+  }
+
+  return { action, reason: HAND_CLASS_REASONS[handClass][action] };
+}
+
+/**
+ * Grade a c-bet answer: betting with the wrong size earns half credit
+ * @param {string} answer - One of CBET_ACTIONS
+ * @param {string} correctAction - One of CBET_ACTIONS
+ * @returns {{correct: boolean, credit: number}}
+ */
+export function gradeCbetAnswer(answer, correctAction) {
+  if (answer === correctAction) return { correct: true, credit: 1 };
+
+  const bothBets = answer !== CHECK && correctAction !== CHECK;
+  return { correct: false, credit: bothBets ? 0.5 : 0 };
+}
@@ -0,0 +1,81 @@
+/**
+ * Combinatorics
+ * How many combos of a hand or range are left once some cards are known (card removal).
+ * Combos are enumerated suit by suit, so board cards and blockers simply drop out.
+ */
+
+import { RANKS, parseHand, normalizeHand } from './hands.js';
+import { getHandCombos } from './equityCalculator.js';
+
+// Combos of each hand type with no cards removed
+export const BASE_COMBOS = { pair: 6, suited: 4, offsuit: 12, any: 16 };
+
+/**
+ * Count a range's combos with known cards removed
+ * @param {Array<string>} hands - Grid hands ("AKs", "AKo", "77"); "AK" counts both suited and offsuit
+ * @param {Array<{rank: string, suit: string}>} deadCards - Board and hero's cards
+ * @returns {{total: number, remaining: number, byHand: Object<string, {total: number, remaining: number}>}|null}
+ *   Totals ignore the dead cards; null if a hand can't be read
+ */
+export function countCombos(hands, deadCards = []) {
+  const byHand = {};
+
+  for (const hand of expandHands(hands)) {
+    const total = getHandCombos(hand).length;
+    if (total === 0) {
+      console.error(`Unknown hand: ${hand}`);
+      return null;
+    }
+
+    byHand[hand] = { total, remaining: getHandCombos(hand, deadCards).length };
+  }
+
+  const counts = Object.values(byHand);
+  return {
+    total: counts.reduce((sum, count) => sum + count.total, 0),
+    remaining: counts.reduce((sum, count) => sum + count.remaining, 0),
+    byHand
+  };
+}
+
+/**
+ * Villain's value range on a flop: sets, two pair, and top pair with the best kicker
+ * @param {Array<{rank: string, suit: string}>} board - Flop cards
+ * @returns {Array<string>} Hands, strongest rank first (e.g. ["AA", "77", "22", "A7", "A2", "72", "AK"])
+ */
+export function getValueRange(board) {
+  const ranks = [...new Set(board.map(card => card.rank))]
+    .sort((a, b) => RANKS.indexOf(a) - RANKS.indexOf(b));
+
+  const sets = ranks.map(rank => rank + rank);
+
+  const twoPair = [];
+  for (let i = 0; i < ranks.length; i++) {
+    for (let j = i + 1; j < ranks.length; j++) {
+      twoPair.push(ranks[i] + ranks[j]);
+    }
+  }
+
+  // Best kicker is the highest rank not on the board
+  const kicker = RANKS.find(rank => !ranks.includes(rank));
+  const topPair = [ranks[0], kicker].sort((a, b) => RANKS.indexOf(a) - RANKS.indexOf(b)).join('');
+
+  return [...sets, ...twoPair, topPair];
+}
+
+// Split "AK" into its suited and offsuit grid hands
+function expandHands(hands) {
+  const expanded = new Set();
+
+  hands.forEach(hand => {
+    const parsed = parseHand(hand);
+    if (parsed && !parsed.pair && hand.trim().length === 2) {
+      expanded.add(normalizeHand(hand + 's'));
+      expanded.add(normalizeHand(hand + 'o'));
+    } else {
+      expanded.add(parsed ? normalizeHand(hand) : hand);
+    }
+  });
+
+  return [...expanded];
+}
@@ -0,0 +1,163 @@
+/**
+ * Draw Odds
+ * Outs-based equity for common draws (exact and by the rule of 2 and 4), the
+ * implied odds a call needs when the direct pot odds fall short, and outs counted
+ * card by card from the remaining deck.
+ */
+
+import { createDeck, cardKey } from './equityCalculator.js';
+import { scoreHand, HAND_CATEGORIES, HAND_CLASS_NAMES } from './evaluator.js';
+
+// Common draws and their outs (clean outs, before any discounting)
+export const DRAWS = {
+  'flush-draw': { name: 'Flush draw', outs: 9 },
+  'oesd': { name: 'Open-ended straight draw', outs: 8 },
+  'gutshot': { name: 'Gutshot', outs: 4 },
+  'combo-draw': { name: 'Flush draw + open-ended', outs: 15 }
+};
+
+// Cards hero can't see on each street (52 minus two hole cards and the board)
+export const UNSEEN_CARDS = { flop: 47, turn: 46 };
+
+// Share of the stack behind a hidden draw can expect to win when it hits
+export const IMPLIED_ODDS_SHARE = 0.25;
+
+/**
+ * Exact chance (%) of hitting one of `outs` with one or two cards to come
+ * @param {number} outs - Number of outs
+ * @param {string} street - 'flop' or 'turn'
+ * @param {number} cardsToCome - 1 (next card only) or 2 (turn and river, flop only)
+ * @returns {number|null} Equity in %, or null for an invalid street
+ */
+export function getOutsEquity(outs, street, cardsToCome = 1) {
+  const unseen = UNSEEN_CARDS[street];
+  if (!unseen) {
+    console.error(`Unknown street: ${street}`);
+    return null;
+  }
+
+  if (cardsToCome === 2 && street === 'flop') {
+    const missBoth = ((unseen - outs) / unseen) * ((unseen - 1 - outs) / (unseen - 1));
+    return (1 - missBoth) * 100;
+  }
+
+  return (outs / unseen) * 100;
+}
+
+/**
+ * Equity (%) by the rule of 2 and 4: outs x 4 with two cards to come, outs x 2 with one
+ * @param {number} outs - Number of outs
+ * @param {number} cardsToCome - 1 or 2
+ * @returns {number} Estimated equity in %
+ */
+export function getRuleOfThumbEquity(outs, cardsToCome = 1) {
+  return outs * (cardsToCome === 2 ? 4 : 2);
+}
+
+/**
+ * Extra BB hero must win on later streets for a call to break even
+ * @param {number} potSize - Pot including villain's bet
+ * @param {number} toCall - Amount to call
+ * @param {number} equity - Hero's equity in %
+ * @returns {number} BB still needed (0 if the direct odds already pay)
+ */
+export function getImpliedOddsNeeded(potSize, toCall, equity) {
+  if (equity <= 0) return Infinity;
+  const needed = (toCall * (100 - equity)) / equity - potSize;
+  return Math.max(needed, 0);
+}
+
+// Hands to draw to; each counts anything that reaches its category or better
+export const OUT_TARGETS = {
+  'two-pair': { name: 'two pair or better', label: 'Two pair+', category: HAND_CATEGORIES.TWO_PAIR },
+  'trips': { name: 'three of a kind or better', label: 'Trips+', category: HAND_CATEGORIES.THREE_OF_A_KIND },
+  'straight': { name: 'a straight or better', label: 'Straight+', category: HAND_CATEGORIES.STRAIGHT },
+  'flush': { name: 'a flush or better', label: 'Flush+', category: HAND_CATEGORIES.FLUSH },
+  'full-house': { name: 'a full house or better', label: 'Full house+', category: HAND_CATEGORIES.FULL_HOUSE }
+};
+
+/**
+ * Find hero's outs to a hand category by dealing every unseen card as the next one.
+ * A card is an out when it lifts hero to the category, the board alone doesn't get there,
+ * and hero gains on the board's own hand: a card that pairs the board gives a pocket pair
+ * "two pair" that every player shares, so it doesn't count.
+ * @param {Array<{rank: string, suit: string}>} holeCards - Hero's two cards
+ * @param {Array<{rank: string, suit: string}>} board - Flop or turn (3-4 cards)
+ * @param {number} targetCategory - HAND_CATEGORIES value to reach
+ * @returns {Array|null} Out cards (empty if hero already has the category), or null for invalid cards
+ */
+export function findOuts(holeCards, board, targetCategory) {
+  if (holeCards?.length !== 2 || !(board?.length === 3 || board?.length === 4)) {
+    console.error('Outs need two hole cards and a flop or turn');
+    return null;
+  }
+
+  const heroCategory = scoreHand([...holeCards, ...board]).category;
+  if (heroCategory >= targetCategory) return [];
+
+  // How far hero's hand sits above the board's, before the card
+  const lead = heroCategory - scoreHand(board).category;
+
+  return getUnseenCards([...holeCards, ...board]).filter(card => {
+    const newBoard = [...board, card];
+    const heroAfter = scoreHand([...holeCards, ...newBoard]).category;
+    const boardAfter = scoreHand(newBoard).category;
+    return heroAfter >= targetCategory && boardAfter < targetCategory && heroAfter - boardAfter > lead;
+  });
+}
+
+/**
+ * Count hero's outs to a hand category, split into clean and discounted outs.
+ * An out is discounted when it makes a hand that beats hero's possible for the first
+ * time (a flush card that pairs the board, a straight card that puts three of a suit out, ...).
+ * @param {Array<{rank: string, suit: string}>} holeCards - Hero's two cards
+ * @param {Array<{rank: string, suit: string}>} board - Flop or turn (3-4 cards)
+ * @param {number} targetCategory - HAND_CATEGORIES value to reach
+ * @returns {{outs: Array, clean: Array, discounted: Array<{card: Object, beatenBy: string}>}|null}
+ *   beatenBy names the weakest newly possible hand that beats hero's; null for invalid cards
+ */
+export function countOuts(holeCards, board, targetCategory) {
+  const outs = findOuts(holeCards, board, targetCategory);
+  if (!outs) return null;
+
+  const unseen = getUnseenCards([...holeCards, ...board]);
+  const possibleBefore = getPossibleCategories(board, unseen);
+  const result = { outs, clean: [], discounted: [] };
+
+  outs.forEach(card => {
+    const newBoard = [...board, card];
+    const heroCategory = scoreHand([...holeCards, ...newBoard]).category;
+    const possibleAfter = getPossibleCategories(newBoard, unseen.filter(other => other !== card));
+
+    const beatenBy = HAND_CLASS_NAMES.findIndex((name, category) =>
+      category > heroCategory && possibleAfter.has(category) && !possibleBefore.has(category)
+    );
+
+    if (beatenBy >= 0) {
+      result.discounted.push({ card, beatenBy: HAND_CLASS_NAMES[beatenBy] });
+    } else {
+      result.clean.push(card);
+    }
+  });
+
+  return result;
+}
+
+// Cards left in the deck once `dead` are out
+function getUnseenCards(dead) {
+  const deadKeys = new Set(dead.map(cardKey));
+  return createDeck().filter(card => !deadKeys.has(cardKey(card)));
+}
+
+// Categories any two of `deck` can make with a board
+function getPossibleCategories(board, deck) {
+  const categories = new Set();
+
+  for (let i = 0; i < deck.length; i++) {
+    for (let j = i + 1; j < deck.length; j++) {
+      categories.add(scoreHand([deck[i], deck[j], ...board]).category);
+    }
+  }
+
+  return categories;
+}
@@ -0,0 +1,34 @@
+/**
+ * Drill Modes
+ * Ways to play a drill: a fixed set of questions, against the clock, or until you run out of lives.
+ * Only classic runs count toward passing a drill; the others keep their own bests.
+ */
+
+// question count comes from each drill; duration in ms; lives = misses that end the run
+export const DRILL_MODES = {
+  classic: {
+    name: 'Classic',
+    endTitle: 'Drill Complete!',
+    describe: questions => `${questions} questions. Counts toward passing the drill`
+  },
+  blitz: {
+    name: 'Blitz',
+    duration: 60000,
+    endTitle: 'Time\'s Up!',
+    describe: () => 'As many as you can in 60 seconds'
+  },
+  survival: {
+    name: 'Survival',
+    lives: 3,
+    endTitle: 'Out of Lives!',
+    describe: () => 'Keep going until your third miss'
+  },
+  'sudden-death': {
+    name: 'Sudden Death',
+    lives: 1,
+    endTitle: 'Run Over!',
+    describe: () => 'One miss ends the run'
+  }
+};
+
+export const DEFAULT_DRILL_MODE = 'classic';
@@ -0,0 +1,494 @@
+/**
+ * Equity Calculator
+ * Card-level equity for hands and ranges, with optional board and dead cards.
+ * Small spots are enumerated exactly; everything else is sampled (Monte Carlo).
+ * Preflop equity against a random hand is cached in PREFLOP_EQUITY.
+ */
+
+import { RANKS, SUITS, parseHand, normalizeHand, ALL_HANDS } from './hands.js';
+import { getHandValue } from './evaluator.js';
+
+// Default number of Monte Carlo trials
+export const DEFAULT_ITERATIONS = 10000;
+
+// Enumerate exactly when there are at most this many (combo set, board) runouts
+export const MAX_ENUMERATION = 50000;
+
+// Card key used for dead-card checks (e.g. "Ah")
+export function cardKey(card) {
+  return card.rank + card.suit;
+}
+
+// Full 52-card deck
+export function createDeck() {
+  const deck = [];
+  RANKS.forEach(rank => {
+    SUITS.forEach(suit => deck.push({ rank, suit }));
+  });
+  return deck;
+}
+
+/**
+ * Parse cards from a string ("AhKh", "Ah Kh", "Ah,Kh") or an array of
+ * strings / {rank, suit} objects
+ * @returns {Array<{rank: string, suit: string}>|null} null if anything is invalid
+ */
+export function parseCards(input) {
+  if (!input) return [];
+
+  let tokens;
+  if (Array.isArray(input)) {
+    tokens = input;
+  } else {
+    const compact = String(input).replace(/[\s,]+/g, '');
+    if (compact.length % 2 !== 0) return null;
+    tokens = compact.match(/../g) || [];
+  }
+
+  const cards = [];
+  for (const token of tokens) {
+    const card = typeof token === 'string'
+      ? { rank: token[0]?.toUpperCase(), suit: token[1]?.toLowerCase() }
+      : { rank: token.rank, suit: token.suit };
+
+    if (!RANKS.includes(card.rank) || !SUITS.includes(card.suit)) return null;
+    cards.push(card);
+  }
+
+  // The same card can't appear twice
+  const keys = new Set(cards.map(cardKey));
+  if (keys.size !== cards.length) return null;
+
+  return cards;
+}
+
+// Check if a string names two specific cards (e.g. "AhKh") rather than a hand class
+function isSpecificHand(hand) {
+  return typeof hand === 'string' && /^([AKQJT2-9][shdc]){2}$/i.test(hand.replace(/\s+/g, ''));
+}
+
+/**
+ * Get every two-card combo for a hand
+ * @param {string|Array} hand - Class notation ("AKs", "AKo", "AK", "QQ") or specific cards ("AhKh")
+ * @param {Array} deadCards - Cards that can't be dealt
+ * @returns {Array<Array<{rank: string, suit: string}>>} Combos not blocked by dead cards
+ */
+export function getHandCombos(hand, deadCards = []) {
+  const dead = new Set(deadCards.map(cardKey));
+  const available = combo => combo.every(card => !dead.has(cardKey(card)));
+
+  if (Array.isArray(hand) || isSpecificHand(hand)) {
+    const cards = parseCards(hand);
+    if (!cards || cards.length !== 2) return [];
+    return available(cards) ? [cards] : [];
+  }
+
+  const parsed = parseHand(hand);
+  if (!parsed || !RANKS.includes(parsed.rank1) || !RANKS.includes(parsed.rank2)) return [];
+
+  // "AK" with no suffix means both suited and offsuit combos
+  const notation = hand.trim();
+  const anySuit = !parsed.pair && notation.length === 2;
+  const combos = [];
+
+  for (let i = 0; i < SUITS.length; i++) {
+    for (let j = 0; j < SUITS.length; j++) {
+      if (parsed.pair && j <= i) continue;
+      if (!parsed.pair && !anySuit) {
+        if (parsed.suited && i !== j) continue;
+        if (!parsed.suited && i === j) continue;
+      }
+
+      const combo = [
+        { rank: parsed.rank1, suit: SUITS[i] },
+        { rank: parsed.rank2, suit: SUITS[j] }
+      ];
+      if (available(combo)) combos.push(combo);
+    }
+  }
+
+  return combos;
+}
+
+/**
+ * Get every combo in a range
+ * @param {Array|Set|string} range - Hand notations / specific hands, or "random" for any two cards
+ * @param {Array} deadCards - Cards that can't be dealt
+ */
+export function getRangeCombos(range, deadCards = []) {
+  if (range === 'random') {
+    return getRangeCombos(ALL_HANDS, deadCards);
+  }
+
+  // Two cards given as an array (e.g. ['Ah', 'Kh'] or card objects) are a single hand
+  if (Array.isArray(range) && range.length === 2 && parseCards(range)) {
+    return getHandCombos(range, deadCards);
+  }
+
+  const hands = typeof range === 'string' ? [range] : [...range];
+  const seen = new Set();
+  const combos = [];
+
+  hands.forEach(hand => {
+    getHandCombos(hand, deadCards).forEach(combo => {
+      const key = combo.map(cardKey).sort().join('');
+      if (!seen.has(key)) {
+        seen.add(key);
+        combos.push(combo);
+      }
+    });
+  });
+
+  return combos;
+}
+
+// Count ways to choose k items from n
+function choose(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return Math.round(result);
+}
+
+// Call fn with every k-card subset of deck
+function forEachSubset(deck, k, fn, start = 0, picked = []) {
+  if (picked.length === k) {
+    fn(picked);
+    return;
+  }
+  for (let i = start; i <= deck.length - (k - picked.length); i++) {
+    picked.push(deck[i]);
+    forEachSubset(deck, k, fn, i + 1, picked);
+    picked.pop();
+  }
+}
+
+// Call fn with every non-conflicting choice of one combo per player
+function forEachAssignment(playerCombos, fn, index = 0, chosen = [], used = new Set()) {
+  if (index === playerCombos.length) {
+    fn(chosen);
+    return;
+  }
+  playerCombos[index].forEach(combo => {
+    const keys = combo.map(cardKey);
+    if (keys.some(key => used.has(key))) return;
+
+    keys.forEach(key => used.add(key));
+    chosen.push(combo);
+    forEachAssignment(playerCombos, fn, index + 1, chosen, used);
+    chosen.pop();
+    keys.forEach(key => used.delete(key));
+  });
+}
+
+// Score one runout and add each player's share of the pot to the totals
+function settleShowdown(holdings, board, totals) {
+  const values = holdings.map(combo => getHandValue([...combo, ...board]));
+  const best = Math.max(...values);
+  const winners = values.filter(value => value === best).length;
+
+  values.forEach((value, i) => {
+    if (value !== best) return;
+    if (winners === 1) {
+      totals[i].win++;
+    } else {
+      totals[i].tie++;
+      totals[i].share += 1 / winners;
+    }
+  });
+}
+
+/**
+ * Calculate equity between two or more players
+ * @param {Array} players - Each player's hand or range (anything getRangeCombos accepts)
+ * @param {object} options
+ * @param {string|Array} options.board - Board cards (0, 3, 4 or 5)
+ * @param {string|Array} options.deadCards - Cards removed from the deck
+ * @param {number} options.iterations - Monte Carlo trials when not enumerating
+ * @param {boolean} options.exact - Force full enumeration
+ * @param {Function} options.random - Random source returning [0, 1)
+ * @returns {{players: Array<{equity: number, win: number, tie: number}>, samples: number, exact: boolean}|null}
+ *   equity/win/tie are percentages; null if the input is invalid or impossible
+ */
+export function calculateEquity(players, options = {}) {
+  const {
+    iterations = DEFAULT_ITERATIONS,
+    exact: forceExact = false,
+    random = Math.random
+  } = options;
+
+  const board = parseCards(options.board);
+  const deadCards = parseCards(options.deadCards);
+
+  if (!board || !deadCards || board.length > 5 || players.length < 2) {
+    console.error('Invalid equity input');
+    return null;
+  }
+
+  const blocked = [...board, ...deadCards];
+  const playerCombos = players.map(player => getRangeCombos(player, blocked));
+
+  if (playerCombos.some(combos => combos.length === 0)) {
+    console.error('A player has no possible holdings');
+    return null;
+  }
+
+  const blockedKeys = new Set(blocked.map(cardKey));
+  const deck = createDeck().filter(card => !blockedKeys.has(cardKey(card)));
+  const cardsToCome = 5 - board.length;
+  const totals = players.map(() => ({ win: 0, tie: 0, share: 0 }));
+
+  const holeCards = players.length * 2;
+  const runouts = choose(deck.length - holeCards, cardsToCome);
+  const assignments = playerCombos.reduce((product, combos) => product * combos.length, 1);
+  const exact = forceExact || assignments * runouts <= MAX_ENUMERATION;
+
+  let samples = 0;
+
+  if (exact) {
+    forEachAssignment(playerCombos, holdings => {
+      const used = new Set(holdings.flat().map(cardKey));
+      const remaining = deck.filter(card => !used.has(cardKey(card)));
+
+      forEachSubset(remaining, cardsToCome, runout => {
+        settleShowdown(holdings, [...board, ...runout], totals);
+        samples++;
+      });
+    });
+  } else {
+    for (let trial = 0; trial < iterations; trial++) {
+      const holdings = dealHoldings(playerCombos, random);
+      if (!holdings) continue;
+
+      const used = new Set(holdings.flat().map(cardKey));
+      const remaining = deck.filter(card => !used.has(cardKey(card)));
+
+      // Partial Fisher-Yates shuffle for the rest of the board
+      for (let i = 0; i < cardsToCome; i++) {
+        const j = i + Math.floor(random() * (remaining.length - i));
+        [remaining[i], remaining[j]] = [remaining[j], remaining[i]];
+      }
+
+      settleShowdown(holdings, [...board, ...remaining.slice(0, cardsToCome)], totals);
+      samples++;
+    }
+  }
+
+  if (samples === 0) {
+    console.error('Ranges have no compatible holdings');
+    return null;
+  }
+
+  return {
+    players: totals.map(total => ({
+      equity: ((total.win + total.share) / samples) * 100,
+      win: (total.win / samples) * 100,
+      tie: (total.tie / samples) * 100
+    })),
+    samples,
+    exact
+  };
+}
+
+// Pick one combo per player without card conflicts (null after too many collisions)
+function dealHoldings(playerCombos, random, maxAttempts = 100) {
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const used = new Set();
+    const holdings = [];
+
+    for (const combos of playerCombos) {
+      const combo = combos[Math.floor(random() * combos.length)];
+      const keys = combo.map(cardKey);
+      if (keys.some(key => used.has(key))) break;
+
+      keys.forEach(key => used.add(key));
+      holdings.push(combo);
+    }
+
+    if (holdings.length === playerCombos.length) return holdings;
+  }
+
+  return null;
+}
+
+// Hero's result from a two-player calculation
+function heroResult(result) {
+  if (!result) return null;
+  const [hero] = result.players;
+  return { ...hero, samples: result.samples, exact: result.exact };
+}
+
+// Equity of one hand against another (e.g. "AhKh" vs "QsQd", or "AKs" vs "QQ")
+export function getHandVsHandEquity(hand, villainHand, options = {}) {
+  return heroResult(calculateEquity([hand, villainHand], options));
+}
+
+// Equity of a hand against a range (array or Set of notations)
+export function getHandVsRangeEquity(hand, range, options = {}) {
+  return heroResult(calculateEquity([hand, range], options));
+}
+
+// Equity of one range against another
+export function getRangeVsRangeEquity(range, villainRange, options = {}) {
+  return heroResult(calculateEquity([range, villainRange], options));
+}
+
+// Equity of a hand against any two cards
+export function getEquityVsRandom(hand, options = {}) {
+  return heroResult(calculateEquity([hand, 'random'], options));
+}
+
+// Preflop equity vs a random hand for all 169 hand classes, in percent.
+// A cache of getEquityVsRandom at 200,000 seeded trials per hand, so preflop lookups and
+// sorts don't rerun the simulation. Built by scripts/buildPreflopEquity.js: rerun it if
+// the evaluator changes (--check compares without writing).
+export const PREFLOP_EQUITY = {
+  // Pocket pairs
+  'AA': 85.2, 'KK': 82.5, 'QQ': 80.0, 'JJ': 77.4, 'TT': 75.0,
+  '99': 72.1, '88': 69.2, '77': 66.3, '66': 63.2, '55': 60.2,
+  '44': 57.0, '33': 53.6, '22': 50.4,
+
+  // Suited Ax
+  'AKs': 67.1, 'AQs': 66.2, 'AJs': 65.5, 'ATs': 64.4, 'A9s': 62.7,
+  'A8s': 62.0, 'A7s': 60.9, 'A6s': 59.8, 'A5s': 59.8, 'A4s': 59.1,
+  'A3s': 58.4, 'A2s': 57.4,
+
+  // Offsuit Ax
+  'AKo': 65.3, 'AQo': 64.4, 'AJo': 63.5, 'ATo': 62.8, 'A9o': 60.5,
+  'A8o': 59.9, 'A7o': 58.9, 'A6o': 57.6, 'A5o': 57.6, 'A4o': 56.6,
+  'A3o': 55.7, 'A2o': 54.7,
+
+  // Suited Kx
+  'KQs': 63.3, 'KJs': 62.7, 'KTs': 61.7, 'K9s': 60.0, 'K8s': 58.4,
+  'K7s': 57.5, 'K6s': 56.8, 'K5s': 55.7, 'K4s': 55.2, 'K3s': 54.0,
+  'K2s': 53.2,
+
+  // Offsuit Kx
+  'KQo': 61.3, 'KJo': 60.4, 'KTo': 59.4, 'K9o': 57.9, 'K8o': 56.0,
+  'K7o': 55.2, 'K6o': 54.4, 'K5o': 53.3, 'K4o': 52.3, 'K3o': 51.2,
+  'K2o': 50.5,
+
+  // Suited Qx
+  'QJs': 60.1, 'QTs': 59.7, 'Q9s': 57.7, 'Q8s': 56.0, 'Q7s': 54.4,
+  'Q6s': 53.7, 'Q5s': 52.5, 'Q4s': 51.8, 'Q3s': 51.1, 'Q2s': 50.3,
+
+  // Offsuit Qx
+  'QJo': 58.2, 'QTo': 57.3, 'Q9o': 55.4, 'Q8o': 53.7, 'Q7o': 51.7,
+  'Q6o': 50.9, 'Q5o': 50.0, 'Q4o': 49.2, 'Q3o': 48.2, 'Q2o': 47.4,
+
+  // Suited Jx
+  'JTs': 57.4, 'J9s': 55.7, 'J8s': 53.9, 'J7s': 52.3, 'J6s': 50.6,
+  'J5s': 50.2, 'J4s': 49.1, 'J3s': 48.3, 'J2s': 47.3,
+
+  // Offsuit Jx
+  'JTo': 55.2, 'J9o': 53.5, 'J8o': 51.5, 'J7o': 49.6, 'J6o': 47.7,
+  'J5o': 47.2, 'J4o': 46.1, 'J3o': 45.3, 'J2o': 44.4,
+
+  // Suited Tx
+  'T9s': 54.0, 'T8s': 52.3, 'T7s': 50.7, 'T6s': 48.9, 'T5s': 47.1,
+  'T4s': 46.6, 'T3s': 45.8, 'T2s': 44.8,
+
+  // Offsuit Tx
+  'T9o': 51.5, 'T8o': 49.7, 'T7o': 47.9, 'T6o': 46.0, 'T5o': 44.3,
+  'T4o': 43.3, 'T3o': 42.6, 'T2o': 41.8,
+
+  // Suited 9x
+  '98s': 50.9, '97s': 49.2, '96s': 47.5, '95s': 45.8, '94s': 43.8,
+  '93s': 43.1, '92s': 42.5,
+
+  // Offsuit 9x
+  '98o': 48.2, '97o': 46.2, '96o': 44.5, '95o': 42.7, '94o': 40.6,
+  '93o': 40.2, '92o': 39.0,
+
+  // Suited 8x
+  '87s': 47.8, '86s': 46.4, '85s': 44.5, '84s': 42.6, '83s': 40.8,
+  '82s': 40.4,
+
+  // Offsuit 8x
+  '87o': 44.8, '86o': 43.4, '85o': 41.3, '84o': 39.5, '83o': 37.5,
+  '82o': 37.0,
+
+  // Suited 7x
+  '76s': 45.3, '75s': 43.5, '74s': 41.9, '73s': 40.0, '72s': 38.1,
+
+  // Offsuit 7x
+  '76o': 42.4, '75o': 40.5, '74o': 38.5, '73o': 36.8, '72o': 34.6,
+
+  // Suited 6x
+  '65s': 43.1, '64s': 41.3, '63s': 39.5, '62s': 37.6,
+
+  // Offsuit 6x
+  '65o': 39.9, '64o': 38.1, '63o': 36.1, '62o': 34.3,
+
+  // Suited 5x
+  '54s': 41.5, '53s': 39.8, '52s': 37.8,
+
+  // Offsuit 5x
+  '54o': 38.1, '53o': 36.4, '52o': 34.2,
+
+  // Suited 4x
+  '43s': 38.8, '42s': 36.8,
+
+  // Offsuit 4x
+  '43o': 35.1, '42o': 33.2,
+
+  // Suited 3x
+  '32s': 35.9,
+
+  // Offsuit 3x
+  '32o': 32.4
+};
+
+/**
+ * Equity of a hand as a percentage
+ * Preflop against a random hand reads PREFLOP_EQUITY; a board, dead cards or a
+ * villain hand or range runs the engine.
+ * @param {string|Array} hand - Class notation ("AKs") or specific cards ("AhKh")
+ * @param {object} options - calculateEquity options, plus villain (hand or range, default "random")
+ * @returns {number|null} Equity rounded to 0.1 (e.g. 85.2), null if the input is invalid
+ */
+export function getEquity(hand, options = {}) {
+  const { villain = 'random', ...engineOptions } = options;
+  const preflopVsRandom = villain === 'random' && !options.board?.length && !options.deadCards?.length;
+
+  if (preflopVsRandom) {
+    const notation = Array.isArray(hand) || isSpecificHand(hand) ? getHandNotation(hand) : normalizeHand(hand);
+    if (notation in PREFLOP_EQUITY) return PREFLOP_EQUITY[notation];
+  }
+
+  const result = getHandVsRangeEquity(hand, villain, engineOptions);
+  return result ? Math.round(result.equity * 10) / 10 : null;
+}
+
+/**
+ * Equity of a hand as a value between 0 and 1
+ * @param {string|Array} hand - Class notation or specific cards
+ * @param {object} options - Same as getEquity
+ * @returns {number|null}
+ */
+export function getHandStrength(hand, options = {}) {
+  const equity = getEquity(hand, options);
+  return equity === null ? null : equity / 100;
+}
+
+// Compare two hands by preflop equity (positive if hand1 is stronger)
+export function compareHands(hand1, hand2) {
+  return getEquity(hand1) - getEquity(hand2);
+}
+
+// Sort hands by preflop equity (descending)
+export function sortHandsByEquity(hands) {
+  return [...hands].sort((a, b) => getEquity(b) - getEquity(a));
+}
+
+// Hand class notation for two specific cards (e.g. "AhKh" -> "AKs")
+export function getHandNotation(cards) {
+  const parsed = parseCards(cards);
+  if (!parsed || parsed.length !== 2) return null;
+
+  const [a, b] = parsed;
+  const suffix = a.rank === b.rank ? '' : a.suit === b.suit ? 's' : 'o';
+  return normalizeHand(a.rank + b.rank + suffix);
+}
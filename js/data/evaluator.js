@@ -0,0 +1,280 @@
+/**
+ * Hand Evaluator
+ * Scores and names 5-7 card poker hands so they can be compared at showdown
+ */
+
+import { getRankValue } from './hands.js';
+
+// Hand categories, weakest to strongest
+export const HAND_CATEGORIES = {
+  HIGH_CARD: 0,
+  PAIR: 1,
+  TWO_PAIR: 2,
+  THREE_OF_A_KIND: 3,
+  STRAIGHT: 4,
+  FLUSH: 5,
+  FULL_HOUSE: 6,
+  FOUR_OF_A_KIND: 7,
+  STRAIGHT_FLUSH: 8
+};
+
+// Find the high card of the best straight in a rank bitmask (0 if none)
+function findStraightHigh(mask) {
+  // Let the ace play low for the wheel (A-2-3-4-5)
+  const withWheel = mask & (1 << 14) ? mask | (1 << 1) : mask;
+
+  for (let high = 14; high >= 5; high--) {
+    const run = 0b11111 << (high - 4);
+    if ((withWheel & run) === run) {
+      return high;
+    }
+  }
+
+  return 0;
+}
+
+// Ranks of a straight from its high card (ace listed last in the wheel)
+function straightRanks(high) {
+  if (high === 5) return [5, 4, 3, 2, 14];
+  return [high, high - 1, high - 2, high - 3, high - 4];
+}
+
+// Highest ranks present in a bitmask, descending
+function topRanks(mask, count, exclude = []) {
+  const ranks = [];
+
+  for (let value = 14; value >= 2 && ranks.length < count; value--) {
+    if (mask & (1 << value) && !exclude.includes(value)) {
+      ranks.push(value);
+    }
+  }
+
+  return ranks;
+}
+
+// Pack a category and its ranks into a single comparable number
+function toValue(category, ranks) {
+  return ranks.reduce((value, rank) => value * 16 + rank, category);
+}
+
+/**
+ * Score the best five-card hand out of 5-7 cards
+ * @param {Array<{rank: string, suit: string}>} cards - Cards to evaluate
+ * @returns {{category: number, ranks: number[], flushSuit: string|null, value: number}}
+ *   ranks are the five rank values (A=14) of the made hand in display order
+ */
+export function scoreHand(cards) {
+  const counts = new Array(15).fill(0);
+  const suitMasks = { s: 0, h: 0, d: 0, c: 0 };
+  const suitCounts = { s: 0, h: 0, d: 0, c: 0 };
+  let rankMask = 0;
+
+  cards.forEach(card => {
+    const value = getRankValue(card.rank);
+    counts[value]++;
+    rankMask |= 1 << value;
+    suitMasks[card.suit] |= 1 << value;
+    suitCounts[card.suit]++;
+  });
+
+  const flushSuit = Object.keys(suitCounts).find(suit => suitCounts[suit] >= 5) || null;
+
+  const result = (category, ranks) => ({
+    category,
+    ranks,
+    flushSuit: category === HAND_CATEGORIES.FLUSH || category === HAND_CATEGORIES.STRAIGHT_FLUSH
+      ? flushSuit
+      : null,
+    value: toValue(category, ranks)
+  });
+
+  if (flushSuit) {
+    const straightFlushHigh = findStraightHigh(suitMasks[flushSuit]);
+    if (straightFlushHigh) {
+      return result(HAND_CATEGORIES.STRAIGHT_FLUSH, straightRanks(straightFlushHigh));
+    }
+  }
+
+  // Group ranks by how many times they appear (most first, then highest)
+  const groups = [];
+  for (let value = 14; value >= 2; value--) {
+    if (counts[value] > 0) groups.push({ value, count: counts[value] });
+  }
+  groups.sort((a, b) => b.count - a.count || b.value - a.value);
+
+  const [first, second] = groups;
+
+  if (first.count === 4) {
+    const [kicker] = topRanks(rankMask, 1, [first.value]);
+    return result(HAND_CATEGORIES.FOUR_OF_A_KIND, [first.value, first.value, first.value, first.value, kicker]);
+  }
+
+  if (first.count === 3 && second && second.count >= 2) {
+    return result(HAND_CATEGORIES.FULL_HOUSE, [first.value, first.value, first.value, second.value, second.value]);
+  }
+
+  if (flushSuit) {
+    return result(HAND_CATEGORIES.FLUSH, topRanks(suitMasks[flushSuit], 5));
+  }
+
+  const straightHigh = findStraightHigh(rankMask);
+  if (straightHigh) {
+    return result(HAND_CATEGORIES.STRAIGHT, straightRanks(straightHigh));
+  }
+
+  if (first.count === 3) {
+    const kickers = topRanks(rankMask, 2, [first.value]);
+    return result(HAND_CATEGORIES.THREE_OF_A_KIND, [first.value, first.value, first.value, ...kickers]);
+  }
+
+  if (first.count === 2 && second && second.count === 2) {
+    const [kicker] = topRanks(rankMask, 1, [first.value, second.value]);
+    return result(HAND_CATEGORIES.TWO_PAIR, [first.value, first.value, second.value, second.value, kicker]);
+  }
+
+  if (first.count === 2) {
+    const kickers = topRanks(rankMask, 3, [first.value]);
+    return result(HAND_CATEGORIES.PAIR, [first.value, first.value, ...kickers]);
+  }
+
+  return result(HAND_CATEGORIES.HIGH_CARD, topRanks(rankMask, 5));
+}
+
+// Get a comparable strength value for 5-7 cards (higher is better)
+export function getHandValue(cards) {
+  return scoreHand(cards).value;
+}
+
+// Display names for each hand category
+export const HAND_CLASS_NAMES = [
+  'High Card',
+  'Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush'
+];
+
+const RANK_NAMES = {
+  14: 'Ace', 13: 'King', 12: 'Queen', 11: 'Jack', 10: 'Ten', 9: 'Nine',
+  8: 'Eight', 7: 'Seven', 6: 'Six', 5: 'Five', 4: 'Four', 3: 'Three', 2: 'Two'
+};
+
+// Plural rank name (e.g. 6 -> "Sixes")
+function pluralRank(value) {
+  return value === 6 ? 'Sixes' : RANK_NAMES[value] + 's';
+}
+
+// Pick the actual cards that make up a scored hand
+function pickBestFive(cards, score) {
+  const pool = score.flushSuit ? cards.filter(card => card.suit === score.flushSuit) : [...cards];
+  const bestFive = [];
+
+  score.ranks.forEach(value => {
+    const index = pool.findIndex(card => getRankValue(card.rank) === value);
+    bestFive.push(pool[index]);
+    pool.splice(index, 1);
+  });
+
+  return bestFive;
+}
+
+// Describe a scored hand (e.g. "Two Pair, Aces and Kings")
+function describeScore(score) {
+  const [first, , third, , fifth] = score.ranks;
+
+  switch (score.category) {
+    case HAND_CATEGORIES.STRAIGHT_FLUSH:
+      return first === 14 ? 'Royal Flush' : `Straight Flush, ${RANK_NAMES[first]} high`;
+    case HAND_CATEGORIES.FOUR_OF_A_KIND:
+      return `Four of a Kind, ${pluralRank(first)}`;
+    case HAND_CATEGORIES.FULL_HOUSE:
+      return `Full House, ${pluralRank(first)} full of ${pluralRank(fifth)}`;
+    case HAND_CATEGORIES.FLUSH:
+      return `Flush, ${RANK_NAMES[first]} high`;
+    case HAND_CATEGORIES.STRAIGHT:
+      return `Straight, ${RANK_NAMES[first]} high`;
+    case HAND_CATEGORIES.THREE_OF_A_KIND:
+      return `Three of a Kind, ${pluralRank(first)}`;
+    case HAND_CATEGORIES.TWO_PAIR:
+      return `Two Pair, ${pluralRank(first)} and ${pluralRank(third)}`;
+    case HAND_CATEGORIES.PAIR:
+      return `Pair of ${pluralRank(first)}`;
+    default:
+      return `${RANK_NAMES[first]} High`;
+  }
+}
+
+/**
+ * Evaluate the best five-card hand out of 5-7 cards
+ * @param {Array<{rank: string, suit: string}>} cards - Cards in the shape getCardsForHand/parseCardString produce
+ * @returns {{handClass: number, name: string, description: string, cards: Array, value: number}|null}
+ *   handClass is a HAND_CATEGORIES value; compare hands by value (higher wins, equal is a split)
+ */
+export function evaluateHand(cards) {
+  if (!Array.isArray(cards) || cards.length < 5 || cards.length > 7) {
+    console.error('evaluateHand needs 5-7 cards');
+    return null;
+  }
+
+  const score = scoreHand(cards);
+
+  return {
+    handClass: score.category,
+    name: HAND_CLASS_NAMES[score.category],
+    description: describeScore(score),
+    cards: pickBestFive(cards, score),
+    value: score.value
+  };
+}
+
+// Compare two evaluated hands or card sets (positive if the first is stronger)
+export function compareEvaluatedHands(hand1, hand2) {
+  const value1 = Array.isArray(hand1) ? getHandValue(hand1) : hand1.value;
+  const value2 = Array.isArray(hand2) ? getHandValue(hand2) : hand2.value;
+  return value1 - value2;
+}
+
+/**
+ * Describe a made hand relative to the board (e.g. "Top pair, top kicker")
+ * @param {Array} holeCards - Hero's two hole cards
+ * @param {Array} board - 3-5 board cards
+ * @returns {string} Board-relative description, or the plain hand description
+ */
+export function describeMadeHand(holeCards, board) {
+  const hand = evaluateHand([...holeCards, ...board]);
+  if (!hand) return '';
+
+  const boardRanks = [...new Set(board.map(card => getRankValue(card.rank)))].sort((a, b) => b - a);
+  const holeRanks = holeCards.map(card => getRankValue(card.rank));
+
+  if (hand.handClass !== HAND_CATEGORIES.PAIR) {
+    return hand.description;
+  }
+
+  const pairRank = getRankValue(hand.cards[0].rank);
+  const isPocketPair = holeRanks[0] === holeRanks[1];
+
+  if (!holeRanks.includes(pairRank)) {
+    return `${hand.description} (on the board)`;
+  }
+
+  if (isPocketPair) {
+    return pairRank > boardRanks[0] ? `Overpair, ${pluralRank(pairRank)}` : `Underpair, ${pluralRank(pairRank)}`;
+  }
+
+  const kicker = holeRanks.find(rank => rank !== pairRank);
+
+  if (pairRank === boardRanks[0]) {
+    // Top kicker is the best rank not already paired on the board
+    const bestKicker = [14, 13, 12, 11, 10].find(rank => rank !== pairRank && !boardRanks.includes(rank));
+    if (kicker === bestKicker) return 'Top pair, top kicker';
+    return kicker >= 10 ? 'Top pair, good kicker' : 'Top pair, weak kicker';
+  }
+
+  if (pairRank === boardRanks[1]) return 'Second pair';
+  return pairRank === boardRanks[boardRanks.length - 1] ? 'Bottom pair' : 'Middle pair';
+}
@@ -0,0 +1,107 @@
+/**
+ * Hand Difficulty
+ * Picks drill hands by how close they sit to a range's boundary on the 13x13 grid.
+ * Hands deep inside or far outside a range (AA, 72o) are easy; hands next to the
+ * edge, where the chart flips between open and fold, are the ones worth drilling.
+ */
+
+import { STARTING_HANDS, getGridPosition } from './hands.js';
+
+// Edge bias: how strongly hands near the boundary are favored
+// (negative favors clear-cut hands, 0 is uniform, higher pulls toward the edge)
+const EASY_BIAS = -0.5;
+const NORMAL_BIAS = 0.5;
+const MAX_ADAPTIVE_BIAS = 1.5;
+
+// How fast a hand's weight falls off per grid step from the boundary
+const FALLOFF = 0.8;
+
+// Adaptive difficulty reads the last this-many answers; 50% plays easy, 90%+ plays hardest
+export const ADAPTIVE_WINDOW = 10;
+const ADAPTIVE_FLOOR = 0.5;
+const ADAPTIVE_CEILING = 0.9;
+
+export const DIFFICULTIES = {
+  easy: { name: 'Easy', description: 'Mostly clear-cut hands, far from the edge of the range' },
+  normal: { name: 'Normal', description: 'Every hand can come up, with a lean toward close calls' },
+  edge: { name: 'Edge Only', description: 'Only hands touching the edge of the range' },
+  adaptive: { name: 'Adaptive', description: 'Gets harder as your recent accuracy climbs, easier when it drops' }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Grid cell of every starting hand
+const GRID_POSITIONS = new Map(STARTING_HANDS.map(hand => [hand, getGridPosition(hand)]));
+
+/**
+ * Grid steps from a hand to the nearest hand on the other side of the range boundary
+ * Diagonal neighbors count as one step, so every hand touching the edge is 1.
+ * @param {Set<string>} range - Hands in the range
+ * @param {string} hand - Hand notation
+ * @returns {number} Steps to the boundary (Infinity when the range is empty or holds every hand)
+ */
+export function getBoundaryDistance(range, hand) {
+  const from = GRID_POSITIONS.get(hand);
+  if (!from) return Infinity;
+
+  const inRange = range.has(hand);
+  let nearest = Infinity;
+
+  for (const [other, to] of GRID_POSITIONS) {
+    if (range.has(other) === inRange) continue;
+    nearest = Math.min(nearest, Math.max(Math.abs(from.row - to.row), Math.abs(from.col - to.col)));
+  }
+
+  return nearest;
+}
+
+/**
+ * Edge bias adaptive difficulty plays at for a rolling accuracy
+ * @param {Array<boolean>} recentAnswers - Latest results, oldest first
+ * @returns {number} Bias between EASY_BIAS and MAX_ADAPTIVE_BIAS
+ */
+export function getAdaptiveBias(recentAnswers) {
+  const answers = recentAnswers.slice(-ADAPTIVE_WINDOW);
+  if (answers.length === 0) return NORMAL_BIAS;
+
+  const accuracy = answers.filter(Boolean).length / answers.length;
+  const ramp = (accuracy - ADAPTIVE_FLOOR) / (ADAPTIVE_CEILING - ADAPTIVE_FLOOR);
+  const clamped = Math.min(Math.max(ramp, 0), 1);
+
+  return EASY_BIAS + clamped * (MAX_ADAPTIVE_BIAS - EASY_BIAS);
+}
+
+/**
+ * Pick a hand to quiz against a range at a difficulty
+ * @param {Set<string>} range - Hands in the range
+ * @param {string} difficulty - Key of DIFFICULTIES
+ * @param {Array<boolean>} recentAnswers - Latest results, for adaptive difficulty
+ * @returns {string} Hand notation
+ */
+export function pickHandByDifficulty(range, difficulty, recentAnswers = []) {
+  const distances = STARTING_HANDS.map(hand => [hand, getBoundaryDistance(range, hand)]);
+
+  // Nothing to be near when the range is empty or holds every hand
+  if (distances.every(([, distance]) => distance === Infinity)) {
+    return STARTING_HANDS[Math.floor(Math.random() * STARTING_HANDS.length)];
+  }
+
+  if (difficulty === 'edge') {
+    const edgeHands = distances.filter(([, distance]) => distance === 1);
+    return edgeHands[Math.floor(Math.random() * edgeHands.length)][0];
+  }
+
+  const bias = difficulty === 'easy' ? EASY_BIAS
+    : difficulty === 'adaptive' ? getAdaptiveBias(recentAnswers)
+    : NORMAL_BIAS;
+
+  const weights = distances.map(([hand, distance]) => [hand, Math.exp(-bias * FALLOFF * (distance - 1))]);
+  let roll = Math.random() * weights.reduce((sum, [, weight]) => sum + weight, 0);
+
+  for (const [hand, weight] of weights) {
+    roll -= weight;
+    if (roll < 0) return hand;
+  }
+
+  return weights[weights.length - 1][0];
+}
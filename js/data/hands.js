@@ -1,6 +1,6 @@
 /**
  * Hand Data Utilities
- * Card/hand representation, equity data, and hand utilities
+ * Card/hand representation and hand utilities
  */
 
 // Card ranks and suits
@@ -194,129 +194,12 @@ export function normalizeHand(notation) {
   return rank1 + rank2 + (suffix || 'o');
 }
 
-// Preflop equity vs random hand (approximate percentages)
-// These are equity percentages heads-up vs a random hand
-export const PREFLOP_EQUITY = {
-  // Pocket pairs
-  'AA': 85.0, 'KK': 82.4, 'QQ': 80.0, 'JJ': 77.5, 'TT': 75.1,
-  '99': 72.1, '88': 69.1, '77': 66.2, '66': 63.3, '55': 60.3,
-  '44': 57.0, '33': 53.7, '22': 50.3,
-
-  // Suited Ax
-  'AKs': 67.0, 'AQs': 66.1, 'AJs': 65.4, 'ATs': 64.7, 'A9s': 63.0,
-  'A8s': 62.1, 'A7s': 61.1, 'A6s': 60.0, 'A5s': 60.2, 'A4s': 59.3,
-  'A3s': 58.5, 'A2s': 57.7,
-
-  // Offsuit Ax
-  'AKo': 65.3, 'AQo': 64.4, 'AJo': 63.6, 'ATo': 62.8, 'A9o': 60.7,
-  'A8o': 59.7, 'A7o': 58.6, 'A6o': 57.4, 'A5o': 57.6, 'A4o': 56.6,
-  'A3o': 55.8, 'A2o': 55.0,
-
-  // Suited Kx
-  'KQs': 63.4, 'KJs': 62.6, 'KTs': 61.9, 'K9s': 60.0, 'K8s': 58.5,
-  'K7s': 57.8, 'K6s': 56.8, 'K5s': 55.8, 'K4s': 54.9, 'K3s': 54.1,
-  'K2s': 53.3,
-
-  // Offsuit Kx
-  'KQo': 61.4, 'KJo': 60.6, 'KTo': 59.8, 'K9o': 57.6, 'K8o': 55.8,
-  'K7o': 55.0, 'K6o': 53.9, 'K5o': 52.9, 'K4o': 51.9, 'K3o': 51.1,
-  'K2o': 50.2,
-
-  // Suited Qx
-  'QJs': 60.3, 'QTs': 59.5, 'Q9s': 57.9, 'Q8s': 56.2, 'Q7s': 54.6,
-  'Q6s': 54.0, 'Q5s': 53.1, 'Q4s': 52.2, 'Q3s': 51.4, 'Q2s': 50.6,
-
-  // Offsuit Qx
-  'QJo': 58.2, 'QTo': 57.3, 'Q9o': 55.3, 'Q8o': 53.3, 'Q7o': 51.5,
-  'Q6o': 50.8, 'Q5o': 49.8, 'Q4o': 48.8, 'Q3o': 47.9, 'Q2o': 47.1,
-
-  // Suited Jx
-  'JTs': 57.5, 'J9s': 55.8, 'J8s': 54.2, 'J7s': 52.4, 'J6s': 51.0,
-  'J5s': 50.4, 'J4s': 49.5, 'J3s': 48.7, 'J2s': 47.9,
-
-  // Offsuit Jx
-  'JTo': 55.4, 'J9o': 53.4, 'J8o': 51.5, 'J7o': 49.5, 'J6o': 47.9,
-  'J5o': 47.3, 'J4o': 46.3, 'J3o': 45.5, 'J2o': 44.6,
-
-  // Suited Tx
-  'T9s': 54.3, 'T8s': 52.6, 'T7s': 50.9, 'T6s': 49.3, 'T5s': 47.8,
-  'T4s': 47.2, 'T3s': 46.4, 'T2s': 45.6,
-
-  // Offsuit Tx
-  'T9o': 51.7, 'T8o': 49.8, 'T7o': 47.8, 'T6o': 46.0, 'T5o': 44.4,
-  'T4o': 43.7, 'T3o': 42.8, 'T2o': 42.0,
-
-  // Suited 9x
-  '98s': 51.1, '97s': 49.5, '96s': 47.8, '95s': 46.1, '94s': 44.7,
-  '93s': 44.1, '92s': 43.4,
-
-  // Offsuit 9x
-  '98o': 48.3, '97o': 46.5, '96o': 44.5, '95o': 42.7, '94o': 41.2,
-  '93o': 40.5, '92o': 39.7,
-
-  // Suited 8x
-  '87s': 48.2, '86s': 46.5, '85s': 44.8, '84s': 43.2, '83s': 41.8,
-  '82s': 41.2,
-
-  // Offsuit 8x
-  '87o': 45.2, '86o': 43.2, '85o': 41.4, '84o': 39.6, '83o': 38.1,
-  '82o': 37.4,
-
-  // Suited 7x
-  '76s': 45.7, '75s': 44.0, '74s': 42.3, '73s': 40.7, '72s': 39.4,
-
-  // Offsuit 7x
-  '76o': 42.5, '75o': 40.6, '74o': 38.7, '73o': 36.9, '72o': 35.5,
-
-  // Suited 6x
-  '65s': 43.2, '64s': 41.4, '63s': 39.8, '62s': 38.4,
-
-  // Offsuit 6x
-  '65o': 39.8, '64o': 37.8, '63o': 36.0, '62o': 34.5,
-
-  // Suited 5x
-  '54s': 41.1, '53s': 39.4, '52s': 37.9,
-
-  // Offsuit 5x
-  '54o': 37.6, '53o': 35.7, '52o': 34.2,
-
-  // Suited 4x
-  '43s': 38.0, '42s': 36.6,
-
-  // Offsuit 4x
-  '43o': 34.3, '42o': 32.7,
-
-  // Suited 3x
-  '32s': 35.4,
-
-  // Offsuit 3x
-  '32o': 31.6
-};
-
-// Get equity for a hand
-export function getEquity(notation) {
-  const normalized = normalizeHand(notation);
-  return PREFLOP_EQUITY[normalized] || 30; // Default to 30% for unknown hands
-}
-
-// Compare two hands by strength (returns positive if hand1 > hand2)
-export function compareHands(hand1, hand2) {
-  const eq1 = getEquity(hand1);
-  const eq2 = getEquity(hand2);
-  return eq1 - eq2;
-}
-
 // Get rank value (A=14, K=13, ..., 2=2)
 export function getRankValue(rank) {
   const values = { 'A': 14, 'K': 13, 'Q': 12, 'J': 11, 'T': 10 };
   return values[rank] || parseInt(rank);
 }
 
-// Sort hands by equity (descending)
-export function sortHandsByEquity(hands) {
-  return [...hands].sort((a, b) => getEquity(b) - getEquity(a));
-}
-
 // Get a random card
 export function getRandomCard() {
   const rank = RANKS[Math.floor(Math.random() * RANKS.length)];
@@ -432,11 +315,6 @@ export function getRandomQuizHands(count = 10) {
 // Alias for ALL_HANDS (used by drills)
 export const STARTING_HANDS = ALL_HANDS;
 
-// Get hand strength as a value between 0 and 1 (equity / 100)
-export function getHandStrength(notation) {
-  return getEquity(notation) / 100;
-}
-
 // Get a random hand from all 169 starting hands
 export function getRandomHand() {
   return ALL_HANDS[Math.floor(Math.random() * ALL_HANDS.length)];
@@ -0,0 +1,412 @@
+/**
+ * Preflop Strategy
+ * Simplified 6-max, 100BB preflop tree: raise first in from every seat, every
+ * opener/defender pair, every 3-bet, 4-bet and squeeze node, cold 4-bets and
+ * SB limped pots. Other stack depths use their own opening charts and shift
+ * the 100BB continuing ranges (see DEPTH_SHIFTS).
+ *
+ * Nodes that the scenario tables already cover (BB defense, SB 3-bet or fold,
+ * defend vs 3-bet, cold 4-bet) reuse those tables so every part of the app
+ * agrees. The rest are written in range notation per action; weighted hands
+ * are mixed and fold whatever weight is left.
+ */
+
+import { STACK_DEPTHS, DEFAULT_STACK_DEPTH, getOpeningRanges } from './ranges.js';
+import { parseRangeHands } from './rangeNotation.js';
+import {
+  DEFEND_VS_3BET,
+  BB_DEFENSE,
+  SB_3BET_OR_FOLD,
+  COLD_4BET,
+  buildRangeData,
+  shiftRangeData,
+  getAvailableActions
+} from './scenarioRanges.js';
+
+// Seats in preflop order (6-max)
+export const PREFLOP_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+
+// Seats in postflop order, for who is in position
+const POSTFLOP_POSITIONS = ['SB', 'BB', 'UTG', 'MP', 'CO', 'BTN'];
+
+// History actions that put in a raise
+const RAISE_ACTIONS = ['open', 'raise', '3bet', '4bet', '5bet', 'allin'];
+
+// ============================================
+// RAISE FIRST IN
+// Everyone but the SB opens their table range (js/data/ranges.js) or folds.
+// The SB also limps hands too weak to raise but too good to fold.
+// ============================================
+
+const SB_LIMP = 'A4o-A2o, K3s-K2s, K8o-K5o, Q6s-Q2s, Q8o, J7s-J4s, J8o, T7s-T5s, T8o, ' +
+  '96s-95s, 97o, 85s, 87o, 74s, 76o, 63s, 53s-52s, 43s-42s, 32s';
+
+// ============================================
+// VS OPEN
+// Defender_vs_Opener. The blinds use the BB Defense and SB 3-Bet or Fold tables;
+// MP, CO and BTN 3-bet or fold, flatting more the later they sit.
+// ============================================
+
+const VS_OPEN = {
+  'MP_vs_UTG': {
+    threeBet: 'QQ+, AKs, AKo:0.8, JJ:0.4, AQs:0.5, A5s:0.5, A4s:0.3, KQs:0.3',
+    call: 'JJ:0.6, TT, 99:0.5, AQs:0.5, AJs:0.5, KQs:0.4, AKo:0.2'
+  },
+  'CO_vs_UTG': {
+    threeBet: 'QQ+, AKs, AKo, JJ:0.5, AQs:0.6, A5s:0.5, A4s:0.4, KQs:0.4',
+    call: 'JJ:0.5, TT-99, 88:0.5, AQs:0.4, AJs:0.7, KQs:0.5, QJs:0.3, JTs:0.4'
+  },
+  'CO_vs_MP': {
+    threeBet: 'QQ+, AKs, AKo, JJ:0.6, AQs:0.7, AJs:0.3, A5s-A4s:0.5, KQs:0.5, AQo:0.3',
+    call: 'JJ:0.4, TT-88, 77:0.5, AQs:0.3, AJs:0.6, ATs:0.5, KQs:0.5, KJs:0.5, QJs:0.5, JTs:0.6, AQo:0.3'
+  },
+  'BTN_vs_UTG': {
+    threeBet: 'QQ+, AKs, AKo, JJ:0.4, AQs:0.5, A5s:0.6, A4s:0.4, KQs:0.3, KJs:0.2',
+    call: 'JJ:0.6, TT-66, AQs:0.5, AJs, ATs:0.7, KQs:0.7, KJs:0.6, QJs:0.7, JTs, T9s:0.6, 98s:0.4, AQo:0.5'
+  },
+  'BTN_vs_MP': {
+    threeBet: 'QQ+, AKs, AKo, JJ:0.5, AQs:0.6, AJs:0.3, A5s-A4s:0.6, KQs:0.4, KJs:0.2, AQo:0.3',
+    call: 'JJ:0.5, TT-55, AQs:0.4, AJs:0.7, ATs-A9s, KQs:0.6, KJs:0.8, KTs:0.7, QJs, QTs:0.7, ' +
+      'JTs, T9s, 98s:0.7, 87s:0.5, AQo:0.5, KQo:0.3'
+  },
+  'BTN_vs_CO': {
+    threeBet: 'JJ+, TT:0.4, AKs, AQs, AJs:0.5, ATs:0.3, A5s-A3s:0.6, KQs:0.5, KJs:0.3, QJs:0.2, ' +
+      '76s:0.3, 65s:0.3, AKo, AQo:0.5',
+    call: 'TT:0.6, 99-44, AJs:0.5, ATs:0.7, A9s-A6s:0.6, KQs:0.5, KJs:0.7, KTs, QJs:0.8, QTs, JTs, ' +
+      'J9s:0.5, T9s, 98s, 87s, 76s:0.7, 65s:0.5, AQo:0.5, AJo:0.6, KQo:0.5'
+  }
+};
+
+// ============================================
+// VS 3-BET
+// Opener_vs_3Bettor, for the pairs the Defend vs 3-Bet table doesn't have
+// ============================================
+
+const VS_3BET = {
+  'UTG_vs_CO': {
+    fourBet: 'KK+, QQ:0.4, AKs, AKo:0.5, A5s:0.3',
+    call: 'QQ:0.6, JJ-99, 88:0.4, AQs, AJs:0.5, KQs, JTs:0.4, AKo:0.5'
+  },
+  'UTG_vs_BTN': {
+    fourBet: 'KK+, QQ:0.5, AKs, AKo:0.6, A5s:0.5, A4s:0.4',
+    call: 'QQ:0.5, JJ-88, 77:0.6, 66:0.4, AQs, AJs, ATs:0.5, KQs, KJs:0.7, QJs:0.7, JTs, T9s:0.5, ' +
+      'AKo:0.4, AQo:0.5'
+  },
+  'UTG_vs_SB': {
+    fourBet: 'KK+, QQ:0.5, AKs, AKo:0.5, A5s:0.3',
+    call: 'QQ:0.5, JJ-99, AQs, AJs:0.5, KQs:0.7, AKo:0.5'
+  },
+  'UTG_vs_BB': {
+    fourBet: 'KK+, QQ:0.5, AKs, AKo:0.5, A5s:0.3',
+    call: 'QQ:0.5, JJ-88, AQs, AJs:0.6, KQs:0.7, QJs:0.3, JTs:0.4, AKo:0.5'
+  },
+  'MP_vs_BTN': {
+    fourBet: 'KK+, QQ:0.6, AKs, AKo:0.7, A5s:0.5, A4s:0.4',
+    call: 'QQ:0.4, JJ-77, AQs, AJs, ATs:0.6, KQs, KJs:0.7, QJs:0.7, JTs, T9s:0.5, AKo:0.3, AQo:0.6'
+  },
+  'MP_vs_SB': {
+    fourBet: 'KK+, QQ:0.6, AKs, AKo:0.6, A5s:0.4',
+    call: 'QQ:0.4, JJ-88, AQs, AJs:0.7, KQs, QJs:0.4, JTs:0.5, AKo:0.4, AQo:0.4'
+  },
+  'MP_vs_BB': {
+    fourBet: 'KK+, QQ:0.6, AKs, AKo:0.6, A5s:0.4',
+    call: 'QQ:0.4, JJ-77, AQs, AJs, ATs:0.5, KQs, KJs:0.5, QJs:0.5, JTs:0.6, AKo:0.4, AQo:0.5'
+  },
+  'SB_vs_BB': {
+    fourBet: 'QQ+, JJ:0.5, AKs, AKo, AQs:0.5, A5s-A4s:0.5, K5s:0.3',
+    call: 'JJ:0.5, TT-66, AQs:0.5, AJs-ATs, A9s-A6s:0.5, KQs-KTs, QJs-QTs, JTs, T9s, 98s:0.6, ' +
+      '87s:0.5, AQo, AJo:0.6, KQo:0.6'
+  }
+};
+
+// ============================================
+// VS 4-BET AND VS SQUEEZE
+// Grouped by how wide the raiser opened: the continuing range mostly depends on that
+// ============================================
+
+// 3-bettor facing the opener's 4-bet: 5-bet (all-in), call or fold
+const VS_4BET = {
+  early: {
+    fiveBet: 'KK+, AKs:0.6, AKo:0.3',
+    call: 'QQ, JJ:0.5, AKs:0.4, AKo:0.5, AQs:0.3'
+  },
+  late: {
+    fiveBet: 'QQ+, AKs, AKo:0.6, A5s:0.2',
+    call: 'JJ-TT, AQs, AKo:0.4, AJs:0.3, KQs:0.4'
+  },
+  blinds: {
+    fiveBet: 'QQ+, JJ:0.5, AKs, AKo, A5s:0.3',
+    call: 'JJ:0.5, TT-99, AQs, AJs:0.5, KQs:0.5, AQo:0.4'
+  }
+};
+
+// Opener facing a squeeze after someone called: fold more, a caller is still behind
+const VS_SQUEEZE = {
+  early: {
+    fourBet: 'KK+, QQ:0.5, AKs, AKo:0.4',
+    call: 'QQ:0.5, JJ:0.5, AQs:0.4, AKo:0.4'
+  },
+  late: {
+    fourBet: 'QQ+, AKs, AKo:0.6, A5s:0.3',
+    call: 'JJ-TT, AQs, AJs:0.4, KQs:0.4, AKo:0.4'
+  }
+};
+
+// ============================================
+// LIMPED POTS
+// SB limps: BB raises for value and some bluffs, checks the rest;
+// SB then continues against the raise
+// ============================================
+
+const LIMPED_POTS = {
+  'BB_vs_SB_limp': {
+    raise: 'TT+, A9s+, ATo+, KTs+, KJo+, QJs, A5s-A2s:0.5, K9s:0.5, Q9s:0.4, J9s:0.4, T9s:0.5, ' +
+      '98s:0.5, 87s:0.5, 76s:0.4, 65s:0.4, 54s:0.4, K4s-K2s:0.3, Q5s:0.3',
+    rest: 'check'
+  },
+  'SB_vs_BB_raise': {
+    raise: 'K3s:0.3, Q6s:0.3, J7s:0.2',
+    call: 'A4o-A2o, K3s:0.7, K2s, K8o-K7o, Q6s:0.7, Q5s-Q4s, J7s:0.8, J6s, T7s-T6s, 96s, 85s, ' +
+      '74s, 63s, 53s, 43s, 97o:0.5, 87o:0.5'
+  }
+};
+
+// ============================================
+// STACK DEPTHS
+// How the 100BB continuing ranges change at each depth, per node type. Listed hands
+// play that action: `raise` is the node's biggest raise (all-in when short), `call`
+// only applies where the node has calls. Short stacks can't flat and play behind, so
+// strong calls get it in and speculative hands fold; deep stacks flat more.
+// ============================================
+
+const DEPTH_SHIFTS = {
+  20: {
+    'vs-open': { raise: '77-JJ, AQs-ATs, AQo-AJo, KQs', fold: '22-44, 86s, 75s, 64s, 53s, 43s' },
+    'vs-3bet': { raise: '99-QQ, AKo, AQs-AJs, AQo, KQs', fold: '22-88, KJs, QJs, JTs, T9s, 98s, 87s, 76s, 65s, 54s' },
+    'vs-squeeze': { raise: '99-QQ, AKo, AQs-AJs, AQo, KQs', fold: '22-88, KJs, QJs, JTs, T9s, 98s, 87s' },
+    'vs-4bet': { raise: 'JJ-QQ, AQs, AKo', fold: '22-TT, AJs, KQs' },
+    'cold-4bet': { raise: 'JJ-QQ, AKs, AKo' }
+  },
+  40: {
+    'vs-open': { raise: '99-TT, AJs', fold: '22-33, 75s, 64s, 53s, 43s' },
+    'vs-3bet': { raise: 'JJ-QQ, AKo, AQs', fold: '22-55, 65s, 54s' },
+    'vs-squeeze': { raise: 'JJ-QQ, AKo, AQs', fold: '22-55' },
+    'vs-4bet': { raise: 'QQ, AKo', fold: '22-99' },
+    'cold-4bet': { raise: 'QQ, AKs' }
+  },
+  200: {
+    'vs-open': { call: '22-55, T9s, 98s, 87s, 76s, 65s' },
+    'vs-3bet': { call: 'QQ, AKo, 22-66, T9s, 98s, 87s' },
+    'vs-squeeze': { call: 'QQ, AKo' },
+    'vs-4bet': { call: 'JJ-QQ, AKo' }
+  }
+};
+
+// Raise first in at a stack depth: the depth's opening chart, and SB limps
+// whatever it doesn't raise
+function getRfiSource(position, depth) {
+  const ranges = getOpeningRanges(depth);
+
+  if (position !== 'SB') {
+    return { open: [...ranges[position]], fold: 'everything else' };
+  }
+
+  return {
+    open: [...ranges.SB].join(', '),
+    limp: parseRangeHands(SB_LIMP).filter(hand => !ranges.SB.has(hand)).join(', ')
+  };
+}
+
+// Build the tree: node type -> spot key -> range data (or notation, built on first use)
+const PREFLOP_TREE = {
+  'rfi': Object.fromEntries(['UTG', 'MP', 'CO', 'BTN', 'SB'].map(position => [position, getRfiSource(position, DEFAULT_STACK_DEPTH)])),
+  'vs-open': {
+    ...VS_OPEN,
+    ...Object.fromEntries(Object.entries(SB_3BET_OR_FOLD).map(([key, range]) => [`SB_${key}`, range])),
+    ...Object.fromEntries(Object.entries(BB_DEFENSE).map(([key, range]) => [`BB_${key}`, range]))
+  },
+  'vs-3bet': { ...DEFEND_VS_3BET, ...VS_3BET },
+  'vs-4bet': {},
+  'vs-squeeze': {},
+  'cold-4bet': { IP: COLD_4BET.IP, OOP: COLD_4BET.OOP },
+  'limped': LIMPED_POTS
+};
+
+// Every 3-bettor after every opener can face a 4-bet
+PREFLOP_POSITIONS.slice(0, 5).forEach((opener, openerIndex) => {
+  PREFLOP_POSITIONS.slice(openerIndex + 1).forEach((threeBettor, index) => {
+    PREFLOP_TREE['vs-4bet'][`${threeBettor}_vs_${opener}`] = VS_4BET[getOpenerGroup(opener)];
+
+    // A squeeze needs a caller between the opener and the 3-bettor
+    if (index > 0) {
+      PREFLOP_TREE['vs-squeeze'][`${opener}_vs_${threeBettor}`] = VS_SQUEEZE[getOpenerGroup(opener) === 'early' ? 'early' : 'late'];
+    }
+  });
+});
+
+// Node titles for display
+const NODE_TITLES = {
+  'rfi': key => `${key} Open`,
+  'vs-open': key => `${formatKey(key)} Open`,
+  'vs-3bet': key => `${formatKey(key)} 3-Bet`,
+  'vs-4bet': key => `${formatKey(key)} 4-Bet`,
+  'vs-squeeze': key => `${formatKey(key)} Squeeze`,
+  'cold-4bet': key => `Cold 4-Bet (${key})`,
+  'limped': key => key === 'BB_vs_SB_limp' ? 'BB vs SB Limp' : 'SB Limp vs BB Raise'
+};
+
+// Ranges built from notation, cached per node and stack depth
+const builtRanges = {};
+
+/**
+ * Get the strategy at a node of the preflop tree
+ * @param {string} node - 'rfi', 'vs-open', 'vs-3bet', 'vs-4bet', 'vs-squeeze', 'cold-4bet' or 'limped'
+ * @param {string} key - Spot key (e.g. 'UTG', 'BTN_vs_CO', 'IP', 'BB_vs_SB_limp')
+ * @param {number} [depth=100] - Effective stack in BB (one of STACK_DEPTHS)
+ * @returns {{node: string, key: string, title: string, rangeData: Object, actions: Array}|null}
+ */
+export function getPreflopNode(node, key, depth = DEFAULT_STACK_DEPTH) {
+  if (!PREFLOP_TREE[node]?.[key]) return null;
+
+  const stackDepth = STACK_DEPTHS.includes(depth) ? depth : DEFAULT_STACK_DEPTH;
+  const cacheKey = `${node}|${key}|${stackDepth}`;
+  if (!builtRanges[cacheKey]) {
+    builtRanges[cacheKey] = buildNodeRange(node, key, stackDepth);
+  }
+
+  const rangeData = builtRanges[cacheKey];
+  if (!rangeData) {
+    console.error(`Invalid preflop range at ${cacheKey}`);
+    return null;
+  }
+
+  return {
+    node,
+    key,
+    title: NODE_TITLES[node](key),
+    rangeData,
+    actions: getAvailableActions(rangeData)
+  };
+}
+
+// Build a node's range data at a stack depth
+function buildNodeRange(node, key, depth) {
+  const source = node === 'rfi' ? getRfiSource(key, depth) : PREFLOP_TREE[node][key];
+  return fitRangeToDepth(isNotation(source) ? buildRangeData(source) : source, node, depth);
+}
+
+/**
+ * Fit a 100BB range to another stack depth, the way the tree's own nodes are
+ * @param {Object|null} rangeData - Range data written for 100BB
+ * @param {string} node - Node type the range is for ('vs-open', 'vs-3bet', ...)
+ * @param {number} depth - Effective stack in BB
+ * @returns {Object|null} Shifted range data (the same object when nothing shifts)
+ */
+export function fitRangeToDepth(rangeData, node, depth) {
+  const shifts = DEPTH_SHIFTS[depth]?.[node];
+  return rangeData && shifts ? shiftRangeData(rangeData, shifts) : rangeData;
+}
+
+/**
+ * Get every spot key at a node of the preflop tree
+ * @param {string} node - Node type
+ * @returns {Array} Spot keys
+ */
+export function getPreflopSpots(node) {
+  return Object.keys(PREFLOP_TREE[node] || {});
+}
+
+/**
+ * Look up the hero's preflop strategy from the action so far
+ * @param {string} heroPos - Hero's position
+ * @param {Array} actionHistory - Actions before the hero's decision ({ position, action, amount }),
+ *   as built by ActionHistory's helpers; folds may be left out
+ * @param {number} [depth=100] - Effective stack in BB
+ * @returns {Object|null} Node (see getPreflopNode) plus `hero`, `villain` and `approximate`
+ *   (true when callers are ignored), or null for spots outside the tree
+ */
+export function getPreflopStrategy(heroPos, actionHistory = [], depth = DEFAULT_STACK_DEPTH) {
+  const live = actionHistory
+    .map(entry => ({ position: entry.position, action: normalizeHistoryAction(entry.action) }))
+    .filter(entry => entry.action !== 'fold');
+  const raises = live.filter(entry => RAISE_ACTIONS.includes(entry.action));
+  const callers = live.filter(entry => entry.action === 'call');
+  const heroActed = live.some(entry => entry.position === heroPos);
+
+  // Unopened pot
+  if (live.length === 0) {
+    return heroPos === 'BB' ? null : withPlayers(getPreflopNode('rfi', heroPos, depth), heroPos, null);
+  }
+
+  // SB limps, BB to act
+  if (raises.length === 0) {
+    const isSBLimp = live.length === 1 && live[0].position === 'SB' && live[0].action === 'limp';
+    return isSBLimp && heroPos === 'BB'
+      ? withPlayers(getPreflopNode('limped', 'BB_vs_SB_limp', depth), heroPos, 'SB')
+      : null;
+  }
+
+  // SB limped and BB raised
+  if (live[0].action === 'limp') {
+    return heroPos === 'SB' && raises.length === 1 && raises[0].position === 'BB'
+      ? withPlayers(getPreflopNode('limped', 'SB_vs_BB_raise', depth), heroPos, 'BB')
+      : null;
+  }
+
+  const opener = raises[0].position;
+
+  // Facing an open (callers in between are treated as if they folded)
+  if (raises.length === 1 && !heroActed) {
+    const strategy = withPlayers(getPreflopNode('vs-open', `${heroPos}_vs_${opener}`, depth), heroPos, opener);
+    return strategy && { ...strategy, approximate: callers.length > 0 };
+  }
+
+  if (raises.length === 2) {
+    const threeBettor = raises[1].position;
+
+    // Opened and got 3-bet, or squeezed after a call
+    if (opener === heroPos) {
+      const node = callers.length > 0 ? 'vs-squeeze' : 'vs-3bet';
+      return withPlayers(getPreflopNode(node, `${heroPos}_vs_${threeBettor}`, depth), heroPos, threeBettor);
+    }
+
+    // Open and 3-bet in front of the hero
+    if (!heroActed) {
+      const inPosition = POSTFLOP_POSITIONS.indexOf(heroPos) > POSTFLOP_POSITIONS.indexOf(threeBettor);
+      return withPlayers(getPreflopNode('cold-4bet', inPosition ? 'IP' : 'OOP', depth), heroPos, threeBettor);
+    }
+  }
+
+  // 3-bet and the opener 4-bet
+  if (raises.length === 3 && raises[1].position === heroPos && raises[2].position === opener) {
+    return withPlayers(getPreflopNode('vs-4bet', `${heroPos}_vs_${opener}`, depth), heroPos, opener);
+  }
+
+  return null;
+}
+
+// Add the players to a node lookup
+function withPlayers(strategy, hero, villain) {
+  return strategy && { ...strategy, hero, villain, approximate: false };
+}
+
+// Early openers (UTG, MP), late openers (CO, BTN) and the SB
+function getOpenerGroup(opener) {
+  if (opener === 'UTG' || opener === 'MP') return 'early';
+  return opener === 'SB' ? 'blinds' : 'late';
+}
+
+// Notation nodes hold strings; scenario tables hold hand arrays
+function isNotation(source) {
+  return Object.entries(source).some(([action, value]) => action !== 'fold' && action !== 'rest' && typeof value === 'string');
+}
+
+// Normalize a history action ('3-bet', 'All-in', 'raise') for matching
+function normalizeHistoryAction(action) {
+  return String(action).toLowerCase().replace(/[- ]/g, '');
+}
+
+// 'BTN_vs_CO' -> 'BTN vs CO'
+function formatKey(key) {
+  return key.replace(/_/g, ' ');
+}
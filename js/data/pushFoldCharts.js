@@ -0,0 +1,770 @@
+/**
+ * Push/Fold Charts
+ * Chip-EV Nash shove and call-vs-shove ranges for 6-max short stacks (1-20BB).
+ *
+ * Built by scripts/buildPushFoldCharts.js with the app's own hand evaluator
+ * (js/data/evaluator.js): every hand-vs-hand equity is sampled over 5,000 seeded
+ * runouts, then shove and call ranges are found by fictitious play. Model: folded
+ * to the shover, everyone has the same effective stack, blinds 0.5/1, no rake, and
+ * the first player to call is the only one who sees a showdown. The BB ante format
+ * adds 1BB of dead money posted by the big blind. Rerun the script to rebuild them.
+ *
+ * Each chart is a 13x13 grid laid out like the range grid (pairs on the
+ * diagonal, suited above it). A cell holds the deepest stack in BB at which the
+ * hand still shoves (or calls): 0 never does, 20 does at every covered depth.
+ */
+
+import { ALL_HANDS, getHandFromGrid } from './hands.js';
+
+// Stack depths the charts cover
+export const PUSH_FOLD_MIN_STACK = 1;
+export const PUSH_FOLD_MAX_STACK = 20;
+
+// Ante formats the charts were solved for
+export const PUSH_FOLD_ANTES = {
+  none: 'No ante',
+  bb: 'BB ante'
+};
+
+// Seats that can shove first in, and who can call them
+export const SHOVE_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB'];
+const SEAT_ORDER = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+
+// Deepest shoving stack per hand, by ante format and seat
+const SHOVE_CHARTS = {
+  none: {
+    UTG: `
+      20 20 20 20 20 14 12 10  8  9  8  7  6
+      20 20 18 14 11  6  4  4  4  4  3  3  3
+      20 11 20 11  9  4  3  3  3  3  3  3  3
+      20  7  5 20  9  4  3  3  2  2  2  2  2
+      14  5  4  3 20  4  3  3  2  2  2  2  2
+      10  4  3  3  3 20  3  3  2  2  2  2  2
+       8  4  3  2  2  2 20  3  2  2  2  2  2
+       7  3  3  2  2  2  2 20  2  2  2  2  1
+       6  3  2  2  2  2  2  2 17  2  2  2  1
+       6  3  2  2  2  2  2  2  2 14  2  2  2
+       5  3  2  2  2  2  1  1  1  2 10  2  1
+       5  3  2  2  2  2  1  1  1  1  1  9  1
+       5  3  2  2  2  1  1  1  1  1  1  1  7
+    `,
+    MP: `
+      20 20 20 20 20 18 15 12 10 11 10  9  8
+      20 20 20 19 15 10  5  5  4  4  4  4  3
+      20 14 20 15 13  6  4  3  3  3  3  3  3
+      20 10  6 20 13  5  3  3  3  2  2  2  2
+      17  7  4  4 20  6  3  3  2  2  2  2  2
+      12  5  3  3  3 20  3  3  2  2  2  2  2
+      10  4  3  3  2  2 20  3  2  2  2  2  2
+       8  4  3  2  2  2  2 20  2  2  2  2  1
+       7  3  3  2  2  2  2  2 20  2  2  2  1
+       7  3  2  2  2  2  2  2  2 17  2  2  2
+       6  3  2  2  2  2  1  1  1  2 13  2  1
+       6  3  2  2  2  2  1  1  1  1  1 11  1
+       6  3  2  2  2  1  1  1  1  1  1  1  9
+    `,
+    CO: `
+      20 20 20 20 20 20 20 17 15 15 14 13 12
+      20 20 20 20 20 16  7  7  6  5  5  4  4
+      20 20 20 20 20 13  5  4  4  3  3  3  3
+      20 15 12 20 19 12  4  3  3  3  2  2  2
+      20 12  6  5 20 13  4  3  3  2  2  2  2
+      16  6  4  3  3 20  3  3  2  2  2  2  2
+      13  5  3  3  3  2 20  3  2  2  2  2  2
+      11  4  3  2  2  2  2 20  2  2  2  2  1
+      10  4  3  2  2  2  2  2 20  2  2  2  1
+      10  4  3  2  2  2  2  2  2 20  2  2  1
+       9  3  2  2  2  2  1  1  1  1 19  2  1
+       8  3  2  2  2  1  1  1  1  1  1 16  1
+       7  3  2  2  2  1  1  1  1  1  1  1 13
+    `,
+    BTN: `
+      20 20 20 20 20 20 20 20 20 20 20 20 19
+      20 20 20 20 20 20 19 17 14  9  8  7  6
+      20 20 20 20 20 20 17  6  6  4  4  3  3
+      20 20 20 20 20 20 15  4  3  3  3  3  2
+      20 20 18 17 20 20 18  3  3  2  2  2  2
+      20  9  6  5  4 20 17 10  3  2  2  2  2
+      20  7  4  3  3  3 20 13  2  2  2  2  2
+      17  6  4  3  3  2  2 20  8  2  2  2  1
+      15  6  3  3  2  2  2  2 20  2  2  1  1
+      16  5  3  2  2  2  2  2  1 20  2  1  1
+      14  5  3  2  2  2  1  1  1  1 20  1  1
+      13  4  3  2  2  1  1  1  1  1  1 20  1
+      12  4  3  2  2  1  1  1  1  1  0  0 20
+    `,
+    SB: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 20 20 20 20 20 20 18
+      20 20 20 20 20 20 20 20 20 20 16 13 12
+      20 20 20 20 20 20 20 20 19 16 13 10  8
+      20 20 20 20 20 20 20 20 20 12 10  7  6
+      20 20 20 20 20 20 20 20 20 14  7  4  3
+      20 18 13 13 19 20 20 20 20 19 10  2  2
+      20 16 10  8  8 10 13 20 20 20 13  2  2
+      20 15 10  6  5  5  7 10 20 20 16  7  2
+      20 14  9  6  4  3  3  2  2 20 20 12  2
+      20 13  8  5  3  2  2  2  2  2 20 10  1
+      20 12  7  5  3  2  2  1  1  1  1 20  1
+      20 11  7  4  3  2  1  1  1  1  1  1 20
+    `
+  },
+  bb: {
+    UTG: `
+      20 20 20 20 20 20 20 16 14 14 13 12 11
+      20 20 20 20 19 10  8  7  7  6  6  6  6
+      20 18 20 19 15  8  6  5  5  5  5  5  4
+      20 12  8 20 15  6  5  5  4  4  4  4  4
+      20  9  7  6 20  7  5  5  4  4  4  4  4
+      17  7  5  5  5 20  5  5  4  4  3  3  3
+      14  6  5  4  4  4 20  5  4  4  3  3  3
+      12  6  5  4  4  4  4 20  4  4  3  3  3
+      10  6  4  4  4  3  3  3 20  4  4  3  3
+      10  5  4  4  3  3  3  3  3 20  4  3  3
+       9  5  4  4  3  3  3  3  3  3 18  3  3
+       9  5  4  4  3  3  3  2  2  2  2 15  3
+       8  5  4  3  3  3  2  2  2  2  2  2 11
+    `,
+    MP: `
+      20 20 20 20 20 20 20 20 18 19 17 15 14
+      20 20 20 20 20 15  9  8  8  7  6  6  6
+      20 20 20 20 20 10  7  6  5  5  5  5  5
+      20 18 10 20 20  8  6  5  4  4  4  4  4
+      20 12  8  6 20  9  6  5  4  4  4  4  4
+      20  8  6  5  5 20  5  5  4  4  3  3  3
+      17  7  5  5  4  4 20  5  4  4  3  3  3
+      14  6  5  4  4  4  4 20  4  4  3  3  3
+      12  6  5  4  4  3  3  3 20  4  4  3  3
+      12  5  4  4  3  3  3  3  3 20  4  3  3
+      11  5  4  4  3  3  3  3  3  3 20  3  3
+      10  5  4  4  3  3  3  2  2  2  2 19  3
+       9  5  4  3  3  3  2  2  2  2  2  2 15
+    `,
+    CO: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 12 11 10  9  8  7  7
+      20 20 20 20 20 20  9  6  6  6  5  5  5
+      20 20 19 20 20 20  7  5  5  5  4  4  4
+      20 20 11  9 20 20  6  5  4  4  4  4  4
+      20 10  7  6  5 20  6  5  4  4  3  3  3
+      20  8  6  5  4  4 20  5  4  4  3  3  3
+      19  7  5  4  4  4  4 20  4  4  3  3  3
+      16  7  5  4  4  3  3  3 20  4  3  3  3
+      17  6  4  4  3  3  3  3  3 20  4  3  3
+      15  6  4  4  3  3  3  3  3  3 20  3  3
+      14  5  4  4  3  3  2  2  2  2  2 20  3
+      13  5  4  3  3  3  2  2  2  2  2  2 20
+    `,
+    BTN: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 20 20 18 15 13 12 11
+      20 20 20 20 20 20 20 10 10  7  6  6  5
+      20 20 20 20 20 20 20  7  5  5  5  4  4
+      20 20 20 20 20 20 20  5  5  4  4  4  4
+      20 15 10  8  6 20 20 18  4  4  4  3  3
+      20 12  8  5  5  4 20 20  4  4  3  3  3
+      20 11  6  5  4  4  4 20 12  4  3  3  3
+      20 10  5  4  4  4  3  3 20  4  3  3  3
+      20  9  5  4  4  3  3  3  3 20  3  3  3
+      20  7  5  4  3  3  3  3  3  3 20  3  2
+      20  6  4  4  3  3  3  2  2  2  2 20  2
+      20  6  4  4  3  3  2  2  2  2  0  0 20
+    `,
+    SB: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 20 20 20 20 20 20 17
+      20 20 20 20 20 20 20 20 20 20 17 13 11
+      20 20 20 20 20 20 20 20 20 16 12  5  4
+      20 20 20 20 20 20 20 20 20 20  4  3  3
+      20 20 20 19 20 20 20 20 20 20  3  2  2
+      20 20 15 12 10 11 17 20 20 20 16  2  2
+      20 20 14  8  6  4  3  3 20 20 20  2  2
+      20 20 13  8  4  3  3  2  2 20 20 16  2
+      20 20 12  6  3  2  2  2  2  2 20  2  1
+      20 19 11  5  3  2  2  1  1  1  1 20  1
+      20 18 10  4  3  2  1  1  1  1  1  1 20
+    `
+  }
+};
+
+// Deepest calling stack per hand, by ante format and "caller_vs_shover"
+const CALL_CHARTS = {
+  none: {
+    MP_vs_UTG: `
+      20 20 20 17 12  9  8  7  6  6  6  5  5
+      20 20  8  7  5  4  4  4  4  3  3  3  3
+      20  6 20  5  4  4  3  3  3  3  3  3  2
+      13  5  4 20  4  3  3  3  2  2  2  2  2
+      10  4  3  3 20  3  3  3  2  2  2  2  2
+       8  4  3  3  3 20  3  3  2  2  2  2  2
+       6  3  3  2  2  2 20  3  2  2  2  2  2
+       6  3  3  2  2  2  2 15  2  2  2  2  1
+       5  3  2  2  2  2  2  2 12  2  2  2  1
+       5  3  2  2  2  2  2  2  2 10  2  2  2
+       4  3  2  2  2  2  1  1  1  2  8  2  1
+       4  3  2  2  2  2  1  1  1  1  1  7  1
+       4  3  2  2  2  1  1  1  1  1  1  1  5
+    `,
+    CO_vs_UTG: `
+      20 20 20 17 12  9  8  7  6  6  6  5  5
+      20 20  8  7  5  4  4  4  4  3  3  3  3
+      20  6 20  5  4  4  3  3  3  3  3  3  2
+      13  5  4 20  4  3  3  3  2  2  2  2  2
+      10  4  3  3 20  3  3  3  2  2  2  2  2
+       8  4  3  3  3 20  3  3  2  2  2  2  2
+       6  3  3  2  2  2 20  3  2  2  2  2  2
+       6  3  3  2  2  2  2 15  2  2  2  2  1
+       5  3  2  2  2  2  2  2 12  2  2  2  1
+       5  3  2  2  2  2  2  2  2 10  2  2  2
+       4  3  2  2  2  2  1  1  1  2  8  2  1
+       4  3  2  2  2  2  1  1  1  1  1  7  1
+       4  3  2  2  2  1  1  1  1  1  1  1  5
+    `,
+    BTN_vs_UTG: `
+      20 20 20 17 12  9  8  7  6  6  6  5  5
+      20 20  8  7  5  4  4  4  4  3  3  3  3
+      20  6 20  5  4  4  3  3  3  3  3  3  2
+      13  5  4 20  4  3  3  3  2  2  2  2  2
+      10  4  3  3 20  3  3  3  2  2  2  2  2
+       8  4  3  3  3 20  3  3  2  2  2  2  2
+       6  3  3  2  2  2 20  3  2  2  2  2  2
+       6  3  3  2  2  2  2 15  2  2  2  2  1
+       5  3  2  2  2  2  2  2 12  2  2  2  1
+       5  3  2  2  2  2  2  2  2 10  2  2  2
+       4  3  2  2  2  2  1  1  1  2  8  2  1
+       4  3  2  2  2  2  1  1  1  1  1  7  1
+       4  3  2  2  2  1  1  1  1  1  1  1  5
+    `,
+    SB_vs_UTG: `
+      20 20 20 18 13 10  9  8  7  7  7  6  6
+      20 20 10  8  7  5  5  4  4  4  4  4  4
+      20  7 20  6  6  5  4  4  4  3  3  3  3
+      14  6  5 20  6  4  4  3  3  3  3  3  3
+      11  5  4  4 20  5  4  3  3  3  3  3  3
+       8  4  4  3  3 20  4  4  3  3  3  2  2
+       7  4  3  3  3  3 20  4  3  3  3  2  2
+       6  4  3  3  3  3  3 16  4  3  3  2  2
+       6  4  3  3  2  2  3  3 13  3  3  3  2
+       6  3  3  2  2  2  2  2  3 11  3  3  2
+       5  3  3  2  2  2  2  2  2  2  9  3  2
+       5  3  3  2  2  2  2  2  2  2  2  7  2
+       5  3  3  2  2  2  2  2  2  2  2  2  6
+    `,
+    BB_vs_UTG: `
+      20 20 20 19 14 10  9  8  8  8  7  7  7
+      20 20 11  9  8  6  5  5  5  5  5  4  4
+      20  8 20  7  7  6  5  4  4  4  4  4  4
+      15  7  6 20  7  6  5  5  4  4  4  4  3
+      11  6  5  5 20  6  5  5  4  4  4  3  3
+       9  5  4  4  4 20  6  5  4  4  3  3  3
+       8  4  4  4  4  4 20  5  5  4  4  3  3
+       7  4  4  3  3  4  4 17  5  4  4  3  3
+       6  4  4  3  3  3  4  4 14  5  4  4  3
+       6  4  3  3  3  3  3  3  4 11  4  4  3
+       6  4  3  3  3  3  3  3  3  3  9  4  3
+       6  4  3  3  3  3  3  3  3  3  3  8  3
+       5  4  3  3  3  3  2  2  3  3  3  2  7
+    `,
+    CO_vs_MP: `
+      20 20 20 19 14 11  9  8  7  7  6  6  5
+      20 20  9  7  6  5  4  4  4  4  3  3  3
+      20  7 20  5  5  4  3  3  3  3  3  3  3
+      16  6  4 20  4  3  3  3  2  2  2  2  2
+      12  5  4  3 20  3  3  3  2  2  2  2  2
+       9  4  3  3  3 20  3  3  2  2  2  2  2
+       7  4  3  2  2  2 20  3  2  2  2  2  2
+       6  3  3  2  2  2  2 17  2  2  2  2  1
+       5  3  2  2  2  2  2  2 13  2  2  2  1
+       5  3  2  2  2  2  2  2  2 11  2  2  2
+       5  3  2  2  2  2  1  1  1  2  9  2  1
+       5  3  2  2  2  2  1  1  1  1  1  7  1
+       4  3  2  2  2  1  1  1  1  1  1  1  6
+    `,
+    BTN_vs_MP: `
+      20 20 20 19 14 11  9  8  7  7  6  6  5
+      20 20  9  7  6  5  4  4  4  4  3  3  3
+      20  7 20  5  5  4  3  3  3  3  3  3  3
+      16  6  4 20  4  3  3  3  2  2  2  2  2
+      12  5  4  3 20  3  3  3  2  2  2  2  2
+       9  4  3  3  3 20  3  3  2  2  2  2  2
+       7  4  3  2  2  2 20  3  2  2  2  2  2
+       6  3  3  2  2  2  2 17  2  2  2  2  1
+       5  3  2  2  2  2  2  2 13  2  2  2  1
+       5  3  2  2  2  2  2  2  2 11  2  2  2
+       5  3  2  2  2  2  1  1  1  2  9  2  1
+       5  3  2  2  2  2  1  1  1  1  1  7  1
+       4  3  2  2  2  1  1  1  1  1  1  1  6
+    `,
+    SB_vs_MP: `
+      20 20 20 20 15 11 10  9  8  8  7  7  6
+      20 20 11  8  7  6  5  5  4  4  4  4  4
+      20  8 20  7  6  5  4  4  4  3  3  3  3
+      17  7  5 20  6  4  4  3  3  3  3  3  3
+      13  6  4  4 20  5  4  3  3  3  3  3  3
+      10  5  4  3  3 20  4  4  3  3  3  2  2
+       8  4  3  3  3  3 20  4  3  3  3  2  2
+       7  4  3  3  3  3  3 18  4  3  3  2  2
+       6  4  3  3  2  2  3  3 14  3  3  3  2
+       6  3  3  3  2  2  2  2  3 12  3  3  2
+       6  3  3  2  2  2  2  2  2  2 10  3  2
+       5  3  3  2  2  2  2  2  2  2  2  9  2
+       5  3  3  2  2  2  2  2  2  2  2  2  7
+    `,
+    BB_vs_MP: `
+      20 20 20 20 16 12 11  9  9  9  8  8  7
+      20 20 12 10  8  7  6  6  5  5  5  5  5
+      20  9 20  8  7  6  5  5  5  4  4  4  4
+      18  7  6 20  7  6  5  5  4  4  4  4  3
+      13  6  5  5 20  6  5  5  4  4  4  4  3
+      10  5  4  4  4 20  6  5  4  4  3  3  3
+       9  5  4  4  4  4 20  5  5  4  4  3  3
+       8  4  4  3  3  4  4 19  5  4  4  3  3
+       7  4  4  3  3  3  4  4 15  5  4  4  3
+       7  4  3  3  3  3  3  3  4 13  4  4  3
+       6  4  3  3  3  3  3  3  3  3 11  4  3
+       6  4  3  3  3  3  3  3  3  3  3  9  3
+       6  4  3  3  3  3  3  2  3  3  3  2  8
+    `,
+    BTN_vs_CO: `
+      20 20 20 20 18 14 11 10  8  8  7  7  6
+      20 20 13  9  7  6  5  4  4  4  4  3  3
+      20  8 20  6  5  4  3  3  3  3  3  3  3
+      20  6  5 20  5  4  3  3  3  2  2  2  2
+      15  6  4  3 20  3  3  3  2  2  2  2  2
+      11  5  3  3  3 20  3  3  2  2  2  2  2
+       9  4  3  3  2  2 20  3  2  2  2  2  2
+       8  4  3  2  2  2  2 20  3  2  2  2  1
+       6  3  3  2  2  2  2  2 17  2  2  2  1
+       6  3  2  2  2  2  2  2  2 14  2  2  2
+       5  3  2  2  2  2  1  1  1  1 11  2  1
+       5  3  2  2  2  1  1  1  1  1  1  9  1
+       5  3  2  2  2  1  1  1  1  1  1  1  6
+    `,
+    SB_vs_CO: `
+      20 20 20 20 19 14 12 11  9  9  8  8  7
+      20 20 14 11  8  6  5  5  5  5  4  4  4
+      20 10 20  8  6  5  4  4  4  4  3  3  3
+      20  8  6 20  6  5  4  4  3  3  3  3  3
+      16  6  5  4 20  5  4  4  3  3  3  3  3
+      12  5  4  4  3 20  4  4  3  3  3  3  2
+      10  5  3  3  3  3 20  4  4  3  3  2  2
+       9  4  3  3  3  3  3 20  4  3  3  2  2
+       7  4  3  3  2  3  3  3 18  3  3  3  2
+       7  4  3  3  2  2  2  2  3 15  3  3  2
+       6  4  3  2  2  2  2  2  2  2 12  3  2
+       6  3  3  2  2  2  2  2  2  2  2 10  2
+       6  3  3  2  2  2  2  2  2  2  2  2  8
+    `,
+    BB_vs_CO: `
+      20 20 20 20 19 15 13 12 10 10 10  9  9
+      20 20 15 12 10  8  6  6  6  6  5  5  5
+      20 12 20  9  8  6  5  5  5  5  4  4  4
+      20  9  7 20  8  6  5  5  4  4  4  4  4
+      17  7  6  5 20  6  5  5  4  4  4  4  3
+      13  6  5  4  4 20  6  5  5  4  4  3  3
+      11  5  4  4  4  4 20  5  5  4  4  3  3
+      10  5  4  4  4  4  4 20  5  4  4  3  3
+       8  5  4  3  3  3  4  4 19  5  4  4  3
+       8  4  4  3  3  3  3  3  4 15  4  4  3
+       7  4  3  3  3  3  3  3  3  3 13  4  3
+       7  4  3  3  3  3  3  3  3  3  3 11  3
+       7  4  3  3  3  3  3  2  3  3  3  2  9
+    `,
+    SB_vs_BTN: `
+      20 20 20 20 20 20 19 16 14 13 12 11 10
+      20 20 20 17 12  9  7  6  6  5  5  5  5
+      20 15 20 10  8  6  5  4  4  4  4  4  3
+      20 11  7 20  7  5  4  4  3  3  3  3  3
+      20  9  6  5 20  5  4  4  3  3  3  3  3
+      18  7  5  4  4 20  4  4  3  3  3  3  2
+      15  6  4  3  3  3 20  4  4  3  3  2  2
+      12  5  3  3  3  3  3 20  4  3  3  2  2
+      10  5  3  3  3  3  3  3 20  4  3  3  2
+       9  4  3  3  2  2  2  2  3 20  3  3  3
+       8  4  3  3  2  2  2  2  2  2 17  3  2
+       8  4  3  3  2  2  2  2  2  2  2 13  2
+       7  4  3  2  2  2  2  2  2  2  2  2  9
+    `,
+    BB_vs_BTN: `
+      20 20 20 20 20 20 19 17 15 15 13 12 12
+      20 20 20 17 14 10  8  8  7  7  6  6  6
+      20 17 20 12 10  7  6  5  5  5  5  4  4
+      20 13  9 20  9  7  6  5  4  4  4  4  4
+      20 10  7  6 20  7  6  5  4  4  4  4  4
+      19  7  5  5  5 20  6  5  5  4  4  3  3
+      16  6  5  4  4  4 20  5  5  4  4  3  3
+      13  6  4  4  4  4  4 20  5  5  4  3  3
+      11  5  4  3  3  3  4  4 20  5  4  4  3
+      11  5  4  3  3  3  3  3  4 20  5  4  4
+       9  5  4  3  3  3  3  3  3  3 18  4  3
+       9  5  4  3  3  3  3  3  3  3  3 15  3
+       8  4  3  3  3  3  3  2  3  3  3  2 12
+    `,
+    BB_vs_SB: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 17 15 14 13 12 11 10
+      20 20 20 20 20 14 12 10  9  8  8  7  7
+      20 20 18 20 17 12 10  8  6  6  6  5  5
+      20 20 14 12 20 11  9  7  6  5  5  4  4
+      20 17 11  9  8 20  8  6  5  4  4  4  3
+      20 14  9  7  6  5 20  6  5  4  4  3  3
+      20 12  8  6  5  4  4 20  5  4  4  3  3
+      20 11  7  5  4  4  4  4 20  4  4  3  3
+      20 10  6  5  4  3  3  3  3 20  4  4  3
+      18  9  6  4  3  3  3  3  3  3 20  3  3
+      17  8  5  4  3  3  2  2  3  3  3 20  3
+      15  8  5  4  3  3  2  2  2  2  2  2 15
+    `
+  },
+  bb: {
+    MP_vs_UTG: `
+      20 20 20 20 20 15 13 12 10 10 10  9  9
+      20 20 14 11  9  8  7  7  6  6  6  6  5
+      20 11 20  9  8  6  6  5  5  5  5  5  4
+      20  9  7 20  7  6  5  5  4  4  4  4  4
+      17  8  6  6 20  6  5  5  4  4  4  4  4
+      13  7  5  5  5 20  5  5  4  4  3  3  3
+      11  6  5  4  4  4 20  5  4  4  3  3  3
+      10  6  5  4  4  4  4 20  4  4  3  3  3
+       9  5  4  4  4  3  3  3 20  4  4  3  3
+       8  5  4  4  3  3  3  3  3 16  4  3  3
+       8  5  4  4  3  3  3  3  3  3 13  3  3
+       7  5  4  4  3  3  3  2  2  2  2 11  3
+       7  5  4  3  3  3  2  2  2  2  2  2  9
+    `,
+    CO_vs_UTG: `
+      20 20 20 20 20 15 13 12 10 10 10  9  9
+      20 20 14 11  9  8  7  7  6  6  6  6  5
+      20 11 20  9  8  6  6  5  5  5  5  5  4
+      20  9  7 20  7  6  5  5  4  4  4  4  4
+      17  8  6  6 20  6  5  5  4  4  4  4  4
+      13  7  5  5  5 20  5  5  4  4  3  3  3
+      11  6  5  4  4  4 20  5  4  4  3  3  3
+      10  6  5  4  4  4  4 20  4  4  3  3  3
+       9  5  4  4  4  3  3  3 20  4  4  3  3
+       8  5  4  4  3  3  3  3  3 16  4  3  3
+       8  5  4  4  3  3  3  3  3  3 13  3  3
+       7  5  4  4  3  3  3  2  2  2  2 11  3
+       7  5  4  3  3  3  2  2  2  2  2  2  9
+    `,
+    BTN_vs_UTG: `
+      20 20 20 20 20 15 13 12 10 10 10  9  9
+      20 20 14 11  9  8  7  7  6  6  6  6  5
+      20 11 20  9  8  6  6  5  5  5  5  5  4
+      20  9  7 20  7  6  5  5  4  4  4  4  4
+      17  8  6  6 20  6  5  5  4  4  4  4  4
+      13  7  5  5  5 20  5  5  4  4  3  3  3
+      11  6  5  4  4  4 20  5  4  4  3  3  3
+      10  6  5  4  4  4  4 20  4  4  3  3  3
+       9  5  4  4  4  3  3  3 20  4  4  3  3
+       8  5  4  4  3  3  3  3  3 16  4  3  3
+       8  5  4  4  3  3  3  3  3  3 13  3  3
+       7  5  4  4  3  3  3  2  2  2  2 11  3
+       7  5  4  3  3  3  2  2  2  2  2  2  9
+    `,
+    SB_vs_UTG: `
+      20 20 20 20 20 16 14 12 11 11 11 10  9
+      20 20 15 12 11  8  7  7  7  7  6  6  6
+      20 12 20 10  9  7  6  6  6  5  5  5  5
+      20 10  8 20  9  7  6  5  5  5  5  5  4
+      18  8  7  6 20  7  6  5  5  4  4  4  4
+      14  7  6  5  5 20  6  6  5  5  4  4  4
+      12  6  5  5  5  5 20  6  5  5  4  4  4
+      10  6  5  4  4  4  4 20  6  5  4  4  3
+       9  6  5  4  4  4  4  4 20  5  5  4  4
+       9  6  5  4  4  4  4  4  4 17  5  4  4
+       8  5  5  4  4  3  3  3  3  4 14  4  4
+       8  5  4  4  4  3  3  3  3  3  3 12  3
+       8  5  4  4  3  3  3  3  3  3  3  3 10
+    `,
+    BB_vs_UTG: `
+      20 20 20 20 20 18 16 15 14 14 13 12 12
+      20 20 19 16 14 12 10 10  9  9  9  8  8
+      20 15 20 14 13 11 10  9  9  8  8  7  7
+      20 12 11 20 13 11  9  9  8  8  7  7  7
+      20 11 10 10 20 11 10  9  8  7  7  7  6
+      16  9  8  8  9 20 10  9  9  8  7  6  6
+      14  8  7  7  8  8 20 10  9  8  7  6  6
+      12  8  7  7  7  7  8 20  9  8  7  7  6
+      12  8  7  6  6  7  7  7 20  9  8  7  6
+      11  7  7  6  6  6  6  6  7 20  8  7  6
+      11  7  6  6  6  5  6  6  6  6 17  7  6
+      10  7  6  6  5  5  5  5  6  6  6 15  6
+      10  7  6  5  5  5  5  5  5  5  5  5 13
+    `,
+    CO_vs_MP: `
+      20 20 20 20 20 18 15 13 11 11 10 10  9
+      20 20 16 12 10  8  7  7  6  6  6  6  6
+      20 12 20  9  8  7  6  5  5  5  5  5  4
+      20 10  7 20  7  6  5  5  4  4  4  4  4
+      20  8  6  6 20  6  5  5  4  4  4  4  4
+      15  7  5  5  5 20  5  5  4  4  3  3  3
+      13  6  5  4  4  4 20  5  4  4  3  3  3
+      11  6  5  4  4  4  4 20  4  4  3  3  3
+       9  6  4  4  4  3  3  3 20  4  4  3  3
+       9  5  4  4  3  3  3  3  3 19  4  3  3
+       8  5  4  4  3  3  3  3  3  3 15  3  3
+       8  5  4  4  3  3  3  2  2  2  2 13  3
+       8  5  4  3  3  3  2  2  2  2  2  2 10
+    `,
+    BTN_vs_MP: `
+      20 20 20 20 20 18 15 13 11 11 10 10  9
+      20 20 16 12 10  8  7  7  6  6  6  6  6
+      20 12 20  9  8  7  6  5  5  5  5  5  4
+      20 10  7 20  7  6  5  5  4  4  4  4  4
+      20  8  6  6 20  6  5  5  4  4  4  4  4
+      15  7  5  5  5 20  5  5  4  4  3  3  3
+      13  6  5  4  4  4 20  5  4  4  3  3  3
+      11  6  5  4  4  4  4 20  4  4  3  3  3
+       9  6  4  4  4  3  3  3 20  4  4  3  3
+       9  5  4  4  3  3  3  3  3 19  4  3  3
+       8  5  4  4  3  3  3  3  3  3 15  3  3
+       8  5  4  4  3  3  3  2  2  2  2 13  3
+       8  5  4  3  3  3  2  2  2  2  2  2 10
+    `,
+    SB_vs_MP: `
+      20 20 20 20 20 19 16 14 12 12 11 11 10
+      20 20 17 13 11  9  8  8  7  7  7  6  6
+      20 13 20 10  9  7  6  6  6  6  5  5  5
+      20 10  8 20  9  7  6  5  5  5  5  5  4
+      20  9  7  7 20  7  6  5  5  4  4  4  4
+      16  8  6  6  5 20  6  6  5  5  4  4  4
+      13  7  5  5  5  5 20  6  5  5  4  4  4
+      12  6  5  5  4  4  4 20  6  5  4  4  3
+      10  6  5  4  4  4  4  4 20  5  5  4  4
+      10  6  5  4  4  4  4  4  4 20  5  4  4
+       9  6  5  4  4  3  3  3  3  4 16  4  4
+       9  5  4  4  4  3  3  3  3  3  3 14  3
+       8  5  4  4  4  3  3  3  3  3  3  3 11
+    `,
+    BB_vs_MP: `
+      20 20 20 20 20 20 19 16 15 15 15 14 13
+      20 20 20 17 15 12 10 10 10 10  9  9  8
+      20 16 20 14 14 11 10  9  9  8  8  8  7
+      20 13 11 20 13 11 10  9  8  8  7  7  7
+      20 12 10 10 20 12 10  9  8  7  7  7  6
+      18 10  8  8  9 20 11 10  9  7  7  7  6
+      15  9  8  7  8  8 20 10  9  8  7  6  6
+      14  8  7  7  7  7  8 20 10  8  7  7  6
+      13  8  7  6  6  7  7  7 20  9  8  7  6
+      12  8  7  6  6  6  6  6  7 20  8  7  7
+      12  7  6  6  6  5  6  6  6  6 19  7  6
+      11  7  6  6  5  5  5  5  6  6  6 16  6
+      11  7  6  6  5  5  5  5  5  5  5  5 14
+    `,
+    BTN_vs_CO: `
+      20 20 20 20 20 20 19 17 14 14 12 12 11
+      20 20 20 15 12 10  8  7  7  7  6  6  6
+      20 14 20 10  9  7  6  5  5  5  5  5  5
+      20 11  8 20  8  6  5  5  4  4  4  4  4
+      20 10  7  6 20  6  5  5  4  4  4  4  4
+      19  8  6  5  5 20  5  5  4  4  3  3  3
+      15  7  5  5  4  4 20  5  4  4  3  3  3
+      13  6  5  4  4  4  4 20  4  4  3  3  3
+      11  6  5  4  4  3  3  3 20  4  4  3  3
+      10  6  4  4  3  3  3  3  3 20  4  3  3
+       9  5  4  4  3  3  3  3  3  3 19  3  3
+       9  5  4  4  3  3  2  2  2  2  2 15  3
+       8  5  4  3  3  3  2  2  2  2  2  2 11
+    `,
+    SB_vs_CO: `
+      20 20 20 20 20 20 20 17 15 15 14 13 12
+      20 20 20 17 13 10  9  8  8  7  7  7  7
+      20 16 20 12 10  8  7  6  6  6  5  5  5
+      20 12  9 20  9  7  6  6  5  5  5  5  4
+      20 10  8  7 20  7  6  6  5  4  4  4  4
+      19  8  6  6  6 20  6  6  5  5  4  4  4
+      17  7  6  5  5  5 20  6  5  5  4  4  4
+      14  7  5  5  4  4  4 20  6  5  4  4  3
+      12  6  5  4  4  4  4  4 20  5  5  4  4
+      11  6  5  4  4  4  4  4  4 20  5  4  4
+      10  6  5  4  4  3  3  3  3  4 20  4  4
+      10  6  5  4  4  3  3  3  3  3  3 16  3
+       9  6  4  4  4  3  3  3  3  3  3  3 13
+    `,
+    BB_vs_CO: `
+      20 20 20 20 20 20 20 20 18 18 17 16 15
+      20 20 20 20 17 13 12 11 11 10 10  9  9
+      20 20 20 16 14 12 10  9  9  9  8  8  8
+      20 16 12 20 14 11 10  9  8  8  7  7  7
+      20 13 11 10 20 12 10  9  8  7  7  7  7
+      20 11  9  8  9 20 11  9  9  8  7  7  6
+      19  9  8  8  8  8 20 10  9  8  7  6  6
+      17  9  7  7  7  7  7 20 10  9  7  7  6
+      15  9  7  6  6  7  7  7 20  9  8  7  6
+      14  8  7  6  6  6  6  7  7 20  9  7  7
+      13  8  7  6  6  5  6  6  6  7 20  7  6
+      13  8  6  6  6  5  5  5  6  6  6 20  6
+      12  7  6  6  5  5  5  5  5  5  5  5 17
+    `,
+    SB_vs_BTN: `
+      20 20 20 20 20 20 20 20 20 20 19 17 16
+      20 20 20 20 19 14 11 10  9  9  8  8  8
+      20 20 20 16 13  9  8  7  6  6  6  6  5
+      20 17 11 20 11  8  7  6  5  5  5  5  5
+      20 14  9  8 20  8  7  6  5  5  4  4  4
+      20 11  7  6  6 20  7  6  5  5  4  4  4
+      20  9  6  5  5  5 20  6  6  5  4  4  4
+      20  8  5  5  4  4  4 20  6  5  4  4  3
+      16  8  5  4  4  4  4  4 20  6  5  4  4
+      15  7  5  4  4  4  4  4  4 20  5  4  4
+      13  6  5  4  4  3  3  3  3  4 20  4  4
+      12  6  5  4  4  3  3  3  3  3  3 20  3
+      12  6  5  4  4  3  3  3  3  3  3  3 15
+    `,
+    BB_vs_BTN: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 18 15 14 13 12 11 11 10
+      20 20 20 20 18 13 11 10 10  9  9  8  8
+      20 20 16 20 16 12 10  9  8  8  8  7  7
+      20 18 13 11 20 12 11  9  8  8  7  7  7
+      20 13 10  9  9 20 11 10  9  8  7  7  7
+      20 12  9  8  8  8 20 10  9  8  7  6  6
+      20 10  8  7  7  7  8 20 10  9  8  7  6
+      20 10  8  6  7  7  7  7 20  9  8  7  6
+      19  9  7  6  6  6  6  7  7 20  9  8  7
+      17  9  7  6  6  5  6  6  6  7 20  7  7
+      16  9  7  6  6  5  5  5  6  6  6 20  6
+      15  8  6  6  5  5  5  5  5  5  5  5 20
+    `,
+    BB_vs_SB: `
+      20 20 20 20 20 20 20 20 20 20 20 20 20
+      20 20 20 20 20 20 20 20 20 20 20 18 17
+      20 20 20 20 20 20 20 16 15 14 13 12 11
+      20 20 20 20 20 20 16 13 11 10 10  9  9
+      20 20 20 20 20 18 14 11 10  8  8  8  7
+      20 20 18 15 13 20 13 11 10  8  7  7  6
+      20 20 15 11 10  9 20 11 10  8  7  6  6
+      20 20 12  9  8  8  8 20 10  9  7  7  6
+      20 18 11  8  7  7  7  7 20  9  8  7  6
+      20 16 10  8  6  6  6  6  7 20  9  7  7
+      20 15 10  7  6  5  6  6  6  6 20  7  6
+      20 14  9  7  6  5  5  5  5  6  5 20  6
+      20 13  8  7  6  5  5  5  5  5  5  5 20
+    `
+  }
+};
+
+// Parsed charts, keyed by "kind|ante|chartKey"
+const parsedCharts = new Map();
+
+// Turn a grid string into a hand -> deepest stack map
+function parseChart(grid) {
+  const cells = grid.trim().split(/\s+/).map(Number);
+  const chart = new Map();
+
+  for (let row = 0; row < 13; row++) {
+    for (let col = 0; col < 13; col++) {
+      chart.set(getHandFromGrid(row, col), cells[row * 13 + col]);
+    }
+  }
+
+  return chart;
+}
+
+// Look up (and cache) one chart
+function getChart(kind, ante, key) {
+  const charts = kind === 'shove' ? SHOVE_CHARTS : CALL_CHARTS;
+  const grid = charts[ante]?.[key];
+  if (!grid) return null;
+
+  const cacheKey = `${kind}|${ante}|${key}`;
+  if (!parsedCharts.has(cacheKey)) {
+    parsedCharts.set(cacheKey, parseChart(grid));
+  }
+  return parsedCharts.get(cacheKey);
+}
+
+/**
+ * Get the seats that can call a shove from a position
+ * @param {string} shover - Shoving seat
+ * @returns {Array} Seats left to act
+ */
+export function getCallerPositions(shover) {
+  const index = SHOVE_POSITIONS.indexOf(shover);
+  return index === -1 ? [] : SEAT_ORDER.slice(index + 1);
+}
+
+/**
+ * Get the deepest stack a hand shoves at
+ * @param {string} hand - Hand notation (e.g. 'A5s')
+ * @param {string} position - Shoving seat (UTG through SB)
+ * @param {string} ante - Ante format (key of PUSH_FOLD_ANTES)
+ * @returns {number|null} Stack in BB (0 = never shoves), or null for an unknown spot
+ */
+export function getShoveThreshold(hand, position, ante = 'none') {
+  const chart = getChart('shove', ante, position);
+  if (!chart) {
+    console.error(`No push/fold chart for ${position} (${ante})`);
+    return null;
+  }
+  return chart.get(hand) ?? null;
+}
+
+/**
+ * Get the deepest stack a hand calls a shove at
+ * @param {string} hand - Hand notation
+ * @param {string} shover - Shoving seat
+ * @param {string} caller - Seat facing the shove
+ * @param {string} ante - Ante format
+ * @returns {number|null} Stack in BB (0 = never calls), or null for an unknown spot
+ */
+export function getCallThreshold(hand, shover, caller, ante = 'none') {
+  const chart = getChart('call', ante, `${caller}_vs_${shover}`);
+  if (!chart) {
+    console.error(`No call-vs-shove chart for ${caller} vs ${shover} (${ante})`);
+    return null;
+  }
+  return chart.get(hand) ?? null;
+}
+
+/**
+ * Check whether a hand is a Nash shove
+ * @param {string} hand - Hand notation
+ * @param {string} position - Shoving seat
+ * @param {number} stack - Effective stack in BB
+ * @param {string} ante - Ante format
+ * @returns {boolean}
+ */
+export function isNashShove(hand, position, stack, ante = 'none') {
+  const threshold = getShoveThreshold(hand, position, ante);
+  return threshold !== null && stack <= threshold;
+}
+
+/**
+ * Check whether a hand is a Nash call against a shove
+ * @param {string} hand - Hand notation
+ * @param {string} shover - Shoving seat
+ * @param {string} caller - Seat facing the shove
+ * @param {number} stack - Effective stack in BB
+ * @param {string} ante - Ante format
+ * @returns {boolean}
+ */
+export function isNashCall(hand, shover, caller, stack, ante = 'none') {
+  const threshold = getCallThreshold(hand, shover, caller, ante);
+  return threshold !== null && stack <= threshold;
+}
+
+/**
+ * Get the full shoving range for a spot
+ * @param {string} position - Shoving seat
+ * @param {number} stack - Effective stack in BB
+ * @param {string} ante - Ante format
+ * @returns {Set} Hands that shove
+ */
+export function getShoveRange(position, stack, ante = 'none') {
+  return new Set(ALL_HANDS.filter(hand => isNashShove(hand, position, stack, ante)));
+}
+
+/**
+ * Get the full calling range against a shove
+ * @param {string} shover - Shoving seat
+ * @param {string} caller - Seat facing the shove
+ * @param {number} stack - Effective stack in BB
+ * @param {string} ante - Ante format
+ * @returns {Set} Hands that call
+ */
+export function getCallRange(shover, caller, stack, ante = 'none') {
+  return new Set(ALL_HANDS.filter(hand => isNashCall(hand, shover, caller, stack, ante)));
+}
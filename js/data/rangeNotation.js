@@ -0,0 +1,278 @@
+/**
+ * Range Notation
+ * Parse and format the range shorthand used by most poker tools
+ * (e.g. "22+, A2s+, KTo+, 76s-54s, AKs:0.5")
+ */
+
+import { RANKS, normalizeHand } from './hands.js';
+
+// Rank index helpers (RANKS runs from A at 0 down to 2 at 12)
+const rankIndex = rank => RANKS.indexOf(rank);
+
+// Split one token into its hand and optional weight (e.g. "AKs:0.5")
+function splitWeight(token) {
+  const [body, weightText] = token.split(':');
+  if (weightText === undefined) return { body, weight: 1 };
+
+  const weight = Number(weightText);
+  if (weightText === '' || isNaN(weight) || weight < 0 || weight > 1) {
+    return { body, weight: null };
+  }
+
+  return { body, weight };
+}
+
+// Parse a bare hand class such as "AKs", "AKo", "AK" or "QQ" into its ranks and suffix
+function parseHandClass(text) {
+  const match = /^([AKQJT2-9])([AKQJT2-9])([so]?)$/i.exec(text);
+  if (!match) return null;
+
+  let high = match[1].toUpperCase();
+  let low = match[2].toUpperCase();
+  const suffix = match[3].toLowerCase();
+
+  if (rankIndex(high) > rankIndex(low)) {
+    [high, low] = [low, high];
+  }
+
+  // Pairs can't be suited or offsuit
+  if (high === low && suffix) return null;
+
+  return { high, low, suffix };
+}
+
+// Expand a rank pair and suffix into hand classes ("AK" with no suffix gives AKs and AKo)
+function expandClass(high, low, suffix) {
+  if (high === low) return [high + low];
+  if (suffix) return [high + low + suffix];
+  return [high + low + 's', high + low + 'o'];
+}
+
+// Expand "22+", "A2s+" or "KTo+"
+function expandPlus(text) {
+  const hand = parseHandClass(text);
+  if (!hand) return null;
+
+  const { high, low, suffix } = hand;
+  const hands = [];
+
+  if (high === low) {
+    // Pairs climb to AA
+    for (let i = rankIndex(high); i >= 0; i--) {
+      hands.push(RANKS[i] + RANKS[i]);
+    }
+    return hands;
+  }
+
+  // Kicker climbs to one below the high card
+  for (let i = rankIndex(low); i > rankIndex(high); i--) {
+    hands.push(...expandClass(high, RANKS[i], suffix));
+  }
+  return hands;
+}
+
+// Expand "TT-77", "A5s-A2s" or "76s-54s"
+function expandDash(fromText, toText) {
+  const from = parseHandClass(fromText);
+  const to = parseHandClass(toText);
+  if (!from || !to || from.suffix !== to.suffix) return null;
+
+  const highStep = rankIndex(to.high) - rankIndex(from.high);
+  const lowStep = rankIndex(to.low) - rankIndex(from.low);
+  const hands = [];
+
+  // Pairs ("TT-77") and fixed high card ("A5s-A2s") step the low rank;
+  // connectors ("76s-54s") step both ranks together
+  const isPairRun = from.high === from.low && to.high === to.low;
+  const isKickerRun = from.high === to.high && from.high !== from.low && to.high !== to.low;
+  const isShiftRun = highStep === lowStep && from.high !== from.low;
+
+  if (!isPairRun && !isKickerRun && !isShiftRun) return null;
+
+  const steps = Math.abs(isKickerRun ? lowStep : highStep);
+  const direction = (isKickerRun ? lowStep : highStep) < 0 ? -1 : 1;
+
+  for (let step = 0; step <= steps; step++) {
+    const offset = step * direction;
+    const low = RANKS[rankIndex(from.low) + offset];
+    const high = isKickerRun ? from.high : RANKS[rankIndex(from.high) + offset];
+
+    // A kicker run can't reach the high card itself
+    if (!low || !high || high === low && !isPairRun) return null;
+    hands.push(...expandClass(high, low, from.suffix));
+  }
+
+  return hands;
+}
+
+// Expand one token body (no weight) into hand classes
+function expandToken(body) {
+  if (body.endsWith('+')) {
+    return expandPlus(body.slice(0, -1));
+  }
+
+  if (body.includes('-')) {
+    const [from, to, extra] = body.split('-');
+    if (extra !== undefined) return null;
+    return expandDash(from, to);
+  }
+
+  const hand = parseHandClass(body);
+  return hand ? expandClass(hand.high, hand.low, hand.suffix) : null;
+}
+
+/**
+ * Parse range notation into weighted hands
+ * Tokens are separated by commas or whitespace; later tokens override earlier weights.
+ * @param {string} text - Range notation (e.g. "22+, A2s+, KTo+, 76s-54s, AKs:0.5")
+ * @returns {Object|null} Map of hand class to weight (0-1), or null if a token is invalid
+ */
+export function parseRange(text) {
+  if (typeof text !== 'string') {
+    console.error('parseRange expects a string');
+    return null;
+  }
+
+  const weights = {};
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+
+  for (const token of tokens) {
+    const { body, weight } = splitWeight(token);
+    const hands = weight === null ? null : expandToken(body);
+
+    if (!hands) {
+      console.error(`Invalid range token: "${token}"`);
+      return null;
+    }
+
+    hands.forEach(hand => {
+      if (weight > 0) {
+        weights[hand] = weight;
+      } else {
+        delete weights[hand];
+      }
+    });
+  }
+
+  return weights;
+}
+
+/**
+ * Parse range notation into a plain list of hands (any weight counts as in range)
+ * @param {string} text - Range notation
+ * @returns {Array|null} Hand classes, or null if the notation is invalid
+ */
+export function parseRangeHands(text) {
+  const weights = parseRange(text);
+  return weights ? Object.keys(weights) : null;
+}
+
+// Turn a run of consecutive hands (best first) into one token
+function formatRun(run, isTopOfRange) {
+  if (run.length === 1) return run[0];
+  if (isTopOfRange) return `${run[run.length - 1]}+`;
+  return `${run[0]}-${run[run.length - 1]}`;
+}
+
+// Split a list of candidate hands (best first) into runs of hands that are in the set
+function collectRuns(candidates, inRange) {
+  const runs = [];
+  let run = null;
+
+  candidates.forEach((hand, index) => {
+    if (!inRange(hand)) {
+      run = null;
+      return;
+    }
+
+    if (!run) {
+      run = { hands: [], isTop: index === 0 };
+      runs.push(run);
+    }
+    run.hands.push(hand);
+  });
+
+  return runs;
+}
+
+// Join hands left on their own into connector runs ("T9s, 98s, 87s" -> "T9s-87s"):
+// same suffix, same gap between the ranks, both ranks stepping down together
+function joinConnectorRuns(runs) {
+  const singles = new Set(runs
+    .filter(run => run.hands.length === 1 && run.hands[0].length === 3)
+    .map(run => run.hands[0]));
+  const absorbed = new Set();
+
+  const nextConnector = hand => {
+    const high = RANKS[rankIndex(hand[0]) + 1];
+    const low = RANKS[rankIndex(hand[1]) + 1];
+    return low ? high + low + hand[2] : null;
+  };
+
+  // Runs come best high card first, so each connector run starts at its top hand
+  runs.forEach(run => {
+    const [top] = run.hands;
+    if (!singles.has(top) || absorbed.has(top)) return;
+
+    for (let next = nextConnector(top); singles.has(next); next = nextConnector(next)) {
+      run.hands.push(next);
+      absorbed.add(next);
+    }
+    run.isTop = false; // "+" on a connector would mean a kicker run
+  });
+
+  return runs.filter(run => !absorbed.has(run.hands[0]));
+}
+
+// Format hands that share one weight into compact tokens
+function formatHandSet(handSet) {
+  const runs = [];
+  const inRange = hand => handSet.has(hand);
+
+  // Pairs, AA down to 22
+  runs.push(...collectRuns(RANKS.map(rank => rank + rank), inRange));
+
+  // For each high card: suited kickers, then offsuit kickers (best kicker first)
+  RANKS.forEach((high, highIndex) => {
+    const kickers = RANKS.slice(highIndex + 1);
+    ['s', 'o'].forEach(suffix => {
+      runs.push(...collectRuns(kickers.map(low => high + low + suffix), inRange));
+    });
+  });
+
+  return joinConnectorRuns(runs).map(run => formatRun(run.hands, run.isTop));
+}
+
+/**
+ * Format a range as compact notation
+ * Pairs, kickers and connectors are joined into runs; parseRange reads the result back
+ * to the same weights.
+ * @param {Array|Set|Object} range - Hands, or a map of hand to weight (0-1)
+ * @returns {string} Notation such as "TT+, AJs+, KQo, T9s-87s, A5s:0.5"
+ */
+export function formatRange(range) {
+  const weights = {};
+
+  if (Array.isArray(range) || range instanceof Set) {
+    range.forEach(hand => {
+      weights[normalizeHand(hand)] = 1;
+    });
+  } else if (range) {
+    Object.entries(range).forEach(([hand, weight]) => {
+      if (weight > 0) weights[normalizeHand(hand)] = weight;
+    });
+  }
+
+  const fullHands = new Set(Object.keys(weights).filter(hand => weights[hand] >= 1));
+  const tokens = formatHandSet(fullHands);
+
+  // Weighted hands are listed one by one, in grid order
+  const partialHands = new Set(Object.keys(weights).filter(hand => weights[hand] < 1));
+  formatHandSet(partialHands).forEach(token => {
+    expandToken(token).forEach(hand => {
+      tokens.push(`${hand}:${Number(weights[hand].toFixed(3))}`);
+    });
+  });
+
+  return tokens.join(', ');
+}
@@ -1,9 +1,11 @@
 /**
  * GTO Ranges Data
- * Opening ranges by position for 6-max No Limit Hold'em
+ * Opening ranges by position for 6-max No Limit Hold'em, plus the full-ring
+ * and heads-up seats and charts used by the table-format setting
  */
 
-import { RANKS, getHandFromGrid, normalizeHand, getEquity, sortHandsByEquity } from './hands.js';
+import { RANKS, getHandFromGrid, normalizeHand } from './hands.js';
+import { parseRangeHands } from './rangeNotation.js';
 
 // Position definitions (order of action preflop in 6-max)
 export const POSITIONS = {
@@ -51,89 +53,189 @@ export const POSITIONS = {
   }
 };
 
-// GTO Opening ranges by position (hands to open/raise)
-// These are simplified GTO ranges for 100bb cash game
-export const OPENING_RANGES = {
-  UTG: new Set([
-    // Pairs
-    'AA', 'KK', 'QQ', 'JJ', 'TT', '99', '88', '77',
-    // Suited broadways
-    'AKs', 'AQs', 'AJs', 'ATs', 'KQs', 'KJs', 'QJs', 'JTs',
-    // Offsuit broadways
-    'AKo', 'AQo', 'AJo', 'KQo'
-  ]),
-
-  MP: new Set([
-    // Pairs
-    'AA', 'KK', 'QQ', 'JJ', 'TT', '99', '88', '77', '66',
-    // Suited broadways
-    'AKs', 'AQs', 'AJs', 'ATs', 'A9s', 'KQs', 'KJs', 'KTs', 'QJs', 'QTs', 'JTs', 'T9s',
-    // Offsuit broadways
-    'AKo', 'AQo', 'AJo', 'ATo', 'KQo', 'KJo'
-  ]),
-
-  CO: new Set([
-    // Pairs
-    'AA', 'KK', 'QQ', 'JJ', 'TT', '99', '88', '77', '66', '55', '44',
-    // Suited Ax
-    'AKs', 'AQs', 'AJs', 'ATs', 'A9s', 'A8s', 'A7s', 'A6s', 'A5s', 'A4s', 'A3s', 'A2s',
-    // Suited Kx
-    'KQs', 'KJs', 'KTs', 'K9s', 'K8s', 'K7s',
-    // Suited Qx
-    'QJs', 'QTs', 'Q9s',
-    // Suited connectors
-    'JTs', 'T9s', '98s', '87s', '76s', '65s',
-    // Offsuit broadways
-    'AKo', 'AQo', 'AJo', 'ATo', 'A9o', 'KQo', 'KJo', 'KTo', 'QJo', 'QTo', 'JTo'
-  ]),
-
-  BTN: new Set([
-    // All pairs
-    'AA', 'KK', 'QQ', 'JJ', 'TT', '99', '88', '77', '66', '55', '44', '33', '22',
-    // All suited Ax
-    'AKs', 'AQs', 'AJs', 'ATs', 'A9s', 'A8s', 'A7s', 'A6s', 'A5s', 'A4s', 'A3s', 'A2s',
-    // Suited Kx
-    'KQs', 'KJs', 'KTs', 'K9s', 'K8s', 'K7s', 'K6s', 'K5s', 'K4s', 'K3s', 'K2s',
-    // Suited Qx
-    'QJs', 'QTs', 'Q9s', 'Q8s', 'Q7s', 'Q6s',
-    // Suited Jx
-    'JTs', 'J9s', 'J8s', 'J7s',
-    // Suited connectors & gappers
-    'T9s', 'T8s', 'T7s', '98s', '97s', '96s', '87s', '86s', '76s', '75s', '65s', '64s', '54s', '53s', '43s',
-    // Offsuit broadways
-    'AKo', 'AQo', 'AJo', 'ATo', 'A9o', 'A8o', 'A7o', 'A6o', 'A5o', 'A4o', 'A3o', 'A2o',
-    'KQo', 'KJo', 'KTo', 'K9o', 'K8o',
-    'QJo', 'QTo', 'Q9o',
-    'JTo', 'J9o',
-    'T9o', 'T8o',
-    '98o', '87o'
-  ]),
-
-  SB: new Set([
-    // Pairs
-    'AA', 'KK', 'QQ', 'JJ', 'TT', '99', '88', '77', '66', '55', '44', '33', '22',
-    // Suited Ax
-    'AKs', 'AQs', 'AJs', 'ATs', 'A9s', 'A8s', 'A7s', 'A6s', 'A5s', 'A4s', 'A3s', 'A2s',
-    // Suited Kx
-    'KQs', 'KJs', 'KTs', 'K9s', 'K8s', 'K7s', 'K6s', 'K5s', 'K4s',
-    // Suited Qx
-    'QJs', 'QTs', 'Q9s', 'Q8s', 'Q7s',
-    // Suited Jx
-    'JTs', 'J9s', 'J8s',
-    // Suited connectors
-    'T9s', 'T8s', '98s', '97s', '87s', '86s', '76s', '75s', '65s', '64s', '54s',
-    // Offsuit broadways
-    'AKo', 'AQo', 'AJo', 'ATo', 'A9o', 'A8o', 'A7o', 'A6o', 'A5o',
-    'KQo', 'KJo', 'KTo', 'K9o',
-    'QJo', 'QTo', 'Q9o',
-    'JTo', 'J9o',
-    'T9o', '98o'
-  ]),
-
-  // BB doesn't have an opening range, but we can define a defending range
-  BB: new Set([]) // Will be populated differently for defense
+// Seats only a full-ring table has (LJ and HJ sit where 6-max UTG and MP do)
+export const FULL_RING_POSITIONS = {
+  'UTG+1': {
+    name: 'Under the Gun +1',
+    shortName: 'UTG+1',
+    description: 'Second to act at a full-ring table. Still very tight.'
+  },
+  'UTG+2': {
+    name: 'Under the Gun +2',
+    shortName: 'UTG+2',
+    description: 'Third to act at a full-ring table.'
+  },
+  LJ: {
+    name: 'Lojack',
+    shortName: 'LJ',
+    description: 'Five players behind, like 6-max UTG.'
+  },
+  HJ: {
+    name: 'Hijack',
+    shortName: 'HJ',
+    description: 'Two off the button, like 6-max MP.'
+  }
+};
+
+// Table formats: seats in preflop and postflop action order
+// (heads-up, the button posts the small blind: first preflop, last postflop)
+export const TABLE_FORMATS = {
+  'heads-up': {
+    name: 'Heads-up',
+    preflopOrder: ['BTN', 'BB'],
+    postflopOrder: ['BB', 'BTN']
+  },
+  '6max': {
+    name: '6-max',
+    preflopOrder: ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'],
+    postflopOrder: ['SB', 'BB', 'UTG', 'MP', 'CO', 'BTN']
+  },
+  '9max': {
+    name: '9-max',
+    preflopOrder: ['UTG', 'UTG+1', 'UTG+2', 'LJ', 'HJ', 'CO', 'BTN', 'SB', 'BB'],
+    postflopOrder: ['SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'LJ', 'HJ', 'CO', 'BTN']
+  }
+};
+export const DEFAULT_TABLE_FORMAT = '6max';
+
+// Effective stack depths (in BB) that have their own charts
+export const STACK_DEPTHS = [20, 40, 100, 200];
+export const DEFAULT_STACK_DEPTH = 100;
+
+// GTO Opening ranges by stack depth and position (hands to open/raise), written in range notation.
+// Short stacks drop the small pairs and suited connectors that need implied odds and open
+// more big aces; deep stacks open more speculative suited hands and fewer offsuit ones.
+// BB doesn't open, so its range is empty at every depth.
+export const OPENING_RANGES_BY_DEPTH = {
+  20: buildOpeningRanges({
+    UTG: '66+, A9s+, ATo+, KTs+, KQo, QJs',
+    MP: '55+, A7s+, A5s, ATo+, KTs+, KJo+, QTs+, JTs',
+    CO: '33+, A2s+, A8o+, K8s+, KTo+, Q9s+, QJo, J9s+, T9s',
+    BTN: '22+, A2s+, A2o+, K5s+, K8o+, Q8s+, QTo+, J8s+, JTo, T8s+, 98s',
+    SB: '22+, A2s+, A2o+, K2s+, K7o+, Q6s+, Q9o+, J7s+, J9o+, T7s+, T9o, 97s+, 86s+, 76s'
+  }),
+
+  40: buildOpeningRanges({
+    UTG: '77+, ATs+, A5s, AJo+, KTs+, KQo, QJs',
+    MP: '66+, A9s+, A5s-A4s, ATo+, KTs+, KJo+, QTs+, JTs',
+    CO: '44+, A2s+, A8o+, K8s+, KTo+, Q9s+, QTo+, J9s+, JTo, T9s, 98s',
+    BTN: '22+, A2s+, A2o+, K2s+, K7o+, Q5s+, Q9o+, J7s+, J9o+, T7s+, T9o, 97s+, 87s, 76s, 65s',
+    SB: '22+, A2s+, A2o+, K4s+, K8o+, Q7s+, Q9o+, J8s+, J9o+, T8s+, 98s, 87s'
+  }),
+
+  // Simplified GTO ranges for a 100bb cash game
+  100: buildOpeningRanges({
+    UTG: '77+, ATs+, AJo+, KJs+, KQo, QJs, JTs',
+    MP: '66+, A9s+, ATo+, KTs+, KJo+, QTs+, JTs, T9s',
+    CO: '44+, A2s+, A9o+, K7s+, KTo+, Q9s+, QTo+, JTs, JTo, T9s, 98s, 87s, 76s, 65s',
+    BTN: '22+, A2s+, A2o+, K2s+, K8o+, Q6s+, Q9o+, J7s+, J9o+, ' +
+      'T7s+, T8o+, 96s+, 98o, 86s+, 87o, 75s+, 64s+, 53s+, 43s',
+    SB: '22+, A2s+, A5o+, K4s+, K9o+, Q7s+, Q9o+, J8s+, J9o+, ' +
+      'T8s+, T9o, 97s+, 98o, 86s+, 75s+, 64s+, 54s'
+  }),
+
+  200: buildOpeningRanges({
+    UTG: '55+, A9s+, A5s-A4s, AJo+, KTs+, KQo, QTs+, JTs, T9s, 98s',
+    MP: '44+, A8s+, A5s-A3s, ATo+, K9s+, KJo+, Q9s+, J9s+, T9s, 98s, 87s',
+    CO: '22+, A2s+, ATo+, K6s+, KTo+, Q8s+, QJo, J8s+, JTo, T8s+, 97s+, 86s+, 75s+, 65s, 54s',
+    BTN: '22+, A2s+, A4o+, K2s+, K9o+, Q5s+, Q9o+, J6s+, J9o+, T6s+, T9o, 96s+, 98o, 85s+, 74s+, 64s+, 53s+, 43s',
+    SB: '22+, A2s+, A7o+, K3s+, KTo+, Q6s+, QTo+, J7s+, JTo, T7s+, 97s+, 86s+, 75s+, 64s+, 53s+, 43s'
+  })
+};
+
+// The 100BB charts (what the drills used before stack depths existed)
+export const OPENING_RANGES = OPENING_RANGES_BY_DEPTH[DEFAULT_STACK_DEPTH];
+
+// Full-ring seats in front of the lojack, by stack depth. From the lojack on, the same
+// number of players is left behind as at 6-max, so those seats play the 6-max charts.
+const FULL_RING_EARLY_RANGES = {
+  20: {
+    UTG: '88+, ATs+, AJo+, KQs',
+    'UTG+1': '77+, ATs+, AJo+, KJs+, KQo',
+    'UTG+2': '77+, A9s+, ATo+, KTs+, KQo'
+  },
+  40: {
+    UTG: '88+, ATs+, AQo+, KJs+, KQo',
+    'UTG+1': '88+, ATs+, AJo+, KJs+, KQo, QJs',
+    'UTG+2': '77+, ATs+, AJo+, KTs+, KQo, QJs'
+  },
+  100: {
+    UTG: '88+, ATs+, AQo+, KQs',
+    'UTG+1': '77+, ATs+, AQo+, KJs+, KQo, QJs',
+    'UTG+2': '77+, ATs+, AJo+, KJs+, KQo, QJs'
+  },
+  200: {
+    UTG: '66+, ATs+, A5s, AQo+, KJs+, KQo, QJs, JTs',
+    'UTG+1': '66+, ATs+, A5s, AJo+, KTs+, KQo, QJs, JTs, T9s',
+    'UTG+2': '55+, ATs+, A5s-A4s, AJo+, KTs+, KQo, QTs+, JTs, T9s'
+  }
+};
+
+// Heads-up button (posts the small blind and opens most hands at every depth)
+const HEADS_UP_BUTTON_RANGE = '22+, A2s+, A2o+, K2s+, K2o+, Q2s+, Q2o+, J2s+, J4o+, T2s+, T6o+, ' +
+  '92s+, 96o+, 84s+, 86o+, 73s+, 75o+, 63s+, 65o, 52s+, 54o, 42s+, 32s';
+
+// Opening ranges by table format, then stack depth
+const OPENING_RANGES_BY_FORMAT = {
+  'heads-up': Object.fromEntries(STACK_DEPTHS.map(depth => [depth, buildOpeningRanges({ BTN: HEADS_UP_BUTTON_RANGE })])),
+  '6max': OPENING_RANGES_BY_DEPTH,
+  '9max': Object.fromEntries(STACK_DEPTHS.map(depth => {
+    const sixMax = OPENING_RANGES_BY_DEPTH[depth];
+    return [depth, {
+      ...buildOpeningRanges(FULL_RING_EARLY_RANGES[depth]),
+      LJ: sixMax.UTG,
+      HJ: sixMax.MP,
+      CO: sixMax.CO,
+      BTN: sixMax.BTN,
+      SB: sixMax.SB
+    }];
+  }))
 };
 
+// Build a depth's position -> Set of hands
+function buildOpeningRanges(notation) {
+  return {
+    ...Object.fromEntries(Object.entries(notation).map(([position, range]) => [position, new Set(parseRangeHands(range))])),
+    BB: new Set([])
+  };
+}
+
+// Get the opening ranges for a stack depth and table format (the 100BB charts for depths without their own)
+export function getOpeningRanges(depth = DEFAULT_STACK_DEPTH, format = DEFAULT_TABLE_FORMAT) {
+  const byDepth = OPENING_RANGES_BY_FORMAT[format] || OPENING_RANGES_BY_DEPTH;
+  return byDepth[depth] || byDepth[DEFAULT_STACK_DEPTH];
+}
+
+// Spot key for stats and the review queue: the plain key at 100BB 6-max ('BTN'), tagged with
+// the depth and format otherwise ('BTN_20bb', 'UTG_9max') so answers from different charts don't mix
+export function getDepthSpotKey(spot, depth = DEFAULT_STACK_DEPTH, format = DEFAULT_TABLE_FORMAT) {
+  const depthKey = depth === DEFAULT_STACK_DEPTH ? spot : `${spot}_${depth}bb`;
+  return format === DEFAULT_TABLE_FORMAT ? depthKey : `${depthKey}_${format}`;
+}
+
+// Short label for a chart other than 100BB 6-max ('20BB', '9-max', '20BB 9-max'), empty otherwise
+export function getChartLabel(depth = DEFAULT_STACK_DEPTH, format = DEFAULT_TABLE_FORMAT) {
+  return [
+    depth === DEFAULT_STACK_DEPTH ? '' : `${depth}BB`,
+    format === DEFAULT_TABLE_FORMAT ? '' : TABLE_FORMATS[format].name
+  ].filter(Boolean).join(' ');
+}
+
+// Seats at a table format, in preflop order
+export function getTableSeats(format = DEFAULT_TABLE_FORMAT) {
+  return (TABLE_FORMATS[format] || TABLE_FORMATS[DEFAULT_TABLE_FORMAT]).preflopOrder;
+}
+
+// Seats that can open at a table format (everyone but the BB)
+export function getOpeningSeats(format = DEFAULT_TABLE_FORMAT) {
+  return getTableSeats(format).filter(position => position !== 'BB');
+}
+
+// CSS-safe name for a seat ('UTG+1' -> 'utg1')
+export function getPositionSlug(position) {
+  return position.toLowerCase().replace(/\+/g, '');
+}
+
 // Check if a hand is in the opening range for a position
 export function isInRange(hand, position) {
   const normalized = normalizeHand(hand);
@@ -148,8 +250,8 @@ export function getRangeHands(position) {
 }
 
 // Get range as a percentage
-export function getRangePercentage(position) {
-  const range = OPENING_RANGES[position];
+export function getRangePercentage(position, format = DEFAULT_TABLE_FORMAT) {
+  const range = getOpeningRanges(DEFAULT_STACK_DEPTH, format)[position];
   return range ? (range.size / 169 * 100).toFixed(1) : 0;
 }
 
@@ -257,9 +359,9 @@ export function getRangeDifference(userHands, targetPosition) {
   return { missing, extra };
 }
 
-// Get position info
+// Get position info (6-max and full-ring seats)
 export function getPositionInfo(position) {
-  return POSITIONS[position] || null;
+  return POSITIONS[position] || FULL_RING_POSITIONS[position] || null;
 }
 
 // Get all positions in order
@@ -348,7 +450,7 @@ export function isHandInRange(hand, position) {
   return isInRange(hand, position);
 }
 
-// Get the opening range Set for a position (used by drills)
-export function getOpeningRangeForPosition(position) {
-  return OPENING_RANGES[position] || new Set();
+// Get the opening range Set for a position at a stack depth and table format (used by drills)
+export function getOpeningRangeForPosition(position, depth = DEFAULT_STACK_DEPTH, format = DEFAULT_TABLE_FORMAT) {
+  return getOpeningRanges(depth, format)[position] || new Set();
 }
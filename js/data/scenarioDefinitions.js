@@ -0,0 +1,766 @@
+/**
+ * Scenario Definitions
+ * Preflop spots written as data and played by the generic scenario runner
+ * (js/scenarios/ScenarioRunner.js). Adding an entry here adds a scenario card,
+ * a route (#/scenario/<id>) and progress tracking - no new module needed.
+ *
+ * Definition fields:
+ * - id, title, description, icon, category, tier, badge: hub card metadata
+ * - subtitle, intro: start screen text (intro may contain HTML)
+ * - threshold: pass percentage (default 75); totalQuestions (default 20)
+ * - decisions: answer buttons ({ action, label, detail }); `action` must match a
+ *   range action label ('4-bet', '3-bet', 'Call', 'Fold')
+ * - prompt, whyItMatters: question text
+ * - explanations: { [action]: { text, points } } shown after each answer
+ * - questionMix: optional relative weights of the answers quizzed, by range action
+ *   ({ fourBet: 1, fold: 9 }); each answer on the buttons comes up equally otherwise
+ * - spots: one or more tables to quiz, each with
+ *   - key: stats and review queue key (e.g. 'UTG_vs_MP')
+ *   - hero, villain: positions
+ *   - actions: the action before hero decides ({ position, action, amount });
+ *     positions skipped on the first orbit are shown as folds
+ *   - potSize, effectiveStack: in BB, for 100BB stacks (other depths keep what hero
+ *     has put in and start from the chosen stack)
+ *   - ranges: 100BB range notation per action ({ fourBet, threeBet, call }); weighted hands
+ *     ('A5s:0.4') are mixed and fold the rest. An optional `fold` notation lists the
+ *     folds worth quizzing (otherwise the strongest hands outside the range come up).
+ *     Other stack depths shift them like the matching preflop strategy node.
+ *     Leave ranges out to use the preflop strategy library (js/data/preflopStrategy.js)
+ *   - any other values the text templates use
+ *
+ * Text fields are templates: {hand}, {hero}, {villain} and any other spot value
+ * in braces are filled in for each question.
+ */
+
+export const SCENARIO_DEFINITIONS = {
+  'defend-3bet': {
+    id: 'defend-3bet',
+    title: 'Defend vs 3-Bet',
+    description: 'You open, villain 3-bets. Call, 4-bet, or fold?',
+    icon: '&#x1F4B0;', // money bag
+    category: 'preflop',
+    tier: 1,
+    badge: null,
+    subtitle: 'You open, villain 3-bets. What\'s your play?',
+    intro: `
+      You've opened from CO or BTN and face a 3-bet. Decide whether to <strong>Call</strong>,
+      <strong>4-bet</strong>, or <strong>Fold</strong> based on your hand and the positions involved.
+    `,
+    threshold: 75,
+    totalQuestions: 20,
+    decisions: [
+      { action: 'Call', label: 'CALL', detail: '{toCall}BB more' },
+      { action: '4-bet', label: '4-BET', detail: '~{fourBetSize}BB' },
+      { action: 'Fold', label: 'FOLD' }
+    ],
+    prompt: 'You opened from {hero}, {villain} 3-bets. What\'s your action?',
+    whyItMatters: `
+      <p class="scenario-why-text">
+        Facing a 3-bet is one of the most important preflop decisions. Responding incorrectly costs you money:
+        calling too wide loses to their strong range, folding too much lets them steal, and 4-betting incorrectly
+        commits chips with weak hands.
+      </p>
+    `,
+    explanations: {
+      '4-bet': {
+        text: '{hand} is strong enough to 4-bet for value against {villain}\'s 3-bet range.',
+        points: [
+          'Premium hands build pots better by 4-betting',
+          'You want to get more money in preflop with strong holdings',
+          'Calling risks playing a multiway pot or letting villain realize equity'
+        ]
+      },
+      'Call': {
+        text: '{hand} has good playability but isn\'t strong enough to 4-bet for value.',
+        points: [
+          'Strong enough to continue but not to bloat the pot',
+          'Good implied odds and postflop playability',
+          'You can outplay villain postflop, especially with position'
+        ]
+      },
+      'Fold': {
+        text: '{hand} isn\'t strong enough to profitably continue against {villain}\'s 3-bet.',
+        points: [
+          'This hand doesn\'t have enough equity vs a 3-bet range',
+          'Calling leads to tough spots postflop',
+          'Better spots will come - don\'t burn money on marginal hands'
+        ]
+      }
+    },
+    spots: [
+      {
+        key: 'CO_vs_BTN',
+        hero: 'CO',
+        villain: 'BTN',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 },
+          { position: 'BTN', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 97.5,
+        toCall: 5.5,
+        fourBetSize: 20
+      },
+      {
+        key: 'CO_vs_SB',
+        hero: 'CO',
+        villain: 'SB',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 },
+          { position: 'SB', action: '3bet', amount: 10 }
+        ],
+        potSize: 13.5,
+        effectiveStack: 97.5,
+        toCall: 7.5,
+        fourBetSize: 22
+      },
+      {
+        key: 'CO_vs_BB',
+        hero: 'CO',
+        villain: 'BB',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 },
+          { position: 'BB', action: '3bet', amount: 10 }
+        ],
+        potSize: 14,
+        effectiveStack: 97.5,
+        toCall: 7.5,
+        fourBetSize: 22
+      },
+      {
+        key: 'BTN_vs_SB',
+        hero: 'BTN',
+        villain: 'SB',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 },
+          { position: 'SB', action: '3bet', amount: 10 }
+        ],
+        potSize: 13.5,
+        effectiveStack: 97.5,
+        toCall: 7.5,
+        fourBetSize: 22
+      },
+      {
+        key: 'BTN_vs_BB',
+        hero: 'BTN',
+        villain: 'BB',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 },
+          { position: 'BB', action: '3bet', amount: 10 }
+        ],
+        potSize: 14,
+        effectiveStack: 97.5,
+        toCall: 7.5,
+        fourBetSize: 22
+      }
+    ]
+  },
+
+  'bb-defense': {
+    id: 'bb-defense',
+    title: 'BB Defense',
+    description: 'Villain opens, you\'re in BB. Call, 3-bet, or fold?',
+    icon: '&#x1F6E1;', // shield
+    category: 'preflop',
+    tier: 1,
+    badge: null,
+    subtitle: 'Villain opens, you\'re in the big blind. Defend or fold?',
+    intro: `
+      You're in the <strong>Big Blind</strong> facing an open. You already have 1BB invested,
+      so you get a good price. Decide whether to <strong>Call</strong>, <strong>3-bet</strong>,
+      or <strong>Fold</strong>.
+    `,
+    threshold: 75,
+    totalQuestions: 20,
+    decisions: [
+      { action: 'Call', label: 'CALL', detail: '{toCall}BB more' },
+      { action: '3-bet', label: '3-BET', detail: '~{threeBetSize}BB' },
+      { action: 'Fold', label: 'FOLD' }
+    ],
+    prompt: '{villain} opens to {openSize}BB. You\'re in the BB. What\'s your action?',
+    whyItMatters: `
+      <p class="scenario-why-text">
+        BB defense is one of the most important skills in poker. You've already invested 1BB, so you're
+        getting good pot odds to defend. But defending too wide against tight openers or folding too much
+        against steals both hurt your win rate.
+      </p>
+    `,
+    explanations: {
+      '3-bet': {
+        text: '{hand} is strong enough to 3-bet for value/protection against {villain}\'s open.',
+        points: [
+          'Premium hands and some blockers should 3-bet to build pots',
+          '3-betting takes initiative and can win the pot preflop',
+          'Blocker hands (like A5s-A2s) make good bluff 3-bets'
+        ]
+      },
+      'Call': {
+        text: '{hand} is playable but not strong enough to 3-bet vs {villain}.',
+        points: [
+          'Good pot odds from the BB (already invested 1BB)',
+          'Playable hands that can flop well',
+          'Position disadvantage makes 3-betting riskier'
+        ]
+      },
+      'Fold': {
+        text: '{hand} isn\'t strong enough to defend against {villain}\'s range.',
+        points: [
+          '{villain} has a {openingRange} opening range',
+          'This hand doesn\'t have enough equity or playability',
+          'Even with pot odds, some hands are unprofitable to play'
+        ]
+      }
+    },
+    spots: [
+      {
+        key: 'vs_BTN',
+        hero: 'BB',
+        villain: 'BTN',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 10,
+        openingRange: 'wide'
+      },
+      {
+        key: 'vs_CO',
+        hero: 'BB',
+        villain: 'CO',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 10,
+        openingRange: 'medium'
+      },
+      {
+        key: 'vs_MP',
+        hero: 'BB',
+        villain: 'MP',
+        actions: [
+          { position: 'MP', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 10,
+        openingRange: 'medium'
+      },
+      {
+        key: 'vs_UTG',
+        hero: 'BB',
+        villain: 'UTG',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 10,
+        openingRange: 'tight'
+      },
+      {
+        key: 'vs_SB',
+        hero: 'BB',
+        villain: 'SB',
+        actions: [
+          { position: 'SB', action: 'open', amount: 2.5 }
+        ],
+        potSize: 3.5,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 8,
+        openingRange: 'wide'
+      }
+    ]
+  },
+
+  '3bet-value': {
+    id: '3bet-value',
+    title: '3-Bet for Value',
+    description: 'Identify when to 3-bet for value vs calling or folding.',
+    icon: '&#x1F4B8;', // money with wings
+    category: 'preflop',
+    tier: 1,
+    badge: null,
+    subtitle: 'Know which hands build the pot and which just call',
+    intro: `
+      Someone opens and the action is on you. <strong>3-bet</strong> the hands that are ahead of
+      the hands that call you (plus a few blockers), <strong>call</strong> the ones that play well
+      but don't want a big pot, and <strong>fold</strong> the rest.
+    `,
+    threshold: 75,
+    totalQuestions: 20,
+    decisions: [
+      { action: '3-bet', label: '3-BET', detail: '~{threeBetSize}BB' },
+      { action: 'Call', label: 'CALL', detail: '{toCall}BB more' },
+      { action: 'Fold', label: 'FOLD' }
+    ],
+    prompt: '{villain} opens to {openSize}BB. You\'re in {hero}. Should you 3-bet {hand}?',
+    whyItMatters: `
+      <p class="scenario-why-text">
+        Knowing which hands to 3-bet for value is crucial. 3-betting too wide turns value hands into bluffs,
+        while 3-betting too tight misses value with premiums. The correct range depends on your position
+        and the opener's range.
+      </p>
+    `,
+    explanations: {
+      '3-bet': {
+        text: '{hand} is strong enough to 3-bet from {hero} vs {villain}\'s open.',
+        points: [
+          'Premium hands should build pots by 3-betting',
+          'Value 3-betting denies equity to weaker hands',
+          'A few suited aces 3-bet as bluffs because they block the opener\'s best hands'
+        ]
+      },
+      'Call': {
+        text: '{hand} is playable but not strong enough to 3-bet for value.',
+        points: [
+          'This hand has value but doesn\'t dominate opener\'s calling range',
+          'Calling keeps in hands you beat while avoiding bloating the pot',
+          'Postflop playability is important for calling hands'
+        ]
+      },
+      'Fold': {
+        text: '{hand} isn\'t strong enough to continue vs {villain}\'s opening range.',
+        points: [
+          'This hand doesn\'t have enough equity against opener\'s range',
+          'Calling leads to difficult postflop situations',
+          'Save chips for better spots'
+        ]
+      }
+    },
+    spots: [
+      {
+        key: 'BB_vs_BTN',
+        hero: 'BB',
+        villain: 'BTN',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 10
+      },
+      {
+        key: 'BB_vs_CO',
+        hero: 'BB',
+        villain: 'CO',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99,
+        openSize: 2.5,
+        toCall: 1.5,
+        threeBetSize: 10
+      },
+      {
+        key: 'SB_vs_BTN',
+        hero: 'SB',
+        villain: 'BTN',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99.5,
+        openSize: 2.5,
+        toCall: 2,
+        threeBetSize: 10
+      },
+      {
+        key: 'CO_vs_UTG',
+        hero: 'CO',
+        villain: 'UTG',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 100,
+        openSize: 2.5,
+        toCall: 2.5,
+        threeBetSize: 7.5
+      },
+      {
+        key: 'CO_vs_MP',
+        hero: 'CO',
+        villain: 'MP',
+        actions: [
+          { position: 'MP', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 100,
+        openSize: 2.5,
+        toCall: 2.5,
+        threeBetSize: 7.5
+      },
+      {
+        key: 'BTN_vs_CO',
+        hero: 'BTN',
+        villain: 'CO',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 100,
+        openSize: 2.5,
+        toCall: 2.5,
+        threeBetSize: 7.5
+      },
+      {
+        key: 'BTN_vs_MP',
+        hero: 'BTN',
+        villain: 'MP',
+        actions: [
+          { position: 'MP', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 100,
+        openSize: 2.5,
+        toCall: 2.5,
+        threeBetSize: 7.5
+      }
+    ]
+  },
+
+  'sb-3bet-fold': {
+    id: 'sb-3bet-fold',
+    title: 'SB: 3-Bet or Fold',
+    description: 'From SB, learn when to 3-bet and when to fold (rarely call).',
+    icon: '&#x1F3AF;', // target
+    category: 'preflop',
+    tier: 1,
+    badge: null,
+    subtitle: 'From the small blind, 3-bet or get out of the way',
+    intro: `
+      You're in the <strong>Small Blind</strong> facing an open. Calling leaves you out of position
+      with the BB still to act, so the choice is <strong>3-bet</strong> or <strong>Fold</strong>.
+    `,
+    threshold: 75,
+    totalQuestions: 20,
+    decisions: [
+      { action: '3-bet', label: '3-BET', detail: '~{threeBetSize}BB' },
+      { action: 'Fold', label: 'FOLD' }
+    ],
+    prompt: '{villain} opens. You\'re in SB. 3-bet or fold?',
+    whyItMatters: `
+      <p class="scenario-why-text">
+        <strong>Why no call option?</strong> From the SB, calling is almost always -EV. You'll be out of
+        position against both the opener and the BB (who can squeeze). GTO solvers show SB should
+        3-bet or fold almost always. This simplified approach is much more profitable than flatting.
+      </p>
+    `,
+    explanations: {
+      '3-bet': {
+        text: '{hand} is strong enough to 3-bet from SB vs {villain}.',
+        points: [
+          'This hand has enough equity to 3-bet and isolate',
+          'Blockers (like Ax hands) reduce opponent\'s strong holdings',
+          '3-betting allows you to take initiative despite being OOP'
+        ]
+      },
+      'Fold': {
+        text: '{hand} isn\'t strong enough to 3-bet from SB vs {villain}.',
+        points: [
+          'This hand plays poorly OOP against the opener\'s range',
+          'Calling from SB is rarely correct - you\'ll be OOP vs everyone',
+          'Against {villain}\'s {openingRange} range, fold is correct'
+        ]
+      }
+    },
+    spots: [
+      {
+        key: 'vs_BTN',
+        hero: 'SB',
+        villain: 'BTN',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99.5,
+        threeBetSize: 10,
+        openingRange: 'wide'
+      },
+      {
+        key: 'vs_CO',
+        hero: 'SB',
+        villain: 'CO',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99.5,
+        threeBetSize: 10,
+        openingRange: 'medium'
+      },
+      {
+        key: 'vs_MP',
+        hero: 'SB',
+        villain: 'MP',
+        actions: [
+          { position: 'MP', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99.5,
+        threeBetSize: 10,
+        openingRange: 'medium'
+      },
+      {
+        key: 'vs_UTG',
+        hero: 'SB',
+        villain: 'UTG',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 }
+        ],
+        potSize: 4,
+        effectiveStack: 99.5,
+        threeBetSize: 10,
+        openingRange: 'tight'
+      }
+    ]
+  },
+
+  'cold-4bet': {
+    id: 'cold-4bet',
+    title: 'Cold 4-Bet Spots',
+    description: 'Someone opens, another 3-bets. 4-bet or fold?',
+    icon: '&#x1F525;', // fire
+    category: 'preflop',
+    tier: 2,
+    badge: 'simplified',
+    subtitle: 'An open and a 3-bet in front of you. 4-bet or fold?',
+    intro: `
+      Someone opens and another player 3-bets before the action reaches you. Cold calling is
+      rarely right here, so <strong>4-bet</strong> the very top of your range and
+      <strong>fold</strong> everything else. This is a simplified scenario.
+    `,
+    threshold: 70,
+    totalQuestions: 20,
+    decisions: [
+      { action: '4-bet', label: '4-BET', detail: '~22BB' },
+      { action: 'Fold', label: 'FOLD' }
+    ],
+    prompt: '{opener} opens, {villain} 3-bets. You\'re in {hero}.',
+    whyItMatters: `
+      <p class="scenario-why-text">
+        <strong>Cold 4-betting is rare.</strong> You're facing two strong ranges: the opener (who opened)
+        and the 3-bettor (who thought their hand was strong enough to re-raise).
+        <br><br>
+        Even hands like AK and QQ are often folds here. The only hands strong enough to cold 4-bet
+        are typically AA and KK. When in doubt, fold.
+      </p>
+    `,
+    explanations: {
+      '4-bet': {
+        text: '{hand} is strong enough to cold 4-bet.',
+        points: [
+          'Only the very top of your range is strong enough to cold 4-bet',
+          'You\'re facing both an opener\'s range and a 3-bettor\'s range',
+          'These premium hands dominate both ranges'
+        ]
+      },
+      'Fold': {
+        text: '{hand} should fold facing an open and 3-bet.',
+        points: [
+          'Even strong pairs and big aces are often folds in this spot',
+          'You\'re facing two strong ranges - the opener and 3-bettor',
+          'Cold calling is -EV, and 4-betting would be as a bluff',
+          '"If you\'re not sure, fold is rarely wrong here"'
+        ]
+      }
+    },
+    // Most hands here are folds; quiz them that way
+    questionMix: { fourBet: 1, fold: 9 },
+    spots: [
+      {
+        key: 'CO_vs_UTG_MP',
+        hero: 'CO',
+        villain: 'MP',
+        opener: 'UTG',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 },
+          { position: 'MP', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 100
+      },
+      {
+        key: 'BTN_vs_UTG_MP',
+        hero: 'BTN',
+        villain: 'MP',
+        opener: 'UTG',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 },
+          { position: 'MP', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 100
+      },
+      {
+        key: 'BTN_vs_MP_CO',
+        hero: 'BTN',
+        villain: 'CO',
+        opener: 'MP',
+        actions: [
+          { position: 'MP', action: 'open', amount: 2.5 },
+          { position: 'CO', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 100
+      },
+      {
+        key: 'SB_vs_CO_BTN',
+        hero: 'SB',
+        villain: 'BTN',
+        opener: 'CO',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 },
+          { position: 'BTN', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 99.5
+      },
+      {
+        key: 'BB_vs_CO_BTN',
+        hero: 'BB',
+        villain: 'BTN',
+        opener: 'CO',
+        actions: [
+          { position: 'CO', action: 'open', amount: 2.5 },
+          { position: 'BTN', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 99
+      },
+      {
+        key: 'BB_vs_BTN_SB',
+        hero: 'BB',
+        villain: 'SB',
+        opener: 'BTN',
+        actions: [
+          { position: 'BTN', action: 'open', amount: 2.5 },
+          { position: 'SB', action: '3bet', amount: 8 }
+        ],
+        potSize: 11.5,
+        effectiveStack: 99
+      }
+    ]
+  },
+
+  'utg-vs-3bet': {
+    id: 'utg-vs-3bet',
+    title: 'UTG vs 3-Bet',
+    description: 'You open UTG and get 3-bet. 4-bet, call, or fold?',
+    icon: '&#x1F9F1;', // brick
+    category: 'preflop',
+    tier: 1,
+    badge: null,
+    subtitle: 'Defend a tight opening range against a 3-bet',
+    intro: `
+      You open from <strong>UTG</strong> and a later position 3-bets. Your range is the
+      strongest at the table, so <strong>4-bet</strong> the top, <strong>call</strong>
+      the hands that play well in position or with set value, and <strong>fold</strong> the rest.
+    `,
+    threshold: 75,
+    totalQuestions: 20,
+    decisions: [
+      { action: '4-bet', label: '4-BET', detail: '~{fourBetSize}BB' },
+      { action: 'Call', label: 'CALL', detail: '{toCall}BB more' },
+      { action: 'Fold', label: 'FOLD' }
+    ],
+    prompt: 'You opened UTG, {villain} 3-bets to {threeBetSize}BB. What\'s your action?',
+    whyItMatters: `
+      <p class="scenario-why-text">
+        UTG opens are tight, so a 3-bet against them is strong too. Folding too much lets
+        players 3-bet you light; calling too much leaves you out of position with dominated hands.
+      </p>
+    `,
+    explanations: {
+      '4-bet': {
+        text: '{hand} is strong enough to 4-bet against {villain}\'s 3-bet.',
+        points: [
+          'Your UTG range is tight, so its top still crushes a 3-bet range',
+          'A few suited wheel aces 4-bet as bluffs because they block AA and AK',
+          'Calling lets {villain} realize equity cheaply'
+        ]
+      },
+      'Call': {
+        text: '{hand} plays well enough to call {villain}\'s 3-bet, but not to 4-bet.',
+        points: [
+          'Strong pairs and suited broadways do well against a 3-bet range',
+          'Small and medium pairs need deep stacks for set value',
+          'Calling keeps {villain}\'s bluffs in'
+        ]
+      },
+      'Fold': {
+        text: '{hand} doesn\'t have enough equity against {villain}\'s 3-bet.',
+        points: [
+          'Offsuit broadways are often dominated by AK, AQ and KQ',
+          'You\'ll be in tough spots postflop with a capped hand',
+          'Folding the bottom of a UTG range costs only the open'
+        ]
+      }
+    },
+    spots: [
+      {
+        key: 'UTG_vs_MP',
+        hero: 'UTG',
+        villain: 'MP',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 },
+          { position: 'MP', action: '3bet', amount: 7.5 }
+        ],
+        potSize: 11.5,
+        effectiveStack: 97.5,
+        threeBetSize: 7.5,
+        toCall: 5,
+        fourBetSize: 20,
+        ranges: {
+          fourBet: 'KK+, QQ:0.3, AKs, AKo:0.5, A5s:0.4, A4s:0.3',
+          call: 'QQ:0.7, JJ-99, 88:0.6, 77:0.4, AQs, AJs:0.7, KQs, KJs:0.5, QJs:0.5, JTs:0.6, T9s:0.3, AKo:0.5, AQo:0.3',
+          fold: '66-22, ATs-A6s, A3s-A2s, KTs-K9s, QTs, J9s, 98s, 87s, AJo-ATo, KQo-KJo, QJo'
+        }
+      },
+      {
+        key: 'UTG_vs_BTN',
+        hero: 'UTG',
+        villain: 'BTN',
+        actions: [
+          { position: 'UTG', action: 'open', amount: 2.5 },
+          { position: 'BTN', action: '3bet', amount: 8 }
+        ],
+        potSize: 12,
+        effectiveStack: 97.5,
+        threeBetSize: 8,
+        toCall: 5.5,
+        fourBetSize: 22,
+        ranges: {
+          fourBet: 'KK+, QQ:0.5, AKs, AKo:0.6, A5s:0.5, A4s:0.4',
+          call: 'QQ:0.5, JJ-88, 77:0.6, 66:0.4, AQs, AJs, ATs:0.5, KQs, KJs:0.7, QJs:0.7, JTs, T9s:0.5, AKo:0.4, AQo:0.5',
+          fold: '55-22, A9s-A6s, A3s-A2s, KTs-K9s, QTs, J9s, 98s, 87s, AJo-ATo, KQo-KJo, QJo'
+        }
+      }
+    ]
+  }
+};
+
+/**
+ * Get a scenario definition by ID
+ * @param {string} id - Scenario ID
+ * @returns {Object|null}
+ */
+export function getScenarioDefinition(id) {
+  return SCENARIO_DEFINITIONS[id] || null;
+}
@@ -9,10 +9,14 @@
  * - Red Chip Poker (sGTO approach)
  *
  * Note: These are simplified ranges based on consensus across sources.
- * Mixed strategy hands are simplified to single actions.
+ * Mixed-strategy hands stay listed under their most frequent action, and
+ * their full action frequencies live in each range's `mixed` map
+ * (e.g. A5s: { threeBet: 0.6, call: 0.4 }).
  * See docs/gto-range-research.md for full source documentation.
  */
 
+import { parseRange } from './rangeNotation.js';
+
 // ============================================
 // 3-BET DEFENSE RANGES
 // When you open and face a 3-bet: Call / 4-bet / Fold
@@ -29,7 +33,12 @@ export const DEFEND_VS_3BET = {
       'QJs', 'JTs',
       'AQo'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'QQ': { fourBet: 0.7, call: 0.3 },
+      'JJ': { call: 0.75, fourBet: 0.25 },
+      'AQo': { call: 0.55, fold: 0.45 }
+    }
   },
 
   // CO opens, SB 3-bets
@@ -86,7 +95,12 @@ export const DEFEND_VS_3BET = {
       '98s',
       'AQo', 'AJo', 'ATo', 'KQo', 'KJo'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'QQ': { fourBet: 0.65, call: 0.35 },
+      'KJo': { call: 0.6, fold: 0.4 },
+      'A5s': { fold: 0.6, fourBet: 0.4 }
+    }
   },
 
   // MP opens, CO 3-bets
@@ -145,7 +159,16 @@ export const BB_DEFENSE = {
       'QJo', 'QTo',
       'JTo'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'JJ': { threeBet: 0.65, call: 0.35 },
+      'AQo': { threeBet: 0.7, call: 0.3 },
+      'A5s': { threeBet: 0.6, call: 0.4 },
+      'A4s': { threeBet: 0.55, call: 0.45 },
+      'KJo': { call: 0.75, fold: 0.25 },
+      'JTo': { call: 0.6, fold: 0.4 },
+      'K6s': { fold: 0.55, call: 0.45 }
+    }
   },
 
   // vs CO open (~40-45% defend)
@@ -172,7 +195,13 @@ export const BB_DEFENSE = {
       'KQo', 'KJo',
       'QJo'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'JJ': { threeBet: 0.6, call: 0.4 },
+      'A5s': { threeBet: 0.6, call: 0.4 },
+      'AQo': { call: 0.6, threeBet: 0.4 },
+      'QJo': { call: 0.55, fold: 0.45 }
+    }
   },
 
   // vs MP open (~30-35% defend)
@@ -197,7 +226,11 @@ export const BB_DEFENSE = {
       'AQo', 'AJo',
       'KQo'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'A5s': { threeBet: 0.55, call: 0.45 },
+      'KQo': { call: 0.6, fold: 0.4 }
+    }
   },
 
   // vs UTG open (~25-30% defend)
@@ -219,7 +252,11 @@ export const BB_DEFENSE = {
       'AQo', 'AJo',
       'KQo'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'QQ': { threeBet: 0.7, call: 0.3 },
+      'AQo': { call: 0.55, fold: 0.45 }
+    }
   },
 
   // vs SB open (~50%+ defend - getting good price)
@@ -250,7 +287,11 @@ export const BB_DEFENSE = {
       'JTo', 'J9o',
       'T9o'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'K9s': { threeBet: 0.55, call: 0.45 },
+      'T9o': { call: 0.6, fold: 0.4 }
+    }
   }
 };
 
@@ -304,7 +345,12 @@ export const SB_3BET_OR_FOLD = {
       'A5s', 'A4s', 'A3s', 'A2s',  // Bluff 3-bets
       'K5s', 'K4s'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'K5s': { threeBet: 0.6, fold: 0.4 },
+      'K4s': { threeBet: 0.55, fold: 0.45 },
+      'AJo': { threeBet: 0.7, fold: 0.3 }
+    }
   },
 
   // vs CO open
@@ -316,7 +362,11 @@ export const SB_3BET_OR_FOLD = {
       'KQs',
       'A5s', 'A4s'
     ],
-    fold: 'everything else'
+    fold: 'everything else',
+    mixed: {
+      'A4s': { threeBet: 0.6, fold: 0.4 },
+      'KJs': { fold: 0.55, threeBet: 0.45 }
+    }
   },
 
   // vs MP open
@@ -407,23 +457,176 @@ export function isHandInRange(hand, range) {
   return range.includes(hand);
 }
 
+// Range action keys and the answer labels the scenarios use for them
+export const ACTION_LABELS = {
+  fiveBet: '5-bet',
+  fourBet: '4-bet',
+  threeBet: '3-bet',
+  open: 'Open',
+  raise: 'Raise',
+  limp: 'Limp',
+  call: 'Call',
+  check: 'Check',
+  fold: 'Fold'
+};
+
+// Actions a range can list hands under, most aggressive first
+const RANGE_ACTIONS = ['fiveBet', 'fourBet', 'threeBet', 'open', 'raise', 'limp', 'call', 'check'];
+
+// Normalize an action name for comparison (e.g. '3-bet', 'threeBet' -> '3bet')
+function normalizeActionName(action) {
+  const lower = String(action).toLowerCase().replace(/[- ]/g, '');
+  if (lower === 'fivebet') return '5bet';
+  if (lower === 'fourbet') return '4bet';
+  if (lower === 'threebet') return '3bet';
+  return lower;
+}
+
+// The action for hands a range doesn't list (fold, or check in a limped pot)
+function getRestAction(rangeData) {
+  return rangeData.rest || 'fold';
+}
+
+/**
+ * Get the action frequencies for a hand in a scenario
+ * @param {string} hand - Hand notation
+ * @param {Object} rangeData - Range data object with action arrays and an optional `mixed` map
+ * @returns {Object} Map of action label to frequency (e.g. { '3-bet': 0.6, 'Call': 0.4 })
+ */
+export function getActionFrequencies(hand, rangeData) {
+  const mixed = rangeData.mixed && rangeData.mixed[hand];
+
+  if (mixed) {
+    const frequencies = {};
+    Object.entries(mixed).forEach(([action, frequency]) => {
+      if (ACTION_LABELS[action] && frequency > 0) {
+        frequencies[ACTION_LABELS[action]] = frequency;
+      }
+    });
+
+    // A mix with no positive weights falls back to the hand's pure action
+    if (Object.keys(frequencies).length > 0) return frequencies;
+  }
+
+  const action = RANGE_ACTIONS.find(key => isHandInRange(hand, rangeData[key]));
+  return { [ACTION_LABELS[action || getRestAction(rangeData)]]: 1 };
+}
+
+/**
+ * Get the answer labels a range uses, most aggressive first
+ * @param {Object} rangeData - Range data object
+ * @returns {Array} Action labels (e.g. ['3-bet', 'Call', 'Fold'])
+ */
+export function getAvailableActions(rangeData) {
+  const mixedActions = new Set(Object.values(rangeData.mixed || {}).flatMap(Object.keys));
+  const rest = getRestAction(rangeData);
+
+  return [...RANGE_ACTIONS, 'fold']
+    .filter(action => action === rest || mixedActions.has(action) || (RANGE_ACTIONS.includes(action) && rangeData[action]?.length > 0))
+    .map(action => ACTION_LABELS[action]);
+}
+
+/**
+ * Check if a hand plays a mixed strategy in a scenario
+ * @param {string} hand - Hand notation
+ * @param {Object} rangeData - Range data object
+ * @returns {boolean}
+ */
+export function isMixedHand(hand, rangeData) {
+  return Object.keys(getActionFrequencies(hand, rangeData)).length > 1;
+}
+
 /**
  * Get the correct action for a hand in a scenario
+ * Mixed hands return their most frequent action; with nothing weighted, the rest action
  * @param {string} hand - Hand notation
  * @param {Object} rangeData - Range data object with action arrays
  * @returns {string} The correct action
  */
 export function getCorrectAction(hand, rangeData) {
-  if (rangeData.fourBet && isHandInRange(hand, rangeData.fourBet)) {
-    return '4-bet';
-  }
-  if (rangeData.threeBet && isHandInRange(hand, rangeData.threeBet)) {
-    return '3-bet';
-  }
-  if (rangeData.call && isHandInRange(hand, rangeData.call)) {
-    return 'Call';
+  const frequencies = getActionFrequencies(hand, rangeData);
+  const actions = Object.keys(frequencies);
+
+  return actions.reduce((best, action) =>
+    frequencies[action] > frequencies[best] ? action : best
+  , actions[0] || ACTION_LABELS[getRestAction(rangeData)]);
+}
+
+/**
+ * Pick an action for a hand at its strategy frequencies
+ * @param {string} hand - Hand notation
+ * @param {Object} rangeData - Range data object
+ * @returns {string} Sampled action label
+ */
+export function sampleAction(hand, rangeData) {
+  const frequencies = getActionFrequencies(hand, rangeData);
+  const actions = Object.keys(frequencies);
+  const total = actions.reduce((sum, action) => sum + frequencies[action], 0);
+  let roll = Math.random() * total;
+
+  for (const action of actions) {
+    roll -= frequencies[action];
+    if (roll < 0) return action;
   }
-  return 'Fold';
+
+  return actions[actions.length - 1];
+}
+
+/**
+ * Grade an answer against a hand's strategy
+ * The most frequent action earns full credit, other actions the strategy takes
+ * earn credit in proportion to their frequency, and anything else earns none.
+ * @param {string} answer - The player's action
+ * @param {string} hand - Hand notation
+ * @param {Object} rangeData - Range data object
+ * @returns {{correct: boolean, credit: number, correctAnswer: string, frequencies: Object}}
+ */
+export function gradeAction(answer, hand, rangeData) {
+  const frequencies = getActionFrequencies(hand, rangeData);
+  const correctAnswer = getCorrectAction(hand, rangeData);
+
+  const answered = Object.keys(frequencies)
+    .find(action => normalizeActionName(action) === normalizeActionName(answer));
+  const frequency = answered ? frequencies[answered] : 0;
+  const credit = Math.round((frequency / frequencies[correctAnswer]) * 100) / 100;
+
+  return {
+    correct: credit === 1,
+    credit,
+    correctAnswer,
+    frequencies
+  };
+}
+
+/**
+ * Format action frequencies for display (e.g. '3-bet 60% / Call 40%')
+ * @param {Object} frequencies - Map of action label to frequency
+ * @returns {string}
+ */
+export function formatFrequencies(frequencies) {
+  return Object.entries(frequencies)
+    .sort((a, b) => b[1] - a[1])
+    .map(([action, frequency]) => `${action} ${Math.round(frequency * 100)}%`)
+    .join(' / ');
+}
+
+/**
+ * Get every hand that is not a pure fold with its action frequencies
+ * @param {Object} rangeData - Range data object
+ * @returns {Object} Map of hand to frequency map, for RangeGrid's `actions` option
+ */
+export function getRangeActions(rangeData) {
+  const hands = new Set([
+    ...RANGE_ACTIONS.flatMap(action => rangeData[action] || []),
+    ...Object.keys(rangeData.mixed || {})
+  ]);
+
+  const actions = {};
+  hands.forEach(hand => {
+    actions[hand] = getActionFrequencies(hand, rangeData);
+  });
+
+  return actions;
 }
 
 /**
@@ -434,30 +637,29 @@ export function getCorrectAction(hand, rangeData) {
 export function getRangeBreakdown(rangeData) {
   const breakdown = [];
 
-  if (rangeData.fourBet) {
-    breakdown.push({
-      action: '4-bet',
-      hands: rangeData.fourBet.join(', ')
-    });
-  }
+  RANGE_ACTIONS.filter(action => rangeData[action]).forEach(action => {
+    const hands = rangeData[action];
 
-  if (rangeData.threeBet) {
     breakdown.push({
-      action: '3-bet',
-      hands: rangeData.threeBet.join(', ')
+      action: ACTION_LABELS[action],
+      hands: action === 'call'
+        ? hands.slice(0, 10).join(', ') + (hands.length > 10 ? '...' : '')
+        : hands.join(', ')
     });
-  }
+  });
 
-  if (rangeData.call) {
+  if (rangeData.mixed) {
     breakdown.push({
-      action: 'Call',
-      hands: rangeData.call.slice(0, 10).join(', ') + (rangeData.call.length > 10 ? '...' : '')
+      action: 'Mixed',
+      hands: Object.keys(rangeData.mixed)
+        .map(hand => `${hand} (${formatFrequencies(getActionFrequencies(hand, rangeData))})`)
+        .join(', ')
     });
   }
 
   if (rangeData.fold) {
     breakdown.push({
-      action: 'Fold',
+      action: ACTION_LABELS[getRestAction(rangeData)],
       hands: typeof rangeData.fold === 'string' ? rangeData.fold : rangeData.fold.join(', ')
     });
   }
@@ -465,6 +667,123 @@ export function getRangeBreakdown(rangeData) {
   return breakdown;
 }
 
+/**
+ * Build range data from range notation, one string per action
+ * Weighted hands (e.g. 'A5s:0.4') become mixed hands; whatever weight is left folds
+ * (or takes the `rest` action, e.g. 'check' in a limped pot).
+ * @param {Object} notation - Notation per action ({ fourBet, threeBet, open, call, ... }),
+ *   plus an optional `fold` notation listing the folds worth quizzing and `rest`
+ * @returns {Object|null} Range data object, or null if the notation is invalid
+ */
+export function buildRangeData(notation) {
+  const rangeData = notation.rest ? { rest: notation.rest } : {};
+  const rest = getRestAction(rangeData);
+  const weights = {};
+
+  for (const action of RANGE_ACTIONS) {
+    if (!notation[action]) continue;
+
+    const parsed = parseRange(notation[action]);
+    if (!parsed) return null;
+
+    rangeData[action] = [];
+    Object.entries(parsed).forEach(([hand, weight]) => {
+      weights[hand] = { ...weights[hand], [action]: weight };
+    });
+  }
+
+  const mixed = {};
+  for (const [hand, actions] of Object.entries(weights)) {
+    const total = Object.values(actions).reduce((sum, weight) => sum + weight, 0);
+    if (total > 1.001) {
+      console.error(`Action weights for ${hand} add up to more than 1`);
+      return null;
+    }
+
+    const frequencies = { ...actions };
+    if (total < 0.999) {
+      frequencies[rest] = Math.round((1 - total) * 100) / 100;
+    }
+
+    // Listed under the most frequent action, like the hand-written ranges
+    const primary = Object.keys(frequencies).reduce((best, action) =>
+      frequencies[action] > frequencies[best] ? action : best
+    );
+    if (primary !== rest) rangeData[primary].push(hand);
+
+    if (Object.keys(frequencies).length > 1) mixed[hand] = frequencies;
+  }
+
+  if (Object.keys(mixed).length > 0) rangeData.mixed = mixed;
+
+  if (notation.fold) {
+    const folds = parseRange(notation.fold);
+    if (!folds) return null;
+    rangeData.fold = Object.keys(folds).filter(hand => !weights[hand]);
+  } else {
+    rangeData.fold = 'everything else';
+  }
+
+  return rangeData;
+}
+
+// Raise actions, most aggressive first (the 'raise' shift goes to the first one a range uses)
+const RAISE_ACTIONS = ['fiveBet', 'fourBet', 'threeBet', 'open', 'raise'];
+
+/**
+ * Copy range data with some hands moved to a different action (e.g. to fit a 100BB
+ * chart to another stack depth). Moved hands play their new action every time.
+ * @param {Object} rangeData - Range data object
+ * @param {Object} shifts - Notation per action: `raise` (the range's most aggressive
+ *   raise), `call` or `fold`. Calls are skipped for ranges that never call.
+ * @returns {Object|null} New range data object, or null if the notation is invalid
+ */
+export function shiftRangeData(rangeData, shifts) {
+  const raiseAction = RAISE_ACTIONS.find(action => rangeData[action]?.length > 0);
+  const targets = {
+    raise: raiseAction,
+    call: rangeData.call?.length > 0 ? 'call' : null,
+    fold: 'fold'
+  };
+
+  const shifted = { ...rangeData };
+  RANGE_ACTIONS.filter(action => rangeData[action]).forEach(action => {
+    shifted[action] = [...rangeData[action]];
+  });
+  const mixed = { ...rangeData.mixed };
+  if (Array.isArray(rangeData.fold)) shifted.fold = [...rangeData.fold];
+
+  for (const [shift, notation] of Object.entries(shifts)) {
+    const target = targets[shift];
+    if (!target) continue;
+
+    const parsed = parseRange(notation);
+    if (!parsed) return null;
+
+    Object.keys(parsed).forEach(hand => {
+      RANGE_ACTIONS.filter(action => shifted[action]).forEach(action => {
+        shifted[action] = shifted[action].filter(listed => listed !== hand);
+      });
+      if (Array.isArray(shifted.fold)) shifted.fold = shifted.fold.filter(listed => listed !== hand);
+      delete mixed[hand];
+
+      if (target !== 'fold') {
+        shifted[target].push(hand);
+      } else if (Array.isArray(shifted.fold)) {
+        shifted.fold.push(hand);
+      }
+    });
+  }
+
+  if (Object.keys(mixed).length > 0) {
+    shifted.mixed = mixed;
+  } else {
+    delete shifted.mixed;
+  }
+
+  return shifted;
+}
+
 /**
  * Get a random hand from a specific action category
  * @param {Object} rangeData - Range data object
@@ -0,0 +1,111 @@
+/**
+ * Turn & River Strategy
+ * Barrel and bluff-catch math for single-raised pots: which hands keep going on
+ * each street, how a polarized river bet is built, and when a bet or call pays.
+ * Simplified for teaching: hand classes come from classifyPostflopHand (js/data/cbetStrategy.js).
+ */
+
+import { classifyPostflopHand } from './cbetStrategy.js';
+
+// Board cards showing on each street
+export const STREET_CARDS = { flop: 3, turn: 4, river: 5 };
+
+// Hands that call a bet (draws only while cards are to come; on the river they're air)
+export const CALLING_CLASSES = ['strong', 'medium', 'draw'];
+
+// Hands that keep betting the turn: value and semi-bluffs
+export const BARREL_CLASSES = ['strong', 'draw'];
+
+// Hands that check behind when they could bet: showdown value and give-ups
+export const CHECK_BACK_CLASSES = ['medium', 'air'];
+
+// Equity when called (%) a value bet needs: called by worse more often than by better
+export const VALUE_BET_EQUITY = 50;
+
+/**
+ * Keep the combos whose hand class on a board is one of `classes`
+ * @param {Array} combos - Two-card combos
+ * @param {Array} board - 3-5 board cards
+ * @param {Array|null} classes - Keys of POSTFLOP_HAND_CLASSES, or null to keep everything
+ * @returns {Array} Remaining combos
+ */
+export function filterCombosByClass(combos, board, classes) {
+  if (!classes) return combos;
+  return combos.filter(combo => classes.includes(classifyPostflopHand(combo, board)));
+}
+
+/**
+ * Share of a polarized betting range that should be bluffs, so a bluff-catcher
+ * is indifferent to calling (bet / (pot + 2 x bet))
+ * @param {number} betFraction - Bet size as a fraction of the pot
+ * @returns {number} Bluff share (0-1)
+ */
+export function getBluffShare(betFraction) {
+  return betFraction / (1 + 2 * betFraction);
+}
+
+/**
+ * Build a polarized river betting range: every strong hand, plus enough air to
+ * reach the balanced bluff share for the bet size
+ * @param {Array} combos - The bettor's river range
+ * @param {Array} board - Five board cards
+ * @param {number} betFraction - Bet size as a fraction of the pot
+ * @returns {{value: Array, bluffs: Array}} Value and bluff combos (value is empty if nothing bets)
+ */
+export function getRiverBettingRange(combos, board, betFraction) {
+  const value = filterCombosByClass(combos, board, ['strong']);
+  const air = filterCombosByClass(combos, board, ['air']);
+
+  const share = getBluffShare(betFraction);
+  const bluffCount = Math.min(air.length, Math.round((value.length * share) / (1 - share)));
+
+  // Spread the bluffs across the air rather than taking one corner of the range
+  const step = air.length / Math.max(bluffCount, 1);
+  const bluffs = Array.from({ length: bluffCount }, (_, i) => air[Math.floor(i * step)]);
+
+  return { value, bluffs };
+}
+
+/**
+ * Decide whether hero should bet or check
+ * @param {Object} spot
+ * @param {string} spot.street - 'turn' or 'river'
+ * @param {string} spot.handClass - Hero's key of POSTFLOP_HAND_CLASSES
+ * @param {number|null} spot.equityWhenCalled - Hero's equity (%) against the hands that call, or null if nothing calls
+ * @param {number} spot.foldShare - Share (%) of villain's range that folds to the bet
+ * @param {number} spot.requiredFolds - Share (%) of folds a pure bluff needs (bet / (pot + bet))
+ * @returns {{action: string, reason: string}} 'Bet' or 'Check' and why
+ */
+export function getBarrelAction({ street, handClass, equityWhenCalled, foldShare, requiredFolds }) {
+  if (equityWhenCalled !== null && equityWhenCalled >= VALUE_BET_EQUITY) {
+    return { action: 'Bet', reason: 'Value: the hands that call are worse more often than not' };
+  }
+
+  if (street !== 'river' && handClass === 'draw') {
+    return { action: 'Bet', reason: 'Semi-bluff: folds win the pot now, and the draw can still improve when called' };
+  }
+
+  if (handClass === 'air' && foldShare >= requiredFolds) {
+    return { action: 'Bet', reason: 'Bluff: enough of their range folds for the bet to profit on its own' };
+  }
+
+  if (handClass === 'air') {
+    return { action: 'Check', reason: 'Give up: too few hands fold for a bluff to pay, and you have no equity when called' };
+  }
+
+  return { action: 'Check', reason: 'Showdown value: a bet folds out worse hands and gets called by better ones' };
+}
+
+/**
+ * Decide whether hero should call a river bet
+ * @param {number} equity - Hero's equity (%) against the betting range
+ * @param {number} requiredEquity - Equity (%) the pot odds demand
+ * @returns {{action: string, reason: string}} 'Call' or 'Fold' and why
+ */
+export function getBluffCatchAction(equity, requiredEquity) {
+  if (equity >= requiredEquity) {
+    return { action: 'Call', reason: 'You win often enough against their value bets and bluffs to beat the price' };
+  }
+
+  return { action: 'Fold', reason: 'Their betting range has too much value for the price' };
+}
@@ -0,0 +1,658 @@
+/**
+ * Combos Drill
+ * Count hand combos: how many each hand type has, how many the board leaves, and how many
+ * of villain's value combos your own cards block. Answers come from enumerating every
+ * combo suit by suit; misses show the blocked combos on a range grid.
+ */
+
+import { PlayingCard } from '../components/PlayingCard.js';
+import { StreakCounter } from '../components/StreakCounter.js';
+import { DrillResults } from '../components/DrillResults.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { RangeGrid, setCellCombos } from '../components/RangeGrid.js';
+import { renderBoardDisplay, generateRandomBoard } from '../components/BoardDisplay.js';
+import { showCountdown } from '../components/Countdown.js';
+import { BASE_COMBOS, countCombos, getValueRange } from '../data/combinatorics.js';
+import { getHandNotation } from '../data/equityCalculator.js';
+import { RANKS, SUITS } from '../data/hands.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
+
+const DRILL_ID = 'combos';
+const TOTAL_QUESTIONS = 15;
+const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
+
+// Question types and how often each comes up
+const QUESTION_TYPES = {
+  'hand-types': { label: 'Hand types', weight: 1 },
+  'board': { label: 'Board', weight: 2 },
+  'blockers': { label: 'Blockers', weight: 2 }
+};
+
+// How each hand type's combo count is worked out
+const HAND_TYPE_MATH = {
+  pair: '4 suits, pick 2: 4 × 3 ÷ 2',
+  suited: 'one for each suit',
+  offsuit: '4 × 4, less the 4 suited',
+  any: '4 × 4 suit pairings'
+};
+
+const NUM_OPTIONS = 4;
+
+let currentQuestion = 0;
+let correct = 0;
+let timer = null;
+let streakCounter = null;
+let questionStartTime = 0;
+let questionTimes = [];
+let currentSpot = null;
+let currentOptions = [];
+let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
+let container = null;
+
+// Track stats by question type
+let typeStats = {};
+
+/**
+ * Render the drill page
+ */
+export function renderCombosDrill(containerElement) {
+  container = containerElement;
+
+  if (!isDrillUnlocked(DRILL_ID)) {
+    container.innerHTML = `
+      <div class="container" style="padding-top: var(--space-16); text-align: center;">
+        <h1 class="display-md mb-4">Drill Locked</h1>
+        <p class="text-lg text-secondary mb-8">Complete the Pot Odds drill to unlock this one.</p>
+        <a href="#/drills" class="btn btn--primary">Back to Drills</a>
+      </div>
+    `;
+    return;
+  }
+
+  renderStartScreen();
+}
+
+/**
+ * Render the start screen
+ */
+function renderStartScreen() {
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <a href="#/drills" class="breadcrumb__link">Drills</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Combos</span>
+        </nav>
+        <h1 class="page-header__title">Combos</h1>
+        <p class="page-header__subtitle">How many ways can villain have it?</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">🔢</div>
+        <div class="drill-start__info">
+          <p class="drill-start__description">
+            Every pair has 6 combos, every suited hand 4 and every offsuit hand 12. Cards you can see take combos away:
+            count what's left of a hand on the board, and how many of villain's value combos your own cards block.
+          </p>
+          <div class="drill-start__meta">
+            <span>${TOTAL_QUESTIONS} questions</span>
+            <span>Pass: ${PASS_THRESHOLD}%</span>
+          </div>
+        </div>
+
+        ${previousBest && previousBest.attempts > 0 ? `
+          <div class="drill-start__best">
+            <div class="drill-start__best-title">Your Best</div>
+            <div class="drill-start__best-stats">
+              <span>Score: ${Math.round(previousBest.bestScore)}%</span>
+              <span>Streak: ${previousBest.bestStreak}</span>
+              ${previousBest.bestTime ? `<span>Avg: ${formatTime(previousBest.bestTime)}</span>` : ''}
+            </div>
+          </div>
+        ` : ''}
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
+        <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
+          Start Drill
+        </button>
+      </div>
+    </div>
+  `;
+
+  bindModeSelector(container, setDrillMode);
+  document.getElementById('start-drill-btn').addEventListener('click', startDrill);
+}
+
+/**
+ * Start the drill
+ */
+function startDrill() {
+  // Reset state
+  drillMode = getDrillMode();
+  currentQuestion = 0;
+  correct = 0;
+  questionTimes = [];
+  drillActive = true;
+  typeStats = {};
+
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Create UI
+  container.innerHTML = `
+    <div class="drill-active">
+      <div class="drill-header">
+        <div class="drill-header__left">
+          <button class="btn btn--ghost drill-header__back" id="quit-drill">&larr; Quit</button>
+        </div>
+        <div class="drill-header__center">
+          <div class="drill-header__progress">
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
+          </div>
+        </div>
+        <div class="drill-header__right">
+          <div id="timer-container"></div>
+        </div>
+      </div>
+
+      <div id="streak-container"></div>
+
+      <div class="drill-question" id="drill-question">
+        <div id="board-display"></div>
+        <div class="drill-hand-display" id="hand-display"></div>
+        <div class="combos-range" id="range-display"></div>
+        <div class="drill-question__prompt" id="prompt-display"></div>
+
+        <div class="equity-options" id="combos-options">
+          ${Array.from({ length: NUM_OPTIONS }, (_, i) => `
+            <button class="btn equity-options__btn" data-option="${i}"></button>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="drill-feedback" id="drill-feedback"></div>
+      <div class="drill-range-preview" id="range-preview"></div>
+    </div>
+  `;
+
+  // Initialize timer
+  timer = createModeTimer(drillMode, endDrill);
+  timer.render(document.getElementById('timer-container'));
+
+  // Initialize streak counter
+  streakCounter = new StreakCounter({
+    bestStreak: previousBest?.bestStreak || 0
+  });
+  streakCounter.render(document.getElementById('streak-container'));
+
+  // Bind events
+  document.getElementById('quit-drill').addEventListener('click', quitDrill);
+  document.querySelectorAll('.equity-options__btn').forEach(btn => {
+    btn.addEventListener('click', () => handleAnswer(parseInt(btn.dataset.option)));
+  });
+
+  // Show countdown then start
+  showCountdown(container, () => {
+    timer.start();
+    bindHotkeys({
+      choice: '.equity-options__btn',
+      next: '.range-preview__continue',
+      quit: '#quit-drill'
+    });
+    showNextQuestion();
+  });
+}
+
+/**
+ * Build a question of a random type, with its counts
+ */
+function generateSpot() {
+  const type = pickWeighted(Object.fromEntries(
+    Object.entries(QUESTION_TYPES).map(([id, { weight }]) => [id, weight])
+  ));
+
+  if (type === 'hand-types') {
+    const handType = pickRandom(Object.keys(BASE_COMBOS));
+    const hand = randomHandOfType(handType);
+
+    return {
+      type,
+      hand,
+      handType,
+      board: [],
+      holeCards: [],
+      counted: countCombos([hand]),
+      answer: BASE_COMBOS[handType],
+      distractors: Object.values(BASE_COMBOS)
+    };
+  }
+
+  const board = dealUnpairedFlop();
+
+  if (type === 'board') {
+    const hand = randomHandOnBoard(board);
+    const counted = countCombos([hand], board);
+
+    return {
+      type,
+      hand,
+      board,
+      holeCards: [],
+      counted,
+      answer: counted.remaining,
+      distractors: [counted.total]
+    };
+  }
+
+  // Blockers: hero holds a card that villain's value hands need
+  const range = getValueRange(board);
+  const blockerRanks = [...new Set(range.join('').split(''))];
+  const used = new Set(board.map(card => card.rank + card.suit));
+
+  let blocker;
+  do {
+    blocker = { rank: pickRandom(blockerRanks), suit: pickRandom(SUITS) };
+  } while (used.has(blocker.rank + blocker.suit));
+
+  const holeCards = [blocker, ...generateRandomBoard(1, [...board, blocker])];
+  const deadCards = [...board, ...holeCards];
+  const counted = countCombos(range, deadCards);
+  const boardOnly = countCombos(range, board).remaining;
+
+  return {
+    type,
+    range,
+    board,
+    holeCards,
+    counted,
+    boardOnly,
+    parts: range.map(hand => ({ hand, remaining: countCombos([hand], deadCards).remaining })),
+    answer: counted.remaining,
+    distractors: [boardOnly, counted.total]
+  };
+}
+
+// Deal a flop with three different ranks (paired boards change what "value" means)
+function dealUnpairedFlop() {
+  let board;
+  do {
+    board = generateRandomBoard(3);
+  } while (new Set(board.map(card => card.rank)).size < 3);
+  return board;
+}
+
+// Random hand of a type: "77", "J8s", "J8o" or "J8" (any suits)
+function randomHandOfType(handType) {
+  const first = Math.floor(Math.random() * RANKS.length);
+  if (handType === 'pair') return RANKS[first] + RANKS[first];
+
+  let second;
+  do {
+    second = Math.floor(Math.random() * RANKS.length);
+  } while (second === first);
+
+  const suffix = { suited: 's', offsuit: 'o', any: '' }[handType];
+  return RANKS[Math.min(first, second)] + RANKS[Math.max(first, second)] + suffix;
+}
+
+// Random hand that shares a rank with the board: a set, top/middle/bottom pair or two pair
+function randomHandOnBoard(board) {
+  const boardRank = pickRandom(board).rank;
+  const roll = Math.random();
+
+  if (roll < 0.25) return boardRank + boardRank;
+
+  const otherRank = roll < 0.5
+    ? pickRandom(board.filter(card => card.rank !== boardRank)).rank
+    : pickRandom(RANKS.filter(rank => rank !== boardRank));
+  const [high, low] = [boardRank, otherRank].sort((a, b) => RANKS.indexOf(a) - RANKS.indexOf(b));
+
+  return high + low + pickRandom(['', '', 's', 'o']);
+}
+
+/**
+ * Build the answer choices: the right count, the tempting wrong counts and near misses
+ */
+function generateOptions(spot) {
+  const { answer, distractors } = spot;
+
+  // Near misses in random order, so the right count isn't always in the same slot
+  const nearMisses = [-3, -2, -1, 1, 2, 3]
+    .map(offset => answer + offset)
+    .filter(value => value >= 0)
+    .sort(() => Math.random() - 0.5);
+
+  const choices = [answer];
+  [...distractors, ...nearMisses].forEach(value => {
+    if (choices.length < NUM_OPTIONS && !choices.includes(value)) {
+      choices.push(value);
+    }
+  });
+
+  return choices.sort((a, b) => a - b);
+}
+
+/**
+ * Show the next question
+ */
+function showNextQuestion() {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
+    endDrill();
+    return;
+  }
+
+  currentSpot = generateSpot();
+  currentQuestion++;
+  document.getElementById('question-number').textContent = currentQuestion;
+
+  const { type, hand, board, holeCards, range } = currentSpot;
+  if (!typeStats[type]) {
+    typeStats[type] = { total: 0, correct: 0 };
+  }
+
+  const boardEl = document.getElementById('board-display');
+  if (board.length > 0) {
+    renderBoardDisplay(boardEl, { cards: board, showTexture: false });
+  } else {
+    boardEl.innerHTML = '';
+  }
+
+  renderHand('hand-display', holeCards);
+
+  document.getElementById('range-display').innerHTML = range
+    ? `<span class="combos-range__label">Villain's value:</span> ${range.join(', ')}`
+    : '';
+
+  const prompts = {
+    'hand-types': `How many combos of ${hand} are there?`,
+    'board': `How many combos of ${hand} are left on this board?`,
+    'blockers': 'How many value combos can villain have, given your hand?'
+  };
+  document.getElementById('prompt-display').textContent = prompts[type];
+
+  // Update option buttons
+  currentOptions = generateOptions(currentSpot);
+  const buttons = document.querySelectorAll('.equity-options__btn');
+  buttons.forEach((btn, i) => {
+    btn.textContent = currentOptions[i];
+    btn.className = 'btn equity-options__btn';
+    btn.disabled = false;
+  });
+
+  // Hide feedback
+  document.getElementById('drill-feedback').innerHTML = '';
+  document.getElementById('drill-feedback').className = 'drill-feedback';
+  document.getElementById('range-preview').innerHTML = '';
+
+  // Start question timer
+  questionStartTime = performance.now();
+  timer.startQuestion();
+}
+
+/**
+ * Render hero's hole cards
+ */
+function renderHand(containerId, cards) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  cards.forEach(card => {
+    new PlayingCard(card.rank, card.suit, { size: 'lg' }).render(container);
+  });
+}
+
+/**
+ * Handle player's answer
+ */
+function handleAnswer(optionIndex) {
+  if (!drillActive || !currentSpot) return;
+
+  const questionTime = performance.now() - questionStartTime;
+  questionTimes.push(questionTime);
+  timer.endQuestion();
+
+  const { type, hand, holeCards, answer } = currentSpot;
+  const correctOption = currentOptions.indexOf(answer);
+  const isCorrect = optionIndex === correctOption;
+
+  typeStats[type].total++;
+
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: type, hand: hand || getHandNotation(holeCards), correct: isCorrect, time: questionTime });
+
+  // Disable buttons
+  const buttons = document.querySelectorAll('.equity-options__btn');
+  buttons.forEach(btn => btn.disabled = true);
+
+  // Show visual feedback
+  if (isCorrect) {
+    correct++;
+    typeStats[type].correct++;
+    streakCounter.increment();
+
+    buttons[optionIndex].classList.add('equity-options__btn--correct');
+  } else {
+    streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
+
+    buttons[optionIndex].classList.add('equity-options__btn--wrong');
+    buttons[correctOption].classList.add('equity-options__btn--correct');
+  }
+
+  showFeedback(isCorrect, questionTime);
+
+  // Misses with known cards wait on the blocked-combos grid; everything else moves on
+  if (!isCorrect && type !== 'hand-types') {
+    showCombosGrid();
+    return;
+  }
+
+  setTimeout(() => {
+    if (drillActive) {
+      showNextQuestion();
+    }
+  }, isCorrect ? 1500 : 3000);
+}
+
+/**
+ * Show feedback with how the count is made up
+ */
+function showFeedback(isCorrect, time) {
+  const feedbackEl = document.getElementById('drill-feedback');
+  const { type, hand, handType, counted, answer } = currentSpot;
+
+  const explanations = {
+    'hand-types': () => `${hand}: ${answer} combos (${HAND_TYPE_MATH[handType]})`,
+    'board': () => `${counted.remaining} of ${counted.total} ${hand} combos left once the board cards are out`,
+    'blockers': () => `${answer} value combos, ${currentSpot.boardOnly} before your cards: ` +
+      currentSpot.parts.map(part => `${part.hand} ${part.remaining}`).join(', ')
+  };
+  const explanation = explanations[type]();
+
+  if (isCorrect) {
+    const speedClass = time < 4000 ? 'drill-feedback--fast' : time < 8000 ? 'drill-feedback--normal' : 'drill-feedback--slow';
+    feedbackEl.className = `drill-feedback drill-feedback--correct ${speedClass}`;
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✓</span>
+      <span class="drill-feedback__text">${explanation}</span>
+      <span class="drill-feedback__time">${formatTime(time)}</span>
+    `;
+  } else {
+    feedbackEl.className = 'drill-feedback drill-feedback--wrong';
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✗</span>
+      <span class="drill-feedback__text">${explanation}</span>
+    `;
+  }
+}
+
+/**
+ * Show the asked hands on a range grid, split into live and blocked combos
+ */
+function showCombosGrid() {
+  const previewEl = document.getElementById('range-preview');
+  previewEl.innerHTML = '<div class="range-preview__title">Combos left (green) and blocked (red)</div>';
+
+  const gridContainer = document.createElement('div');
+  gridContainer.className = 'range-preview__grid';
+  previewEl.appendChild(gridContainer);
+
+  const { byHand } = currentSpot.counted;
+  const rangeGrid = new RangeGrid({ compact: true });
+  const grid = rangeGrid.render(gridContainer);
+
+  Object.entries(byHand).forEach(([hand, { remaining, total }]) => {
+    setCellCombos(grid, hand, remaining, total);
+  });
+
+  // Add continue button
+  const continueBtn = document.createElement('button');
+  continueBtn.className = 'btn btn--primary range-preview__continue';
+  continueBtn.textContent = 'Continue';
+  continueBtn.addEventListener('click', () => {
+    if (drillActive) {
+      showNextQuestion();
+    }
+  });
+  previewEl.appendChild(continueBtn);
+}
+
+/**
+ * End the drill and show results
+ */
+function endDrill() {
+  drillActive = false;
+  timer.stop();
+
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
+  const bestStreak = streakCounter.getBestStreak();
+  const passed = accuracy >= PASS_THRESHOLD;
+
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
+  const stats = {
+    mode: drillMode,
+    score: correct,
+    accuracy,
+    avgTime,
+    bestStreak,
+    passed
+  };
+  updateDrillProgress(DRILL_ID, stats);
+
+  // Get previous best for comparison
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Clear container
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  // Show results
+  const results = new DrillResults({
+    drillId: DRILL_ID,
+    drillName: 'Combos',
+    previousBest,
+    mode: drillMode,
+    modeBest,
+    onPlayAgain: () => renderCombosDrill(container),
+    onNextDrill: () => { window.location.hash = '#/drills'; }, // Last drill, go back to hub
+    onBackToHub: () => { window.location.hash = '#/drills'; }
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy,
+    avgTime,
+    fastestTime,
+    bestStreak,
+    correct,
+    total,
+    passed,
+    passThreshold: PASS_THRESHOLD
+  });
+
+  // Add question type breakdown after results
+  addTypeBreakdown();
+}
+
+/**
+ * Add question type breakdown to results
+ */
+function addTypeBreakdown() {
+  const resultsContent = container.querySelector('.drill-results__content');
+  if (!resultsContent) return;
+
+  const types = Object.keys(QUESTION_TYPES).filter(type => typeStats[type]?.total > 0);
+  if (types.length === 0) return;
+
+  const breakdownHtml = `
+    <div class="drill-results__breakdown">
+      <h4 class="drill-results__breakdown-title">Accuracy by Question</h4>
+      <div class="drill-results__breakdown-grid">
+        ${types.map(type => {
+          const stats = typeStats[type];
+          const pct = Math.round((stats.correct / stats.total) * 100);
+          return `
+            <div class="drill-results__breakdown-item">
+              <span class="drill-results__breakdown-pos">${QUESTION_TYPES[type].label}</span>
+              <span class="drill-results__breakdown-value ${pct >= 75 ? 'drill-results__breakdown-value--good' : ''}">${pct}%</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+
+  const actions = resultsContent.querySelector('.drill-results__actions');
+  if (actions) {
+    actions.insertAdjacentHTML('beforebegin', breakdownHtml);
+  }
+}
+
+/**
+ * Quit the drill
+ */
+function quitDrill() {
+  drillActive = false;
+  if (timer) timer.stop();
+  window.location.hash = '#/drills';
+}
+
+/**
+ * Pick a key with probability proportional to its weight
+ */
+function pickWeighted(weights) {
+  const entries = Object.entries(weights);
+  let roll = Math.random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Pick a random item from an array
+ */
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Format time
+ */
+function formatTime(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
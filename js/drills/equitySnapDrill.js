@@ -4,11 +4,15 @@
  */
 
 import { PlayingCard } from '../components/PlayingCard.js';
-import { Timer } from '../components/Timer.js';
 import { StreakCounter } from '../components/StreakCounter.js';
 import { DrillResults } from '../components/DrillResults.js';
-import { getRandomHand, parseHand, formatHandNotation, getHandStrength } from '../data/hands.js';
-import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked } from '../storage.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { showCountdown } from '../components/Countdown.js';
+import { getRandomHand, formatHandNotation } from '../data/hands.js';
+import { getHandCombos, getHandStrength } from '../data/equityCalculator.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
 
 const DRILL_ID = 'equity-snap';
 const TOTAL_QUESTIONS = 15;
@@ -21,9 +25,11 @@ let streakCounter = null;
 let questionStartTime = 0;
 let questionTimes = [];
 let currentHand = null;
+let currentCards = []; // The two cards dealt for currentHand
 let currentEquity = 0;
 let correctOption = -1;
 let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
 let container = null;
 
 /**
@@ -89,6 +95,8 @@ function renderStartScreen() {
           </div>
         ` : ''}
 
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
         <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
           Start Drill
         </button>
@@ -96,6 +104,7 @@ function renderStartScreen() {
     </div>
   `;
 
+  bindModeSelector(container, setDrillMode);
   document.getElementById('start-drill-btn').addEventListener('click', startDrill);
 }
 
@@ -104,6 +113,7 @@ function renderStartScreen() {
  */
 function startDrill() {
   // Reset state
+  drillMode = getDrillMode();
   currentQuestion = 0;
   correct = 0;
   questionTimes = [];
@@ -120,7 +130,7 @@ function startDrill() {
         </div>
         <div class="drill-header__center">
           <div class="drill-header__progress">
-            <span id="question-number">1</span>/<span>${TOTAL_QUESTIONS}</span>
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
           </div>
         </div>
         <div class="drill-header__right">
@@ -148,7 +158,7 @@ function startDrill() {
   `;
 
   // Initialize timer
-  timer = new Timer({ mode: 'stopwatch' });
+  timer = createModeTimer(drillMode, endDrill);
   timer.render(document.getElementById('timer-container'));
 
   // Initialize streak counter
@@ -164,42 +174,16 @@ function startDrill() {
   });
 
   // Show countdown then start
-  showCountdown(() => {
+  showCountdown(container, () => {
     timer.start();
+    bindHotkeys({
+      choice: '.equity-options__btn',
+      quit: '#quit-drill'
+    });
     showNextQuestion();
   });
 }
 
-/**
- * Show countdown overlay
- */
-function showCountdown(callback) {
-  const overlay = document.createElement('div');
-  overlay.className = 'drill-countdown';
-  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
-  container.appendChild(overlay);
-
-  let count = 3;
-  const countdownEl = overlay.querySelector('.drill-countdown__number');
-
-  const interval = setInterval(() => {
-    count--;
-    if (count > 0) {
-      countdownEl.textContent = count;
-      countdownEl.classList.remove('drill-countdown__number--pulse');
-      void countdownEl.offsetWidth;
-      countdownEl.classList.add('drill-countdown__number--pulse');
-    } else if (count === 0) {
-      countdownEl.textContent = 'GO!';
-      countdownEl.classList.add('drill-countdown__number--go');
-    } else {
-      clearInterval(interval);
-      overlay.remove();
-      callback();
-    }
-  }, 800);
-}
-
 /**
  * Generate equity options for a given equity value
  */
@@ -247,7 +231,7 @@ function generateOptions(equity) {
  * Show the next question
  */
 function showNextQuestion() {
-  if (currentQuestion >= TOTAL_QUESTIONS) {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
     endDrill();
     return;
   }
@@ -255,15 +239,17 @@ function showNextQuestion() {
   currentQuestion++;
   document.getElementById('question-number').textContent = currentQuestion;
 
-  // Get random hand and its equity
+  // Deal a random hand and get its equity
   currentHand = getRandomHand();
-  currentEquity = getHandStrength(currentHand);
+  const combos = getHandCombos(currentHand);
+  currentCards = combos[Math.floor(Math.random() * combos.length)];
+  currentEquity = getHandStrength(currentCards);
 
   // Generate options
   const options = generateOptions(currentEquity);
 
   // Render hand
-  renderHand('hand-display', currentHand);
+  renderHand('hand-display', currentCards);
 
   // Update option buttons
   const buttons = document.querySelectorAll('.equity-options__btn');
@@ -285,20 +271,13 @@ function showNextQuestion() {
 /**
  * Render a hand
  */
-function renderHand(containerId, handNotation) {
+function renderHand(containerId, cards) {
   const container = document.getElementById(containerId);
   container.innerHTML = '';
 
-  const parsed = parseHand(handNotation);
-  if (!parsed) return;
-
-  const suits = parsed.suited ? ['d', 'd'] : ['d', 'c'];
-
-  const card1 = new PlayingCard(parsed.rank1, suits[0], { size: 'lg' });
-  const card2 = new PlayingCard(parsed.rank2, suits[1], { size: 'lg' });
-
-  card1.render(container);
-  card2.render(container);
+  cards.forEach(card => {
+    new PlayingCard(card.rank, card.suit, { size: 'lg' }).render(container);
+  });
 }
 
 /**
@@ -313,6 +292,9 @@ function handleAnswer(optionIndex) {
 
   const isCorrect = optionIndex === correctOption;
 
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: 'vs-random', hand: currentHand, correct: isCorrect, time: questionTime });
+
   // Disable buttons
   const buttons = document.querySelectorAll('.equity-options__btn');
   buttons.forEach(btn => btn.disabled = true);
@@ -326,6 +308,7 @@ function handleAnswer(optionIndex) {
     showFeedback(true, questionTime);
   } else {
     streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
 
     buttons[optionIndex].classList.add('equity-options__btn--wrong');
     buttons[correctOption].classList.add('equity-options__btn--correct');
@@ -373,14 +356,18 @@ function endDrill() {
   drillActive = false;
   timer.stop();
 
-  const accuracy = (correct / TOTAL_QUESTIONS) * 100;
-  const avgTime = questionTimes.reduce((a, b) => a + b, 0) / questionTimes.length;
-  const fastestTime = Math.min(...questionTimes);
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
   const bestStreak = streakCounter.getBestStreak();
   const passed = accuracy >= PASS_THRESHOLD;
 
-  // Save progress
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
   const stats = {
+    mode: drillMode,
+    score: correct,
     accuracy,
     avgTime,
     bestStreak,
@@ -399,6 +386,8 @@ function endDrill() {
     drillId: DRILL_ID,
     drillName: 'Equity Snap',
     previousBest,
+    mode: drillMode,
+    modeBest,
     onPlayAgain: () => renderEquitySnapDrill(container),
     onNextDrill: () => { window.location.hash = '#/drill/range-check'; },
     onBackToHub: () => { window.location.hash = '#/drills'; }
@@ -410,7 +399,7 @@ function endDrill() {
     fastestTime,
     bestStreak,
     correct,
-    total: TOTAL_QUESTIONS,
+    total,
     passed,
     passThreshold: PASS_THRESHOLD
   });
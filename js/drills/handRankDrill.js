@@ -4,15 +4,18 @@
  */
 
 import { PlayingCard } from '../components/PlayingCard.js';
-import { Timer } from '../components/Timer.js';
 import { StreakCounter } from '../components/StreakCounter.js';
 import { DrillResults } from '../components/DrillResults.js';
-import { STARTING_HANDS, getHandStrength, getRandomHand, parseHand, formatHandNotation } from '../data/hands.js';
-import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked } from '../storage.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { showCountdown } from '../components/Countdown.js';
+import { STARTING_HANDS, getRandomHand, parseHand, formatHandNotation } from '../data/hands.js';
+import { getHandStrength } from '../data/equityCalculator.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
 
 const DRILL_ID = 'hand-ranking';
 const TOTAL_QUESTIONS = 20;
-const TIME_LIMIT = 30000; // 30 seconds for timed mode
 const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
 
 let currentQuestion = 0;
@@ -24,6 +27,7 @@ let questionTimes = [];
 let leftHand = null;
 let rightHand = null;
 let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
 let container = null;
 
 /**
@@ -89,6 +93,8 @@ function renderStartScreen() {
           </div>
         ` : ''}
 
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
         <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
           Start Drill
         </button>
@@ -96,6 +102,7 @@ function renderStartScreen() {
     </div>
   `;
 
+  bindModeSelector(container, setDrillMode);
   document.getElementById('start-drill-btn').addEventListener('click', startDrill);
 }
 
@@ -104,6 +111,7 @@ function renderStartScreen() {
  */
 function startDrill() {
   // Reset state
+  drillMode = getDrillMode();
   currentQuestion = 0;
   correct = 0;
   questionTimes = [];
@@ -120,7 +128,7 @@ function startDrill() {
         </div>
         <div class="drill-header__center">
           <div class="drill-header__progress">
-            <span id="question-number">1</span>/<span>${TOTAL_QUESTIONS}</span>
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
           </div>
         </div>
         <div class="drill-header__right">
@@ -152,8 +160,8 @@ function startDrill() {
     </div>
   `;
 
-  // Initialize timer (stopwatch mode for per-question timing)
-  timer = new Timer({ mode: 'stopwatch' });
+  // Initialize timer (a countdown in blitz, otherwise a stopwatch for per-question timing)
+  timer = createModeTimer(drillMode, endDrill);
   timer.render(document.getElementById('timer-container'));
 
   // Initialize streak counter
@@ -168,47 +176,23 @@ function startDrill() {
   document.getElementById('right-choice').addEventListener('click', () => handleAnswer('right'));
 
   // Show countdown then start
-  showCountdown(() => {
+  showCountdown(container, () => {
     timer.start();
+    bindHotkeys({
+      left: '#left-choice',
+      right: '#right-choice',
+      choice: '.hand-comparison__choice',
+      quit: '#quit-drill'
+    });
     showNextQuestion();
   });
 }
 
-/**
- * Show countdown overlay
- */
-function showCountdown(callback) {
-  const overlay = document.createElement('div');
-  overlay.className = 'drill-countdown';
-  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
-  container.appendChild(overlay);
-
-  let count = 3;
-  const countdownEl = overlay.querySelector('.drill-countdown__number');
-
-  const interval = setInterval(() => {
-    count--;
-    if (count > 0) {
-      countdownEl.textContent = count;
-      countdownEl.classList.remove('drill-countdown__number--pulse');
-      void countdownEl.offsetWidth;
-      countdownEl.classList.add('drill-countdown__number--pulse');
-    } else if (count === 0) {
-      countdownEl.textContent = 'GO!';
-      countdownEl.classList.add('drill-countdown__number--go');
-    } else {
-      clearInterval(interval);
-      overlay.remove();
-      callback();
-    }
-  }, 800);
-}
-
 /**
  * Show the next question
  */
 function showNextQuestion() {
-  if (currentQuestion >= TOTAL_QUESTIONS) {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
     endDrill();
     return;
   }
@@ -299,6 +283,9 @@ function handleAnswer(choice) {
   const correctAnswer = leftStrength > rightStrength ? 'left' : 'right';
   const isCorrect = choice === correctAnswer;
 
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: 'compare', correct: isCorrect, time: questionTime });
+
   // Disable buttons
   document.getElementById('left-choice').disabled = true;
   document.getElementById('right-choice').disabled = true;
@@ -320,6 +307,7 @@ function handleAnswer(choice) {
     showFeedback(true, questionTime);
   } else {
     streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
 
     // Show wrong answer in red, correct in green
     if (choice === 'left') {
@@ -374,14 +362,18 @@ function endDrill() {
   drillActive = false;
   timer.stop();
 
-  const accuracy = (correct / TOTAL_QUESTIONS) * 100;
-  const avgTime = questionTimes.reduce((a, b) => a + b, 0) / questionTimes.length;
-  const fastestTime = Math.min(...questionTimes);
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
   const bestStreak = streakCounter.getBestStreak();
   const passed = accuracy >= PASS_THRESHOLD;
 
-  // Save progress
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
   const stats = {
+    mode: drillMode,
+    score: correct,
     accuracy,
     avgTime,
     bestStreak,
@@ -400,6 +392,8 @@ function endDrill() {
     drillId: DRILL_ID,
     drillName: 'Hand Ranking Speed',
     previousBest,
+    mode: drillMode,
+    modeBest,
     onPlayAgain: () => renderHandRankingDrill(container),
     onNextDrill: () => { window.location.hash = '#/drill/open-fold'; },
     onBackToHub: () => { window.location.hash = '#/drills'; }
@@ -411,7 +405,7 @@ function endDrill() {
     fastestTime,
     bestStreak,
     correct,
-    total: TOTAL_QUESTIONS,
+    total,
     passed,
     passThreshold: PASS_THRESHOLD
   });
@@ -9,6 +9,7 @@ import {
   getDrillStats,
   getDrillAchievements,
   getDrillThreshold,
+  getReviewQueueStats,
   isStageUnlocked
 } from '../storage.js';
 
@@ -48,11 +49,42 @@ const DRILL_INFO = {
     icon: '♠️',
     questions: 15,
     timeLimit: '15 questions'
+  },
+  'outs': {
+    title: 'Outs',
+    description: 'Count the cards that make your hand, clean and discounted.',
+    icon: '🎴',
+    questions: 15,
+    timeLimit: '15 questions'
+  },
+  'pot-odds': {
+    title: 'Pot Odds',
+    description: 'Call or fold your draw, or name the equity the bet demands.',
+    icon: '🧮',
+    questions: 20,
+    timeLimit: '20 questions'
+  },
+  'combos': {
+    title: 'Combos',
+    description: 'Count combos left after the board and your blockers.',
+    icon: '🔢',
+    questions: 15,
+    timeLimit: '15 questions'
+  },
+  'push-fold': {
+    title: 'Push/Fold',
+    description: 'Short stack? Shove, call or fold by the Nash charts.',
+    icon: '💥',
+    questions: 25,
+    timeLimit: '25 questions'
   }
 };
 
 // Drill order
-const DRILL_ORDER = ['hand-ranking', 'open-fold', 'equity-snap', 'range-check', 'position-speed'];
+const DRILL_ORDER = ['hand-ranking', 'open-fold', 'equity-snap', 'range-check', 'position-speed', 'outs', 'pot-odds', 'combos'];
+
+// Side drills (shown after the main ones, not needed to finish the stage)
+const SIDE_DRILLS = ['push-fold'];
 
 /**
  * Render the drills hub page
@@ -74,6 +106,7 @@ export function renderDrillsHub(container) {
   const currentDrill = getCurrentDrill();
   const stats = getDrillStats();
   const achievements = getDrillAchievements();
+  const reviewQueue = getReviewQueueStats();
 
   container.innerHTML = `
     <div class="drills-hub container">
@@ -109,9 +142,11 @@ export function renderDrillsHub(container) {
       </div>
 
       <div class="drills-hub__grid">
-        ${DRILL_ORDER.map((drillId, index) => renderDrillCard(drillId, drillsProgress[drillId], index, currentDrill)).join('')}
+        ${[...DRILL_ORDER, ...SIDE_DRILLS].map((drillId, index) => renderDrillCard(drillId, drillsProgress[drillId], index, currentDrill)).join('')}
       </div>
 
+      ${reviewQueue.total > 0 ? renderReviewCard(reviewQueue) : ''}
+
       ${currentDrill ? `
         <div class="drills-hub__action animate-fade-in-up stagger-6">
           <a href="#/drill/${currentDrill}" class="btn btn--primary btn--lg">
@@ -163,6 +198,27 @@ function renderDrillCard(drillId, progress, index, currentDrill) {
   `;
 }
 
+/**
+ * Render the review queue card (sits outside the unlock order)
+ */
+function renderReviewCard(queue) {
+  return `
+    <div class="drill-card drill-card--review ${queue.due > 0 ? 'drill-card--current' : ''} animate-fade-in-up stagger-6"
+         id="review-card" onclick="window.location.hash='#/drill/review'">
+      <div class="drill-card__icon">🔁</div>
+      <div class="drill-card__content">
+        <div class="drill-card__title">Review</div>
+        <div class="drill-card__description">Re-ask the hands you keep missing in drills and scenarios.</div>
+        <div class="drill-card__meta">
+          <span class="drill-card__questions">${queue.due} due</span>
+          <span class="drill-card__threshold">${queue.total} in queue</span>
+        </div>
+      </div>
+      <div class="drill-card__arrow">→</div>
+    </div>
+  `;
+}
+
 /**
  * Render achievements section
  */
@@ -4,21 +4,25 @@
  */
 
 import { PlayingCard } from '../components/PlayingCard.js';
-import { Timer } from '../components/Timer.js';
 import { StreakCounter } from '../components/StreakCounter.js';
 import { DrillResults } from '../components/DrillResults.js';
-import { getRandomHand, parseHand, formatHandNotation } from '../data/hands.js';
-import { isHandInRange, POSITIONS, getOpeningRangeForPosition } from '../data/ranges.js';
-import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked } from '../storage.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { parseHand, formatHandNotation } from '../data/hands.js';
+import { DEFAULT_DIFFICULTY, ADAPTIVE_WINDOW, pickHandByDifficulty } from '../data/handDifficulty.js';
+import { DEFAULT_STACK_DEPTH, DEFAULT_TABLE_FORMAT, getOpeningRangeForPosition, getOpeningSeats, getDepthSpotKey, getChartLabel, getPositionSlug } from '../data/ranges.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, getCustomOpeningRange, getStackDepth, setStackDepth, getTableFormat, setTableFormat, recordReviewAnswer, logAnswer, getAnswerLog, getDrillModeBest, getDrillMode, setDrillMode, getDrillDifficulty, setDrillDifficulty } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
+import { renderStackSelector, bindStackSelector } from '../components/StackSelector.js';
+import { renderTableFormatSelector, bindTableFormatSelector } from '../components/TableFormatSelector.js';
+import { renderDifficultySelector, bindDifficultySelector } from '../components/DifficultySelector.js';
 import { renderPositionTableMini, updatePositionTableMini } from '../components/PositionTableMini.js';
+import { showCountdown } from '../components/Countdown.js';
 
 const DRILL_ID = 'open-fold';
 const TOTAL_QUESTIONS = 25;
 const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
 
-// Positions to use (excluding BB which doesn't open)
-const DRILL_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB'];
-
 let currentQuestion = 0;
 let correct = 0;
 let timer = null;
@@ -28,7 +32,12 @@ let questionTimes = [];
 let currentHand = null;
 let currentPosition = null;
 let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
 let container = null;
+let stackDepth = DEFAULT_STACK_DEPTH; // Effective stack the opening charts are read at
+let tableFormat = DEFAULT_TABLE_FORMAT; // Table whose seats get dealt (everyone but the BB)
+let difficulty = DEFAULT_DIFFICULTY; // How hands are picked relative to the range's edge (key of DIFFICULTIES)
+let recentAnswers = []; // Latest results, oldest first, that adaptive difficulty ramps on
 
 // Track stats by position
 let positionStats = {};
@@ -58,6 +67,10 @@ export function renderOpenFoldDrill(containerElement) {
  */
 function renderStartScreen() {
   const previousBest = getDrillProgress(DRILL_ID);
+  // Saved ranges are 6-max ranges, so they only apply at a 6-max table
+  const customPositions = getTableFormat() === DEFAULT_TABLE_FORMAT
+    ? getOpeningSeats(DEFAULT_TABLE_FORMAT).filter(pos => getCustomOpeningRange(pos))
+    : [];
 
   container.innerHTML = `
     <div class="drill-start container">
@@ -82,6 +95,7 @@ function renderStartScreen() {
           <div class="drill-start__meta">
             <span>${TOTAL_QUESTIONS} questions</span>
             <span>Pass: ${PASS_THRESHOLD}%</span>
+            ${customPositions.length > 0 ? `<span>Your ranges: ${customPositions.join(', ')}</span>` : ''}
           </div>
         </div>
 
@@ -96,6 +110,12 @@ function renderStartScreen() {
           </div>
         ` : ''}
 
+        ${renderStackSelector(getStackDepth())}
+        ${renderTableFormatSelector(getTableFormat())}
+        ${renderDifficultySelector(getDrillDifficulty())}
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
         <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
           Start Drill
         </button>
@@ -103,6 +123,10 @@ function renderStartScreen() {
     </div>
   `;
 
+  bindStackSelector(container, setStackDepth);
+  bindTableFormatSelector(container, setTableFormat);
+  bindDifficultySelector(container, setDrillDifficulty);
+  bindModeSelector(container, setDrillMode);
   document.getElementById('start-drill-btn').addEventListener('click', startDrill);
 }
 
@@ -111,12 +135,17 @@ function renderStartScreen() {
  */
 function startDrill() {
   // Reset state
+  drillMode = getDrillMode();
+  stackDepth = getStackDepth();
+  tableFormat = getTableFormat();
+  difficulty = getDrillDifficulty();
+  recentAnswers = getAnswerLog(DRILL_ID).slice(-ADAPTIVE_WINDOW).map(entry => entry.correct);
   currentQuestion = 0;
   correct = 0;
   questionTimes = [];
   drillActive = true;
   positionStats = {};
-  DRILL_POSITIONS.forEach(pos => {
+  getOpeningSeats(tableFormat).forEach(pos => {
     positionStats[pos] = { total: 0, correct: 0 };
   });
 
@@ -131,7 +160,7 @@ function startDrill() {
         </div>
         <div class="drill-header__center">
           <div class="drill-header__progress">
-            <span id="question-number">1</span>/<span>${TOTAL_QUESTIONS}</span>
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
           </div>
         </div>
         <div class="drill-header__right">
@@ -165,7 +194,7 @@ function startDrill() {
   `;
 
   // Initialize timer
-  timer = new Timer({ mode: 'stopwatch' });
+  timer = createModeTimer(drillMode, endDrill);
   timer.render(document.getElementById('timer-container'));
 
   // Initialize streak counter
@@ -180,47 +209,23 @@ function startDrill() {
   document.getElementById('fold-btn').addEventListener('click', () => handleAnswer(false));
 
   // Show countdown then start
-  showCountdown(() => {
+  showCountdown(container, () => {
     timer.start();
+    bindHotkeys({
+      open: '#open-btn',
+      fold: '#fold-btn',
+      choice: '.drill-actions__btn',
+      quit: '#quit-drill'
+    });
     showNextQuestion();
   });
 }
 
-/**
- * Show countdown overlay
- */
-function showCountdown(callback) {
-  const overlay = document.createElement('div');
-  overlay.className = 'drill-countdown';
-  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
-  container.appendChild(overlay);
-
-  let count = 3;
-  const countdownEl = overlay.querySelector('.drill-countdown__number');
-
-  const interval = setInterval(() => {
-    count--;
-    if (count > 0) {
-      countdownEl.textContent = count;
-      countdownEl.classList.remove('drill-countdown__number--pulse');
-      void countdownEl.offsetWidth;
-      countdownEl.classList.add('drill-countdown__number--pulse');
-    } else if (count === 0) {
-      countdownEl.textContent = 'GO!';
-      countdownEl.classList.add('drill-countdown__number--go');
-    } else {
-      clearInterval(interval);
-      overlay.remove();
-      callback();
-    }
-  }, 800);
-}
-
 /**
  * Show the next question
  */
 function showNextQuestion() {
-  if (currentQuestion >= TOTAL_QUESTIONS) {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
     endDrill();
     return;
   }
@@ -228,17 +233,18 @@ function showNextQuestion() {
   currentQuestion++;
   document.getElementById('question-number').textContent = currentQuestion;
 
-  // Pick random position and hand
-  currentPosition = DRILL_POSITIONS[Math.floor(Math.random() * DRILL_POSITIONS.length)];
-  currentHand = getRandomHand();
+  // Pick a random position, then a hand at the chosen difficulty
+  const seats = getOpeningSeats(tableFormat);
+  currentPosition = seats[Math.floor(Math.random() * seats.length)];
+  currentHand = pickHandByDifficulty(getQuizRange(currentPosition), difficulty, recentAnswers);
 
   // Display position
   const positionDisplay = document.getElementById('position-display');
   positionDisplay.textContent = currentPosition;
-  positionDisplay.className = 'drill-question__position drill-question__position--' + currentPosition.toLowerCase();
+  positionDisplay.className = 'drill-question__position drill-question__position--' + getPositionSlug(currentPosition);
 
   // Update mini table
-  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(currentPosition);
+  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(currentPosition, tableFormat);
 
   // Render hand
   renderHand('hand-display', currentHand);
@@ -279,6 +285,14 @@ function renderHand(containerId, handNotation) {
   card2.render(container);
 }
 
+/**
+ * Get the opening range to quiz against (the player's own range when they've chosen one for 6-max)
+ */
+function getQuizRange(position) {
+  const customRange = tableFormat === DEFAULT_TABLE_FORMAT ? getCustomOpeningRange(position) : null;
+  return customRange || getOpeningRangeForPosition(position, stackDepth, tableFormat);
+}
+
 /**
  * Handle player's answer
  */
@@ -289,7 +303,7 @@ function handleAnswer(shouldOpen) {
   questionTimes.push(questionTime);
   timer.endQuestion();
 
-  const inRange = isHandInRange(currentHand, currentPosition);
+  const inRange = getQuizRange(currentPosition).has(currentHand);
   const isCorrect = shouldOpen === inRange;
 
   // Track position stats
@@ -298,6 +312,22 @@ function handleAnswer(shouldOpen) {
     positionStats[currentPosition].correct++;
   }
 
+  // Misses go to the review queue
+  const chartLabel = getChartLabel(stackDepth, tableFormat);
+  recordReviewAnswer(DRILL_ID, {
+    spot: getDepthSpotKey(currentPosition, stackDepth, tableFormat),
+    hand: currentHand,
+    position: currentPosition,
+    tableFormat,
+    prompt: chartLabel ? `Should you open at ${chartLabel}?` : 'Should you open?',
+    options: [{ action: 'Open', label: 'OPEN' }, { action: 'Fold', label: 'FOLD' }],
+    correctAnswer: inRange ? 'Open' : 'Fold'
+  }, isCorrect);
+
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: getDepthSpotKey(currentPosition, stackDepth, tableFormat), position: currentPosition, hand: currentHand, correct: isCorrect, time: questionTime });
+  recentAnswers = [...recentAnswers, isCorrect].slice(-ADAPTIVE_WINDOW);
+
   // Disable buttons
   document.getElementById('open-btn').disabled = true;
   document.getElementById('fold-btn').disabled = true;
@@ -319,6 +349,7 @@ function handleAnswer(shouldOpen) {
     showFeedback(true, questionTime);
   } else {
     streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
 
     if (shouldOpen) {
       openBtn.classList.add('drill-actions__btn--wrong');
@@ -371,14 +402,18 @@ function endDrill() {
   drillActive = false;
   timer.stop();
 
-  const accuracy = (correct / TOTAL_QUESTIONS) * 100;
-  const avgTime = questionTimes.reduce((a, b) => a + b, 0) / questionTimes.length;
-  const fastestTime = Math.min(...questionTimes);
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
   const bestStreak = streakCounter.getBestStreak();
   const passed = accuracy >= PASS_THRESHOLD;
 
-  // Save progress
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
   const stats = {
+    mode: drillMode,
+    score: correct,
     accuracy,
     avgTime,
     bestStreak,
@@ -397,6 +432,8 @@ function endDrill() {
     drillId: DRILL_ID,
     drillName: 'Open or Fold',
     previousBest,
+    mode: drillMode,
+    modeBest,
     onPlayAgain: () => renderOpenFoldDrill(container),
     onNextDrill: () => { window.location.hash = '#/drill/equity-snap'; },
     onBackToHub: () => { window.location.hash = '#/drills'; }
@@ -408,7 +445,7 @@ function endDrill() {
     fastestTime,
     bestStreak,
     correct,
-    total: TOTAL_QUESTIONS,
+    total,
     passed,
     passThreshold: PASS_THRESHOLD
   });
@@ -428,7 +465,7 @@ function addPositionBreakdown() {
     <div class="drill-results__breakdown">
       <h4 class="drill-results__breakdown-title">Accuracy by Position</h4>
       <div class="drill-results__breakdown-grid">
-        ${DRILL_POSITIONS.map(pos => {
+        ${getOpeningSeats(tableFormat).map(pos => {
           const stats = positionStats[pos];
           const pct = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
           return `
@@ -0,0 +1,527 @@
+/**
+ * Outs Drill
+ * Deal hero's cards and a flop or turn; player counts the outs to a target hand.
+ * Answers come from dealing every unseen card through the hand evaluator, and some
+ * questions ask for clean outs only (discounting cards that make a better hand possible).
+ */
+
+import { PlayingCard } from '../components/PlayingCard.js';
+import { StreakCounter } from '../components/StreakCounter.js';
+import { DrillResults } from '../components/DrillResults.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { renderBoardDisplay, generateRandomBoard } from '../components/BoardDisplay.js';
+import { showCountdown } from '../components/Countdown.js';
+import { OUT_TARGETS, findOuts, countOuts } from '../data/drawOdds.js';
+import { getHandNotation } from '../data/equityCalculator.js';
+import { cardToString } from '../data/hands.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
+
+const DRILL_ID = 'outs';
+const TOTAL_QUESTIONS = 15;
+const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
+
+// How often each target comes up (draws to straights and flushes are the common ones)
+const TARGET_WEIGHTS = { flush: 3, straight: 3, 'two-pair': 1, trips: 1, 'full-house': 1 };
+
+// Deals to try for a target before picking another one
+const MAX_DEALS = 200;
+
+// A question needs at least this many outs to be worth asking
+const MIN_OUTS = 2;
+
+const NUM_OPTIONS = 4;
+
+let currentQuestion = 0;
+let correct = 0;
+let timer = null;
+let streakCounter = null;
+let questionStartTime = 0;
+let questionTimes = [];
+let currentSpot = null;
+let currentOptions = [];
+let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
+let container = null;
+
+// Track stats by target
+let targetStats = {};
+
+/**
+ * Render the drill page
+ */
+export function renderOutsDrill(containerElement) {
+  container = containerElement;
+
+  if (!isDrillUnlocked(DRILL_ID)) {
+    container.innerHTML = `
+      <div class="container" style="padding-top: var(--space-16); text-align: center;">
+        <h1 class="display-md mb-4">Drill Locked</h1>
+        <p class="text-lg text-secondary mb-8">Complete the Position Speed drill to unlock this one.</p>
+        <a href="#/drills" class="btn btn--primary">Back to Drills</a>
+      </div>
+    `;
+    return;
+  }
+
+  renderStartScreen();
+}
+
+/**
+ * Render the start screen
+ */
+function renderStartScreen() {
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <a href="#/drills" class="breadcrumb__link">Drills</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Outs</span>
+        </nav>
+        <h1 class="page-header__title">Outs</h1>
+        <p class="page-header__subtitle">How many cards make your hand?</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">🎴</div>
+        <div class="drill-start__info">
+          <p class="drill-start__description">
+            You'll see your hand and a flop or turn. Count the cards that improve you to the target hand on the next card.
+            When asked for clean outs, leave out cards that also make a better hand possible for your opponent,
+            like a flush card that pairs the board.
+          </p>
+          <div class="drill-start__meta">
+            <span>${TOTAL_QUESTIONS} questions</span>
+            <span>Pass: ${PASS_THRESHOLD}%</span>
+          </div>
+        </div>
+
+        ${previousBest && previousBest.attempts > 0 ? `
+          <div class="drill-start__best">
+            <div class="drill-start__best-title">Your Best</div>
+            <div class="drill-start__best-stats">
+              <span>Score: ${Math.round(previousBest.bestScore)}%</span>
+              <span>Streak: ${previousBest.bestStreak}</span>
+              ${previousBest.bestTime ? `<span>Avg: ${formatTime(previousBest.bestTime)}</span>` : ''}
+            </div>
+          </div>
+        ` : ''}
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
+        <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
+          Start Drill
+        </button>
+      </div>
+    </div>
+  `;
+
+  bindModeSelector(container, setDrillMode);
+  document.getElementById('start-drill-btn').addEventListener('click', startDrill);
+}
+
+/**
+ * Start the drill
+ */
+function startDrill() {
+  // Reset state
+  drillMode = getDrillMode();
+  currentQuestion = 0;
+  correct = 0;
+  questionTimes = [];
+  drillActive = true;
+  targetStats = {};
+
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Create UI
+  container.innerHTML = `
+    <div class="drill-active">
+      <div class="drill-header">
+        <div class="drill-header__left">
+          <button class="btn btn--ghost drill-header__back" id="quit-drill">&larr; Quit</button>
+        </div>
+        <div class="drill-header__center">
+          <div class="drill-header__progress">
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
+          </div>
+        </div>
+        <div class="drill-header__right">
+          <div id="timer-container"></div>
+        </div>
+      </div>
+
+      <div id="streak-container"></div>
+
+      <div class="drill-question" id="drill-question">
+        <div id="board-display"></div>
+        <div class="drill-hand-display" id="hand-display"></div>
+        <div class="drill-question__prompt" id="prompt-display"></div>
+
+        <div class="equity-options" id="outs-options">
+          ${Array.from({ length: NUM_OPTIONS }, (_, i) => `
+            <button class="btn equity-options__btn" data-option="${i}"></button>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="drill-feedback" id="drill-feedback"></div>
+    </div>
+  `;
+
+  // Initialize timer
+  timer = createModeTimer(drillMode, endDrill);
+  timer.render(document.getElementById('timer-container'));
+
+  // Initialize streak counter
+  streakCounter = new StreakCounter({
+    bestStreak: previousBest?.bestStreak || 0
+  });
+  streakCounter.render(document.getElementById('streak-container'));
+
+  // Bind events
+  document.getElementById('quit-drill').addEventListener('click', quitDrill);
+  document.querySelectorAll('.equity-options__btn').forEach(btn => {
+    btn.addEventListener('click', () => handleAnswer(parseInt(btn.dataset.option)));
+  });
+
+  // Show countdown then start
+  showCountdown(container, () => {
+    timer.start();
+    bindHotkeys({
+      choice: '.equity-options__btn',
+      quit: '#quit-drill'
+    });
+    showNextQuestion();
+  });
+}
+
+/**
+ * Deal a hand and board with outs to a target, and count them
+ */
+function generateSpot() {
+  const targets = Object.keys(TARGET_WEIGHTS);
+  let targetId = pickWeighted(TARGET_WEIGHTS);
+
+  for (let tries = 0; tries < targets.length; tries++) {
+    const street = Math.random() < 0.5 ? 'flop' : 'turn';
+    const target = OUT_TARGETS[targetId];
+
+    for (let deal = 0; deal < MAX_DEALS; deal++) {
+      const holeCards = generateRandomBoard(2);
+      const board = generateRandomBoard(street === 'flop' ? 3 : 4, holeCards);
+      const outs = findOuts(holeCards, board, target.category);
+
+      if (outs && outs.length >= MIN_OUTS) {
+        const counted = countOuts(holeCards, board, target.category);
+        const askClean = counted.discounted.length > 0 && Math.random() < 0.5;
+
+        return {
+          targetId,
+          street,
+          holeCards,
+          board,
+          ...counted,
+          askClean,
+          answer: askClean ? counted.clean.length : counted.outs.length
+        };
+      }
+    }
+
+    // Rare target (e.g. a full house draw): move on to the next one
+    targetId = targets[(targets.indexOf(targetId) + 1) % targets.length];
+  }
+
+  console.error('Outs drill: no deal with outs found');
+  return null;
+}
+
+/**
+ * Build the answer choices: the right count, the other count (all vs clean) and near misses
+ */
+function generateOptions(spot) {
+  const { answer, outs, clean } = spot;
+  const otherCount = spot.askClean ? outs.length : clean.length;
+
+  // Near misses in random order, so the right count isn't always in the same slot
+  const nearMisses = [-3, -2, -1, 1, 2, 3]
+    .map(offset => answer + offset)
+    .filter(value => value >= 0)
+    .sort(() => Math.random() - 0.5);
+
+  const choices = [answer];
+  [otherCount, ...nearMisses].forEach(value => {
+    if (choices.length < NUM_OPTIONS && !choices.includes(value)) {
+      choices.push(value);
+    }
+  });
+
+  return choices.sort((a, b) => a - b);
+}
+
+/**
+ * Show the next question
+ */
+function showNextQuestion() {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
+    endDrill();
+    return;
+  }
+
+  currentSpot = generateSpot();
+  if (!currentSpot) {
+    endDrill();
+    return;
+  }
+
+  currentQuestion++;
+  document.getElementById('question-number').textContent = currentQuestion;
+
+  const { targetId, holeCards, board, askClean } = currentSpot;
+  if (!targetStats[targetId]) {
+    targetStats[targetId] = { total: 0, correct: 0 };
+  }
+
+  renderBoardDisplay(document.getElementById('board-display'), { cards: board, showTexture: false });
+  renderHand('hand-display', holeCards);
+  document.getElementById('prompt-display').textContent =
+    `How many ${askClean ? 'clean ' : ''}outs to ${OUT_TARGETS[targetId].name}?`;
+
+  // Update option buttons
+  currentOptions = generateOptions(currentSpot);
+  const buttons = document.querySelectorAll('.equity-options__btn');
+  buttons.forEach((btn, i) => {
+    btn.textContent = currentOptions[i];
+    btn.className = 'btn equity-options__btn';
+    btn.disabled = false;
+  });
+
+  // Hide feedback
+  document.getElementById('drill-feedback').innerHTML = '';
+  document.getElementById('drill-feedback').className = 'drill-feedback';
+
+  // Start question timer
+  questionStartTime = performance.now();
+  timer.startQuestion();
+}
+
+/**
+ * Render hero's hole cards
+ */
+function renderHand(containerId, cards) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  cards.forEach(card => {
+    new PlayingCard(card.rank, card.suit, { size: 'lg' }).render(container);
+  });
+}
+
+/**
+ * Handle player's answer
+ */
+function handleAnswer(optionIndex) {
+  if (!drillActive || !currentSpot) return;
+
+  const questionTime = performance.now() - questionStartTime;
+  questionTimes.push(questionTime);
+  timer.endQuestion();
+
+  const { targetId, street, holeCards, answer } = currentSpot;
+  const correctOption = currentOptions.indexOf(answer);
+  const isCorrect = optionIndex === correctOption;
+
+  targetStats[targetId].total++;
+
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: `${targetId}_${street}`, hand: getHandNotation(holeCards), correct: isCorrect, time: questionTime });
+
+  // Disable buttons
+  const buttons = document.querySelectorAll('.equity-options__btn');
+  buttons.forEach(btn => btn.disabled = true);
+
+  // Show visual feedback
+  if (isCorrect) {
+    correct++;
+    targetStats[targetId].correct++;
+    streakCounter.increment();
+
+    buttons[optionIndex].classList.add('equity-options__btn--correct');
+  } else {
+    streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
+
+    buttons[optionIndex].classList.add('equity-options__btn--wrong');
+    buttons[correctOption].classList.add('equity-options__btn--correct');
+  }
+
+  showFeedback(isCorrect, questionTime);
+
+  // Next question after delay (misses stay up longer to read the outs)
+  setTimeout(() => {
+    if (drillActive) {
+      showNextQuestion();
+    }
+  }, isCorrect ? 1500 : 3000);
+}
+
+/**
+ * Show feedback listing the outs, with the discounted ones and why
+ */
+function showFeedback(isCorrect, time) {
+  const feedbackEl = document.getElementById('drill-feedback');
+  const { outs, clean, discounted } = currentSpot;
+
+  const cleanText = `${clean.length} clean: ${clean.map(cardToString).join(' ') || 'none'}`;
+  const discountedText = discounted.length > 0
+    ? `; ${discounted.length} discounted: ${discounted.map(({ card, beatenBy }) => `${cardToString(card)} (${beatenBy.toLowerCase()} possible)`).join(', ')}`
+    : '';
+  const explanation = `${outs.length} outs, ${cleanText}${discountedText}`;
+
+  if (isCorrect) {
+    const speedClass = time < 4000 ? 'drill-feedback--fast' : time < 8000 ? 'drill-feedback--normal' : 'drill-feedback--slow';
+    feedbackEl.className = `drill-feedback drill-feedback--correct ${speedClass}`;
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✓</span>
+      <span class="drill-feedback__text">${explanation}</span>
+      <span class="drill-feedback__time">${formatTime(time)}</span>
+    `;
+  } else {
+    feedbackEl.className = 'drill-feedback drill-feedback--wrong';
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✗</span>
+      <span class="drill-feedback__text">${explanation}</span>
+    `;
+  }
+}
+
+/**
+ * End the drill and show results
+ */
+function endDrill() {
+  drillActive = false;
+  timer.stop();
+
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
+  const bestStreak = streakCounter.getBestStreak();
+  const passed = accuracy >= PASS_THRESHOLD;
+
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
+  const stats = {
+    mode: drillMode,
+    score: correct,
+    accuracy,
+    avgTime,
+    bestStreak,
+    passed
+  };
+  updateDrillProgress(DRILL_ID, stats);
+
+  // Get previous best for comparison
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Clear container
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  // Show results
+  const results = new DrillResults({
+    drillId: DRILL_ID,
+    drillName: 'Outs',
+    previousBest,
+    mode: drillMode,
+    modeBest,
+    onPlayAgain: () => renderOutsDrill(container),
+    onNextDrill: () => { window.location.hash = '#/drill/pot-odds'; },
+    onBackToHub: () => { window.location.hash = '#/drills'; }
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy,
+    avgTime,
+    fastestTime,
+    bestStreak,
+    correct,
+    total,
+    passed,
+    passThreshold: PASS_THRESHOLD
+  });
+
+  // Add target breakdown after results
+  addTargetBreakdown();
+}
+
+/**
+ * Add target breakdown to results
+ */
+function addTargetBreakdown() {
+  const resultsContent = container.querySelector('.drill-results__content');
+  if (!resultsContent) return;
+
+  const targets = Object.keys(OUT_TARGETS).filter(targetId => targetStats[targetId]?.total > 0);
+  if (targets.length === 0) return;
+
+  const breakdownHtml = `
+    <div class="drill-results__breakdown">
+      <h4 class="drill-results__breakdown-title">Accuracy by Target</h4>
+      <div class="drill-results__breakdown-grid" style="flex-wrap: wrap;">
+        ${targets.map(targetId => {
+          const stats = targetStats[targetId];
+          const pct = Math.round((stats.correct / stats.total) * 100);
+          return `
+            <div class="drill-results__breakdown-item">
+              <span class="drill-results__breakdown-pos">${OUT_TARGETS[targetId].label}</span>
+              <span class="drill-results__breakdown-value ${pct >= 75 ? 'drill-results__breakdown-value--good' : ''}">${pct}%</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+
+  const actions = resultsContent.querySelector('.drill-results__actions');
+  if (actions) {
+    actions.insertAdjacentHTML('beforebegin', breakdownHtml);
+  }
+}
+
+/**
+ * Quit the drill
+ */
+function quitDrill() {
+  drillActive = false;
+  if (timer) timer.stop();
+  window.location.hash = '#/drills';
+}
+
+/**
+ * Pick a key with probability proportional to its weight
+ */
+function pickWeighted(weights) {
+  const entries = Object.entries(weights);
+  let roll = Math.random() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Format time
+ */
+function formatTime(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
@@ -3,35 +3,21 @@
  * Test knowledge of position with various question types
  */
 
-import { Timer } from '../components/Timer.js';
 import { StreakCounter } from '../components/StreakCounter.js';
 import { DrillResults } from '../components/DrillResults.js';
-import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked } from '../storage.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { TABLE_FORMATS, DEFAULT_TABLE_FORMAT, DEFAULT_STACK_DEPTH, getOpeningSeats, getOpeningRanges, getPositionInfo } from '../data/ranges.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, getTableFormat, setTableFormat, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
 import { renderPositionTableMini } from '../components/PositionTableMini.js';
+import { renderTableFormatSelector, bindTableFormatSelector } from '../components/TableFormatSelector.js';
+import { showCountdown } from '../components/Countdown.js';
 
 const DRILL_ID = 'position-speed';
 const TOTAL_QUESTIONS = 15;
 const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
 
-// Position data
-const POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
-
-// Preflop action order (SB acts first preflop after blinds are posted)
-const PREFLOP_ORDER = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
-
-// Postflop action order (SB acts first)
-const POSTFLOP_ORDER = ['SB', 'BB', 'UTG', 'MP', 'CO', 'BTN'];
-
-// Position advantage (higher = better)
-const POSITION_VALUE = {
-  'UTG': 1,
-  'MP': 2,
-  'CO': 3,
-  'BTN': 4,
-  'SB': 0.5,  // Worst position postflop
-  'BB': 0.7   // Second worst position postflop
-};
-
 // Question types
 const QUESTION_TYPES = [
   'preflop_first',   // Which acts first preflop?
@@ -50,7 +36,9 @@ let questionTimes = [];
 let currentQuestionType = null;
 let correctAnswer = null;
 let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
 let container = null;
+let tableFormat = DEFAULT_TABLE_FORMAT; // Seats the questions are asked about
 
 /**
  * Render the drill page
@@ -115,6 +103,10 @@ function renderStartScreen() {
           </div>
         ` : ''}
 
+        ${renderTableFormatSelector(getTableFormat())}
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
         <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
           Start Drill
         </button>
@@ -122,6 +114,8 @@ function renderStartScreen() {
     </div>
   `;
 
+  bindTableFormatSelector(container, setTableFormat);
+  bindModeSelector(container, setDrillMode);
   document.getElementById('start-drill-btn').addEventListener('click', startDrill);
 }
 
@@ -130,6 +124,8 @@ function renderStartScreen() {
  */
 function startDrill() {
   // Reset state
+  drillMode = getDrillMode();
+  tableFormat = getTableFormat();
   currentQuestion = 0;
   correct = 0;
   questionTimes = [];
@@ -146,7 +142,7 @@ function startDrill() {
         </div>
         <div class="drill-header__center">
           <div class="drill-header__progress">
-            <span id="question-number">1</span>/<span>${TOTAL_QUESTIONS}</span>
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
           </div>
         </div>
         <div class="drill-header__right">
@@ -169,7 +165,7 @@ function startDrill() {
   `;
 
   // Initialize timer
-  timer = new Timer({ mode: 'stopwatch' });
+  timer = createModeTimer(drillMode, endDrill);
   timer.render(document.getElementById('timer-container'));
 
   // Initialize streak counter
@@ -182,102 +178,61 @@ function startDrill() {
   document.getElementById('quit-drill').addEventListener('click', quitDrill);
 
   // Show countdown then start
-  showCountdown(() => {
+  showCountdown(container, () => {
     timer.start();
+    bindHotkeys({
+      choice: '.position-options__btn',
+      quit: '#quit-drill'
+    });
     showNextQuestion();
   });
 }
 
 /**
- * Show countdown overlay
- */
-function showCountdown(callback) {
-  const overlay = document.createElement('div');
-  overlay.className = 'drill-countdown';
-  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
-  container.appendChild(overlay);
-
-  let count = 3;
-  const countdownEl = overlay.querySelector('.drill-countdown__number');
-
-  const interval = setInterval(() => {
-    count--;
-    if (count > 0) {
-      countdownEl.textContent = count;
-      countdownEl.classList.remove('drill-countdown__number--pulse');
-      void countdownEl.offsetWidth;
-      countdownEl.classList.add('drill-countdown__number--pulse');
-    } else if (count === 0) {
-      countdownEl.textContent = 'GO!';
-      countdownEl.classList.add('drill-countdown__number--go');
-    } else {
-      clearInterval(interval);
-      overlay.remove();
-      callback();
-    }
-  }, 800);
-}
-
-/**
- * Generate a random question
+ * Generate a random question for the chosen table format
  */
 function generateQuestion() {
-  const type = QUESTION_TYPES[Math.floor(Math.random() * QUESTION_TYPES.length)];
+  const { preflopOrder, postflopOrder } = TABLE_FORMATS[tableFormat];
+  const openers = getOpeningSeats(tableFormat);
+  const ranges = getOpeningRanges(DEFAULT_STACK_DEPTH, tableFormat);
+
+  // Heads-up has a single opener, so there's nothing to compare range widths with
+  const types = QUESTION_TYPES.filter(type => type !== 'opening_wider' || openers.length > 1);
+  const type = types[Math.floor(Math.random() * types.length)];
   let question = '';
   let options = [];
   let correct = '';
 
-  // Get two random different positions
-  const pos1Index = Math.floor(Math.random() * POSITIONS.length);
-  let pos2Index;
-  do {
-    pos2Index = Math.floor(Math.random() * POSITIONS.length);
-  } while (pos2Index === pos1Index);
-
-  const pos1 = POSITIONS[pos1Index];
-  const pos2 = POSITIONS[pos2Index];
+  // Two different seats (only openers when comparing ranges)
+  const [pos1, pos2] = pickTwo(type === 'opening_wider' ? openers : preflopOrder);
+  options = [pos1, pos2];
 
   switch (type) {
     case 'preflop_first':
       question = 'Who acts FIRST preflop?';
-      options = [pos1, pos2];
-      // Lower index in PREFLOP_ORDER acts first
-      correct = PREFLOP_ORDER.indexOf(pos1) < PREFLOP_ORDER.indexOf(pos2) ? pos1 : pos2;
+      correct = preflopOrder.indexOf(pos1) < preflopOrder.indexOf(pos2) ? pos1 : pos2;
       break;
 
     case 'postflop_first':
       question = 'Who acts FIRST postflop?';
-      options = [pos1, pos2];
-      // Lower index in POSTFLOP_ORDER acts first
-      correct = POSTFLOP_ORDER.indexOf(pos1) < POSTFLOP_ORDER.indexOf(pos2) ? pos1 : pos2;
+      correct = postflopOrder.indexOf(pos1) < postflopOrder.indexOf(pos2) ? pos1 : pos2;
       break;
 
     case 'has_position':
       question = 'Who has POSITION (acts last)?';
-      options = [pos1, pos2];
-      // Higher POSITION_VALUE has position
-      correct = POSITION_VALUE[pos1] > POSITION_VALUE[pos2] ? pos1 : pos2;
+      // Acting later postflop is having position
+      correct = postflopOrder.indexOf(pos1) > postflopOrder.indexOf(pos2) ? pos1 : pos2;
       break;
 
     case 'best_position':
       question = 'Which is the BETTER position?';
-      options = [pos1, pos2];
-      correct = POSITION_VALUE[pos1] > POSITION_VALUE[pos2] ? pos1 : pos2;
+      correct = postflopOrder.indexOf(pos1) > postflopOrder.indexOf(pos2) ? pos1 : pos2;
       break;
 
     case 'opening_wider':
-      // Only use opening positions (not BB)
-      const openingPositions = ['UTG', 'MP', 'CO', 'BTN', 'SB'];
-      const op1 = openingPositions[Math.floor(Math.random() * openingPositions.length)];
-      let op2;
-      do {
-        op2 = openingPositions[Math.floor(Math.random() * openingPositions.length)];
-      } while (op2 === op1);
-
       question = 'Which position opens WIDER?';
-      options = [op1, op2];
-      // Later positions open wider (higher value)
-      correct = POSITION_VALUE[op1] > POSITION_VALUE[op2] ? op1 : op2;
+      // Compare the 100BB charts for this format
+      correct = ranges[pos1].size > ranges[pos2].size ? pos1 : pos2;
       break;
   }
 
@@ -289,11 +244,24 @@ function generateQuestion() {
   return { question, options, correct, type };
 }
 
+/**
+ * Pick two different seats
+ */
+function pickTwo(seats) {
+  const first = Math.floor(Math.random() * seats.length);
+  let second;
+  do {
+    second = Math.floor(Math.random() * seats.length);
+  } while (second === first);
+
+  return [seats[first], seats[second]];
+}
+
 /**
  * Show the next question
  */
 function showNextQuestion() {
-  if (currentQuestion >= TOTAL_QUESTIONS) {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
     endDrill();
     return;
   }
@@ -310,7 +278,7 @@ function showNextQuestion() {
   document.getElementById('question-prompt').textContent = q.question;
 
   // Update mini table highlighting both positions
-  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(q.options);
+  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(q.options, tableFormat);
 
   // Display options
   const optionsContainer = document.getElementById('position-options');
@@ -339,15 +307,7 @@ function showNextQuestion() {
  * Get short description for position
  */
 function getPositionDescription(pos) {
-  const descriptions = {
-    'UTG': 'Under the Gun',
-    'MP': 'Middle Position',
-    'CO': 'Cutoff',
-    'BTN': 'Button',
-    'SB': 'Small Blind',
-    'BB': 'Big Blind'
-  };
-  return descriptions[pos] || '';
+  return getPositionInfo(pos)?.name || '';
 }
 
 /**
@@ -362,6 +322,13 @@ function handleAnswer(answer) {
 
   const isCorrect = answer === correctAnswer;
 
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, {
+    spot: tableFormat === DEFAULT_TABLE_FORMAT ? currentQuestionType : `${currentQuestionType}_${tableFormat}`,
+    correct: isCorrect,
+    time: questionTime
+  });
+
   // Disable buttons
   document.querySelectorAll('.position-options__btn').forEach(btn => {
     btn.disabled = true;
@@ -379,6 +346,7 @@ function handleAnswer(answer) {
     showFeedback(true, questionTime);
   } else {
     streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
     showFeedback(false, questionTime);
   }
 
@@ -422,14 +390,18 @@ function endDrill() {
   drillActive = false;
   timer.stop();
 
-  const accuracy = (correct / TOTAL_QUESTIONS) * 100;
-  const avgTime = questionTimes.reduce((a, b) => a + b, 0) / questionTimes.length;
-  const fastestTime = Math.min(...questionTimes);
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
   const bestStreak = streakCounter.getBestStreak();
   const passed = accuracy >= PASS_THRESHOLD;
 
-  // Save progress
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
   const stats = {
+    mode: drillMode,
+    score: correct,
     accuracy,
     avgTime,
     bestStreak,
@@ -448,8 +420,10 @@ function endDrill() {
     drillId: DRILL_ID,
     drillName: 'Position Speed',
     previousBest,
+    mode: drillMode,
+    modeBest,
     onPlayAgain: () => renderPositionDrill(container),
-    onNextDrill: () => { window.location.hash = '#/drills'; }, // Last drill, go back to hub
+    onNextDrill: () => { window.location.hash = '#/drill/outs'; },
     onBackToHub: () => { window.location.hash = '#/drills'; }
   });
 
@@ -459,7 +433,7 @@ function endDrill() {
     fastestTime,
     bestStreak,
     correct,
-    total: TOTAL_QUESTIONS,
+    total,
     passed,
     passThreshold: PASS_THRESHOLD
   });
@@ -0,0 +1,628 @@
+/**
+ * Pot Odds Drill
+ * Show a pot, a bet and a draw; player calls or folds, or types the equity the call needs.
+ * Calls are graded on outs-based equity (exact, with the rule of 2 and 4 shown alongside)
+ * plus implied odds when there's stack behind.
+ */
+
+import { StreakCounter } from '../components/StreakCounter.js';
+import { DrillResults } from '../components/DrillResults.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { calculatePotOdds, formatPotOdds, calculateSPR, getSPRCategory } from '../components/PotDisplay.js';
+import { showCountdown } from '../components/Countdown.js';
+import { DRAWS, IMPLIED_ODDS_SHARE, getOutsEquity, getRuleOfThumbEquity, getImpliedOddsNeeded } from '../data/drawOdds.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
+
+const DRILL_ID = 'pot-odds';
+const TOTAL_QUESTIONS = 20;
+const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
+
+// Typed answers within this many points of the real price count as correct
+const REQUIRED_EQUITY_TOLERANCE = 2;
+
+// Drill modes
+const MODES = {
+  mixed: 'Mixed',
+  'call-fold': 'Call or fold',
+  'required-equity': 'Required equity'
+};
+
+// Spot ingredients: pot before the bet (BB), bet as a share of the pot, and SPR after
+// the call (0 means villain is all in)
+const POT_SIZES = [4, 6, 8, 10, 12, 16, 20, 30];
+const BET_FRACTIONS = [0.25, 0.33, 0.5, 0.75, 1, 1.5];
+const SPR_AFTER_CALL = [0, 0, 1, 3, 6, 12];
+
+let currentQuestion = 0;
+let correct = 0;
+let timer = null;
+let streakCounter = null;
+let questionStartTime = 0;
+let questionTimes = [];
+let currentSpot = null;
+let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
+let container = null;
+let mode = 'mixed'; // Chosen on the start screen
+
+// Track stats by draw
+let drawStats = {};
+
+/**
+ * Render the drill page
+ */
+export function renderPotOddsDrill(containerElement) {
+  container = containerElement;
+
+  if (!isDrillUnlocked(DRILL_ID)) {
+    container.innerHTML = `
+      <div class="container" style="padding-top: var(--space-16); text-align: center;">
+        <h1 class="display-md mb-4">Drill Locked</h1>
+        <p class="text-lg text-secondary mb-8">Complete the Outs drill to unlock this one.</p>
+        <a href="#/drills" class="btn btn--primary">Back to Drills</a>
+      </div>
+    `;
+    return;
+  }
+
+  renderStartScreen();
+}
+
+/**
+ * Render the start screen
+ */
+function renderStartScreen() {
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <a href="#/drills" class="breadcrumb__link">Drills</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Pot Odds</span>
+        </nav>
+        <h1 class="page-header__title">Pot Odds</h1>
+        <p class="page-header__subtitle">Is the price right for your draw?</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">🧮</div>
+        <div class="drill-start__info">
+          <p class="drill-start__description">
+            You'll see a pot, a bet and your draw. Call or fold, or type the equity you need to call.
+            Count your equity with the rule of 2 and 4 (outs x 2 for one card, x 4 for two), and
+            remember that stack behind can pay you off when you hit.
+          </p>
+          <div class="drill-start__meta">
+            <span>${TOTAL_QUESTIONS} questions</span>
+            <span>Pass: ${PASS_THRESHOLD}%</span>
+          </div>
+        </div>
+
+        ${previousBest && previousBest.attempts > 0 ? `
+          <div class="drill-start__best">
+            <div class="drill-start__best-title">Your Best</div>
+            <div class="drill-start__best-stats">
+              <span>Score: ${Math.round(previousBest.bestScore)}%</span>
+              <span>Streak: ${previousBest.bestStreak}</span>
+              ${previousBest.bestTime ? `<span>Avg: ${formatTime(previousBest.bestTime)}</span>` : ''}
+            </div>
+          </div>
+        ` : ''}
+
+        <div class="pot-odds-options" role="radiogroup" aria-label="Mode">
+          ${Object.entries(MODES).map(([value, label]) => `
+            <button type="button" class="pot-odds-options__choice${value === mode ? ' pot-odds-options__choice--active' : ''}"
+              role="radio" aria-checked="${value === mode}" data-value="${value}">
+              ${label}
+            </button>
+          `).join('')}
+        </div>
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
+        <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
+          Start Drill
+        </button>
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('.pot-odds-options__choice').forEach(choice => {
+    choice.addEventListener('click', () => {
+      mode = choice.dataset.value;
+      container.querySelectorAll('.pot-odds-options__choice').forEach(other => {
+        const isActive = other === choice;
+        other.classList.toggle('pot-odds-options__choice--active', isActive);
+        other.setAttribute('aria-checked', String(isActive));
+      });
+    });
+  });
+  bindModeSelector(container, setDrillMode);
+  document.getElementById('start-drill-btn').addEventListener('click', startDrill);
+}
+
+/**
+ * Start the drill
+ */
+function startDrill() {
+  // Reset state
+  drillMode = getDrillMode();
+  currentQuestion = 0;
+  correct = 0;
+  questionTimes = [];
+  drillActive = true;
+  drawStats = {};
+
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Create UI
+  container.innerHTML = `
+    <div class="drill-active">
+      <div class="drill-header">
+        <div class="drill-header__left">
+          <button class="btn btn--ghost drill-header__back" id="quit-drill">&larr; Quit</button>
+        </div>
+        <div class="drill-header__center">
+          <div class="drill-header__progress">
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
+          </div>
+        </div>
+        <div class="drill-header__right">
+          <div id="timer-container"></div>
+        </div>
+      </div>
+
+      <div id="streak-container"></div>
+
+      <div class="drill-question" id="drill-question">
+        <div class="pot-odds-spot" id="spot-display"></div>
+        <div class="drill-question__prompt" id="prompt-display"></div>
+
+        <div class="drill-actions" id="call-fold-actions">
+          <button class="btn drill-actions__btn drill-actions__btn--call" id="call-btn">
+            CALL
+          </button>
+          <button class="btn drill-actions__btn drill-actions__btn--fold" id="fold-btn">
+            FOLD
+          </button>
+        </div>
+
+        <form class="pot-odds-answer" id="equity-form" autocomplete="off" hidden>
+          <label class="pot-odds-answer__label" for="equity-input">Equity needed</label>
+          <div class="pot-odds-answer__row">
+            <input class="pot-odds-answer__input" id="equity-input" type="number" inputmode="decimal"
+              min="0" max="100" step="0.1" required>
+            <span class="pot-odds-answer__unit">%</span>
+            <button type="submit" class="btn btn--primary pot-odds-answer__submit" id="equity-submit">Check</button>
+          </div>
+        </form>
+      </div>
+
+      <div class="drill-feedback" id="drill-feedback"></div>
+    </div>
+  `;
+
+  // Initialize timer
+  timer = createModeTimer(drillMode, endDrill);
+  timer.render(document.getElementById('timer-container'));
+
+  // Initialize streak counter
+  streakCounter = new StreakCounter({
+    bestStreak: previousBest?.bestStreak || 0
+  });
+  streakCounter.render(document.getElementById('streak-container'));
+
+  // Bind events
+  document.getElementById('quit-drill').addEventListener('click', quitDrill);
+  document.getElementById('call-btn').addEventListener('click', () => handleCallFold(true));
+  document.getElementById('fold-btn').addEventListener('click', () => handleCallFold(false));
+  document.getElementById('equity-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleEquityAnswer(parseFloat(document.getElementById('equity-input').value));
+  });
+
+  // Show countdown then start
+  showCountdown(container, () => {
+    timer.start();
+    bindHotkeys({
+      call: '#call-btn',
+      fold: '#fold-btn',
+      choice: '.drill-actions__btn',
+      quit: '#quit-drill'
+    });
+    showNextQuestion();
+  });
+}
+
+/**
+ * Build a random spot and work out its answers
+ */
+function generateSpot() {
+  const drawId = pickRandom(Object.keys(DRAWS));
+  const street = pickRandom(['flop', 'turn']);
+  const pot = pickRandom(POT_SIZES);
+  const bet = roundBB(pot * pickRandom(BET_FRACTIONS));
+  const potAfterCall = pot + bet * 2;
+  const behind = roundBB(potAfterCall * pickRandom(SPR_AFTER_CALL));
+  const allIn = behind === 0;
+
+  // All in on the flop, hero sees both cards; otherwise price the next card only
+  const cardsToCome = allIn && street === 'flop' ? 2 : 1;
+  const outs = DRAWS[drawId].outs;
+
+  const requiredEquity = Number(calculatePotOdds(pot + bet, bet).percentage);
+  const exactEquity = getOutsEquity(outs, street, cardsToCome);
+  const estimatedEquity = getRuleOfThumbEquity(outs, cardsToCome);
+  const impliedNeeded = getImpliedOddsNeeded(pot + bet, bet, exactEquity);
+
+  const exactCall = isCallProfitable(exactEquity, requiredEquity, pot + bet, bet, behind);
+  const estimatedCall = isCallProfitable(estimatedEquity, requiredEquity, pot + bet, bet, behind);
+
+  return {
+    drawId,
+    street,
+    pot,
+    bet,
+    behind,
+    allIn,
+    cardsToCome,
+    outs,
+    requiredEquity,
+    exactEquity,
+    estimatedEquity,
+    impliedNeeded,
+    shouldCall: exactCall,
+    // The rule of thumb and the exact count disagree: either answer is fine
+    closeSpot: exactCall !== estimatedCall,
+    questionType: mode === 'mixed' ? pickRandom(['call-fold', 'required-equity']) : mode
+  };
+}
+
+/**
+ * Whether a call pays, on the direct odds or on what the stack behind can still win
+ */
+function isCallProfitable(equity, requiredEquity, potSize, toCall, behind) {
+  if (equity >= requiredEquity) return true;
+  return behind > 0 && getImpliedOddsNeeded(potSize, toCall, equity) <= behind * IMPLIED_ODDS_SHARE;
+}
+
+/**
+ * Show the next question
+ */
+function showNextQuestion() {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
+    endDrill();
+    return;
+  }
+
+  currentQuestion++;
+  document.getElementById('question-number').textContent = currentQuestion;
+
+  currentSpot = generateSpot();
+  const { drawId, questionType } = currentSpot;
+
+  if (!drawStats[drawId]) {
+    drawStats[drawId] = { total: 0, correct: 0 };
+  }
+
+  document.getElementById('spot-display').innerHTML = renderSpot(currentSpot);
+  document.getElementById('prompt-display').textContent = questionType === 'call-fold'
+    ? 'Call or fold?'
+    : 'What equity do you need to call?';
+
+  // Show the answer controls for this question type
+  const actions = document.getElementById('call-fold-actions');
+  const form = document.getElementById('equity-form');
+  actions.hidden = questionType !== 'call-fold';
+  form.hidden = questionType !== 'required-equity';
+
+  const callBtn = document.getElementById('call-btn');
+  const foldBtn = document.getElementById('fold-btn');
+  callBtn.className = 'btn drill-actions__btn drill-actions__btn--call';
+  foldBtn.className = 'btn drill-actions__btn drill-actions__btn--fold';
+  callBtn.disabled = false;
+  foldBtn.disabled = false;
+
+  const input = document.getElementById('equity-input');
+  input.value = '';
+  input.className = 'pot-odds-answer__input';
+  input.disabled = false;
+  document.getElementById('equity-submit').disabled = false;
+  if (questionType === 'required-equity') input.focus();
+
+  // Hide feedback
+  document.getElementById('drill-feedback').innerHTML = '';
+  document.getElementById('drill-feedback').className = 'drill-feedback';
+
+  // Start question timer
+  questionStartTime = performance.now();
+  timer.startQuestion();
+}
+
+/**
+ * Render the pot, bet, stack and draw for a spot
+ */
+function renderSpot(spot) {
+  const { drawId, street, pot, bet, behind, allIn, outs } = spot;
+  const sprCategory = getSPRCategory(calculateSPR(behind, pot + bet * 2));
+
+  return `
+    <div class="pot-odds-spot__draw">
+      ${DRAWS[drawId].name} <span class="pot-odds-spot__outs">${outs} outs</span>
+    </div>
+    <div class="pot-odds-spot__street">
+      ${street === 'flop' ? 'Flop' : 'Turn'} &middot; ${allIn ? 'villain is all in' : `${sprCategory.description.split(' - ')[0]} after the call`}
+    </div>
+    <div class="pot-odds-spot__numbers">
+      <div class="pot-odds-spot__item">
+        <span class="pot-odds-spot__value">${pot}BB</span>
+        <span class="pot-odds-spot__label">Pot</span>
+      </div>
+      <div class="pot-odds-spot__item">
+        <span class="pot-odds-spot__value pot-odds-spot__value--bet">${bet}BB</span>
+        <span class="pot-odds-spot__label">${allIn ? 'All in' : 'Bet'}</span>
+      </div>
+      <div class="pot-odds-spot__item">
+        <span class="pot-odds-spot__value">${behind}BB</span>
+        <span class="pot-odds-spot__label">Behind</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Handle a call or fold
+ */
+function handleCallFold(calls) {
+  if (!drillActive) return;
+
+  const questionTime = recordQuestionTime();
+  const isCorrect = currentSpot.closeSpot || calls === currentSpot.shouldCall;
+
+  const callBtn = document.getElementById('call-btn');
+  const foldBtn = document.getElementById('fold-btn');
+  callBtn.disabled = true;
+  foldBtn.disabled = true;
+
+  const chosen = calls ? callBtn : foldBtn;
+  const right = currentSpot.shouldCall ? callBtn : foldBtn;
+  chosen.classList.add(isCorrect ? 'drill-actions__btn--correct' : 'drill-actions__btn--wrong');
+  if (!isCorrect) right.classList.add('drill-actions__btn--correct');
+
+  finishQuestion(isCorrect, questionTime, getCallFoldExplanation(currentSpot));
+}
+
+/**
+ * Handle a typed required-equity answer
+ */
+function handleEquityAnswer(value) {
+  if (!drillActive || isNaN(value)) return;
+
+  const questionTime = recordQuestionTime();
+  const isCorrect = Math.abs(value - currentSpot.requiredEquity) <= REQUIRED_EQUITY_TOLERANCE;
+
+  const input = document.getElementById('equity-input');
+  input.disabled = true;
+  input.classList.add(isCorrect ? 'pot-odds-answer__input--correct' : 'pot-odds-answer__input--wrong');
+  document.getElementById('equity-submit').disabled = true;
+
+  const { pot, bet, requiredEquity } = currentSpot;
+  finishQuestion(
+    isCorrect,
+    questionTime,
+    `Call ${bet}BB to win ${roundBB(pot + bet * 2)}BB: ${formatPotOdds(pot + bet, bet)} needs ${requiredEquity.toFixed(1)}%`
+  );
+}
+
+/**
+ * Stop the question clock and return how long the answer took
+ */
+function recordQuestionTime() {
+  const questionTime = performance.now() - questionStartTime;
+  questionTimes.push(questionTime);
+  timer.endQuestion();
+  return questionTime;
+}
+
+/**
+ * Score an answer, show feedback and move on
+ */
+function finishQuestion(isCorrect, questionTime, explanation) {
+  const { drawId, street, questionType } = currentSpot;
+
+  drawStats[drawId].total++;
+  if (isCorrect) {
+    correct++;
+    drawStats[drawId].correct++;
+    streakCounter.increment();
+  } else {
+    streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
+  }
+
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: `${drawId}_${street}_${questionType}`, correct: isCorrect, time: questionTime });
+
+  showFeedback(isCorrect, questionTime, explanation);
+
+  // Next question after delay (misses stay up longer to read the math)
+  setTimeout(() => {
+    if (drillActive) {
+      showNextQuestion();
+    }
+  }, isCorrect ? 1200 : 2500);
+}
+
+/**
+ * Explain a call-or-fold answer: price, equity both ways, then implied odds
+ */
+function getCallFoldExplanation(spot) {
+  const { requiredEquity, exactEquity, estimatedEquity, cardsToCome, impliedNeeded, behind, shouldCall, closeSpot, pot, bet } = spot;
+
+  const parts = [
+    `pot odds ${formatPotOdds(pot + bet, bet)}`,
+    `your draw ${exactEquity.toFixed(1)}% (rule of ${cardsToCome === 2 ? 4 : 2}: ${estimatedEquity}%)`
+  ];
+
+  if (exactEquity < requiredEquity) {
+    parts.push(behind > 0
+      ? `implied odds: win ${roundBB(impliedNeeded)}BB more of ${behind}BB behind`
+      : 'no stack behind for implied odds');
+  }
+
+  const verdict = closeSpot ? 'Close either way' : shouldCall ? 'CALL' : 'FOLD';
+  return `${verdict}: ${parts.join(', ')}`;
+}
+
+/**
+ * Show feedback
+ */
+function showFeedback(isCorrect, time, explanation) {
+  const feedbackEl = document.getElementById('drill-feedback');
+
+  if (isCorrect) {
+    const speedClass = time < 4000 ? 'drill-feedback--fast' : time < 8000 ? 'drill-feedback--normal' : 'drill-feedback--slow';
+    feedbackEl.className = `drill-feedback drill-feedback--correct ${speedClass}`;
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✓</span>
+      <span class="drill-feedback__text">${explanation}</span>
+      <span class="drill-feedback__time">${formatTime(time)}</span>
+    `;
+  } else {
+    feedbackEl.className = 'drill-feedback drill-feedback--wrong';
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✗</span>
+      <span class="drill-feedback__text">${explanation}</span>
+    `;
+  }
+}
+
+/**
+ * End the drill and show results
+ */
+function endDrill() {
+  drillActive = false;
+  timer.stop();
+
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
+  const bestStreak = streakCounter.getBestStreak();
+  const passed = accuracy >= PASS_THRESHOLD;
+
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
+  const stats = {
+    mode: drillMode,
+    score: correct,
+    accuracy,
+    avgTime,
+    bestStreak,
+    passed
+  };
+  updateDrillProgress(DRILL_ID, stats);
+
+  // Get previous best for comparison
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Clear container
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  // Show results
+  const results = new DrillResults({
+    drillId: DRILL_ID,
+    drillName: 'Pot Odds',
+    previousBest,
+    mode: drillMode,
+    modeBest,
+    onPlayAgain: () => renderPotOddsDrill(container),
+    onNextDrill: () => { window.location.hash = '#/drill/combos'; },
+    onBackToHub: () => { window.location.hash = '#/drills'; }
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy,
+    avgTime,
+    fastestTime,
+    bestStreak,
+    correct,
+    total,
+    passed,
+    passThreshold: PASS_THRESHOLD
+  });
+
+  // Add draw breakdown after results
+  addDrawBreakdown();
+}
+
+/**
+ * Add draw breakdown to results
+ */
+function addDrawBreakdown() {
+  const resultsContent = container.querySelector('.drill-results__content');
+  if (!resultsContent) return;
+
+  const draws = Object.keys(DRAWS).filter(drawId => drawStats[drawId]?.total > 0);
+  if (draws.length === 0) return;
+
+  const breakdownHtml = `
+    <div class="drill-results__breakdown">
+      <h4 class="drill-results__breakdown-title">Accuracy by Draw</h4>
+      <div class="drill-results__breakdown-grid">
+        ${draws.map(drawId => {
+          const stats = drawStats[drawId];
+          const pct = Math.round((stats.correct / stats.total) * 100);
+          return `
+            <div class="drill-results__breakdown-item">
+              <span class="drill-results__breakdown-pos">${DRAWS[drawId].name}</span>
+              <span class="drill-results__breakdown-value ${pct >= 75 ? 'drill-results__breakdown-value--good' : ''}">${pct}%</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+
+  const actions = resultsContent.querySelector('.drill-results__actions');
+  if (actions) {
+    actions.insertAdjacentHTML('beforebegin', breakdownHtml);
+  }
+}
+
+/**
+ * Quit the drill
+ */
+function quitDrill() {
+  drillActive = false;
+  if (timer) timer.stop();
+  window.location.hash = '#/drills';
+}
+
+/**
+ * Pick a random element
+ */
+function pickRandom(arr) {
+  return arr[Math.floor(Math.random() * arr.length)];
+}
+
+/**
+ * Round a BB amount to one decimal
+ */
+function roundBB(amount) {
+  return Math.round(amount * 10) / 10;
+}
+
+/**
+ * Format time
+ */
+function formatTime(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
@@ -0,0 +1,568 @@
+/**
+ * Push/Fold Drill
+ * Short-stack trainer: shove or fold first in, or call or fold facing a shove,
+ * graded against the chip-EV Nash charts
+ */
+
+import { PlayingCard } from '../components/PlayingCard.js';
+import { StreakCounter } from '../components/StreakCounter.js';
+import { DrillResults } from '../components/DrillResults.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
+import { getRandomHand, parseHand, formatHandNotation } from '../data/hands.js';
+import {
+  PUSH_FOLD_MIN_STACK,
+  PUSH_FOLD_MAX_STACK,
+  PUSH_FOLD_ANTES,
+  SHOVE_POSITIONS,
+  getCallerPositions,
+  getShoveThreshold,
+  getCallThreshold
+} from '../data/pushFoldCharts.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, recordReviewAnswer, logAnswer, getDrillModeBest, getDrillMode, setDrillMode } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
+import { renderPositionTableMini } from '../components/PositionTableMini.js';
+import { showCountdown } from '../components/Countdown.js';
+
+const DRILL_ID = 'push-fold';
+const TOTAL_QUESTIONS = 25;
+const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
+
+// Drill modes
+const MODES = {
+  shove: { label: 'Shove or fold', yes: 'SHOVE', yesAction: 'Shove', yesClass: 'raise' },
+  call: { label: 'Call vs shove', yes: 'CALL', yesAction: 'Call', yesClass: 'call' }
+};
+
+let currentQuestion = 0;
+let correct = 0;
+let timer = null;
+let streakCounter = null;
+let questionStartTime = 0;
+let questionTimes = [];
+let currentHand = null;
+let currentPosition = null; // Hero's seat
+let currentShover = null; // Seat that shoved (call mode)
+let currentStack = PUSH_FOLD_MAX_STACK;
+let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
+let container = null;
+let mode = 'shove'; // Chosen on the start screen
+let ante = 'none';
+
+// Track stats by hero position
+let positionStats = {};
+
+/**
+ * Render the drill page
+ */
+export function renderPushFoldDrill(containerElement) {
+  container = containerElement;
+
+  if (!isDrillUnlocked(DRILL_ID)) {
+    container.innerHTML = `
+      <div class="container" style="padding-top: var(--space-16); text-align: center;">
+        <h1 class="display-md mb-4">Drill Locked</h1>
+        <p class="text-lg text-secondary mb-8">Complete the Open or Fold drill to unlock this one.</p>
+        <a href="#/drills" class="btn btn--primary">Back to Drills</a>
+      </div>
+    `;
+    return;
+  }
+
+  renderStartScreen();
+}
+
+/**
+ * Render the start screen
+ */
+function renderStartScreen() {
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <a href="#/drills" class="breadcrumb__link">Drills</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Push/Fold</span>
+        </nav>
+        <h1 class="page-header__title">Push/Fold</h1>
+        <p class="page-header__subtitle">Short-stack shoving by the Nash charts</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">💥</div>
+        <div class="drill-start__info">
+          <p class="drill-start__description">
+            You'll see a hand, a position and an effective stack between ${PUSH_FOLD_MIN_STACK} and ${PUSH_FOLD_MAX_STACK}BB.
+            Shove all in or fold when it folds to you, or call or fold when someone shoves into you.
+          </p>
+          <div class="drill-start__meta">
+            <span>${TOTAL_QUESTIONS} questions</span>
+            <span>Pass: ${PASS_THRESHOLD}%</span>
+          </div>
+        </div>
+
+        ${previousBest && previousBest.attempts > 0 ? `
+          <div class="drill-start__best">
+            <div class="drill-start__best-title">Your Best</div>
+            <div class="drill-start__best-stats">
+              <span>Score: ${Math.round(previousBest.bestScore)}%</span>
+              <span>Streak: ${previousBest.bestStreak}</span>
+              ${previousBest.bestTime ? `<span>Avg: ${formatTime(previousBest.bestTime)}</span>` : ''}
+            </div>
+          </div>
+        ` : ''}
+
+        <div class="push-fold-options">
+          ${renderOptionGroup('mode', 'Mode', Object.fromEntries(Object.entries(MODES).map(([id, info]) => [id, info.label])), mode)}
+          ${renderOptionGroup('ante', 'Ante', PUSH_FOLD_ANTES, ante)}
+        </div>
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
+        <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
+          Start Drill
+        </button>
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('.push-fold-options__choice').forEach(choice => {
+    choice.addEventListener('click', () => {
+      if (choice.dataset.group === 'mode') mode = choice.dataset.value;
+      if (choice.dataset.group === 'ante') ante = choice.dataset.value;
+
+      container.querySelectorAll(`.push-fold-options__choice[data-group="${choice.dataset.group}"]`).forEach(other => {
+        const isActive = other === choice;
+        other.classList.toggle('push-fold-options__choice--active', isActive);
+        other.setAttribute('aria-checked', String(isActive));
+      });
+    });
+  });
+  bindModeSelector(container, setDrillMode);
+  document.getElementById('start-drill-btn').addEventListener('click', startDrill);
+}
+
+/**
+ * Render one row of start-screen choices
+ */
+function renderOptionGroup(group, label, choices, selected) {
+  return `
+    <div class="push-fold-options__group">
+      <div class="push-fold-options__label" id="push-fold-${group}-label">${label}</div>
+      <div class="push-fold-options__choices" role="radiogroup" aria-labelledby="push-fold-${group}-label">
+        ${Object.entries(choices).map(([value, text]) => `
+          <button type="button" class="push-fold-options__choice${value === selected ? ' push-fold-options__choice--active' : ''}"
+            role="radio" aria-checked="${value === selected}" data-group="${group}" data-value="${value}">
+            ${text}
+          </button>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Start the drill
+ */
+function startDrill() {
+  // Reset state
+  drillMode = getDrillMode();
+  currentQuestion = 0;
+  correct = 0;
+  questionTimes = [];
+  drillActive = true;
+  positionStats = {};
+
+  const previousBest = getDrillProgress(DRILL_ID);
+  const modeInfo = MODES[mode];
+
+  // Create UI
+  container.innerHTML = `
+    <div class="drill-active">
+      <div class="drill-header">
+        <div class="drill-header__left">
+          <button class="btn btn--ghost drill-header__back" id="quit-drill">&larr; Quit</button>
+        </div>
+        <div class="drill-header__center">
+          <div class="drill-header__progress">
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
+          </div>
+        </div>
+        <div class="drill-header__right">
+          <div id="timer-container"></div>
+        </div>
+      </div>
+
+      <div id="streak-container"></div>
+
+      <div class="drill-question" id="drill-question">
+        <div class="drill-position-ref">
+          <div class="drill-question__position" id="position-display"></div>
+          <div id="position-table-mini"></div>
+        </div>
+        <div class="drill-question__stack" id="stack-display"></div>
+        <div class="drill-question__prompt" id="prompt-display"></div>
+
+        <div class="drill-hand-display" id="hand-display"></div>
+
+        <div class="drill-actions">
+          <button class="btn drill-actions__btn drill-actions__btn--${modeInfo.yesClass}" id="yes-btn">
+            ${modeInfo.yes}
+          </button>
+          <button class="btn drill-actions__btn drill-actions__btn--fold" id="fold-btn">
+            FOLD
+          </button>
+        </div>
+      </div>
+
+      <div class="drill-feedback" id="drill-feedback"></div>
+    </div>
+  `;
+
+  // Initialize timer
+  timer = createModeTimer(drillMode, endDrill);
+  timer.render(document.getElementById('timer-container'));
+
+  // Initialize streak counter
+  streakCounter = new StreakCounter({
+    bestStreak: previousBest?.bestStreak || 0
+  });
+  streakCounter.render(document.getElementById('streak-container'));
+
+  // Bind events
+  document.getElementById('quit-drill').addEventListener('click', quitDrill);
+  document.getElementById('yes-btn').addEventListener('click', () => handleAnswer(true));
+  document.getElementById('fold-btn').addEventListener('click', () => handleAnswer(false));
+
+  // Show countdown then start
+  showCountdown(container, () => {
+    timer.start();
+    bindHotkeys({
+      yes: '#yes-btn',
+      call: '#yes-btn',
+      no: '#fold-btn',
+      fold: '#fold-btn',
+      choice: '.drill-actions__btn',
+      quit: '#quit-drill'
+    });
+    showNextQuestion();
+  });
+}
+
+/**
+ * Show the next question
+ */
+function showNextQuestion() {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
+    endDrill();
+    return;
+  }
+
+  currentQuestion++;
+  document.getElementById('question-number').textContent = currentQuestion;
+
+  // Pick the spot: a shover, and in call mode a seat behind them
+  currentShover = pickRandom(SHOVE_POSITIONS);
+  currentPosition = mode === 'call' ? pickRandom(getCallerPositions(currentShover)) : currentShover;
+  currentStack = PUSH_FOLD_MIN_STACK + Math.floor(Math.random() * (PUSH_FOLD_MAX_STACK - PUSH_FOLD_MIN_STACK + 1));
+  currentHand = getRandomHand();
+
+  if (!positionStats[currentPosition]) {
+    positionStats[currentPosition] = { total: 0, correct: 0 };
+  }
+
+  // Display position, stack and prompt
+  const positionDisplay = document.getElementById('position-display');
+  positionDisplay.textContent = currentPosition;
+  positionDisplay.className = 'drill-question__position drill-question__position--' + currentPosition.toLowerCase();
+  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(currentPosition);
+  document.getElementById('stack-display').textContent = `${currentStack}BB effective · ${PUSH_FOLD_ANTES[ante]}`;
+  document.getElementById('prompt-display').textContent = getPrompt();
+
+  // Render hand
+  renderHand('hand-display', currentHand);
+
+  // Reset buttons
+  const yesBtn = document.getElementById('yes-btn');
+  const foldBtn = document.getElementById('fold-btn');
+  yesBtn.className = `btn drill-actions__btn drill-actions__btn--${MODES[mode].yesClass}`;
+  foldBtn.className = 'btn drill-actions__btn drill-actions__btn--fold';
+  yesBtn.disabled = false;
+  foldBtn.disabled = false;
+
+  // Hide feedback
+  document.getElementById('drill-feedback').innerHTML = '';
+  document.getElementById('drill-feedback').className = 'drill-feedback';
+
+  // Start question timer
+  questionStartTime = performance.now();
+  timer.startQuestion();
+}
+
+/**
+ * Get the question for the current spot
+ */
+function getPrompt() {
+  return mode === 'call'
+    ? `${currentShover} shoves. Do you call?`
+    : 'Folded to you. Shove or fold?';
+}
+
+/**
+ * Render a hand
+ */
+function renderHand(containerId, handNotation) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  const parsed = parseHand(handNotation);
+  if (!parsed) return;
+
+  const suits = parsed.suited ? ['h', 'h'] : ['h', 's'];
+
+  const card1 = new PlayingCard(parsed.rank1, suits[0], { size: 'lg' });
+  const card2 = new PlayingCard(parsed.rank2, suits[1], { size: 'lg' });
+
+  card1.render(container);
+  card2.render(container);
+}
+
+/**
+ * Get the deepest stack the current hand still shoves (or calls) at
+ */
+function getCurrentThreshold() {
+  return mode === 'call'
+    ? getCallThreshold(currentHand, currentShover, currentPosition, ante)
+    : getShoveThreshold(currentHand, currentPosition, ante);
+}
+
+/**
+ * Handle player's answer
+ */
+function handleAnswer(goesAllIn) {
+  if (!drillActive) return;
+
+  const questionTime = performance.now() - questionStartTime;
+  questionTimes.push(questionTime);
+  timer.endQuestion();
+
+  const threshold = getCurrentThreshold();
+  const inRange = currentStack <= threshold;
+  const isCorrect = goesAllIn === inRange;
+  const modeInfo = MODES[mode];
+  const spot = mode === 'call' ? `${currentPosition}_vs_${currentShover}` : currentPosition;
+
+  // Track position stats
+  positionStats[currentPosition].total++;
+  if (isCorrect) {
+    positionStats[currentPosition].correct++;
+  }
+
+  // Misses go to the review queue (one question per stack size)
+  recordReviewAnswer(DRILL_ID, {
+    spot: `${mode}_${spot}_${currentStack}bb${ante === 'none' ? '' : `_${ante}-ante`}`,
+    hand: currentHand,
+    position: currentPosition,
+    prompt: `${currentStack}BB, ${PUSH_FOLD_ANTES[ante].toLowerCase()}: ${getPrompt()}`,
+    options: [{ action: modeInfo.yesAction, label: modeInfo.yes }, { action: 'Fold', label: 'FOLD' }],
+    correctAnswer: inRange ? modeInfo.yesAction : 'Fold'
+  }, isCorrect);
+
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot, position: currentPosition, hand: currentHand, correct: isCorrect, time: questionTime });
+
+  // Disable buttons
+  const yesBtn = document.getElementById('yes-btn');
+  const foldBtn = document.getElementById('fold-btn');
+  yesBtn.disabled = true;
+  foldBtn.disabled = true;
+
+  // Show visual feedback
+  if (isCorrect) {
+    correct++;
+    streakCounter.increment();
+
+    if (goesAllIn) {
+      yesBtn.classList.add('drill-actions__btn--correct');
+    } else {
+      foldBtn.classList.add('drill-actions__btn--correct');
+    }
+
+    showFeedback(true, questionTime);
+  } else {
+    streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
+
+    if (goesAllIn) {
+      yesBtn.classList.add('drill-actions__btn--wrong');
+      foldBtn.classList.add('drill-actions__btn--correct');
+    } else {
+      foldBtn.classList.add('drill-actions__btn--wrong');
+      yesBtn.classList.add('drill-actions__btn--correct');
+    }
+
+    showFeedback(false, questionTime, inRange, threshold);
+  }
+
+  // Next question after delay (misses stay up longer to read the cutoff)
+  setTimeout(() => {
+    if (drillActive) {
+      showNextQuestion();
+    }
+  }, isCorrect ? 800 : 2000);
+}
+
+/**
+ * Show feedback
+ */
+function showFeedback(isCorrect, time, inRange, threshold) {
+  const feedbackEl = document.getElementById('drill-feedback');
+
+  if (isCorrect) {
+    const speedClass = time < 2000 ? 'drill-feedback--fast' : time < 3000 ? 'drill-feedback--normal' : 'drill-feedback--slow';
+    feedbackEl.className = `drill-feedback drill-feedback--correct ${speedClass}`;
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✓</span>
+      <span class="drill-feedback__text">Correct!</span>
+      <span class="drill-feedback__time">${formatTime(time)}</span>
+    `;
+  } else {
+    const verb = MODES[mode].yesAction.toLowerCase();
+    const cutoff = threshold === 0
+      ? `never ${verb}s`
+      : threshold >= PUSH_FOLD_MAX_STACK
+        ? `${verb}s at every stack up to ${PUSH_FOLD_MAX_STACK}BB`
+        : `${verb}s at ${threshold}BB or less`;
+
+    feedbackEl.className = 'drill-feedback drill-feedback--wrong';
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✗</span>
+      <span class="drill-feedback__text">
+        ${formatHandNotation(currentHand)} is ${inRange ? `a ${MODES[mode].yes}` : 'a FOLD'} here: it ${cutoff}
+      </span>
+    `;
+  }
+}
+
+/**
+ * End the drill and show results
+ */
+function endDrill() {
+  drillActive = false;
+  timer.stop();
+
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
+  const bestStreak = streakCounter.getBestStreak();
+  const passed = accuracy >= PASS_THRESHOLD;
+
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
+  const stats = {
+    mode: drillMode,
+    score: correct,
+    accuracy,
+    avgTime,
+    bestStreak,
+    passed
+  };
+  updateDrillProgress(DRILL_ID, stats);
+
+  // Get previous best for comparison
+  const previousBest = getDrillProgress(DRILL_ID);
+
+  // Clear container
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  // Show results
+  const results = new DrillResults({
+    drillId: DRILL_ID,
+    drillName: 'Push/Fold',
+    previousBest,
+    mode: drillMode,
+    modeBest,
+    onPlayAgain: () => renderPushFoldDrill(container),
+    onNextDrill: () => { window.location.hash = '#/drills'; }, // Side drill, go back to hub
+    onBackToHub: () => { window.location.hash = '#/drills'; }
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy,
+    avgTime,
+    fastestTime,
+    bestStreak,
+    correct,
+    total,
+    passed,
+    passThreshold: PASS_THRESHOLD
+  });
+
+  // Add position breakdown after results
+  addPositionBreakdown();
+}
+
+/**
+ * Add position breakdown to results
+ */
+function addPositionBreakdown() {
+  const resultsContent = container.querySelector('.drill-results__content');
+  if (!resultsContent) return;
+
+  const positions = (mode === 'call' ? getCallerPositions(SHOVE_POSITIONS[0]) : SHOVE_POSITIONS)
+    .filter(pos => positionStats[pos]);
+
+  const breakdownHtml = `
+    <div class="drill-results__breakdown">
+      <h4 class="drill-results__breakdown-title">Accuracy by Position</h4>
+      <div class="drill-results__breakdown-grid">
+        ${positions.map(pos => {
+          const stats = positionStats[pos];
+          const pct = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
+          return `
+            <div class="drill-results__breakdown-item">
+              <span class="drill-results__breakdown-pos">${pos}</span>
+              <span class="drill-results__breakdown-value ${pct >= 75 ? 'drill-results__breakdown-value--good' : ''}">${pct}%</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+
+  // Insert before actions
+  const actions = resultsContent.querySelector('.drill-results__actions');
+  if (actions) {
+    actions.insertAdjacentHTML('beforebegin', breakdownHtml);
+  }
+}
+
+/**
+ * Quit the drill
+ */
+function quitDrill() {
+  drillActive = false;
+  if (timer) timer.stop();
+  window.location.hash = '#/drills';
+}
+
+/**
+ * Pick a random element
+ */
+function pickRandom(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Format time
+ */
+function formatTime(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
@@ -4,22 +4,26 @@
  */
 
 import { PlayingCard } from '../components/PlayingCard.js';
-import { Timer } from '../components/Timer.js';
 import { StreakCounter } from '../components/StreakCounter.js';
 import { DrillResults } from '../components/DrillResults.js';
+import { renderModeSelector, bindModeSelector, renderModeProgress, createModeTimer, updateModeLives, isModeRunOver } from '../components/ModeSelector.js';
 import { RangeGrid } from '../components/RangeGrid.js';
-import { getRandomHand, parseHand, formatHandNotation } from '../data/hands.js';
-import { isHandInRange, POSITIONS, getOpeningRangeForPosition } from '../data/ranges.js';
-import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked } from '../storage.js';
+import { parseHand, formatHandNotation } from '../data/hands.js';
+import { DEFAULT_DIFFICULTY, ADAPTIVE_WINDOW, pickHandByDifficulty } from '../data/handDifficulty.js';
+import { TABLE_FORMATS, DEFAULT_STACK_DEPTH, DEFAULT_TABLE_FORMAT, getOpeningRangeForPosition, getOpeningSeats, getDepthSpotKey, getChartLabel, getPositionSlug } from '../data/ranges.js';
+import { updateDrillProgress, getDrillProgress, getDrillThreshold, isDrillUnlocked, getCustomOpeningRange, getStackDepth, setStackDepth, getTableFormat, setTableFormat, recordReviewAnswer, logAnswer, getAnswerLog, getDrillModeBest, getDrillMode, setDrillMode, getDrillDifficulty, setDrillDifficulty } from '../storage.js';
+import { DEFAULT_DRILL_MODE } from '../data/drillModes.js';
+import { bindHotkeys } from '../hotkeys.js';
+import { renderStackSelector, bindStackSelector } from '../components/StackSelector.js';
+import { renderTableFormatSelector, bindTableFormatSelector } from '../components/TableFormatSelector.js';
+import { renderDifficultySelector, bindDifficultySelector } from '../components/DifficultySelector.js';
 import { renderPositionTableMini } from '../components/PositionTableMini.js';
+import { showCountdown } from '../components/Countdown.js';
 
 const DRILL_ID = 'range-check';
 const TOTAL_QUESTIONS = 20;
 const PASS_THRESHOLD = getDrillThreshold(DRILL_ID);
 
-// All opening positions
-const DRILL_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB'];
-
 let currentQuestion = 0;
 let correct = 0;
 let timer = null;
@@ -29,7 +33,12 @@ let questionTimes = [];
 let currentHand = null;
 let currentPosition = null;
 let drillActive = false;
+let drillMode = DEFAULT_DRILL_MODE; // Classic, blitz, survival or sudden death (key of DRILL_MODES)
 let container = null;
+let stackDepth = DEFAULT_STACK_DEPTH; // Effective stack the opening charts are read at
+let tableFormat = DEFAULT_TABLE_FORMAT; // Table whose seats get dealt (everyone but the BB)
+let difficulty = DEFAULT_DIFFICULTY; // How hands are picked relative to the range's edge (key of DIFFICULTIES)
+let recentAnswers = []; // Latest results, oldest first, that adaptive difficulty ramps on
 
 // Track stats by position
 let positionStats = {};
@@ -59,6 +68,10 @@ export function renderRangeCheckDrill(containerElement) {
  */
 function renderStartScreen() {
   const previousBest = getDrillProgress(DRILL_ID);
+  // Saved ranges are 6-max ranges, so they only apply at a 6-max table
+  const customPositions = getTableFormat() === DEFAULT_TABLE_FORMAT
+    ? getOpeningSeats(DEFAULT_TABLE_FORMAT).filter(pos => getCustomOpeningRange(pos))
+    : [];
 
   container.innerHTML = `
     <div class="drill-start container">
@@ -83,6 +96,7 @@ function renderStartScreen() {
           <div class="drill-start__meta">
             <span>${TOTAL_QUESTIONS} questions</span>
             <span>Pass: ${PASS_THRESHOLD}%</span>
+            ${customPositions.length > 0 ? `<span>Your ranges: ${customPositions.join(', ')}</span>` : ''}
           </div>
         </div>
 
@@ -97,6 +111,12 @@ function renderStartScreen() {
           </div>
         ` : ''}
 
+        ${renderStackSelector(getStackDepth())}
+        ${renderTableFormatSelector(getTableFormat())}
+        ${renderDifficultySelector(getDrillDifficulty())}
+
+        ${renderModeSelector(getDrillMode(), DRILL_ID, TOTAL_QUESTIONS)}
+
         <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
           Start Drill
         </button>
@@ -104,6 +124,10 @@ function renderStartScreen() {
     </div>
   `;
 
+  bindStackSelector(container, setStackDepth);
+  bindTableFormatSelector(container, setTableFormat);
+  bindDifficultySelector(container, setDrillDifficulty);
+  bindModeSelector(container, setDrillMode);
   document.getElementById('start-drill-btn').addEventListener('click', startDrill);
 }
 
@@ -112,12 +136,17 @@ function renderStartScreen() {
  */
 function startDrill() {
   // Reset state
+  drillMode = getDrillMode();
+  stackDepth = getStackDepth();
+  tableFormat = getTableFormat();
+  difficulty = getDrillDifficulty();
+  recentAnswers = getAnswerLog(DRILL_ID).slice(-ADAPTIVE_WINDOW).map(entry => entry.correct);
   currentQuestion = 0;
   correct = 0;
   questionTimes = [];
   drillActive = true;
   positionStats = {};
-  DRILL_POSITIONS.forEach(pos => {
+  getOpeningSeats(tableFormat).forEach(pos => {
     positionStats[pos] = { total: 0, correct: 0 };
   });
 
@@ -132,7 +161,7 @@ function startDrill() {
         </div>
         <div class="drill-header__center">
           <div class="drill-header__progress">
-            <span id="question-number">1</span>/<span>${TOTAL_QUESTIONS}</span>
+            ${renderModeProgress(drillMode, TOTAL_QUESTIONS)}
           </div>
         </div>
         <div class="drill-header__right">
@@ -168,7 +197,7 @@ function startDrill() {
   `;
 
   // Initialize timer
-  timer = new Timer({ mode: 'stopwatch' });
+  timer = createModeTimer(drillMode, endDrill);
   timer.render(document.getElementById('timer-container'));
 
   // Initialize streak counter
@@ -183,47 +212,24 @@ function startDrill() {
   document.getElementById('no-btn').addEventListener('click', () => handleAnswer(false));
 
   // Show countdown then start
-  showCountdown(() => {
+  showCountdown(container, () => {
     timer.start();
+    bindHotkeys({
+      yes: '#yes-btn',
+      no: '#no-btn',
+      choice: '.drill-actions__btn',
+      next: '.range-preview__continue',
+      quit: '#quit-drill'
+    });
     showNextQuestion();
   });
 }
 
-/**
- * Show countdown overlay
- */
-function showCountdown(callback) {
-  const overlay = document.createElement('div');
-  overlay.className = 'drill-countdown';
-  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
-  container.appendChild(overlay);
-
-  let count = 3;
-  const countdownEl = overlay.querySelector('.drill-countdown__number');
-
-  const interval = setInterval(() => {
-    count--;
-    if (count > 0) {
-      countdownEl.textContent = count;
-      countdownEl.classList.remove('drill-countdown__number--pulse');
-      void countdownEl.offsetWidth;
-      countdownEl.classList.add('drill-countdown__number--pulse');
-    } else if (count === 0) {
-      countdownEl.textContent = 'GO!';
-      countdownEl.classList.add('drill-countdown__number--go');
-    } else {
-      clearInterval(interval);
-      overlay.remove();
-      callback();
-    }
-  }, 800);
-}
-
 /**
  * Show the next question
  */
 function showNextQuestion() {
-  if (currentQuestion >= TOTAL_QUESTIONS) {
+  if (isModeRunOver(drillMode, currentQuestion, correct, TOTAL_QUESTIONS)) {
     endDrill();
     return;
   }
@@ -231,17 +237,18 @@ function showNextQuestion() {
   currentQuestion++;
   document.getElementById('question-number').textContent = currentQuestion;
 
-  // Pick random position and hand
-  currentPosition = DRILL_POSITIONS[Math.floor(Math.random() * DRILL_POSITIONS.length)];
-  currentHand = getRandomHand();
+  // Pick a random position, then a hand at the chosen difficulty
+  const seats = getOpeningSeats(tableFormat);
+  currentPosition = seats[Math.floor(Math.random() * seats.length)];
+  currentHand = pickHandByDifficulty(getQuizRange(currentPosition), difficulty, recentAnswers);
 
   // Display position
   const positionDisplay = document.getElementById('position-display');
   positionDisplay.textContent = currentPosition;
-  positionDisplay.className = 'drill-question__position drill-question__position--' + currentPosition.toLowerCase();
+  positionDisplay.className = 'drill-question__position drill-question__position--' + getPositionSlug(currentPosition);
 
   // Update mini table
-  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(currentPosition);
+  document.getElementById('position-table-mini').innerHTML = renderPositionTableMini(currentPosition, tableFormat);
 
   // Render hand
   renderHand('hand-display', currentHand);
@@ -286,6 +293,18 @@ function renderHand(containerId, handNotation) {
   card2.render(container);
 }
 
+/**
+ * Get the opening range to quiz against (the player's own range when they've chosen one for 6-max)
+ */
+function getQuizRange(position) {
+  return getCustomQuizRange(position) || getOpeningRangeForPosition(position, stackDepth, tableFormat);
+}
+
+// The player's own range for a position, if they've chosen one (custom ranges are 6-max only)
+function getCustomQuizRange(position) {
+  return tableFormat === DEFAULT_TABLE_FORMAT ? getCustomOpeningRange(position) : null;
+}
+
 /**
  * Handle player's answer
  */
@@ -296,7 +315,7 @@ function handleAnswer(answeredYes) {
   questionTimes.push(questionTime);
   timer.endQuestion();
 
-  const inRange = isHandInRange(currentHand, currentPosition);
+  const inRange = getQuizRange(currentPosition).has(currentHand);
   const isCorrect = answeredYes === inRange;
 
   // Track position stats
@@ -305,6 +324,22 @@ function handleAnswer(answeredYes) {
     positionStats[currentPosition].correct++;
   }
 
+  // Misses go to the review queue
+  const chartLabel = getChartLabel(stackDepth, tableFormat);
+  recordReviewAnswer(DRILL_ID, {
+    spot: getDepthSpotKey(currentPosition, stackDepth, tableFormat),
+    hand: currentHand,
+    position: currentPosition,
+    tableFormat,
+    prompt: chartLabel ? `Is this hand in the ${chartLabel} opening range?` : 'Is this hand in the opening range?',
+    options: [{ action: 'Yes', label: 'YES' }, { action: 'No', label: 'NO' }],
+    correctAnswer: inRange ? 'Yes' : 'No'
+  }, isCorrect);
+
+  // Keep every answer for the stats page
+  logAnswer(DRILL_ID, { spot: getDepthSpotKey(currentPosition, stackDepth, tableFormat), position: currentPosition, hand: currentHand, correct: isCorrect, time: questionTime });
+  recentAnswers = [...recentAnswers, isCorrect].slice(-ADAPTIVE_WINDOW);
+
   // Disable buttons
   document.getElementById('yes-btn').disabled = true;
   document.getElementById('no-btn').disabled = true;
@@ -326,6 +361,7 @@ function handleAnswer(answeredYes) {
     showFeedback(true, questionTime);
   } else {
     streakCounter.break();
+    updateModeLives(drillMode, currentQuestion - correct);
 
     if (answeredYes) {
       yesBtn.classList.add('drill-actions__btn--wrong');
@@ -380,13 +416,14 @@ function showFeedback(isCorrect, time, inRange) {
  */
 function showRangePreview() {
   const previewEl = document.getElementById('range-preview');
-  previewEl.innerHTML = '<div class="range-preview__title">Opening Range</div>';
+  const isCustom = Boolean(getCustomQuizRange(currentPosition));
+  previewEl.innerHTML = `<div class="range-preview__title">${isCustom ? 'Your Opening Range' : `Opening Range (${stackDepth}BB${tableFormat === DEFAULT_TABLE_FORMAT ? '' : ` ${TABLE_FORMATS[tableFormat].name}`})`}</div>`;
 
   const gridContainer = document.createElement('div');
   gridContainer.className = 'range-preview__grid';
   previewEl.appendChild(gridContainer);
 
-  const range = getOpeningRangeForPosition(currentPosition);
+  const range = getQuizRange(currentPosition);
   const rangeGrid = new RangeGrid({
     compact: true,
     highlightHand: currentHand,
@@ -413,14 +450,18 @@ function endDrill() {
   drillActive = false;
   timer.stop();
 
-  const accuracy = (correct / TOTAL_QUESTIONS) * 100;
-  const avgTime = questionTimes.reduce((a, b) => a + b, 0) / questionTimes.length;
-  const fastestTime = Math.min(...questionTimes);
+  const total = questionTimes.length; // A blitz can end with a question unanswered
+  const accuracy = total > 0 ? (correct / total) * 100 : 0;
+  const avgTime = total > 0 ? questionTimes.reduce((a, b) => a + b, 0) / total : 0;
+  const fastestTime = total > 0 ? Math.min(...questionTimes) : 0;
   const bestStreak = streakCounter.getBestStreak();
   const passed = accuracy >= PASS_THRESHOLD;
 
-  // Save progress
+  // Save progress (a blitz, survival or sudden death run is scored against that mode's best)
+  const modeBest = getDrillModeBest(DRILL_ID, drillMode);
   const stats = {
+    mode: drillMode,
+    score: correct,
     accuracy,
     avgTime,
     bestStreak,
@@ -439,6 +480,8 @@ function endDrill() {
     drillId: DRILL_ID,
     drillName: 'Range Check',
     previousBest,
+    mode: drillMode,
+    modeBest,
     onPlayAgain: () => renderRangeCheckDrill(container),
     onNextDrill: () => { window.location.hash = '#/drill/position-speed'; },
     onBackToHub: () => { window.location.hash = '#/drills'; }
@@ -450,7 +493,7 @@ function endDrill() {
     fastestTime,
     bestStreak,
     correct,
-    total: TOTAL_QUESTIONS,
+    total,
     passed,
     passThreshold: PASS_THRESHOLD
   });
@@ -470,7 +513,7 @@ function addPositionBreakdown() {
     <div class="drill-results__breakdown">
       <h4 class="drill-results__breakdown-title">Accuracy by Position</h4>
       <div class="drill-results__breakdown-grid">
-        ${DRILL_POSITIONS.map(pos => {
+        ${getOpeningSeats(tableFormat).map(pos => {
           const stats = positionStats[pos];
           const pct = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
           return `
@@ -0,0 +1,386 @@
+/**
+ * Review Drill
+ * Re-ask the hand/spot pairs the player keeps missing, Leitner-box style
+ */
+
+import { PlayingCard } from '../components/PlayingCard.js';
+import { Timer } from '../components/Timer.js';
+import { StreakCounter } from '../components/StreakCounter.js';
+import { DrillResults } from '../components/DrillResults.js';
+import { parseHand, formatHandNotation } from '../data/hands.js';
+import { DEFAULT_TABLE_FORMAT, getPositionSlug } from '../data/ranges.js';
+import { getDueReviewItems, getReviewQueueStats, recordReviewAnswer, logAnswer } from '../storage.js';
+import { bindHotkeys } from '../hotkeys.js';
+import { renderPositionTableMini } from '../components/PositionTableMini.js';
+import { DRILL_INFO } from './index.js';
+import { getScenarioMetadata } from '../scenarios/index.js';
+
+const DRILL_ID = 'review';
+const SESSION_SIZE = 20;
+const PASS_THRESHOLD = 75;
+
+// Button colour for each kind of answer
+const ACTION_CLASSES = {
+  open: 'open',
+  yes: 'yes',
+  fold: 'fold',
+  no: 'no',
+  call: 'call',
+  '3bet': 'raise',
+  '4bet': 'raise'
+};
+
+let items = [];
+let currentQuestion = 0;
+let correct = 0;
+let timer = null;
+let streakCounter = null;
+let questionStartTime = 0;
+let questionTimes = [];
+let currentItem = null;
+let drillActive = false;
+let container = null;
+
+/**
+ * Render the drill page
+ */
+export function renderReviewDrill(containerElement) {
+  container = containerElement;
+  renderStartScreen();
+}
+
+/**
+ * Render the start screen
+ */
+function renderStartScreen() {
+  const queue = getReviewQueueStats();
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <a href="#/drills" class="breadcrumb__link">Drills</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Review</span>
+        </nav>
+        <h1 class="page-header__title">Review</h1>
+        <p class="page-header__subtitle">Another look at the hands you've missed</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">🔁</div>
+        <div class="drill-start__info">
+          <p class="drill-start__description">
+            Every hand you miss in Open or Fold, Range Check and the preflop scenarios comes back here.
+            Get it right and it returns after 1, 3, 7 and 14 days; miss it and it starts over.
+          </p>
+          <div class="drill-start__meta">
+            <span id="review-due-count">${queue.due} due</span>
+            <span>${queue.total} in queue</span>
+            ${queue.due === 0 && queue.nextDue ? `<span>Next: ${formatDueDate(queue.nextDue)}</span>` : ''}
+          </div>
+        </div>
+
+        ${queue.due > 0 ? `
+          <button class="btn btn--primary btn--lg drill-start__btn" id="start-drill-btn">
+            Start Review
+          </button>
+        ` : `
+          <p class="text-secondary mb-4" id="review-empty">
+            ${queue.total > 0 ? 'Nothing is due right now. Come back later.' : 'No missed hands yet. Play some drills and scenarios first.'}
+          </p>
+          <a href="#/drills" class="btn btn--secondary">Back to Drills</a>
+        `}
+      </div>
+    </div>
+  `;
+
+  if (queue.due > 0) {
+    document.getElementById('start-drill-btn').addEventListener('click', startDrill);
+  }
+}
+
+/**
+ * Start the drill
+ */
+function startDrill() {
+  items = getDueReviewItems(SESSION_SIZE);
+  currentQuestion = 0;
+  correct = 0;
+  questionTimes = [];
+  drillActive = true;
+
+  container.innerHTML = `
+    <div class="drill-active">
+      <div class="drill-header">
+        <div class="drill-header__left">
+          <button class="btn btn--ghost drill-header__back" id="quit-drill">&larr; Quit</button>
+        </div>
+        <div class="drill-header__center">
+          <div class="drill-header__progress">
+            <span id="question-number">1</span>/<span>${items.length}</span>
+          </div>
+        </div>
+        <div class="drill-header__right">
+          <div id="timer-container"></div>
+        </div>
+      </div>
+
+      <div id="streak-container"></div>
+
+      <div class="drill-question" id="drill-question">
+        <div class="drill-position-ref">
+          <div class="drill-question__position" id="position-display"></div>
+          <div id="position-table-mini"></div>
+        </div>
+        <div class="drill-question__source" id="source-display"></div>
+        <div class="drill-question__prompt" id="prompt-display"></div>
+
+        <div class="drill-hand-display" id="hand-display"></div>
+
+        <div class="drill-actions" id="review-actions"></div>
+      </div>
+
+      <div class="drill-feedback" id="drill-feedback"></div>
+    </div>
+  `;
+
+  timer = new Timer({ mode: 'stopwatch' });
+  timer.render(document.getElementById('timer-container'));
+
+  streakCounter = new StreakCounter({ bestStreak: 0 });
+  streakCounter.render(document.getElementById('streak-container'));
+
+  document.getElementById('quit-drill').addEventListener('click', quitDrill);
+
+  // Answers carry the action they were saved with (Fold, Call, Yes, ...)
+  bindHotkeys({
+    open: '#review-actions [data-action="Open"]',
+    fold: '#review-actions [data-action="Fold"]',
+    call: '#review-actions [data-action="Call"]',
+    yes: '#review-actions [data-action="Yes"]',
+    no: '#review-actions [data-action="No"]',
+    choice: '#review-actions .drill-actions__btn',
+    quit: '#quit-drill'
+  });
+
+  timer.start();
+  showNextQuestion();
+}
+
+/**
+ * Show the next question
+ */
+function showNextQuestion() {
+  if (currentQuestion >= items.length) {
+    endDrill();
+    return;
+  }
+
+  currentItem = items[currentQuestion];
+  currentQuestion++;
+  document.getElementById('question-number').textContent = currentQuestion;
+
+  // Position (some spots have no single hero position)
+  const positionDisplay = document.getElementById('position-display');
+  const position = currentItem.position;
+  positionDisplay.textContent = position || '';
+  positionDisplay.className = 'drill-question__position' + (position ? ' drill-question__position--' + getPositionSlug(position) : '');
+  document.getElementById('position-table-mini').innerHTML = position ? renderPositionTableMini(position, currentItem.tableFormat || DEFAULT_TABLE_FORMAT) : '';
+
+  document.getElementById('source-display').textContent = getSourceName(currentItem.source);
+  document.getElementById('prompt-display').textContent = currentItem.prompt;
+
+  renderHand('hand-display', currentItem.hand);
+
+  const actionsEl = document.getElementById('review-actions');
+  actionsEl.innerHTML = currentItem.options.map(option => `
+    <button class="btn drill-actions__btn drill-actions__btn--${getActionClass(option.action)}" data-action="${option.action}">
+      ${option.label}
+    </button>
+  `).join('');
+
+  actionsEl.querySelectorAll('.drill-actions__btn').forEach(btn => {
+    btn.addEventListener('click', () => handleAnswer(btn.dataset.action));
+  });
+
+  document.getElementById('drill-feedback').innerHTML = '';
+  document.getElementById('drill-feedback').className = 'drill-feedback';
+
+  questionStartTime = performance.now();
+  timer.startQuestion();
+}
+
+/**
+ * Render a hand
+ */
+function renderHand(containerId, handNotation) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  const parsed = parseHand(handNotation);
+  if (!parsed) return;
+
+  const suits = parsed.suited ? ['h', 'h'] : ['h', 's'];
+
+  const card1 = new PlayingCard(parsed.rank1, suits[0], { size: 'lg' });
+  const card2 = new PlayingCard(parsed.rank2, suits[1], { size: 'lg' });
+
+  card1.render(container);
+  card2.render(container);
+}
+
+/**
+ * Handle player's answer
+ */
+function handleAnswer(action) {
+  if (!drillActive) return;
+
+  const questionTime = performance.now() - questionStartTime;
+  questionTimes.push(questionTime);
+  timer.endQuestion();
+
+  const isCorrect = normalizeAction(action) === normalizeAction(currentItem.correctAnswer);
+  recordReviewAnswer(currentItem.source, currentItem, isCorrect);
+  logAnswer(DRILL_ID, {
+    spot: `${currentItem.source}|${currentItem.spot}`,
+    position: currentItem.position,
+    hand: currentItem.hand,
+    correct: isCorrect,
+    time: questionTime
+  });
+
+  const buttons = document.querySelectorAll('#review-actions .drill-actions__btn');
+  buttons.forEach(btn => {
+    btn.disabled = true;
+
+    if (normalizeAction(btn.dataset.action) === normalizeAction(currentItem.correctAnswer)) {
+      btn.classList.add('drill-actions__btn--correct');
+    } else if (btn.dataset.action === action) {
+      btn.classList.add('drill-actions__btn--wrong');
+    }
+  });
+
+  if (isCorrect) {
+    correct++;
+    streakCounter.increment();
+  } else {
+    streakCounter.break();
+  }
+
+  showFeedback(isCorrect, questionTime);
+
+  setTimeout(() => {
+    if (drillActive) {
+      showNextQuestion();
+    }
+  }, isCorrect ? 800 : 1800);
+}
+
+/**
+ * Show feedback
+ */
+function showFeedback(isCorrect, time) {
+  const feedbackEl = document.getElementById('drill-feedback');
+
+  if (isCorrect) {
+    feedbackEl.className = 'drill-feedback drill-feedback--correct';
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✓</span>
+      <span class="drill-feedback__text">Correct! Back in a few days.</span>
+      <span class="drill-feedback__time">${formatTime(time)}</span>
+    `;
+  } else {
+    const answer = currentItem.options.find(option => normalizeAction(option.action) === normalizeAction(currentItem.correctAnswer));
+    feedbackEl.className = 'drill-feedback drill-feedback--wrong';
+    feedbackEl.innerHTML = `
+      <span class="drill-feedback__icon">✗</span>
+      <span class="drill-feedback__text">
+        ${formatHandNotation(currentItem.hand)}: ${answer ? answer.label : currentItem.correctAnswer}
+      </span>
+    `;
+  }
+}
+
+/**
+ * End the drill and show results
+ */
+function endDrill() {
+  drillActive = false;
+  timer.stop();
+
+  const total = items.length;
+  const accuracy = (correct / total) * 100;
+  const avgTime = questionTimes.reduce((a, b) => a + b, 0) / questionTimes.length;
+  const fastestTime = Math.min(...questionTimes);
+  const bestStreak = streakCounter.getBestStreak();
+
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  const results = new DrillResults({
+    drillId: DRILL_ID,
+    drillName: 'Review',
+    onPlayAgain: () => renderReviewDrill(container),
+    onNextDrill: () => { window.location.hash = '#/drills'; },
+    onBackToHub: () => { window.location.hash = '#/drills'; }
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy,
+    avgTime,
+    fastestTime,
+    bestStreak,
+    correct,
+    total,
+    passed: accuracy >= PASS_THRESHOLD,
+    passThreshold: PASS_THRESHOLD
+  });
+}
+
+/**
+ * Quit the drill
+ */
+function quitDrill() {
+  drillActive = false;
+  if (timer) timer.stop();
+  window.location.hash = '#/drills';
+}
+
+/**
+ * Get the drill or scenario name a review item came from
+ */
+function getSourceName(source) {
+  return DRILL_INFO[source]?.title || getScenarioMetadata(source)?.title || source;
+}
+
+/**
+ * Pick the button colour for an action
+ */
+function getActionClass(action) {
+  return ACTION_CLASSES[normalizeAction(action)] || 'call';
+}
+
+/**
+ * Normalize action names
+ */
+function normalizeAction(action) {
+  return String(action).toLowerCase().replace(/[- ]/g, '');
+}
+
+/**
+ * Format a due date relative to now
+ */
+function formatDueDate(timestamp) {
+  const days = Math.ceil((timestamp - Date.now()) / (24 * 60 * 60 * 1000));
+  return days <= 1 ? 'tomorrow' : `in ${days} days`;
+}
+
+/**
+ * Format time
+ */
+function formatTime(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
@@ -0,0 +1,1016 @@
+/**
+ * HandEngine
+ * Plays complete hands (preflop through showdown) against simulated opponents
+ * and grades every hero decision against the range tables
+ */
+
+import { OPENING_RANGES, POSITIONS } from '../data/ranges.js';
+import { VALUE_3BET, getCorrectAction, sampleAction, gradeAction, getRangeBreakdown } from '../data/scenarioRanges.js';
+import { getPreflopNode } from '../data/preflopStrategy.js';
+import { createDeck, getHandNotation, getHandVsRangeEquity, getEquityVsRandom } from '../data/equityCalculator.js';
+import { evaluateHand, describeMadeHand, compareEvaluatedHands } from '../data/evaluator.js';
+import { createAction } from '../components/ActionHistory.js';
+import { shuffleArray, randomPick } from '../scenarios/ScenarioEngine.js';
+import { updateFullHandsProgress, getFullHandsProgress, getFullHandsThreshold } from '../storage.js';
+
+// Order of action preflop and postflop (6-max)
+export const PREFLOP_ORDER = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+const POSTFLOP_ORDER = ['SB', 'BB', 'UTG', 'MP', 'CO', 'BTN'];
+
+export const STREETS = ['preflop', 'flop', 'turn', 'river'];
+const BOARD_CARDS = { preflop: 0, flop: 3, turn: 4, river: 5 };
+
+// Bet sizing (in BB, 100BB stacks)
+const STARTING_STACK = 100;
+const OPEN_SIZE = 2.5;
+const THREE_BET_SIZE = { ip: 8, oop: 10 };
+const FOUR_BET_SIZE = 22;
+const BET_FRACTION = 0.66;
+const RAISE_MULTIPLIER = 3;
+
+// Postflop grading thresholds (hero equity % vs villain's range)
+const VALUE_BET_EQUITY = 60;
+const CHECK_EQUITY = 50; // Between this and VALUE_BET_EQUITY both check and bet are fine
+const RAISE_EQUITY = 75;
+const CLOSE_CALL_MARGIN = 3;
+
+// Monte Carlo trials for grading hero decisions and driving villain play
+const GRADING_ITERATIONS = 2000;
+const VILLAIN_ITERATIONS = 600;
+
+// Hands that continue vs a 4-bet (and call a 4-bet)
+const PREMIUM_HANDS = VALUE_3BET.universal;
+
+/**
+ * Get the range a player uses when facing an open
+ * @param {string} position - Player facing the open
+ * @param {string} openerPosition - Position that opened
+ * @returns {{rangeData: Object, source: string}}
+ */
+export function getVsOpenRange(position, openerPosition) {
+  const { rangeData, title } = getPreflopNode('vs-open', `${position}_vs_${openerPosition}`);
+  return { rangeData, source: title };
+}
+
+/**
+ * Get the range an opener uses when facing a 3-bet
+ * @returns {{rangeData: Object, source: string}}
+ */
+export function getVs3BetRange(openerPosition, threeBettorPosition) {
+  const { rangeData, title } = getPreflopNode('vs-3bet', `${openerPosition}_vs_${threeBettorPosition}`);
+  return { rangeData, source: title };
+}
+
+// Check if a position acts before another postflop
+function isOutOfPosition(position, otherPosition) {
+  return POSTFLOP_ORDER.indexOf(position) < POSTFLOP_ORDER.indexOf(otherPosition);
+}
+
+// Round a bet to the nearest half big blind (minimum 1BB)
+function roundBet(amount) {
+  return Math.max(1, Math.round(amount * 2) / 2);
+}
+
+// Grade a hero decision: spots with a strategy range go through gradeAction, so mixed
+// hands earn partial credit; the rest accept any of their listed actions
+function gradeDecision(decision, action, hand) {
+  if (decision.rangeData) {
+    const { correct, credit, frequencies } = gradeAction(action, hand, decision.rangeData);
+    return { isCorrect: correct, credit, frequencies };
+  }
+
+  const isCorrect = decision.acceptable.includes(action);
+  return { isCorrect, credit: isCorrect ? 1 : 0, frequencies: null };
+}
+
+// Capitalize a street name for display
+function streetLabel(street) {
+  return street.charAt(0).toUpperCase() + street.slice(1);
+}
+
+/**
+ * HandEngine class
+ * Handles session flow, hand simulation, decision grading, and stats tracking
+ */
+export class HandEngine {
+  /**
+   * Create a HandEngine
+   * @param {Object} config - Session configuration
+   * @param {string} config.id - Progress module ID
+   * @param {number} config.totalHands - Hands per session
+   * @param {Object} callbacks - Event callbacks
+   */
+  constructor(config, callbacks = {}) {
+    this.config = {
+      id: config.id,
+      totalHands: config.totalHands || 10
+    };
+
+    this.callbacks = {
+      onDecisionRequired: callbacks.onDecisionRequired || (() => {}),
+      onHandComplete: callbacks.onHandComplete || (() => {}),
+      onSessionEnd: callbacks.onSessionEnd || (() => {})
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Reset the session state
+   */
+  reset() {
+    this.session = {
+      active: false,
+      handNumber: 0,
+      decisions: [], // Every graded hero decision
+      netResult: 0 // BB won or lost
+    };
+    this.hand = null;
+  }
+
+  /**
+   * Start a session
+   */
+  start() {
+    this.reset();
+    this.session.active = true;
+    this.nextHand();
+  }
+
+  /**
+   * Stop the session
+   */
+  stop() {
+    this.session.active = false;
+  }
+
+  /**
+   * Check if the session is active
+   */
+  isActive() {
+    return this.session.active;
+  }
+
+  /**
+   * Deal the next hand (or end the session)
+   */
+  nextHand() {
+    if (!this.session.active) return;
+
+    if (this.session.handNumber >= this.config.totalHands) {
+      this.endSession();
+      return;
+    }
+
+    this.session.handNumber++;
+
+    // Re-deal walks (everyone folds to the hero's BB) so every hand has a decision
+    do {
+      this.hand = this.dealHand();
+      this.playPreflopToHero();
+    } while (!this.hand.pending);
+
+    this.notifyDecision();
+  }
+
+  /**
+   * Continue after feedback: next hero decision or hand summary
+   */
+  advance() {
+    if (!this.session.active || !this.hand) return;
+
+    if (this.hand.complete) {
+      this.session.netResult += this.hand.result.heroNet;
+      this.callbacks.onHandComplete({
+        handNumber: this.session.handNumber,
+        totalHands: this.config.totalHands,
+        result: this.hand.result,
+        decisions: this.session.decisions.filter(d => d.handNumber === this.session.handNumber)
+      });
+      return;
+    }
+
+    this.notifyDecision();
+  }
+
+  /**
+   * Submit the hero's decision
+   * @param {string} action - Chosen action
+   * @returns {Object|null} Graded result
+   */
+  submitDecision(action) {
+    const hand = this.hand;
+    if (!this.session.active || !hand?.pending) return null;
+
+    const decision = hand.pending;
+    const time = performance.now() - hand.decisionStart;
+    const heroHand = hand.players[hand.heroPosition].hand;
+    const { isCorrect, credit, frequencies } = gradeDecision(decision, action, heroHand);
+
+    const record = {
+      handNumber: this.session.handNumber,
+      street: hand.street,
+      spot: decision.spot,
+      hand: heroHand,
+      playerAnswer: action,
+      correctAnswer: decision.correctAction,
+      isCorrect,
+      credit,
+      frequencies,
+      time,
+      explanation: decision.explanation
+    };
+    this.session.decisions.push(record);
+
+    hand.pending = null;
+
+    if (hand.street === 'preflop') {
+      this.applyPreflopDecision(action);
+    } else if (this.applyPostflopAction(hand.heroPosition, action)) {
+      this.playPostflopRound();
+    }
+
+    return {
+      ...record,
+      rangeDisplay: decision.rangeDisplay
+    };
+  }
+
+  /**
+   * End the session and save progress
+   */
+  endSession() {
+    this.session.active = false;
+
+    const stats = this.getFinalStats();
+
+    updateFullHandsProgress(this.config.id, stats);
+
+    this.callbacks.onSessionEnd({
+      stats,
+      previousBest: getFullHandsProgress(this.config.id),
+      passed: stats.passed,
+      passThreshold: getFullHandsThreshold(),
+      streetStats: this.getStreetStats(),
+      decisions: this.session.decisions
+    });
+  }
+
+  /**
+   * Get final stats for the session
+   */
+  getFinalStats() {
+    const { decisions } = this.session;
+    const correct = decisions.filter(d => d.isCorrect).length;
+    const score = decisions.reduce((sum, d) => sum + d.credit, 0); // Partial credit for mixed hands
+    const total = decisions.length;
+    const accuracy = total > 0 ? Math.round((score / total) * 100) : 0;
+    const times = decisions.map(d => d.time);
+
+    return {
+      correct,
+      total,
+      accuracy,
+      avgTime: times.length > 0 ? times.reduce((a, b) => a + b, 0) / times.length : 0,
+      fastestTime: times.length > 0 ? Math.min(...times) : 0,
+      handsPlayed: this.session.handNumber,
+      netResult: this.session.netResult,
+      passed: accuracy >= getFullHandsThreshold()
+    };
+  }
+
+  /**
+   * Get decision accuracy by street
+   */
+  getStreetStats() {
+    const streetStats = {};
+
+    this.session.decisions.forEach(decision => {
+      if (!streetStats[decision.street]) {
+        streetStats[decision.street] = { total: 0, correct: 0 };
+      }
+      streetStats[decision.street].total++;
+      streetStats[decision.street].correct += decision.credit;
+    });
+
+    return streetStats;
+  }
+
+  // ============================================
+  // HAND STATE
+  // ============================================
+
+  /**
+   * Deal a new hand: hero seat, hole cards for every seat, and the full board
+   */
+  dealHand() {
+    const deck = shuffleArray(createDeck());
+    const players = {};
+
+    PREFLOP_ORDER.forEach(position => {
+      const cards = [deck.pop(), deck.pop()];
+      players[position] = { position, cards, hand: getHandNotation(cards), invested: 0, folded: false };
+    });
+
+    const hand = {
+      heroPosition: randomPick(PREFLOP_ORDER),
+      villainPosition: null,
+      villainRange: null,
+      villainRangeSource: '',
+      players,
+      board: deck.slice(0, 5),
+      street: 'preflop',
+      pot: 0,
+      streetBets: {},
+      actions: { preflop: [], flop: [], turn: [], river: [] },
+      spot: null,
+      round: null,
+      pending: null,
+      decisionStart: 0,
+      complete: false,
+      result: null
+    };
+
+    this.hand = hand;
+    this.commit('SB', 0.5);
+    this.commit('BB', 1);
+
+    return hand;
+  }
+
+  // Board cards visible on the current street
+  getVisibleBoard() {
+    return this.hand.board.slice(0, BOARD_CARDS[this.hand.street]);
+  }
+
+  // Pot including the current street's bets
+  getTotalPot() {
+    const streetTotal = Object.values(this.hand.streetBets).reduce((a, b) => a + b, 0);
+    return this.hand.pot + streetTotal;
+  }
+
+  // Chips a player has put in this street
+  getStreetBet(position) {
+    return this.hand.streetBets[position] || 0;
+  }
+
+  // Chips a player has left behind
+  getStack(position) {
+    return STARTING_STACK - this.hand.players[position].invested;
+  }
+
+  // Put a player's street bet up to a total (capped by their stack); returns the new total
+  commit(position, total) {
+    const player = this.hand.players[position];
+    const current = this.getStreetBet(position);
+    const amount = Math.min(total, current + this.getStack(position));
+
+    player.invested += amount - current;
+    this.hand.streetBets[position] = amount;
+
+    return amount;
+  }
+
+  // Record an action on the current street
+  log(position, action, amount = null) {
+    this.hand.actions[this.hand.street].push(createAction(position, action, amount));
+  }
+
+  // Fold a player
+  fold(position) {
+    this.hand.players[position].folded = true;
+    this.log(position, 'fold');
+  }
+
+  // Fold every player still to act behind the hero preflop
+  foldRemaining(except = []) {
+    const heroIndex = PREFLOP_ORDER.indexOf(this.hand.heroPosition);
+    PREFLOP_ORDER.slice(heroIndex + 1).forEach(position => {
+      if (!except.includes(position) && !this.hand.players[position].folded) {
+        this.fold(position);
+      }
+    });
+  }
+
+  // Set the single villain the hero is playing against and their range
+  setVillain(position, range, source) {
+    this.hand.villainPosition = position;
+    this.hand.villainRange = range;
+    this.hand.villainRangeSource = source;
+  }
+
+  // ============================================
+  // PREFLOP
+  // ============================================
+
+  /**
+   * Simulate the action before the hero and set up the hero's first decision
+   */
+  playPreflopToHero() {
+    const { heroPosition, players } = this.hand;
+    const heroIndex = PREFLOP_ORDER.indexOf(heroPosition);
+    let opener = null;
+
+    // Villains open their table range; after an open everyone else folds to the hero
+    PREFLOP_ORDER.slice(0, heroIndex).forEach(position => {
+      if (!opener && OPENING_RANGES[position].has(players[position].hand)) {
+        opener = position;
+        this.commit(position, OPEN_SIZE);
+        this.log(position, 'open', OPEN_SIZE);
+      } else {
+        this.fold(position);
+      }
+    });
+
+    if (opener) {
+      this.hand.villainPosition = opener;
+      this.hand.spot = 'vs-open';
+    } else if (heroPosition === 'BB') {
+      return; // Walk - no decision to make
+    } else {
+      this.hand.spot = 'unopened';
+    }
+
+    this.setPending(this.buildPreflopDecision());
+  }
+
+  /**
+   * Build the hero's preflop decision for the current spot
+   */
+  buildPreflopDecision() {
+    const { heroPosition, villainPosition, spot, players } = this.hand;
+    const hand = players[heroPosition].hand;
+
+    if (spot === 'unopened') {
+      const inRange = OPENING_RANGES[heroPosition].has(hand);
+      const correctAction = inRange ? 'Raise' : 'Fold';
+
+      return {
+        spot: `${heroPosition} Open`,
+        prompt: heroPosition === 'UTG'
+          ? 'You\'re first to act. What\'s your action?'
+          : `Folds to you in the ${heroPosition}. What's your action?`,
+        options: [
+          { action: 'Raise', label: 'RAISE', detail: `${OPEN_SIZE}BB` },
+          { action: 'Fold', label: 'FOLD' }
+        ],
+        correctAction,
+        acceptable: [correctAction],
+        explanation: {
+          text: inRange
+            ? `${hand} is in the ${heroPosition} opening range.`
+            : `${hand} is outside the ${heroPosition} opening range.`,
+          points: [
+            `${heroPosition} opens about ${POSITIONS[heroPosition].openingPercent}% of hands`,
+            'Opening ranges widen as fewer players are left to act behind you'
+          ]
+        },
+        rangeDisplay: null
+      };
+    }
+
+    if (spot === 'vs-open') {
+      const { rangeData, source } = getVsOpenRange(heroPosition, villainPosition);
+      const correctAction = getCorrectAction(hand, rangeData);
+      const threeBetSize = isOutOfPosition(heroPosition, villainPosition) ? THREE_BET_SIZE.oop : THREE_BET_SIZE.ip;
+      const toCall = OPEN_SIZE - this.getStreetBet(heroPosition);
+
+      return {
+        spot: `${heroPosition} vs ${villainPosition} Open`,
+        prompt: `${villainPosition} opens to ${OPEN_SIZE}BB. You're in the ${heroPosition}. What's your action?`,
+        options: [
+          { action: 'Call', label: 'CALL', detail: `${toCall}BB` },
+          { action: '3-bet', label: '3-BET', detail: `${threeBetSize}BB` },
+          { action: 'Fold', label: 'FOLD' }
+        ],
+        correctAction,
+        rangeData,
+        explanation: {
+          text: `${hand} is a ${correctAction.toLowerCase()} in the ${source} table.`,
+          points: heroPosition === 'BB'
+            ? ['You already have 1BB invested, so you defend wider than anyone else']
+            : ['Outside the big blind, facing an open is mostly 3-bet or fold', 'Flatting out of the blinds invites squeezes and plays poorly']
+        },
+        rangeDisplay: { title: source, items: getRangeBreakdown(rangeData) }
+      };
+    }
+
+    if (spot === 'vs-3bet') {
+      const { rangeData, source } = getVs3BetRange(heroPosition, villainPosition);
+      const correctAction = getCorrectAction(hand, rangeData);
+      const toCall = this.getStreetBet(villainPosition) - this.getStreetBet(heroPosition);
+
+      return {
+        spot: `${heroPosition} vs ${villainPosition} 3-Bet`,
+        prompt: `You opened and ${villainPosition} 3-bets to ${this.getStreetBet(villainPosition)}BB. What's your action?`,
+        options: [
+          { action: 'Call', label: 'CALL', detail: `${toCall}BB` },
+          { action: '4-bet', label: '4-BET', detail: `${FOUR_BET_SIZE}BB` },
+          { action: 'Fold', label: 'FOLD' }
+        ],
+        correctAction,
+        rangeData,
+        explanation: {
+          text: `${hand} is a ${correctAction.toLowerCase()} in the ${source} table.`,
+          points: ['Against a 3-bet, continue with hands that play well in a bigger pot']
+        },
+        rangeDisplay: { title: source, items: getRangeBreakdown(rangeData) }
+      };
+    }
+
+    // vs-4bet: jam premiums, fold everything else
+    const correctAction = PREMIUM_HANDS.includes(hand) ? 'All-in' : 'Fold';
+
+    return {
+      spot: `${heroPosition} vs ${villainPosition} 4-Bet`,
+      prompt: `You 3-bet and ${villainPosition} 4-bets to ${this.getStreetBet(villainPosition)}BB. What's your action?`,
+      options: [
+        { action: 'All-in', label: 'ALL-IN', detail: `${STARTING_STACK}BB` },
+        { action: 'Fold', label: 'FOLD' }
+      ],
+      correctAction,
+      acceptable: [correctAction],
+      explanation: {
+        text: correctAction === 'All-in'
+          ? `${hand} is a premium hand - get it in against a 4-bet.`
+          : `${hand} isn't strong enough to continue against a 4-bet.`,
+        points: [`Continue vs a 4-bet with ${PREMIUM_HANDS.join(', ')}`]
+      },
+      rangeDisplay: null
+    };
+  }
+
+  /**
+   * Apply the hero's preflop decision and simulate the villains' responses
+   */
+  applyPreflopDecision(action) {
+    const { heroPosition, spot } = this.hand;
+
+    if (action === 'Fold') {
+      this.fold(heroPosition);
+      this.finishHand('villain', 'fold');
+      return;
+    }
+
+    if (spot === 'unopened') {
+      this.commit(heroPosition, OPEN_SIZE);
+      this.log(heroPosition, 'open', OPEN_SIZE);
+      this.respondToHeroOpen();
+      return;
+    }
+
+    const villain = this.hand.villainPosition;
+    const villainHand = this.hand.players[villain].hand;
+
+    if (spot === 'vs-open') {
+      if (action === 'Call') {
+        this.commit(heroPosition, OPEN_SIZE);
+        this.log(heroPosition, 'call', OPEN_SIZE);
+        this.foldRemaining();
+        this.setVillain(villain, [...OPENING_RANGES[villain]], `${villain} opening range`);
+        this.startPostflop();
+        return;
+      }
+
+      // 3-bet: the opener defends from their table
+      const size = isOutOfPosition(heroPosition, villain) ? THREE_BET_SIZE.oop : THREE_BET_SIZE.ip;
+      this.commit(heroPosition, size);
+      this.log(heroPosition, '3bet', size);
+      this.foldRemaining();
+
+      const { rangeData, source } = getVs3BetRange(villain, heroPosition);
+      const response = sampleAction(villainHand, rangeData);
+
+      if (response === '4-bet') {
+        this.commit(villain, FOUR_BET_SIZE);
+        this.log(villain, '4bet', FOUR_BET_SIZE);
+        this.hand.spot = 'vs-4bet';
+        this.setPending(this.buildPreflopDecision());
+      } else if (response === 'Call') {
+        this.commit(villain, size);
+        this.log(villain, 'call', size);
+        this.setVillain(villain, rangeData.call, `${source} calling range`);
+        this.startPostflop();
+      } else {
+        this.fold(villain);
+        this.finishHand('hero', 'fold');
+      }
+      return;
+    }
+
+    if (spot === 'vs-3bet') {
+      const villainBet = this.getStreetBet(villain);
+      const { rangeData, source } = getVsOpenRange(villain, heroPosition);
+
+      if (action === 'Call') {
+        this.commit(heroPosition, villainBet);
+        this.log(heroPosition, 'call', villainBet);
+        this.setVillain(villain, rangeData.threeBet, `${source} 3-bet range`);
+        this.startPostflop();
+        return;
+      }
+
+      // 4-bet: the 3-bettor only continues with premiums
+      this.commit(heroPosition, FOUR_BET_SIZE);
+      this.log(heroPosition, '4bet', FOUR_BET_SIZE);
+
+      if (PREMIUM_HANDS.includes(villainHand)) {
+        this.commit(villain, FOUR_BET_SIZE);
+        this.log(villain, 'call', FOUR_BET_SIZE);
+        this.setVillain(villain, PREMIUM_HANDS, 'premium hands that call a 4-bet');
+        this.startPostflop();
+      } else {
+        this.fold(villain);
+        this.finishHand('hero', 'fold');
+      }
+      return;
+    }
+
+    // vs-4bet: hero jams, the 4-bettor always calls
+    this.commit(heroPosition, STARTING_STACK);
+    this.log(heroPosition, 'all-in', this.getStreetBet(heroPosition));
+    this.commit(villain, STARTING_STACK);
+    this.log(villain, 'call', this.getStreetBet(villain));
+    this.setVillain(villain, getVs3BetRange(villain, heroPosition).rangeData.fourBet, `${villain} 4-bet range`);
+    this.startPostflop();
+  }
+
+  /**
+   * After the hero opens, players behind respond from their tables
+   */
+  respondToHeroOpen() {
+    const { heroPosition, players } = this.hand;
+    const heroIndex = PREFLOP_ORDER.indexOf(heroPosition);
+    let responder = null;
+
+    PREFLOP_ORDER.slice(heroIndex + 1).forEach(position => {
+      if (responder) {
+        this.fold(position);
+        return;
+      }
+
+      const { rangeData, source } = getVsOpenRange(position, heroPosition);
+      const response = sampleAction(players[position].hand, rangeData);
+
+      if (response === '3-bet') {
+        const size = isOutOfPosition(position, heroPosition) ? THREE_BET_SIZE.oop : THREE_BET_SIZE.ip;
+        this.commit(position, size);
+        this.log(position, '3bet', size);
+        responder = { position, response, rangeData, source };
+      } else if (response === 'Call') {
+        this.commit(position, OPEN_SIZE);
+        this.log(position, 'call', OPEN_SIZE);
+        responder = { position, response, rangeData, source };
+      } else {
+        this.fold(position);
+      }
+    });
+
+    if (!responder) {
+      this.finishHand('hero', 'fold');
+      return;
+    }
+
+    if (responder.response === '3-bet') {
+      this.hand.villainPosition = responder.position;
+      this.hand.spot = 'vs-3bet';
+      this.setPending(this.buildPreflopDecision());
+      return;
+    }
+
+    this.setVillain(responder.position, responder.rangeData.call, `${responder.source} calling range`);
+    this.startPostflop();
+  }
+
+  // ============================================
+  // POSTFLOP
+  // ============================================
+
+  /**
+   * Close the preflop betting and deal the flop
+   */
+  startPostflop() {
+    this.endStreet();
+  }
+
+  /**
+   * Move the current street's bets into the pot and deal the next street
+   */
+  endStreet() {
+    const hand = this.hand;
+    hand.pot = this.getTotalPot();
+    hand.streetBets = {};
+
+    if (hand.street === 'river') {
+      this.showdown();
+      return;
+    }
+
+    hand.street = STREETS[STREETS.indexOf(hand.street) + 1];
+
+    // Someone is all-in: run out the board
+    if (this.getStack(hand.heroPosition) === 0 || this.getStack(hand.villainPosition) === 0) {
+      hand.street = 'river';
+      this.showdown();
+      return;
+    }
+
+    const firstToAct = isOutOfPosition(hand.heroPosition, hand.villainPosition)
+      ? hand.heroPosition
+      : hand.villainPosition;
+
+    hand.round = { actor: firstToAct, checks: 0, raised: false };
+    this.playPostflopRound();
+  }
+
+  /**
+   * Let the villain act until it's the hero's turn or the street ends
+   */
+  playPostflopRound() {
+    const hand = this.hand;
+
+    while (!hand.complete && hand.round && !hand.pending) {
+      if (hand.round.actor === hand.heroPosition) {
+        this.setPending(this.buildPostflopDecision());
+        return;
+      }
+
+      const street = hand.street;
+      const keepGoing = this.applyPostflopAction(hand.villainPosition, this.getVillainAction());
+
+      // A new street starts its own round
+      if (!keepGoing || hand.street !== street) return;
+    }
+  }
+
+  /**
+   * Apply a postflop action
+   * @returns {boolean} true if the other player acts next on this street
+   */
+  applyPostflopAction(position, action) {
+    const hand = this.hand;
+    const other = position === hand.heroPosition ? hand.villainPosition : hand.heroPosition;
+
+    switch (action) {
+      case 'Check':
+        this.log(position, 'check');
+        hand.round.checks++;
+        if (hand.round.checks === 2) {
+          this.endStreet();
+          return false;
+        }
+        hand.round.actor = other;
+        return true;
+
+      case 'Bet': {
+        const amount = this.commit(position, this.getBetSize(position));
+        this.log(position, 'bet', amount);
+        hand.round.actor = other;
+        return true;
+      }
+
+      case 'Raise': {
+        const amount = this.commit(position, this.getRaiseSize(position));
+        this.log(position, 'raise', amount);
+        hand.round.raised = true;
+        hand.round.actor = other;
+        return true;
+      }
+
+      case 'Call': {
+        const amount = this.commit(position, this.getStreetBet(other));
+        this.log(position, 'call', amount);
+        this.endStreet();
+        return false;
+      }
+
+      default:
+        this.fold(position);
+        this.finishHand(position === hand.heroPosition ? 'villain' : 'hero', 'fold');
+        return false;
+    }
+  }
+
+  // Postflop bet size (~2/3 pot, capped by stack)
+  getBetSize(position) {
+    return Math.min(roundBet(this.getTotalPot() * BET_FRACTION), this.getStack(position));
+  }
+
+  // Raise-to size (3x the bet, capped by stack)
+  getRaiseSize(position) {
+    const other = position === this.hand.heroPosition ? this.hand.villainPosition : this.hand.heroPosition;
+    return Math.min(this.getStreetBet(other) * RAISE_MULTIPLIER, this.getStreetBet(position) + this.getStack(position));
+  }
+
+  // Check if a player facing a bet may raise
+  canRaise(position) {
+    const hand = this.hand;
+    const other = position === hand.heroPosition ? hand.villainPosition : hand.heroPosition;
+    const toCall = this.getStreetBet(other) - this.getStreetBet(position);
+
+    return !hand.round.raised && this.getStack(position) > toCall && this.getStack(other) > 0;
+  }
+
+  /**
+   * Simulated villain: bets and continues based on equity vs a random hand
+   */
+  getVillainAction() {
+    const hand = this.hand;
+    const villain = hand.villainPosition;
+    const toCall = this.getStreetBet(hand.heroPosition) - this.getStreetBet(villain);
+
+    const result = getEquityVsRandom(hand.players[villain].cards, {
+      board: this.getVisibleBoard(),
+      deadCards: [],
+      iterations: VILLAIN_ITERATIONS
+    });
+    const equity = result ? result.equity : 50;
+
+    if (toCall === 0) {
+      // Value bet strong hands, bluff now and then
+      return equity >= 70 || Math.random() < 0.15 ? 'Bet' : 'Check';
+    }
+
+    const required = (toCall / (this.getTotalPot() + toCall)) * 100;
+
+    if (equity >= 85 && this.canRaise(villain)) return 'Raise';
+    if (equity >= required + 15) return 'Call';
+    return 'Fold';
+  }
+
+  /**
+   * Build the hero's postflop decision, graded by equity vs the villain's range
+   */
+  buildPostflopDecision() {
+    const hand = this.hand;
+    const { heroPosition, villainPosition, villainRange, villainRangeSource } = hand;
+    const heroCards = hand.players[heroPosition].cards;
+    const board = this.getVisibleBoard();
+    const toCall = this.getStreetBet(villainPosition) - this.getStreetBet(heroPosition);
+
+    const result = getHandVsRangeEquity(heroCards, villainRange, { board, iterations: GRADING_ITERATIONS });
+    const equity = result ? Math.round(result.equity) : 0;
+    const madeHand = describeMadeHand(heroCards, board);
+    const label = streetLabel(hand.street);
+
+    const rangePoint = `${villainPosition}'s range: ${villainRangeSource}`;
+
+    if (toCall === 0) {
+      const correctAction = equity >= VALUE_BET_EQUITY ? 'Bet' : 'Check';
+      const close = equity >= CHECK_EQUITY && equity < VALUE_BET_EQUITY;
+      const betSize = this.getBetSize(heroPosition);
+
+      return {
+        spot: `${label} ${close ? 'Close Spot' : correctAction}`,
+        prompt: `${label}: ${this.getStreetBet(villainPosition) === 0 && hand.actions[hand.street].length > 0 ? `${villainPosition} checks. ` : ''}What's your action?`,
+        options: [
+          { action: 'Check', label: 'CHECK' },
+          { action: 'Bet', label: 'BET', detail: `${betSize}BB` }
+        ],
+        correctAction,
+        acceptable: close ? ['Check', 'Bet'] : [correctAction],
+        explanation: {
+          text: `You have ${madeHand} with ${equity}% equity against ${villainPosition}'s range.`,
+          points: [
+            rangePoint,
+            `Bet for value with ${VALUE_BET_EQUITY}%+ equity, check below ${CHECK_EQUITY}%`,
+            close ? 'This is a close spot - both checking and betting are fine' : null
+          ].filter(Boolean)
+        },
+        rangeDisplay: null
+      };
+    }
+
+    const required = Math.round((toCall / (this.getTotalPot() + toCall)) * 100);
+    const raiseAllowed = this.canRaise(heroPosition);
+
+    let correctAction = equity >= required ? 'Call' : 'Fold';
+    const acceptable = [];
+
+    if (raiseAllowed && equity >= RAISE_EQUITY) {
+      correctAction = 'Raise';
+      acceptable.push('Raise', 'Call');
+    } else if (Math.abs(equity - required) <= CLOSE_CALL_MARGIN) {
+      acceptable.push('Call', 'Fold');
+    } else {
+      acceptable.push(correctAction);
+    }
+
+    const options = [
+      { action: 'Call', label: 'CALL', detail: `${Math.min(toCall, this.getStack(heroPosition))}BB` }
+    ];
+    if (raiseAllowed) {
+      options.push({ action: 'Raise', label: 'RAISE', detail: `${this.getRaiseSize(heroPosition)}BB` });
+    }
+    options.push({ action: 'Fold', label: 'FOLD' });
+
+    return {
+      spot: `${label} Facing Bet`,
+      prompt: `${label}: ${villainPosition} bets ${this.getStreetBet(villainPosition)}BB. What's your action?`,
+      options,
+      correctAction,
+      acceptable,
+      explanation: {
+        text: `You need ${required}% equity to call and have ${equity}% with ${madeHand}.`,
+        points: [
+          rangePoint,
+          `Raise with ${RAISE_EQUITY}%+ equity; call when equity beats the pot odds`,
+          acceptable.length > 1 && correctAction !== 'Raise' ? 'This is a close spot - calling and folding are both fine' : null
+        ].filter(Boolean)
+      },
+      rangeDisplay: null
+    };
+  }
+
+  // ============================================
+  // HAND END
+  // ============================================
+
+  /**
+   * Compare hands on the full board
+   */
+  showdown() {
+    const hand = this.hand;
+    const board = hand.board;
+    const heroCards = hand.players[hand.heroPosition].cards;
+    const villainCards = hand.players[hand.villainPosition].cards;
+
+    const heroHand = evaluateHand([...heroCards, ...board]);
+    const villainHand = evaluateHand([...villainCards, ...board]);
+    const comparison = compareEvaluatedHands(heroHand, villainHand);
+
+    const winner = comparison > 0 ? 'hero' : comparison < 0 ? 'villain' : 'split';
+
+    this.finishHand(winner, 'showdown', {
+      heroHand: describeMadeHand(heroCards, board),
+      villainHand: villainHand.description,
+      villainCards
+    });
+  }
+
+  /**
+   * Finish the hand and work out the hero's result
+   */
+  finishHand(winner, reason, showdown = null) {
+    const hand = this.hand;
+    const pot = this.getTotalPot();
+    const invested = hand.players[hand.heroPosition].invested;
+
+    let heroNet = -invested;
+    if (winner === 'hero') heroNet = pot - invested;
+    if (winner === 'split') heroNet = pot / 2 - invested;
+
+    hand.complete = true;
+    hand.pending = null;
+    hand.round = null;
+    hand.result = {
+      winner,
+      reason,
+      pot,
+      heroNet,
+      heroPosition: hand.heroPosition,
+      heroCards: hand.players[hand.heroPosition].cards,
+      villainPosition: hand.villainPosition,
+      board: reason === 'showdown' ? hand.board : this.getVisibleBoard(),
+      actions: hand.actions,
+      showdown
+    };
+  }
+
+  // ============================================
+  // DECISIONS
+  // ============================================
+
+  // Set the hero's pending decision and start its timer
+  setPending(decision) {
+    this.hand.pending = decision;
+    this.hand.decisionStart = performance.now();
+  }
+
+  // Send the pending decision to the UI
+  notifyDecision() {
+    const hand = this.hand;
+    const { heroPosition, villainPosition } = hand;
+    const toCall = villainPosition
+      ? Math.max(0, this.getStreetBet(villainPosition) - this.getStreetBet(heroPosition))
+      : 0;
+    const villainStack = villainPosition ? this.getStack(villainPosition) + this.getStreetBet(villainPosition) : STARTING_STACK;
+
+    // Restart the timer once the decision is actually on screen
+    hand.decisionStart = performance.now();
+
+    this.callbacks.onDecisionRequired({
+      handNumber: this.session.handNumber,
+      totalHands: this.config.totalHands,
+      heroPosition,
+      heroCards: hand.players[heroPosition].cards,
+      street: hand.street,
+      board: this.getVisibleBoard(),
+      actions: hand.actions,
+      potSize: this.getTotalPot(),
+      toCall,
+      effectiveStack: Math.min(this.getStack(heroPosition) + this.getStreetBet(heroPosition), villainStack),
+      decision: hand.pending
+    });
+  }
+}
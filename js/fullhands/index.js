@@ -0,0 +1,404 @@
+/**
+ * Full Hands
+ * Stage 4: play complete hands against simulated opponents
+ * with GTO feedback on every decision
+ */
+
+import { HandEngine, STREETS } from './HandEngine.js';
+import { isStageUnlocked, getFullHandsProgress, getFullHandsThreshold } from '../storage.js';
+import { renderScenarioQuestion, showScenarioFeedback } from '../components/ScenarioDisplay.js';
+import { renderActionHistory } from '../components/ActionHistory.js';
+import { renderBoardDisplay } from '../components/BoardDisplay.js';
+import { PlayingCard } from '../components/PlayingCard.js';
+import { DrillResults } from '../components/DrillResults.js';
+
+const MODULE_ID = 'play-hands';
+const MODULE_NAME = 'Full Hands';
+const TOTAL_HANDS = 10;
+const DECISION_ICONS = { correct: '&#10003;', partial: '&#189;', wrong: '&#10007;' };
+
+let engine = null;
+let container = null;
+
+/**
+ * Render the full hands stage
+ */
+export function renderFullHands(containerElement) {
+  container = containerElement;
+
+  if (!isStageUnlocked('full-hands')) {
+    renderLockedState();
+    return;
+  }
+
+  renderStartScreen();
+}
+
+/**
+ * Render locked state
+ */
+function renderLockedState() {
+  container.innerHTML = `
+    <div class="container scenario-locked">
+      <div class="animate-fade-in-up">
+        <div class="scenario-locked__icon">&#x1F512;</div>
+        <h1 class="display-md mb-4">Full Hands Locked</h1>
+        <p class="text-lg text-secondary mb-8">Complete every scenario in Stage 3 to unlock Full Hands.</p>
+        <a href="#/scenarios" class="btn btn--primary btn--lg">Go to Scenarios</a>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render start screen
+ */
+function renderStartScreen() {
+  const previousBest = getFullHandsProgress(MODULE_ID);
+  const threshold = getFullHandsThreshold();
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">${MODULE_NAME}</span>
+        </nav>
+        <h1 class="page-header__title">Stage 4: ${MODULE_NAME}</h1>
+        <p class="page-header__subtitle">Play complete hands with GTO feedback on every decision</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">&#x1F0A1;</div>
+        <div class="drill-start__info">
+          <p class="drill-start__description">
+            You're dealt into a 6-max game at 100BB. Play each hand from preflop to showdown against
+            simulated opponents.
+          </p>
+          <ul class="scenario-texture-list">
+            <li><strong>Preflop</strong> - graded against the opening, defense, and 3-bet tables</li>
+            <li><strong>Postflop</strong> - graded by your equity against the villain's range</li>
+            <li><strong>Showdown</strong> - see both hands and how the pot was won</li>
+          </ul>
+          <div class="drill-start__meta">
+            <span>${TOTAL_HANDS} hands</span>
+            <span>Pass: ${threshold}%</span>
+          </div>
+        </div>
+
+        ${previousBest && previousBest.attempts > 0 ? `
+          <div class="drill-start__best">
+            <div class="drill-start__best-title">Your Best</div>
+            <div class="drill-start__best-stats">
+              <span>Score: ${Math.round(previousBest.bestScore)}%</span>
+              <span>Hands: ${previousBest.handsPlayed}</span>
+              <span>Net: ${formatNet(previousBest.netResult)}</span>
+            </div>
+          </div>
+        ` : ''}
+
+        <button class="btn btn--primary btn--lg drill-start__btn" id="start-hands-btn">
+          Deal Me In
+        </button>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('start-hands-btn').addEventListener('click', startSession);
+}
+
+/**
+ * Start a session
+ */
+function startSession() {
+  engine = new HandEngine(
+    {
+      id: MODULE_ID,
+      totalHands: TOTAL_HANDS
+    },
+    {
+      onDecisionRequired: onDecisionRequired,
+      onHandComplete: onHandComplete,
+      onSessionEnd: onSessionEnd
+    }
+  );
+
+  engine.start();
+}
+
+/**
+ * Get the most recent street with actions (so the hero sees what just happened)
+ */
+function getRecentActions(actions, street) {
+  for (let i = STREETS.indexOf(street); i >= 0; i--) {
+    const streetActions = actions[STREETS[i]];
+    if (streetActions.length > 0) {
+      return { street: STREETS[i], actions: streetActions };
+    }
+  }
+  return { street, actions: [] };
+}
+
+/**
+ * Capitalize first letter
+ */
+function capitalizeFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Format a BB result with sign (e.g. +4.5BB)
+ */
+function formatNet(amount) {
+  const rounded = Math.round(amount * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}BB`;
+}
+
+/**
+ * Summary state of a graded decision (mixed hands can earn partial credit)
+ */
+function getDecisionState(decision) {
+  if (decision.isCorrect) return 'correct';
+  return decision.credit > 0 ? 'partial' : 'wrong';
+}
+
+/**
+ * Handle a hero decision being required
+ */
+function onDecisionRequired(data) {
+  const recent = getRecentActions(data.actions, data.street);
+
+  renderScenarioQuestion(container, {
+    scenarioName: `${MODULE_NAME} - ${capitalizeFirst(data.street)}`,
+    questionNumber: data.handNumber,
+    totalQuestions: data.totalHands,
+    heroPosition: data.heroPosition,
+    heroHand: data.heroCards,
+    actionHistory: recent.actions.length > 0 ? recent.actions : null,
+    actionHistoryTitle: `${capitalizeFirst(recent.street)} Action`,
+    potSize: data.potSize,
+    effectiveStack: data.effectiveStack,
+    toCall: data.toCall,
+    board: data.board,
+    decisions: data.decision.options,
+    prompt: data.decision.prompt,
+    whyItMatters: `
+      <p class="scenario-why-text">
+        Real hands string decisions together. A loose preflop call creates a tough flop, and a
+        thin river call only makes sense if your equity beats the price. Every decision is graded
+        on its own, so you can see exactly where a hand went wrong.
+      </p>
+    `,
+    onDecision: handleDecision,
+    onQuit: quitSession
+  });
+}
+
+/**
+ * Handle player's decision
+ */
+function handleDecision(action) {
+  if (!engine || !engine.isActive()) return;
+
+  const result = engine.submitDecision(action);
+
+  if (result) {
+    showScenarioFeedback(container, {
+      ...result,
+      onNext: () => {
+        engine.advance();
+      }
+    });
+  }
+}
+
+/**
+ * Handle the end of a hand: show the outcome and every street's action
+ */
+function onHandComplete(data) {
+  const { handNumber, totalHands, result, decisions } = data;
+  const isLastHand = handNumber >= totalHands;
+
+  const outcome = {
+    hero: result.reason === 'showdown' ? 'You win at showdown' : 'Everyone folds - you win',
+    villain: result.reason === 'showdown' ? `${result.villainPosition} wins at showdown` : 'You fold',
+    split: 'Split pot'
+  }[result.winner];
+
+  container.innerHTML = `
+    <div class="scenario-active">
+      <div class="scenario-header">
+        <div class="scenario-header__left">
+          <button class="btn btn--ghost" id="quit-scenario">&larr; Quit</button>
+        </div>
+        <div class="scenario-header__center">
+          <div class="scenario-header__progress">
+            <span>${handNumber}</span>/<span>${totalHands}</span>
+          </div>
+        </div>
+        <div class="scenario-header__right">
+          <span class="scenario-header__name">${MODULE_NAME}</span>
+        </div>
+      </div>
+
+      <div class="scenario-question full-hand-summary animate-fade-in-up">
+        <div class="full-hand-summary__outcome full-hand-summary__outcome--${result.heroNet >= 0 ? 'won' : 'lost'}">
+          <div class="full-hand-summary__title">${outcome}</div>
+          <div class="full-hand-summary__net">${formatNet(result.heroNet)}</div>
+          <div class="full-hand-summary__pot">Pot: ${result.pot}BB</div>
+        </div>
+
+        <div class="full-hand-summary__hands">
+          <div class="full-hand-summary__player">
+            <div class="full-hand-summary__label">You (${result.heroPosition})</div>
+            <div class="full-hand-summary__cards" id="hero-cards"></div>
+            ${result.showdown ? `<div class="full-hand-summary__made">${result.showdown.heroHand}</div>` : ''}
+          </div>
+          ${result.showdown ? `
+            <div class="full-hand-summary__player">
+              <div class="full-hand-summary__label">Villain (${result.villainPosition})</div>
+              <div class="full-hand-summary__cards" id="villain-cards"></div>
+              <div class="full-hand-summary__made">${result.showdown.villainHand}</div>
+            </div>
+          ` : ''}
+        </div>
+
+        <div id="summary-board"></div>
+
+        <div class="full-hand-summary__streets">
+          ${STREETS.map(street => renderActionHistory({
+            actions: result.actions[street],
+            heroPosition: result.heroPosition,
+            title: `${capitalizeFirst(street)} Action`
+          })).join('')}
+        </div>
+
+        <div class="full-hand-summary__decisions">
+          <div class="full-hand-summary__label">Your Decisions</div>
+          <ul class="full-hand-summary__decision-list">
+            ${decisions.map(decision => `
+              <li class="full-hand-summary__decision full-hand-summary__decision--${getDecisionState(decision)}">
+                <span class="full-hand-summary__decision-icon">${DECISION_ICONS[getDecisionState(decision)]}</span>
+                <span class="full-hand-summary__decision-spot">${decision.spot}</span>
+                <span class="full-hand-summary__decision-answer">
+                  ${decision.playerAnswer}${decision.isCorrect ? '' : ` (GTO: ${decision.correctAnswer})`}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+
+        <div class="scenario-feedback__actions">
+          <button class="btn btn--primary btn--lg" id="next-hand-btn">
+            ${isLastHand ? 'See Results' : 'Next Hand'}
+          </button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  renderCards(container.querySelector('#hero-cards'), result.heroCards);
+  if (result.showdown) {
+    renderCards(container.querySelector('#villain-cards'), result.showdown.villainCards);
+  }
+  if (result.board.length > 0) {
+    renderBoardDisplay(container.querySelector('#summary-board'), { cards: result.board, showTexture: false });
+  }
+
+  document.getElementById('quit-scenario').addEventListener('click', quitSession);
+  document.getElementById('next-hand-btn').addEventListener('click', () => {
+    engine.nextHand();
+  });
+}
+
+/**
+ * Render hole cards
+ */
+function renderCards(cardsContainer, cards) {
+  if (!cardsContainer) return;
+
+  cards.forEach(card => {
+    const playingCard = new PlayingCard(card.rank, card.suit, { size: 'md' });
+    playingCard.render(cardsContainer);
+  });
+}
+
+/**
+ * Handle session end
+ */
+function onSessionEnd(data) {
+  const { stats, previousBest, passed, passThreshold, streetStats } = data;
+
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  const results = new DrillResults({
+    drillId: MODULE_ID,
+    drillName: MODULE_NAME,
+    previousBest,
+    onPlayAgain: () => renderFullHands(container),
+    onNextDrill: null,
+    onBackToHub: () => { window.location.hash = '#/'; },
+    nextLabel: null
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy: stats.accuracy,
+    avgTime: stats.avgTime,
+    fastestTime: stats.fastestTime,
+    bestStreak: 0,
+    correct: stats.correct,
+    total: stats.total,
+    passed,
+    passThreshold
+  });
+
+  addStreetBreakdown(streetStats, stats.netResult);
+}
+
+/**
+ * Add street breakdown to results
+ */
+function addStreetBreakdown(streetStats, netResult) {
+  const resultsContent = container.querySelector('.drill-results__content');
+  if (!resultsContent) return;
+
+  const streets = STREETS.filter(street => streetStats[street]);
+
+  const breakdownHtml = `
+    <div class="drill-results__breakdown">
+      <h4 class="drill-results__breakdown-title">Accuracy by Street</h4>
+      <div class="drill-results__breakdown-grid">
+        ${streets.map(street => {
+          const stats = streetStats[street];
+          const pct = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
+          return `
+            <div class="drill-results__breakdown-item">
+              <span class="drill-results__breakdown-pos">${capitalizeFirst(street)}</span>
+              <span class="drill-results__breakdown-value ${pct >= 70 ? 'drill-results__breakdown-value--good' : ''}">${pct}%</span>
+            </div>
+          `;
+        }).join('')}
+        <div class="drill-results__breakdown-item">
+          <span class="drill-results__breakdown-pos">Net</span>
+          <span class="drill-results__breakdown-value ${netResult >= 0 ? 'drill-results__breakdown-value--good' : ''}">${formatNet(netResult)}</span>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const actions = resultsContent.querySelector('.drill-results__actions');
+  if (actions) {
+    actions.insertAdjacentHTML('beforebegin', breakdownHtml);
+  }
+}
+
+/**
+ * Quit the session
+ */
+function quitSession() {
+  if (engine) {
+    engine.stop();
+  }
+  window.location.hash = '#/';
+}
@@ -0,0 +1,193 @@
+/**
+ * Hotkeys
+ * Shared keyboard layer for drills and scenarios. Pages bind actions (fold, yes, next, ...)
+ * to handlers or buttons; the keys behind each action are set in Settings.
+ */
+
+import { getSettings, updateSettings } from './storage.js';
+
+// Bindable actions and their default keys (KeyboardEvent.key, letters in lowercase)
+export const HOTKEY_ACTIONS = {
+  open: { label: 'Open', defaultKey: 'o' },
+  fold: { label: 'Fold', defaultKey: 'f' },
+  call: { label: 'Call', defaultKey: 'c' },
+  yes: { label: 'Yes', defaultKey: 'y' },
+  no: { label: 'No', defaultKey: 'n' },
+  left: { label: 'Left hand', defaultKey: 'ArrowLeft' },
+  right: { label: 'Right hand', defaultKey: 'ArrowRight' },
+  'choice-1': { label: 'Choice 1', defaultKey: '1' },
+  'choice-2': { label: 'Choice 2', defaultKey: '2' },
+  'choice-3': { label: 'Choice 3', defaultKey: '3' },
+  'choice-4': { label: 'Choice 4', defaultKey: '4' },
+  'choice-5': { label: 'Choice 5', defaultKey: '5' },
+  'choice-6': { label: 'Choice 6', defaultKey: '6' },
+  next: { label: 'Next / Continue', defaultKey: ' ' },
+  quit: { label: 'Quit', defaultKey: 'Escape' }
+};
+
+// Names for keys whose KeyboardEvent.key doesn't read well on its own
+const KEY_NAMES = {
+  ' ': 'Space',
+  Escape: 'Esc',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+// Keys that can't be bound (they'd break typing and tabbing around the page)
+const RESERVED_KEYS = ['Tab', 'Enter', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+let activeListener = null;
+
+/**
+ * Get the key bound to every action (saved overrides over the defaults)
+ * @returns {Object<string, string>} Action -> key
+ */
+export function getHotkeys() {
+  const saved = getSettings().hotkeys || {};
+  const hotkeys = {};
+
+  Object.entries(HOTKEY_ACTIONS).forEach(([action, { defaultKey }]) => {
+    hotkeys[action] = typeof saved[action] === 'string' ? saved[action] : defaultKey;
+  });
+
+  return hotkeys;
+}
+
+/**
+ * Bind a key to an action. An action already on that key takes this action's old key.
+ * @param {string} action - Key of HOTKEY_ACTIONS
+ * @param {string} key - KeyboardEvent.key
+ * @returns {boolean} Whether it was saved
+ */
+export function setHotkey(action, key) {
+  if (!HOTKEY_ACTIONS[action]) {
+    console.error(`Unknown hotkey action: ${action}`);
+    return false;
+  }
+
+  if (typeof key !== 'string' || key.length === 0 || RESERVED_KEYS.includes(key)) {
+    console.error(`Key can't be bound: ${key}`);
+    return false;
+  }
+
+  const hotkeys = getHotkeys();
+  const normalized = normalizeKey(key);
+  const taken = Object.keys(hotkeys).find(other => other !== action && hotkeys[other] === normalized);
+
+  if (taken) {
+    hotkeys[taken] = hotkeys[action];
+  }
+  hotkeys[action] = normalized;
+
+  return updateSettings({ hotkeys });
+}
+
+/**
+ * Put every action back on its default key
+ * @returns {boolean} Whether it was saved
+ */
+export function resetHotkeys() {
+  return updateSettings({ hotkeys: {} });
+}
+
+/**
+ * Display name for a key (e.g. "Space", "←", "F")
+ * @param {string} key - KeyboardEvent.key
+ */
+export function formatHotkey(key) {
+  if (KEY_NAMES[key]) return KEY_NAMES[key];
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Listen for hotkeys on the current page, replacing any earlier binding.
+ * Each handler is a function, or a selector for a button to click when it's enabled and shown.
+ * A `choice` handler covers the number keys: a function gets the 0-based index, a selector
+ * clicks its nth match.
+ * @param {Object<string, Function|string>} handlers - Action (or 'choice') -> handler
+ */
+export function bindHotkeys(handlers) {
+  unbindHotkeys();
+
+  const keyToAction = Object.fromEntries(
+    Object.entries(getHotkeys()).map(([action, key]) => [key, action])
+  );
+
+  activeListener = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+
+    const action = keyToAction[normalizeKey(e.key)];
+    if (!action) return;
+
+    // Typing in a field only lets quit through
+    if (isEditable(e.target) && action !== 'quit') return;
+
+    const handled = action.startsWith('choice-')
+      ? runChoice(handlers.choice, parseInt(action.slice('choice-'.length)) - 1)
+      : runHandler(handlers[action]);
+
+    if (handled) {
+      e.preventDefault();
+    }
+  };
+
+  document.addEventListener('keydown', activeListener);
+}
+
+/**
+ * Stop listening for hotkeys (the router calls this on every page change)
+ */
+export function unbindHotkeys() {
+  if (activeListener) {
+    document.removeEventListener('keydown', activeListener);
+    activeListener = null;
+  }
+}
+
+// Run a handler: call a function, or click the first usable button matching a selector
+function runHandler(handler) {
+  if (typeof handler === 'function') {
+    handler();
+    return true;
+  }
+
+  if (typeof handler === 'string') {
+    return clickButton(document.querySelector(handler));
+  }
+
+  return false;
+}
+
+// Run a choice handler for the nth option
+function runChoice(handler, index) {
+  if (typeof handler === 'function') {
+    handler(index);
+    return true;
+  }
+
+  if (typeof handler === 'string') {
+    return clickButton(document.querySelectorAll(handler)[index]);
+  }
+
+  return false;
+}
+
+// Click a button if it's there, enabled and not hidden
+function clickButton(button) {
+  if (!button || button.disabled || button.closest('[hidden]')) return false;
+  button.click();
+  return true;
+}
+
+// Letters match whatever the case (Shift or Caps Lock held)
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Check if an element takes typed text
+function isEditable(element) {
+  if (!element) return false;
+  return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
@@ -3,7 +3,8 @@
  * Understanding and estimating preflop equity
  */
 
-import { getEquity, getCardsForHand, PREFLOP_EQUITY, normalizeHand } from '../data/hands.js';
+import { ALL_HANDS, getCardsForHand, normalizeHand } from '../data/hands.js';
+import { getEquity } from '../data/equityCalculator.js';
 import { createHandDisplay } from '../components/PlayingCard.js';
 import { createEquitySlider, createProgressIndicator } from '../components/Quiz.js';
 import { completeModule, getModuleProgress, updateStats, isModuleUnlocked } from '../storage.js';
@@ -13,6 +14,9 @@ const QUIZ_LENGTH = 10;
 const PASSING_SCORE = 70;
 const TOLERANCE = 10; // ±10% is considered correct
 
+// Hands shown in the sidebar's equity reference
+const REFERENCE_HANDS = ['AA', 'KK', 'AKs', 'JJ', '22', '72o'];
+
 /**
  * Render the Equity module
  */
@@ -92,30 +96,12 @@ export function renderEquityModule(container) {
           <div class="module__progress-card mt-4">
             <div class="module__progress-title">Equity Reference</div>
             <div class="flex flex-col gap-2 mt-4 text-sm">
-              <div class="flex justify-between">
-                <span class="mono">AA</span>
-                <span class="text-primary-500 font-semibold">85%</span>
-              </div>
-              <div class="flex justify-between">
-                <span class="mono">KK</span>
-                <span class="text-primary-500 font-semibold">82%</span>
-              </div>
-              <div class="flex justify-between">
-                <span class="mono">AKs</span>
-                <span class="text-primary-500 font-semibold">67%</span>
-              </div>
-              <div class="flex justify-between">
-                <span class="mono">JJ</span>
-                <span class="text-primary-500 font-semibold">78%</span>
-              </div>
-              <div class="flex justify-between">
-                <span class="mono">22</span>
-                <span class="text-primary-500 font-semibold">50%</span>
-              </div>
-              <div class="flex justify-between">
-                <span class="mono">72o</span>
-                <span class="text-primary-500 font-semibold">35%</span>
-              </div>
+              ${REFERENCE_HANDS.map(hand => `
+                <div class="flex justify-between">
+                  <span class="mono">${hand}</span>
+                  <span class="text-primary-500 font-semibold">${Math.round(getEquity(hand))}%</span>
+                </div>
+              `).join('')}
             </div>
           </div>
         </div>
@@ -277,7 +263,7 @@ function setupQuiz() {
  * Get random hands for the quiz
  */
 function getQuizHands(count) {
-  const allHands = Object.keys(PREFLOP_EQUITY);
+  const allHands = [...ALL_HANDS];
   const shuffled = allHands.sort(() => Math.random() - 0.5);
   return shuffled.slice(0, count);
 }
@@ -3,7 +3,7 @@
  * Learn to evaluate starting hand strength
  */
 
-import { HAND_TIERS, getHandTier, getEquity, getCardsForHand, normalizeHand, getRandomQuizHands } from '../data/hands.js';
+import { HAND_TIERS, getHandTier, getCardsForHand, normalizeHand, getRandomQuizHands } from '../data/hands.js';
 import { createHandDisplay } from '../components/PlayingCard.js';
 import { createTierSort, createFeedbackModal, createProgressIndicator } from '../components/Quiz.js';
 import { completeModule, getModuleProgress, updateStats } from '../storage.js';
@@ -3,19 +3,35 @@
  * Understand positional advantage in poker
  */
 
-import { POSITIONS, getRangePercentage, comparePositions } from '../data/ranges.js';
-import { completeModule, getModuleProgress, updateStats, isModuleUnlocked } from '../storage.js';
+import { POSITIONS, TABLE_FORMATS, getRangePercentage, comparePositions, getPositionInfo, getPositionSlug } from '../data/ranges.js';
+import { completeModule, getModuleProgress, updateStats, isModuleUnlocked, getTableFormat, setTableFormat } from '../storage.js';
 import { createMultipleChoice, createFeedbackModal, createProgressIndicator } from '../components/Quiz.js';
+import { renderTableFormatSelector, bindTableFormatSelector } from '../components/TableFormatSelector.js';
 
 const MODULE_ID = 'position';
 const QUIZ_LENGTH = 10;
 const PASSING_SCORE = 70;
 
+// Seat labels on the table diagram
+const SEAT_LABELS = {
+  UTG: 'Under the Gun',
+  'UTG+1': 'UTG+1',
+  'UTG+2': 'UTG+2',
+  LJ: 'Lojack',
+  HJ: 'Hijack',
+  MP: 'Middle',
+  CO: 'Cutoff',
+  BTN: 'Button',
+  SB: 'Small Blind',
+  BB: 'Big Blind'
+};
+
 /**
  * Render the Position module
  */
 export function renderPositionModule(container) {
   const progress = getModuleProgress('foundations', MODULE_ID);
+  const tableFormat = getTableFormat();
   const isUnlocked = isModuleUnlocked('foundations', MODULE_ID);
 
   if (!isUnlocked) {
@@ -53,11 +69,12 @@ export function renderPositionModule(container) {
           <!-- Interactive Table -->
           <div class="position-viz mt-8">
             <h3 class="h3 mb-4">Interactive Position Diagram</h3>
-            <div class="position-viz__table-container">
-              ${renderPokerTable()}
+            ${renderTableFormatSelector(tableFormat)}
+            <div class="position-viz__table-container" id="position-table-container">
+              ${renderPokerTable(tableFormat)}
             </div>
-            <div class="position-viz__info mt-6">
-              ${renderPositionInfo()}
+            <div class="position-viz__info mt-6" id="position-info">
+              ${renderPositionInfo(tableFormat)}
             </div>
           </div>
 
@@ -95,11 +112,11 @@ export function renderPositionModule(container) {
               <div class="text-sm text-secondary">
                 <strong>Preflop (first to act):</strong>
               </div>
-              <div class="text-xs mono">UTG → MP → CO → BTN → SB → BB</div>
+              <div class="text-xs mono" id="preflop-order">${TABLE_FORMATS[tableFormat].preflopOrder.join(' → ')}</div>
               <div class="text-sm text-secondary mt-2">
                 <strong>Postflop (first to act):</strong>
               </div>
-              <div class="text-xs mono">SB → BB → UTG → MP → CO → BTN</div>
+              <div class="text-xs mono" id="postflop-order">${TABLE_FORMATS[tableFormat].postflopOrder.join(' → ')}</div>
             </div>
           </div>
         </div>
@@ -118,10 +135,25 @@ export function renderPositionModule(container) {
   `;
 
   // Set up interactivity
+  bindTableFormatSelector(container, showTableFormat);
   setupPositionInteractivity();
   setupQuiz();
 }
 
+/**
+ * Redraw the diagram, range cards and action order for another table format
+ */
+function showTableFormat(format) {
+  setTableFormat(format);
+
+  document.getElementById('position-table-container').innerHTML = renderPokerTable(format);
+  document.getElementById('position-info').innerHTML = renderPositionInfo(format);
+  document.getElementById('preflop-order').textContent = TABLE_FORMATS[format].preflopOrder.join(' → ');
+  document.getElementById('postflop-order').textContent = TABLE_FORMATS[format].postflopOrder.join(' → ');
+
+  setupPositionInteractivity();
+}
+
 /**
  * Render lesson content
  */
@@ -196,33 +228,15 @@ function renderLessonContent() {
 /**
  * Render the poker table diagram
  */
-function renderPokerTable() {
+function renderPokerTable(format) {
   return `
-    <div class="poker-table" id="poker-table">
-      <div class="poker-table__position poker-table__position--btn" data-position="BTN">
-        <div class="poker-table__seat">BTN</div>
-        <div class="poker-table__label">Button</div>
-      </div>
-      <div class="poker-table__position poker-table__position--sb" data-position="SB">
-        <div class="poker-table__seat">SB</div>
-        <div class="poker-table__label">Small Blind</div>
-      </div>
-      <div class="poker-table__position poker-table__position--bb" data-position="BB">
-        <div class="poker-table__seat">BB</div>
-        <div class="poker-table__label">Big Blind</div>
-      </div>
-      <div class="poker-table__position poker-table__position--utg" data-position="UTG">
-        <div class="poker-table__seat">UTG</div>
-        <div class="poker-table__label">Under the Gun</div>
-      </div>
-      <div class="poker-table__position poker-table__position--mp" data-position="MP">
-        <div class="poker-table__seat">MP</div>
-        <div class="poker-table__label">Middle</div>
-      </div>
-      <div class="poker-table__position poker-table__position--co" data-position="CO">
-        <div class="poker-table__seat">CO</div>
-        <div class="poker-table__label">Cutoff</div>
-      </div>
+    <div class="poker-table poker-table--${format}" id="poker-table">
+      ${TABLE_FORMATS[format].preflopOrder.map(pos => `
+        <div class="poker-table__position poker-table__position--${getPositionSlug(pos)}" data-position="${pos}">
+          <div class="poker-table__seat">${pos}</div>
+          <div class="poker-table__label">${SEAT_LABELS[pos]}</div>
+        </div>
+      `).join('')}
     </div>
   `;
 }
@@ -230,12 +244,10 @@ function renderPokerTable() {
 /**
  * Render position info cards
  */
-function renderPositionInfo() {
-  const positions = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
-
-  return positions.map(pos => {
-    const info = POSITIONS[pos];
-    const rangePercent = getRangePercentage(pos);
+function renderPositionInfo(format) {
+  return TABLE_FORMATS[format].preflopOrder.map(pos => {
+    const info = getPositionInfo(pos);
+    const rangePercent = getRangePercentage(pos, format);
 
     return `
       <div class="position-viz__position" data-position="${pos}">
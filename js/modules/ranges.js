@@ -5,7 +5,7 @@
 
 import { RANKS, getHandFromGrid, normalizeHand } from '../data/hands.js';
 import { POSITIONS, OPENING_RANGES, getRangePercentage, getRangeSimilarity, getRangeDifference, rangeToGrid } from '../data/ranges.js';
-import { createRangeGrid, updateGridRange, getGridRange, clearGrid, getRangeStats, createRangeComparison } from '../components/RangeGrid.js';
+import { createRangeGrid, updateGridRange, getGridRange, clearGrid, getRangeStats, createRangeComparison, createRangeNotationControls } from '../components/RangeGrid.js';
 import { createProgressIndicator } from '../components/Quiz.js';
 import { completeModule, getModuleProgress, updateStats, isModuleUnlocked } from '../storage.js';
 
@@ -67,10 +67,13 @@ export function renderRangesModule(container) {
                 <span id="range-percent" class="mono font-bold text-accent">--</span>
               </div>
             </div>
-            <div id="gto-range-display" class="flex justify-center"></div>
+            <div id="gto-range-display" class="flex flex-col items-center"></div>
             <p class="text-sm text-secondary text-center mt-4">
               Green cells = hands you should open/raise with from this position
             </p>
+            <p class="text-sm text-secondary text-center mt-2">
+              Play a different strategy? <a href="#/ranges/edit" class="link">Build your own ranges</a>
+            </p>
           </div>
 
           <!-- Range Builder Exercise -->
@@ -256,6 +259,7 @@ function setupRangeDisplay() {
       interactive: false
     });
     displayContainer.appendChild(grid);
+    displayContainer.appendChild(createRangeNotationControls(grid));
 
     // Update percentage
     if (percentEl) {
@@ -306,7 +310,7 @@ function startExercise(container) {
         </div>
       </div>
 
-      <div id="user-grid-container" class="range-builder__grid-container mb-6"></div>
+      <div id="user-grid-container" class="range-builder__grid-container flex-col items-center mb-6"></div>
 
       <div class="flex gap-4 justify-center">
         <button class="btn btn--secondary" id="clear-range-btn">Clear All</button>
@@ -331,6 +335,7 @@ function startExercise(container) {
     }
   });
   gridContainer.appendChild(userGrid);
+  gridContainer.appendChild(createRangeNotationControls(userGrid));
 
   // Clear button
   document.getElementById('clear-range-btn')?.addEventListener('click', () => {
@@ -0,0 +1,23 @@
+/**
+ * Motion
+ * Global reduced-motion mode. Turning animations off in Settings puts `reduce-motion` on
+ * <html>, which cuts CSS animations and transitions short; components that animate from
+ * script check areAnimationsEnabled() first.
+ */
+
+import { getSettings } from './storage.js';
+
+/**
+ * Check if animations should run (on in Settings and not reduced by the system)
+ */
+export function areAnimationsEnabled() {
+  if (getSettings().animationsEnabled === false) return false;
+  return !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Apply the animations setting to the page
+ */
+export function applyMotionSetting() {
+  document.documentElement.classList.toggle('reduce-motion', getSettings().animationsEnabled === false);
+}
@@ -0,0 +1,108 @@
+/**
+ * Hotkey Settings
+ * Settings controls for choosing the keys behind drill and scenario shortcuts
+ */
+
+import { HOTKEY_ACTIONS, getHotkeys, setHotkey, resetHotkeys, formatHotkey } from '../hotkeys.js';
+
+let container = null;
+let stopCapture = null; // Ends the "press a key" wait, if one is running
+
+/**
+ * Render the hotkey list
+ * @param {HTMLElement} containerElement - Container element
+ */
+export function renderHotkeySettings(containerElement) {
+  container = containerElement;
+  if (stopCapture) stopCapture();
+
+  const hotkeys = getHotkeys();
+
+  container.innerHTML = `
+    <div class="hotkey-settings">
+      <ul class="hotkey-settings__list">
+        ${Object.entries(HOTKEY_ACTIONS).map(([action, { label }]) => `
+          <li class="hotkey-settings__item">
+            <span class="hotkey-settings__label">${label}</span>
+            <button type="button" class="btn btn--secondary btn--sm hotkey-settings__key" data-action="${action}" aria-label="${label}: ${formatHotkey(hotkeys[action])}. Click to change">
+              ${formatHotkey(hotkeys[action])}
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="hotkey-settings__actions">
+        <button type="button" class="btn btn--secondary btn--sm" id="reset-hotkeys-btn">Reset to Defaults</button>
+      </div>
+      <div class="hotkey-settings__message" id="hotkey-message" aria-live="polite"></div>
+    </div>
+  `;
+
+  container.querySelectorAll('.hotkey-settings__key').forEach(btn => {
+    btn.addEventListener('click', () => captureKey(btn));
+  });
+
+  document.getElementById('reset-hotkeys-btn').addEventListener('click', () => {
+    resetHotkeys();
+    renderHotkeySettings(container);
+    showMessage('Shortcuts reset to defaults');
+  });
+}
+
+/**
+ * Wait for the next key press and bind it to the button's action (Esc cancels)
+ */
+function captureKey(btn) {
+  if (stopCapture) stopCapture();
+
+  const { action } = btn.dataset;
+  btn.textContent = 'Press a key…';
+  btn.classList.add('hotkey-settings__key--listening');
+
+  const handleKey = (e) => {
+    // Left Settings without pressing anything
+    if (!container.isConnected) {
+      stopCapture();
+      return;
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    stopCapture();
+
+    if (e.key === 'Escape' && action !== 'quit') {
+      renderHotkeySettings(container);
+      return;
+    }
+
+    const previous = getHotkeys();
+    if (!setHotkey(action, e.key)) {
+      renderHotkeySettings(container);
+      showMessage(`${formatHotkey(e.key)} can't be used as a shortcut`, true);
+      return;
+    }
+
+    // Say which action gave up the key, if any
+    const current = getHotkeys();
+    const moved = Object.keys(current).find(other => other !== action && current[other] !== previous[other]);
+
+    renderHotkeySettings(container);
+    showMessage(moved
+      ? `${HOTKEY_ACTIONS[action].label}: ${formatHotkey(current[action])}. ${HOTKEY_ACTIONS[moved].label} moved to ${formatHotkey(current[moved])}`
+      : `${HOTKEY_ACTIONS[action].label}: ${formatHotkey(current[action])}`);
+  };
+
+  document.addEventListener('keydown', handleKey, true);
+  stopCapture = () => {
+    document.removeEventListener('keydown', handleKey, true);
+    stopCapture = null;
+  };
+}
+
+/**
+ * Show a status line under the list
+ */
+function showMessage(text, isError = false) {
+  const message = document.getElementById('hotkey-message');
+  message.textContent = text;
+  message.classList.toggle('hotkey-settings__message--error', isError);
+}
@@ -40,7 +40,7 @@ export function renderMethodologyPage(container) {
               </div>
               <div class="methodology__highlight">
                 <span class="methodology__highlight-icon">&#x2713;</span>
-                <span>Mixed strategies simplified to dominant actions</span>
+                <span>Key mixed-strategy hands graded by frequency, with partial credit</span>
               </div>
               <div class="methodology__highlight">
                 <span class="methodology__highlight-icon">&#x2713;</span>
@@ -153,6 +153,20 @@ export function renderMethodologyPage(container) {
                 </div>
                 <p>Conceptual understanding of dry/wet/paired/monotone boards. No disputed ranges.</p>
               </div>
+              <div class="methodology__scenario methodology__scenario--educational">
+                <div class="methodology__scenario-header">
+                  <strong>Flop C-Bet</strong>
+                  <span class="methodology__confidence methodology__confidence--educational">Educational</span>
+                </div>
+                <p>Heuristics, not solver output: board texture sets the size, position sets how often you bet, and low SPR pushes strong hands to bet big. Betting with the wrong size earns half credit.</p>
+              </div>
+              <div class="methodology__scenario methodology__scenario--educational">
+                <div class="methodology__scenario-header">
+                  <strong>Turn &amp; River</strong>
+                  <span class="methodology__confidence methodology__confidence--educational">Educational</span>
+                </div>
+                <p>Both ranges narrow by simple rules each street (callers keep pairs and draws, the river bettor is polarized with a balanced bluff share). Bets and calls are graded on exact equity against those ranges versus the pot odds.</p>
+              </div>
             </div>
           </div>
         </section>
@@ -187,7 +201,7 @@ export function renderMethodologyPage(container) {
               </div>
               <div class="methodology__avoided-item">
                 <strong>Mixed Strategy Hands</strong>
-                <p>Hands that solvers say to "mix" (e.g., 60% call / 40% fold) are simplified to the dominant action.</p>
+                <p>Only the most common mixes carry frequencies (e.g., A5s: 60% 3-bet / 40% call). The dominant action earns full credit and the less frequent action partial credit; other mixed hands are simplified to the dominant action.</p>
               </div>
             </div>
           </div>
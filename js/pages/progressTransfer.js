@@ -0,0 +1,171 @@
+/**
+ * Progress Transfer
+ * Settings controls for downloading progress and restoring it on another device
+ */
+
+import { exportProgress, importProgress, previewProgressImport } from '../storage.js';
+
+let container = null;
+let pendingImport = null; // Text of the chosen file, until it's applied or cancelled
+
+/**
+ * Render the backup and restore controls
+ * @param {HTMLElement} containerElement - Container element
+ */
+export function renderProgressTransfer(containerElement) {
+  container = containerElement;
+  pendingImport = null;
+
+  container.innerHTML = `
+    <div class="progress-transfer">
+      <div class="progress-transfer__row">
+        <button class="btn btn--secondary" id="export-progress-btn">Download Progress</button>
+        <label class="btn btn--secondary progress-transfer__file">
+          Upload Progress File
+          <input type="file" id="import-file" accept=".json,application/json" hidden>
+        </label>
+      </div>
+
+      <fieldset class="progress-transfer__modes">
+        <legend class="progress-transfer__legend">When importing</legend>
+        <label class="progress-transfer__mode">
+          <input type="radio" name="import-mode" value="merge" checked>
+          <span><strong>Merge</strong> &mdash; keep the best scores from both, add up attempts, combine achievements</span>
+        </label>
+        <label class="progress-transfer__mode">
+          <input type="radio" name="import-mode" value="replace">
+          <span><strong>Replace</strong> &mdash; overwrite this device's progress with the file</span>
+        </label>
+      </fieldset>
+
+      <div class="progress-transfer__preview" id="import-preview" hidden></div>
+      <div class="progress-transfer__message" id="import-message" aria-live="polite"></div>
+    </div>
+  `;
+
+  document.getElementById('export-progress-btn').addEventListener('click', downloadProgress);
+  document.getElementById('import-file').addEventListener('change', handleFileChosen);
+
+  container.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+    radio.addEventListener('change', () => {
+      if (pendingImport) showPreview();
+    });
+  });
+}
+
+/**
+ * Download progress as a JSON file
+ */
+function downloadProgress() {
+  const blob = new Blob([exportProgress()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = `libregto-progress-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  showMessage('Progress downloaded.');
+}
+
+/**
+ * Read the chosen file and preview it
+ */
+function handleFileChosen(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    pendingImport = reader.result;
+    showPreview();
+  };
+  reader.onerror = () => {
+    showMessage('Could not read that file.', true);
+  };
+  reader.readAsText(file);
+
+  // Let the same file be chosen again after a cancel
+  e.target.value = '';
+}
+
+/**
+ * Show what the pending import would change
+ */
+function showPreview() {
+  const preview = document.getElementById('import-preview');
+  const mode = getImportMode();
+  const result = previewProgressImport(pendingImport, { mode });
+
+  if (!result.valid) {
+    pendingImport = null;
+    preview.hidden = true;
+    showMessage(`That file can't be imported: ${result.errors.join('; ')}.`, true);
+    return;
+  }
+
+  preview.hidden = false;
+  preview.innerHTML = `
+    <div class="progress-transfer__preview-title">
+      ${mode === 'merge' ? 'Merging' : 'Replacing with'} this file will change:
+    </div>
+    ${result.changes.length > 0 ? `
+      <ul class="progress-transfer__changes">
+        ${result.changes.map(change => `
+          <li class="progress-transfer__change">
+            <span class="progress-transfer__change-label">${change.label}</span>
+            <span class="progress-transfer__change-values">${change.from} &rarr; ${change.to}</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : '<p class="text-sm text-secondary">Nothing &mdash; your progress already matches.</p>'}
+    <div class="progress-transfer__row">
+      <button class="btn btn--primary" id="apply-import-btn">Apply Import</button>
+      <button class="btn btn--ghost" id="cancel-import-btn">Cancel</button>
+    </div>
+  `;
+  showMessage('');
+
+  document.getElementById('apply-import-btn').addEventListener('click', applyImport);
+  document.getElementById('cancel-import-btn').addEventListener('click', () => {
+    pendingImport = null;
+    preview.hidden = true;
+    showMessage('Import cancelled.');
+  });
+}
+
+/**
+ * Save the pending import
+ */
+function applyImport() {
+  if (!pendingImport) return;
+
+  const imported = importProgress(pendingImport, { mode: getImportMode() });
+  pendingImport = null;
+  document.getElementById('import-preview').hidden = true;
+
+  if (imported) {
+    showMessage('Progress imported.');
+  } else {
+    showMessage('Could not import that file.', true);
+  }
+}
+
+/**
+ * Get the selected import mode
+ */
+function getImportMode() {
+  return container.querySelector('input[name="import-mode"]:checked').value;
+}
+
+/**
+ * Show a status line under the controls
+ */
+function showMessage(text, isError = false) {
+  const message = document.getElementById('import-message');
+  message.textContent = text;
+  message.classList.toggle('progress-transfer__message--error', isError);
+}
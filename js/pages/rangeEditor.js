@@ -0,0 +1,309 @@
+/**
+ * Range Editor Page
+ * Build, name and save custom ranges, and choose which ones drills quiz against
+ */
+
+import { POSITIONS, OPENING_RANGES } from '../data/ranges.js';
+import { formatRange } from '../data/rangeNotation.js';
+import {
+  createRangeGrid,
+  clearGrid,
+  getGridRange,
+  getRangeStats,
+  importRangeNotation,
+  exportRangeNotation,
+  createRangeNotationControls
+} from '../components/RangeGrid.js';
+import {
+  getCustomRanges,
+  getCustomRange,
+  saveCustomRange,
+  deleteCustomRange,
+  setActiveCustomRange,
+  getActiveCustomRangeId,
+  setUseCustomRanges,
+  isUsingCustomRanges
+} from '../storage.js';
+
+// Spots a saved range can describe (only opening ranges feed the drills)
+const RANGE_SPOTS = {
+  open: 'Open (RFI)',
+  call: 'Call vs open',
+  '3bet': '3-bet',
+  '4bet': '4-bet'
+};
+
+const EDITOR_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+
+let container = null;
+let grid = null;
+let editingId = null;
+
+/**
+ * Render the range editor page
+ * @param {HTMLElement} containerElement - Container element
+ */
+export function renderRangeEditor(containerElement) {
+  container = containerElement;
+  editingId = null;
+
+  container.innerHTML = `
+    <div class="range-editor container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Range Editor</span>
+        </nav>
+        <h1 class="page-header__title">Range Editor</h1>
+        <p class="page-header__subtitle">Build your own ranges and quiz yourself against them</p>
+      </div>
+
+      <div class="range-editor__layout animate-fade-in-up">
+        <section class="range-editor__editor">
+          <div class="range-editor__fields">
+            <label class="range-editor__field">
+              <span class="range-editor__label">Name</span>
+              <input type="text" id="range-name" class="range-editor__input" maxlength="40" placeholder="e.g. Our BTN open">
+            </label>
+            <label class="range-editor__field">
+              <span class="range-editor__label">Position</span>
+              <select id="range-position" class="btn btn--secondary range-editor__select">
+                ${EDITOR_POSITIONS.map(pos => `<option value="${pos}">${pos} (${POSITIONS[pos].name})</option>`).join('')}
+              </select>
+            </label>
+            <label class="range-editor__field">
+              <span class="range-editor__label">Spot</span>
+              <select id="range-spot" class="btn btn--secondary range-editor__select">
+                ${Object.entries(RANGE_SPOTS).map(([id, label]) => `<option value="${id}">${label}</option>`).join('')}
+              </select>
+            </label>
+          </div>
+
+          <div class="range-builder__stats range-editor__stats">
+            <span>Range: <span id="editor-range-percent" class="text-accent font-bold">0%</span></span>
+            <span>|</span>
+            <span>Hands: <span id="editor-hand-count" class="font-bold">0</span></span>
+          </div>
+
+          <div id="editor-grid-container" class="range-builder__grid-container flex-col items-center"></div>
+
+          <div class="range-editor__actions">
+            <button class="btn btn--ghost" id="load-builtin-btn">Load Built-in</button>
+            <button class="btn btn--ghost" id="clear-editor-btn">Clear</button>
+            <button class="btn btn--secondary" id="new-range-btn">New Range</button>
+            <button class="btn btn--primary" id="save-range-btn">Save Range</button>
+          </div>
+          <div class="range-editor__message" id="editor-message" aria-live="polite"></div>
+        </section>
+
+        <section class="range-editor__saved">
+          <h3 class="h4 mb-4">Saved Ranges</h3>
+          <label class="range-editor__toggle">
+            <input type="checkbox" id="use-custom-toggle" ${isUsingCustomRanges() ? 'checked' : ''}>
+            <span>Quiz Open or Fold and Range Check against my opening ranges</span>
+          </label>
+          <div id="saved-ranges-list" class="range-editor__list"></div>
+        </section>
+      </div>
+    </div>
+  `;
+
+  grid = createRangeGrid({
+    interactive: true,
+    onRangeChange: updateRangeStats
+  });
+
+  const gridContainer = document.getElementById('editor-grid-container');
+  gridContainer.appendChild(grid);
+  gridContainer.appendChild(createRangeNotationControls(grid));
+
+  bindEditorEvents();
+  renderSavedRanges();
+}
+
+/**
+ * Update the percentage and hand count under the grid
+ */
+function updateRangeStats(hands) {
+  const stats = getRangeStats(hands);
+  document.getElementById('editor-range-percent').textContent = stats.percentage + '%';
+  document.getElementById('editor-hand-count').textContent = stats.hands.toString();
+}
+
+/**
+ * Show a status line under the editor actions
+ */
+function showMessage(text, isError = false) {
+  const message = document.getElementById('editor-message');
+  message.textContent = text;
+  message.classList.toggle('range-editor__message--error', isError);
+}
+
+/**
+ * Wire up the editor form and buttons
+ */
+function bindEditorEvents() {
+  const nameInput = document.getElementById('range-name');
+  const positionSelect = document.getElementById('range-position');
+  const spotSelect = document.getElementById('range-spot');
+
+  document.getElementById('load-builtin-btn').addEventListener('click', () => {
+    const builtIn = OPENING_RANGES[positionSelect.value];
+
+    if (!builtIn || builtIn.size === 0) {
+      showMessage(`There is no built-in opening range for ${positionSelect.value}.`, true);
+      return;
+    }
+
+    importRangeNotation(grid, formatRange(builtIn));
+    showMessage(`Loaded the built-in ${positionSelect.value} opening range.`);
+  });
+
+  document.getElementById('clear-editor-btn').addEventListener('click', () => {
+    clearGrid(grid);
+    updateRangeStats([]);
+    showMessage('');
+  });
+
+  document.getElementById('new-range-btn').addEventListener('click', () => {
+    editingId = null;
+    nameInput.value = '';
+    clearGrid(grid);
+    updateRangeStats([]);
+    showMessage('Started a new range.');
+    renderSavedRanges();
+  });
+
+  document.getElementById('save-range-btn').addEventListener('click', () => {
+    if (!nameInput.value.trim()) {
+      showMessage('Give the range a name before saving.', true);
+      nameInput.focus();
+      return;
+    }
+
+    if (getGridRange(grid).length === 0) {
+      showMessage('Add some hands to the range before saving.', true);
+      return;
+    }
+
+    const saved = saveCustomRange({
+      id: editingId,
+      name: nameInput.value,
+      position: positionSelect.value,
+      spot: spotSelect.value,
+      notation: exportRangeNotation(grid)
+    });
+
+    if (!saved) {
+      showMessage('Could not save the range.', true);
+      return;
+    }
+
+    // A range that moved off its position or spot can't stay active there
+    EDITOR_POSITIONS.forEach(pos => {
+      if (getActiveCustomRangeId(pos) === saved.id && (pos !== saved.position || saved.spot !== 'open')) {
+        setActiveCustomRange(pos, null);
+      }
+    });
+
+    editingId = saved.id;
+    showMessage(`Saved "${saved.name}".`);
+    renderSavedRanges();
+  });
+
+  document.getElementById('use-custom-toggle').addEventListener('change', (e) => {
+    setUseCustomRanges(e.target.checked);
+  });
+}
+
+/**
+ * Load a saved range into the editor
+ */
+function editRange(rangeId) {
+  const range = getCustomRange(rangeId);
+  if (!range) return;
+
+  editingId = range.id;
+  document.getElementById('range-name').value = range.name;
+  document.getElementById('range-position').value = range.position;
+  document.getElementById('range-spot').value = range.spot;
+
+  importRangeNotation(grid, range.notation);
+  showMessage(`Editing "${range.name}".`);
+  renderSavedRanges();
+}
+
+/**
+ * Render the list of saved ranges
+ */
+function renderSavedRanges() {
+  const list = document.getElementById('saved-ranges-list');
+  const ranges = getCustomRanges();
+
+  if (ranges.length === 0) {
+    list.innerHTML = `
+      <p class="text-sm text-secondary">
+        No saved ranges yet. Build one on the grid, give it a name and save it.
+      </p>
+    `;
+    return;
+  }
+
+  list.innerHTML = ranges.map(range => {
+    const isOpen = range.spot === 'open';
+    const isActive = isOpen && getActiveCustomRangeId(range.position) === range.id;
+
+    return `
+      <div class="range-editor__item ${range.id === editingId ? 'range-editor__item--editing' : ''}" data-range-id="${range.id}">
+        <div class="range-editor__item-info">
+          <div class="range-editor__item-name">${escapeHtml(range.name)}</div>
+          <div class="range-editor__item-meta">${range.position} &middot; ${RANGE_SPOTS[range.spot] || range.spot}</div>
+          <div class="range-editor__item-notation">${escapeHtml(range.notation)}</div>
+        </div>
+        <div class="range-editor__item-actions">
+          ${isOpen ? `
+            <label class="range-editor__toggle range-editor__toggle--small">
+              <input type="checkbox" data-action="activate" ${isActive ? 'checked' : ''}>
+              <span>Use for ${range.position}</span>
+            </label>
+          ` : ''}
+          <button class="btn btn--ghost btn--sm" data-action="edit">Edit</button>
+          <button class="btn btn--ghost btn--sm" data-action="delete">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.range-editor__item').forEach(item => {
+    const rangeId = item.dataset.rangeId;
+    const range = ranges.find(r => r.id === rangeId);
+
+    item.querySelector('[data-action="edit"]').addEventListener('click', () => editRange(rangeId));
+
+    item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      if (!confirm(`Delete "${range.name}"?`)) return;
+
+      deleteCustomRange(rangeId);
+      if (editingId === rangeId) editingId = null;
+      renderSavedRanges();
+    });
+
+    const activate = item.querySelector('[data-action="activate"]');
+    if (activate) {
+      activate.addEventListener('change', () => {
+        setActiveCustomRange(range.position, activate.checked ? rangeId : null);
+        renderSavedRanges();
+      });
+    }
+  });
+}
+
+/**
+ * Escape user-entered text for HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
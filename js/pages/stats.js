@@ -0,0 +1,322 @@
+/**
+ * Stats Page
+ * Accuracy and reaction-time analytics from the answer log
+ */
+
+import { createRangeGrid, setCellHeat } from '../components/RangeGrid.js';
+import { getAnswerLog, clearAnswerLog } from '../storage.js';
+import { DRILL_INFO } from '../drills/index.js';
+import { getScenarioMetadata } from '../scenarios/index.js';
+
+// Every seat a table format deals, early to late (full-ring seats show up once they're played)
+const STAT_POSITIONS = ['UTG', 'UTG+1', 'UTG+2', 'LJ', 'MP', 'HJ', 'CO', 'BTN', 'SB', 'BB'];
+
+// Reaction-time buckets (upper bound in ms)
+const TIME_BUCKETS = [
+  { label: '< 1s', max: 1000 },
+  { label: '1-2s', max: 2000 },
+  { label: '2-3s', max: 3000 },
+  { label: '3-5s', max: 5000 },
+  { label: '5-10s', max: 10000 },
+  { label: '10s+', max: Infinity }
+];
+
+// Days shown on the trend chart
+const TREND_DAYS = 14;
+
+// Spots need this many answers before they count as a leak
+const MIN_SPOT_ANSWERS = 3;
+
+let container = null;
+
+/**
+ * Render the stats page
+ * @param {HTMLElement} containerElement - Container element
+ */
+export function renderStatsPage(containerElement) {
+  container = containerElement;
+
+  const log = getAnswerLog();
+  const sources = [...new Set(log.map(entry => entry.source))];
+
+  container.innerHTML = `
+    <div class="stats-page container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">Stats</span>
+        </nav>
+        <h1 class="page-header__title">Your Stats</h1>
+        <p class="page-header__subtitle">Where your leaks are, hand by hand and spot by spot</p>
+      </div>
+
+      ${log.length === 0 ? `
+        <div class="stats-page__empty animate-fade-in-up" id="stats-empty">
+          <p class="text-lg text-secondary mb-6">No answers logged yet. Play some drills or scenarios and come back.</p>
+          <a href="#/drills" class="btn btn--primary">Go to Drills</a>
+        </div>
+      ` : `
+        <div class="stats-page__toolbar">
+          <select id="stats-source" class="btn btn--secondary">
+            <option value="">All drills and scenarios</option>
+            ${sources.map(source => `<option value="${source}">${getSourceName(source)}</option>`).join('')}
+          </select>
+          <button class="btn btn--ghost" id="clear-stats-btn">Clear Stats</button>
+        </div>
+        <div id="stats-content"></div>
+      `}
+    </div>
+  `;
+
+  if (log.length === 0) return;
+
+  document.getElementById('stats-source').addEventListener('change', (e) => {
+    renderStats(getAnswerLog(e.target.value || null));
+  });
+
+  document.getElementById('clear-stats-btn').addEventListener('click', () => {
+    if (!confirm('Clear all logged answers?')) return;
+    clearAnswerLog();
+    renderStatsPage(container);
+  });
+
+  renderStats(log);
+}
+
+/**
+ * Render every stats section for a set of answers
+ */
+function renderStats(entries) {
+  const content = document.getElementById('stats-content');
+  const overall = summarize(entries);
+
+  content.innerHTML = `
+    <div class="stats-page__summary animate-fade-in-up">
+      <div class="stats-page__stat">
+        <div class="stats-page__stat-value" id="stats-total">${entries.length}</div>
+        <div class="stats-page__stat-label">Answers</div>
+      </div>
+      <div class="stats-page__stat">
+        <div class="stats-page__stat-value" id="stats-accuracy">${formatPercent(overall.accuracy)}</div>
+        <div class="stats-page__stat-label">Accuracy</div>
+      </div>
+      <div class="stats-page__stat">
+        <div class="stats-page__stat-value">${formatTime(overall.avgTime)}</div>
+        <div class="stats-page__stat-label">Avg Time</div>
+      </div>
+    </div>
+
+    <div class="stats-page__layout">
+      <section class="stats-page__section">
+        <h3 class="h4 mb-4">Accuracy by Hand</h3>
+        <div id="stats-heatmap" class="flex flex-col items-center"></div>
+        <div class="stats-page__legend">
+          <span class="stats-page__legend-swatch stats-page__legend-swatch--low"></span> 0%
+          <span class="stats-page__legend-swatch stats-page__legend-swatch--high"></span> 100%
+          <span class="text-tertiary">Grey: no answers yet</span>
+        </div>
+      </section>
+
+      <div class="stats-page__column">
+        <section class="stats-page__section">
+          <h3 class="h4 mb-4">Accuracy by Position</h3>
+          ${renderBars(groupBy(entries.filter(entry => entry.position), entry => entry.position, STAT_POSITIONS), 'stats-positions')}
+        </section>
+
+        <section class="stats-page__section">
+          <h3 class="h4 mb-4">Biggest Leaks by Spot</h3>
+          ${renderBars(getLeakySpots(entries), 'stats-spots')}
+        </section>
+      </div>
+
+      <section class="stats-page__section">
+        <h3 class="h4 mb-4">Reaction Time</h3>
+        ${renderTimeHistogram(entries)}
+      </section>
+
+      <section class="stats-page__section">
+        <h3 class="h4 mb-4">Accuracy Trend</h3>
+        ${renderTrend(entries)}
+      </section>
+    </div>
+  `;
+
+  renderHeatmap(entries);
+}
+
+/**
+ * Shade the range grid by accuracy per hand
+ */
+function renderHeatmap(entries) {
+  const grid = createRangeGrid({ interactive: false });
+
+  Object.entries(groupBy(entries.filter(entry => entry.hand), entry => entry.hand))
+    .forEach(([hand, stats]) => {
+      setCellHeat(grid, hand, stats.accuracy, `${hand}: ${formatPercent(stats.accuracy)} of ${stats.total}`);
+    });
+
+  document.getElementById('stats-heatmap').appendChild(grid);
+}
+
+/**
+ * Render horizontal accuracy bars
+ * @param {Object} groups - Label to { total, accuracy }
+ * @param {string} id - Element id for the list
+ */
+function renderBars(groups, id) {
+  const rows = Object.entries(groups);
+
+  if (rows.length === 0) {
+    return '<p class="text-sm text-secondary">Not enough answers yet.</p>';
+  }
+
+  return `
+    <div class="stats-bars" id="${id}">
+      ${rows.map(([label, stats]) => `
+        <div class="stats-bars__row">
+          <span class="stats-bars__label">${label}</span>
+          <span class="stats-bars__track">
+            <span class="stats-bars__fill ${stats.accuracy < 0.75 ? 'stats-bars__fill--low' : ''}" style="width: ${stats.accuracy * 100}%"></span>
+          </span>
+          <span class="stats-bars__value">${formatPercent(stats.accuracy)}</span>
+          <span class="stats-bars__count">${stats.total}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Get the worst spots across drills and scenarios
+ */
+function getLeakySpots(entries) {
+  const spots = groupBy(
+    entries.filter(entry => entry.spot),
+    entry => `${getSourceName(entry.source)} · ${formatSpot(entry.spot)}`
+  );
+
+  return Object.fromEntries(
+    Object.entries(spots)
+      .filter(([, stats]) => stats.total >= MIN_SPOT_ANSWERS)
+      .sort((a, b) => a[1].accuracy - b[1].accuracy)
+      .slice(0, 8)
+  );
+}
+
+/**
+ * Render the reaction-time distribution
+ */
+function renderTimeHistogram(entries) {
+  const timed = entries.filter(entry => entry.time > 0);
+  if (timed.length === 0) {
+    return '<p class="text-sm text-secondary">No timed answers yet.</p>';
+  }
+
+  const counts = TIME_BUCKETS.map(() => 0);
+  timed.forEach(entry => {
+    counts[TIME_BUCKETS.findIndex(bucket => entry.time < bucket.max)]++;
+  });
+  const most = Math.max(...counts);
+
+  return `
+    <div class="stats-chart" id="stats-times">
+      ${TIME_BUCKETS.map((bucket, index) => `
+        <div class="stats-chart__column" title="${counts[index]} answers">
+          <span class="stats-chart__value">${counts[index]}</span>
+          <span class="stats-chart__bar" style="height: ${(counts[index] / most) * 100}%"></span>
+          <span class="stats-chart__label">${bucket.label}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Render daily accuracy for the most recent days with answers
+ */
+function renderTrend(entries) {
+  const days = groupBy(entries, entry => new Date(entry.date).toISOString().slice(0, 10));
+  const recent = Object.keys(days).sort().slice(-TREND_DAYS);
+
+  if (recent.length < 2) {
+    return '<p class="text-sm text-secondary">Practice on a few different days to see a trend.</p>';
+  }
+
+  return `
+    <div class="stats-chart" id="stats-trend">
+      ${recent.map(day => `
+        <div class="stats-chart__column" title="${day}: ${formatPercent(days[day].accuracy)} of ${days[day].total}">
+          <span class="stats-chart__value">${formatPercent(days[day].accuracy)}</span>
+          <span class="stats-chart__bar ${days[day].accuracy < 0.75 ? 'stats-chart__bar--low' : ''}" style="height: ${days[day].accuracy * 100}%"></span>
+          <span class="stats-chart__label">${day.slice(5)}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Group answers and total up accuracy per group
+ * @param {Array} entries - Logged answers
+ * @param {Function} getKey - Group key for an answer
+ * @param {Array} order - Optional key order (keys without answers are skipped)
+ * @returns {Object} Key to { total, accuracy }
+ */
+function groupBy(entries, getKey, order = null) {
+  const groups = {};
+
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    if (!groups[key]) groups[key] = { total: 0, credit: 0 };
+    groups[key].total++;
+    groups[key].credit += entry.credit;
+  });
+
+  const keys = order ? order.filter(key => groups[key]) : Object.keys(groups);
+  return Object.fromEntries(keys.map(key => [key, {
+    total: groups[key].total,
+    accuracy: groups[key].credit / groups[key].total
+  }]));
+}
+
+/**
+ * Overall accuracy and average time
+ */
+function summarize(entries) {
+  const timed = entries.filter(entry => entry.time > 0);
+
+  return {
+    accuracy: entries.reduce((sum, entry) => sum + entry.credit, 0) / entries.length,
+    avgTime: timed.length > 0 ? timed.reduce((sum, entry) => sum + entry.time, 0) / timed.length : 0
+  };
+}
+
+/**
+ * Get the drill or scenario name for a log source
+ */
+function getSourceName(source) {
+  return DRILL_INFO[source]?.title || getScenarioMetadata(source)?.title || (source === 'review' ? 'Review' : source);
+}
+
+/**
+ * Make a spot key readable ('CO_vs_BTN' -> 'CO vs BTN')
+ */
+function formatSpot(spot) {
+  return spot.replace(/[_|]/g, ' ').replace(/-/g, ' ');
+}
+
+/**
+ * Format a 0-1 accuracy as a percentage
+ */
+function formatPercent(value) {
+  return `${Math.round((value || 0) * 100)}%`;
+}
+
+/**
+ * Format time
+ */
+function formatTime(ms) {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
@@ -0,0 +1,138 @@
+/**
+ * PWA
+ * Registers the service worker (sw.js) that makes LibreGTO installable and offline-ready,
+ * and shows an "update available" banner once a new version has downloaded. The banner is
+ * driven by the router: it stays out of drills, scenarios and full hands, where reloading
+ * would throw away the run in progress, and waits for the next page change instead.
+ */
+
+import { router } from './router.js';
+
+// Routes where a reload would lose a run in progress
+const PLAY_ROUTES = ['/drill/', '/scenario/', '/full-hands'];
+
+// Minimum gap between update checks (page changes don't refetch sw.js on their own)
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let registration = null;
+let waitingWorker = null;
+let lastUpdateCheck = 0;
+let dismissed = false;
+let reloading = false;
+
+/**
+ * Register the service worker and start watching for new versions
+ * @returns {boolean} Whether service workers are supported
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return false;
+
+  navigator.serviceWorker.register('sw.js')
+    .then(reg => {
+      registration = reg;
+      lastUpdateCheck = Date.now();
+
+      if (reg.waiting && navigator.serviceWorker.controller) {
+        setWaitingWorker(reg.waiting);
+      }
+
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            setWaitingWorker(worker);
+          }
+        });
+      });
+    })
+    .catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+
+  // The new worker took over after the player clicked Update
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloading) return;
+    window.location.reload();
+  });
+
+  return true;
+}
+
+/**
+ * Router hook: look for a new version now and then, and show or hide the banner for this page
+ * @param {string} route - Route being shown
+ */
+export function handleRouteUpdate(route) {
+  if (registration && Date.now() - lastUpdateCheck > UPDATE_CHECK_INTERVAL) {
+    lastUpdateCheck = Date.now();
+    registration.update().catch(() => {}); // Offline, try again later
+  }
+
+  syncUpdateBanner(route);
+}
+
+/**
+ * Check if a new version is downloaded and waiting
+ */
+export function isUpdateReady() {
+  return waitingWorker !== null;
+}
+
+// Remember the new worker and offer it, unless a run is in progress
+function setWaitingWorker(worker) {
+  waitingWorker = worker;
+  syncUpdateBanner(router.getCurrentRoute());
+}
+
+// Take the update: the waiting worker activates and controllerchange reloads the page
+function applyUpdate() {
+  if (!waitingWorker) return;
+
+  reloading = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+// Check if a route is mid-drill, mid-scenario or mid-hand
+function isPlayRoute(route) {
+  return PLAY_ROUTES.some(prefix => (route || '').startsWith(prefix));
+}
+
+// Show the banner when an update is waiting on a safe page, hide it otherwise
+function syncUpdateBanner(route) {
+  const existing = document.getElementById('update-banner');
+  const shouldShow = isUpdateReady() && !dismissed && !isPlayRoute(route);
+
+  if (!shouldShow) {
+    existing?.remove();
+    return;
+  }
+
+  if (existing) return;
+
+  const banner = document.createElement('div');
+  banner.className = 'update-banner';
+  banner.id = 'update-banner';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <span class="update-banner__text">A new version of LibreGTO is available.</span>
+    <div class="update-banner__actions">
+      <button type="button" class="btn btn--primary btn--sm" id="update-banner-reload">Update</button>
+      <button type="button" class="btn btn--ghost btn--sm" id="update-banner-dismiss">Later</button>
+    </div>
+  `;
+  document.body.appendChild(banner);
+
+  document.getElementById('update-banner-reload').addEventListener('click', (e) => {
+    e.target.disabled = true;
+    e.target.textContent = 'Updating…';
+    applyUpdate();
+  });
+
+  document.getElementById('update-banner-dismiss').addEventListener('click', () => {
+    dismissed = true;
+    banner.remove();
+  });
+}
@@ -3,7 +3,8 @@
  * Core engine for managing scenario state, questions, and validation
  */
 
-import { updateScenarioProgress, getScenarioProgress, getScenarioThreshold } from '../storage.js';
+import { updateScenarioProgress, getScenarioProgress, getScenarioThreshold, recordReviewAnswer, logAnswer } from '../storage.js';
+import { DEFAULT_STACK_DEPTH, getDepthSpotKey } from '../data/ranges.js';
 
 /**
  * ScenarioEngine class
@@ -17,8 +18,13 @@ export class ScenarioEngine {
    * @param {string} config.name - Display name
    * @param {number} config.totalQuestions - Number of questions per session
    * @param {Function} config.generateQuestion - Function to generate a question
-   * @param {Function} config.validateAnswer - Function to validate answer
+   * @param {Function} config.validateAnswer - Function to validate answer; may return a
+   *   fractional `credit` (0-1) for mixed-strategy hands
    * @param {Function} config.getExplanation - Function to get explanation for answer
+   * @param {Function} [config.getReviewItem] - Function to describe a question for the review
+   *   queue ({ spot, hand, position, prompt, options, correctAnswer }), or null to skip it
+   * @param {number} [config.stackDepth=100] - Effective stack (BB) the session is played at;
+   *   answers at other depths are logged and reviewed as their own spots
    * @param {Object} callbacks - Event callbacks
    */
   constructor(config, callbacks = {}) {
@@ -29,7 +35,9 @@ export class ScenarioEngine {
       generateQuestion: config.generateQuestion,
       validateAnswer: config.validateAnswer,
       getExplanation: config.getExplanation,
-      getRangeDisplay: config.getRangeDisplay || null
+      getRangeDisplay: config.getRangeDisplay || null,
+      getReviewItem: config.getReviewItem || null,
+      stackDepth: config.stackDepth || DEFAULT_STACK_DEPTH
     };
 
     this.callbacks = {
@@ -50,6 +58,7 @@ export class ScenarioEngine {
       active: false,
       currentQuestion: 0,
       correct: 0,
+      score: 0, // Sum of credit, including partial credit for mixed hands
       currentQuestionData: null,
       questionStartTime: 0,
       questionTimes: [],
@@ -121,11 +130,13 @@ export class ScenarioEngine {
     );
 
     const isCorrect = validation.correct;
+    const credit = validation.credit !== undefined ? validation.credit : (isCorrect ? 1 : 0);
 
     // Update stats
     if (isCorrect) {
       this.state.correct++;
     }
+    this.state.score += credit;
 
     // Track category stats
     const category = this.state.currentQuestionData.category || 'default';
@@ -133,9 +144,7 @@ export class ScenarioEngine {
       this.state.categoryStats[category] = { total: 0, correct: 0 };
     }
     this.state.categoryStats[category].total++;
-    if (isCorrect) {
-      this.state.categoryStats[category].correct++;
-    }
+    this.state.categoryStats[category].correct += credit;
 
     // Get explanation
     const explanation = this.config.getExplanation(
@@ -155,16 +164,37 @@ export class ScenarioEngine {
       playerAnswer: answer,
       correctAnswer: validation.correctAnswer,
       isCorrect,
+      credit,
       time: questionTime,
       explanation
     };
     this.state.answers.push(answerRecord);
 
+    const reviewItem = this.getDepthReviewItem(this.config.getReviewItem
+      ? this.config.getReviewItem(this.state.currentQuestionData, validation)
+      : null);
+
+    // Misses go to the review queue; a partial credit mixed answer is neither a miss nor a pass
+    if (reviewItem && (isCorrect || credit === 0)) {
+      recordReviewAnswer(this.config.id, reviewItem, isCorrect);
+    }
+
+    // Keep every answer for the stats page
+    logAnswer(this.config.id, {
+      spot: getDepthSpotKey(category, this.config.stackDepth),
+      position: reviewItem ? reviewItem.position : null,
+      hand: this.state.currentQuestionData.hand,
+      credit,
+      time: questionTime
+    });
+
     // Build result object
     const result = {
       isCorrect,
       playerAnswer: answer,
       correctAnswer: validation.correctAnswer,
+      credit,
+      frequencies: validation.frequencies || null,
       explanation,
       rangeDisplay,
       time: questionTime,
@@ -209,7 +239,7 @@ export class ScenarioEngine {
   getStats() {
     const total = this.state.currentQuestion;
     const correct = this.state.correct;
-    const accuracy = total > 0 ? Math.round((correct / total) * 100) : 0;
+    const accuracy = total > 0 ? Math.round((this.state.score / total) * 100) : 0;
 
     return {
       currentQuestion: this.state.currentQuestion,
@@ -227,7 +257,7 @@ export class ScenarioEngine {
   getFinalStats() {
     const total = this.config.totalQuestions;
     const correct = this.state.correct;
-    const accuracy = Math.round((correct / total) * 100);
+    const accuracy = Math.round((this.state.score / total) * 100);
 
     const avgTime = this.state.questionTimes.length > 0
       ? this.state.questionTimes.reduce((a, b) => a + b, 0) / this.state.questionTimes.length
@@ -263,6 +293,22 @@ export class ScenarioEngine {
     return this.state.currentQuestionData;
   }
 
+  /**
+   * Tag a review item with the session's stack depth, so it's asked (and graded) at that depth
+   * @param {Object|null} reviewItem - Review item from config.getReviewItem
+   * @returns {Object|null}
+   */
+  getDepthReviewItem(reviewItem) {
+    const depth = this.config.stackDepth;
+    if (!reviewItem || depth === DEFAULT_STACK_DEPTH) return reviewItem;
+
+    return {
+      ...reviewItem,
+      spot: getDepthSpotKey(reviewItem.spot, depth),
+      prompt: `${reviewItem.prompt} (${depth}BB effective)`
+    };
+  }
+
   /**
    * Get category stats
    * @returns {Object}
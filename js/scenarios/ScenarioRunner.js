@@ -0,0 +1,538 @@
+/**
+ * Scenario Runner
+ * The lifecycle every scenario shares (start screen, countdown, questions, results),
+ * and the player for scenarios written as data in js/data/scenarioDefinitions.js
+ */
+
+import { ScenarioEngine, randomPick } from './ScenarioEngine.js';
+import { renderScenarioQuestion, showScenarioFeedback } from '../components/ScenarioDisplay.js';
+import { createAction } from '../components/ActionHistory.js';
+import { renderStackSelector, bindStackSelector } from '../components/StackSelector.js';
+import { getEffectiveStack } from '../components/PotDisplay.js';
+import { isScenarioUnlocked, getScenarioProgress, getScenarioThreshold, getScenarioOrder, getStackDepth, setStackDepth } from '../storage.js';
+import { ACTION_LABELS, buildRangeData, gradeAction, getRangeBreakdown, getRangeActions } from '../data/scenarioRanges.js';
+import { getPreflopStrategy, fitRangeToDepth } from '../data/preflopStrategy.js';
+import { DEFAULT_STACK_DEPTH } from '../data/ranges.js';
+import { ALL_HANDS } from '../data/hands.js';
+import { sortHandsByEquity } from '../data/equityCalculator.js';
+import { DrillResults } from '../components/DrillResults.js';
+import { showCountdown } from '../components/Countdown.js';
+
+const TABLE_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+
+// Strongest out-of-range hands quizzed as folds when a spot doesn't list its own
+const FOLD_POOL_SIZE = 30;
+
+let engine = null;
+let container = null;
+let scenario = null;
+let stackDepth = DEFAULT_STACK_DEPTH; // Effective stack the session is played at
+
+// Data-defined scenario being played, and its spots prepared at stackDepth
+let definition = null;
+let spots = [];
+
+/**
+ * Run a scenario through the shared lifecycle: locked state, start screen with the stack
+ * selector, countdown, questions and feedback, then results and the next scenario
+ * @param {HTMLElement} containerElement - Container element
+ * @param {Object} scenarioConfig - The scenario:
+ *   - id, name, subtitle, icon, intro (start screen HTML), totalQuestions, whyItMatters
+ *   - prepare(depth): optional, returns false if the scenario can't be played at a depth
+ *   - generateQuestion(depth), validateAnswer, getExplanation and optionally
+ *     getRangeDisplay and getReviewItem: as in the ScenarioEngine config
+ *   - getQuestionView(questionData): renderScenarioQuestion options for a question
+ *     (hero, cards, action, pot, decisions, prompt)
+ *   - breakdown: optional { title, label(category) } for the results' accuracy breakdown
+ */
+export function runScenario(containerElement, scenarioConfig) {
+  container = containerElement;
+  scenario = scenarioConfig;
+
+  if (!isScenarioUnlocked(scenario.id)) {
+    renderLockedState();
+    return;
+  }
+
+  stackDepth = getStackDepth();
+  if (scenario.prepare && !scenario.prepare(stackDepth)) {
+    renderBrokenState();
+    return;
+  }
+
+  renderStartScreen();
+}
+
+/**
+ * Render a data-defined scenario
+ * @param {HTMLElement} containerElement - Container element
+ * @param {Object} scenarioDefinition - Entry from SCENARIO_DEFINITIONS
+ */
+export function renderDefinedScenario(containerElement, scenarioDefinition) {
+  definition = scenarioDefinition;
+
+  runScenario(containerElement, {
+    id: definition.id,
+    name: definition.title,
+    subtitle: definition.subtitle || definition.description,
+    icon: definition.icon,
+    intro: `<p class="drill-start__description">${definition.intro || definition.description}</p>`,
+    totalQuestions: definition.totalQuestions || 20,
+    whyItMatters: definition.whyItMatters,
+    prepare: depth => {
+      spots = prepareSpots(definition, depth);
+      return spots !== null;
+    },
+    generateQuestion,
+    validateAnswer,
+    getExplanation,
+    getRangeDisplay,
+    getReviewItem,
+    getQuestionView,
+    breakdown: (definition.spots || []).length > 1 ? { title: 'Accuracy by Spot', label: getSpotLabel } : null
+  });
+}
+
+/**
+ * Render locked state
+ */
+function renderLockedState() {
+  container.innerHTML = `
+    <div class="container scenario-locked">
+      <h1 class="display-md mb-4">Scenario Locked</h1>
+      <p class="text-lg text-secondary mb-8">Unlock the Scenarios stage to access this content.</p>
+      <a href="#/scenarios" class="btn btn--primary">Back to Scenarios</a>
+    </div>
+  `;
+}
+
+/**
+ * Render the state for a scenario that can't be played
+ */
+function renderBrokenState() {
+  container.innerHTML = `
+    <div class="container scenario-locked">
+      <h1 class="display-md mb-4">Scenario Unavailable</h1>
+      <p class="text-lg text-secondary mb-8">This scenario's ranges couldn't be read.</p>
+      <a href="#/scenarios" class="btn btn--primary">Back to Scenarios</a>
+    </div>
+  `;
+}
+
+/**
+ * Render start screen
+ */
+function renderStartScreen() {
+  const previousBest = getScenarioProgress(scenario.id);
+  const threshold = getScenarioThreshold(scenario.id);
+
+  container.innerHTML = `
+    <div class="drill-start container">
+      <div class="page-header">
+        <nav class="breadcrumb page-header__breadcrumb">
+          <a href="#/" class="breadcrumb__link">Home</a>
+          <span class="breadcrumb__separator">/</span>
+          <a href="#/scenarios" class="breadcrumb__link">Scenarios</a>
+          <span class="breadcrumb__separator">/</span>
+          <span class="breadcrumb__current">${scenario.name}</span>
+        </nav>
+        <h1 class="page-header__title">${scenario.name}</h1>
+        <p class="page-header__subtitle">${scenario.subtitle}</p>
+      </div>
+
+      <div class="drill-start__content animate-fade-in-up">
+        <div class="drill-start__icon">${scenario.icon}</div>
+        <div class="drill-start__info">
+          ${scenario.intro}
+          <div class="drill-start__meta">
+            <span>${scenario.totalQuestions} questions</span>
+            <span>Pass: ${threshold}%</span>
+          </div>
+        </div>
+
+        ${previousBest && previousBest.attempts > 0 ? `
+          <div class="drill-start__best">
+            <div class="drill-start__best-title">Your Best</div>
+            <div class="drill-start__best-stats">
+              <span>Score: ${Math.round(previousBest.bestScore)}%</span>
+              <span>Attempts: ${previousBest.attempts}</span>
+            </div>
+          </div>
+        ` : ''}
+
+        ${renderStackSelector(stackDepth)}
+
+        <button class="btn btn--primary btn--lg drill-start__btn" id="start-scenario-btn">
+          Start Scenario
+        </button>
+      </div>
+    </div>
+  `;
+
+  bindStackSelector(container, setStackDepth);
+  document.getElementById('start-scenario-btn').addEventListener('click', startScenario);
+}
+
+/**
+ * Start the scenario
+ */
+function startScenario() {
+  stackDepth = getStackDepth();
+  if (scenario.prepare && !scenario.prepare(stackDepth)) {
+    renderBrokenState();
+    return;
+  }
+
+  engine = new ScenarioEngine(
+    {
+      id: scenario.id,
+      name: scenario.name,
+      totalQuestions: scenario.totalQuestions,
+      generateQuestion: () => scenario.generateQuestion(stackDepth),
+      validateAnswer: scenario.validateAnswer,
+      getExplanation: scenario.getExplanation,
+      getRangeDisplay: scenario.getRangeDisplay,
+      getReviewItem: scenario.getReviewItem,
+      stackDepth
+    },
+    {
+      onQuestionReady: onQuestionReady,
+      onScenarioEnd: onScenarioEnd
+    }
+  );
+
+  showCountdown(container, () => {
+    engine.start();
+  });
+}
+
+/**
+ * Handle question ready event
+ */
+function onQuestionReady(data) {
+  const { questionNumber, totalQuestions, questionData } = data;
+
+  renderScenarioQuestion(container, {
+    scenarioName: scenario.name,
+    questionNumber,
+    totalQuestions,
+    whyItMatters: scenario.whyItMatters,
+    ...scenario.getQuestionView(questionData),
+    onDecision: handleDecision,
+    onQuit: quitScenario
+  });
+}
+
+/**
+ * Handle player's decision
+ */
+function handleDecision(action) {
+  if (!engine || !engine.isActive()) return;
+
+  const result = engine.submitAnswer(action);
+
+  if (result) {
+    showScenarioFeedback(container, {
+      ...result,
+      onNext: () => {
+        engine.nextQuestion();
+      }
+    });
+  }
+}
+
+/**
+ * Handle scenario end
+ */
+function onScenarioEnd(data) {
+  const { stats, previousBest, passed, passThreshold, categoryStats } = data;
+  const finished = scenario;
+
+  container.innerHTML = '<div class="drill-results-container"></div>';
+
+  const results = new DrillResults({
+    drillId: finished.id,
+    drillName: finished.name,
+    previousBest,
+    onPlayAgain: () => runScenario(container, finished),
+    onNextDrill: () => { window.location.hash = getNextScenarioHash(finished.id); },
+    onBackToHub: () => { window.location.hash = '#/scenarios'; },
+    nextLabel: 'Next Scenario'
+  });
+
+  results.render(container.querySelector('.drill-results-container'), {
+    accuracy: stats.accuracy,
+    avgTime: stats.avgTime,
+    fastestTime: stats.fastestTime,
+    bestStreak: 0, // Scenarios don't track streaks
+    correct: stats.correct,
+    total: stats.total,
+    passed,
+    passThreshold
+  });
+
+  if (finished.breakdown) {
+    addBreakdown(finished.breakdown, categoryStats);
+  }
+}
+
+/**
+ * Add the accuracy breakdown by category to results
+ */
+function addBreakdown(breakdown, categoryStats) {
+  const resultsContent = container.querySelector('.drill-results__content');
+  if (!resultsContent) return;
+
+  const categories = Object.entries(categoryStats);
+  if (categories.length === 0) return;
+
+  const breakdownHtml = `
+    <div class="drill-results__breakdown">
+      <h4 class="drill-results__breakdown-title">${breakdown.title}</h4>
+      <div class="drill-results__breakdown-grid" style="flex-wrap: wrap;">
+        ${categories.map(([key, stats]) => {
+          const pct = stats.total > 0 ? Math.round((stats.correct / stats.total) * 100) : 0;
+          return `
+            <div class="drill-results__breakdown-item" style="min-width: 80px;">
+              <span class="drill-results__breakdown-pos">${breakdown.label(key)}</span>
+              <span class="drill-results__breakdown-value ${pct >= 75 ? 'drill-results__breakdown-value--good' : ''}">${pct}%</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    </div>
+  `;
+
+  const actions = resultsContent.querySelector('.drill-results__actions');
+  if (actions) {
+    actions.insertAdjacentHTML('beforebegin', breakdownHtml);
+  }
+}
+
+/**
+ * Get the route of the scenario after this one, or the hub after the last
+ */
+function getNextScenarioHash(scenarioId) {
+  const order = getScenarioOrder();
+  const next = order[order.indexOf(scenarioId) + 1];
+  return next ? `#/scenario/${next}` : '#/scenarios';
+}
+
+/**
+ * Quit the scenario
+ */
+function quitScenario() {
+  if (engine) {
+    engine.stop();
+  }
+  window.location.hash = '#/scenarios';
+}
+
+/**
+ * Build range data and hand pools for every spot at a stack depth
+ * @returns {Array|null} Prepared spots, or null if any range is invalid
+ */
+function prepareSpots(scenarioDefinition, depth) {
+  const prepared = [];
+
+  for (const spot of scenarioDefinition.spots || []) {
+    // Spots without their own ranges use the preflop strategy library; their own
+    // (100BB) ranges shift with depth like the library node they match
+    const strategy = getPreflopStrategy(spot.hero, spot.actions || [], depth);
+    const rangeData = spot.ranges
+      ? fitRangeToDepth(buildRangeData(spot.ranges), strategy?.node, depth)
+      : strategy?.rangeData;
+    if (!rangeData) {
+      console.error(`Scenario ${scenarioDefinition.id}: invalid ranges for ${spot.key}`);
+      return null;
+    }
+
+    prepared.push({
+      ...spot,
+      rangeData,
+      handPools: getHandPools(rangeData, scenarioDefinition.decisions.map(decision => decision.action)),
+      effectiveStack: getEffectiveStack(depth, DEFAULT_STACK_DEPTH - spot.effectiveStack)
+    });
+  }
+
+  if (prepared.length === 0) {
+    console.error(`Scenario ${scenarioDefinition.id} has no spots`);
+    return null;
+  }
+
+  return prepared;
+}
+
+// Hands to quiz for each answer on the buttons, so every answer comes up about as often
+function getHandPools(rangeData, answers) {
+  const pools = {};
+
+  ['fiveBet', 'fourBet', 'threeBet', 'open', 'raise', 'limp', 'call'].forEach(action => {
+    if (answers.includes(ACTION_LABELS[action]) && rangeData[action]?.length > 0) pools[action] = rangeData[action];
+  });
+
+  const inRange = new Set(Object.keys(getRangeActions(rangeData)));
+  pools.fold = Array.isArray(rangeData.fold) && rangeData.fold.length > 0
+    ? rangeData.fold
+    : sortHandsByEquity(ALL_HANDS.filter(hand => !inRange.has(hand))).slice(0, FOLD_POOL_SIZE);
+
+  return pools;
+}
+
+/**
+ * Generate a question
+ */
+function generateQuestion() {
+  const spot = randomPick(spots);
+
+  // Pick the answer first so folds don't crowd out the rest of the range
+  const action = pickAnswer(Object.keys(spot.handPools), definition.questionMix);
+  const hand = randomPick(spot.handPools[action]);
+
+  return {
+    spot,
+    hand,
+    rangeData: spot.rangeData,
+    potSize: spot.potSize,
+    effectiveStack: spot.effectiveStack,
+    category: spot.key
+  };
+}
+
+// Pick an answer to quiz, weighted by the definition's questionMix (even by default)
+function pickAnswer(actions, mix = {}) {
+  const weights = actions.map(action => mix[action] ?? 1);
+  let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+  for (let i = 0; i < actions.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return actions[i];
+  }
+
+  return actions[actions.length - 1];
+}
+
+/**
+ * Validate an answer
+ */
+function validateAnswer(answer, questionData) {
+  // Mixed hands earn partial credit for their less frequent actions
+  return gradeAction(answer, questionData.hand, questionData.rangeData);
+}
+
+/**
+ * Get explanation
+ */
+function getExplanation(questionData, validation) {
+  const explanation = definition.explanations?.[validation.correctAnswer];
+  if (!explanation) {
+    return { text: `The correct action is ${validation.correctAnswer}.` };
+  }
+
+  return {
+    text: fillTemplate(explanation.text, questionData),
+    points: (explanation.points || []).map(point => fillTemplate(point, questionData))
+  };
+}
+
+/**
+ * Get range display for feedback
+ */
+function getRangeDisplay(questionData) {
+  const { spot, rangeData, hand } = questionData;
+
+  return {
+    title: `${spot.hero} vs ${spot.villain} · ${stackDepth}BB`,
+    items: getRangeBreakdown(rangeData),
+    grid: { actions: getRangeActions(rangeData), hand }
+  };
+}
+
+/**
+ * Get the decision buttons for a question
+ */
+function getDecisions(questionData) {
+  return definition.decisions.map(decision => ({
+    ...decision,
+    detail: decision.detail ? fillTemplate(decision.detail, questionData) : undefined
+  }));
+}
+
+/**
+ * Get the question prompt
+ */
+function getPrompt(questionData) {
+  return fillTemplate(definition.prompt, questionData);
+}
+
+/**
+ * Describe a question for the review queue
+ */
+function getReviewItem(questionData, validation) {
+  return {
+    spot: questionData.spot.key,
+    hand: questionData.hand,
+    position: questionData.spot.hero,
+    prompt: getPrompt(questionData),
+    options: getDecisions(questionData),
+    correctAnswer: validation.correctAnswer
+  };
+}
+
+/**
+ * Fill {name} placeholders from the question's spot and hand
+ */
+function fillTemplate(template, questionData) {
+  const values = { ...questionData.spot, hand: questionData.hand };
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] !== undefined && typeof values[name] !== 'object' ? values[name] : match
+  );
+}
+
+/**
+ * Build the action history, showing skipped first-orbit positions as folds
+ */
+function buildActionHistory(spotActions) {
+  const actions = [];
+  let lastIndex = -1;
+
+  spotActions.forEach(({ position, action, amount }) => {
+    const index = TABLE_POSITIONS.indexOf(position);
+
+    if (index > lastIndex) {
+      for (let i = lastIndex + 1; i < index; i++) {
+        actions.push(createAction(TABLE_POSITIONS[i], 'fold'));
+      }
+      lastIndex = index;
+    } else {
+      // Back around the table: everyone left has already acted
+      lastIndex = TABLE_POSITIONS.length;
+    }
+
+    actions.push(createAction(position, action, amount ?? null));
+  });
+
+  return actions;
+}
+
+/**
+ * Get the question view: hero, cards, action and answers for a spot
+ */
+function getQuestionView(questionData) {
+  return {
+    heroPosition: questionData.spot.hero,
+    heroHand: questionData.hand,
+    actionHistory: buildActionHistory(questionData.spot.actions || []),
+    potSize: questionData.potSize,
+    effectiveStack: questionData.effectiveStack,
+    decisions: getDecisions(questionData),
+    prompt: getPrompt(questionData)
+  };
+}
+
+// Results breakdown label for a spot key
+function getSpotLabel(key) {
+  const spot = spots.find(s => s.key === key);
+  return spot ? `${spot.hero} vs ${spot.villain}` : key;
+}
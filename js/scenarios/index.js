@@ -13,54 +13,10 @@ import {
   getScenarioOrder,
   checkScenariosUnlock
 } from '../storage.js';
+import { SCENARIO_DEFINITIONS } from '../data/scenarioDefinitions.js';
 
 // Scenario metadata
 const SCENARIOS = {
-  'defend-3bet': {
-    id: 'defend-3bet',
-    title: 'Defend vs 3-Bet',
-    description: 'You open, villain 3-bets. Call, 4-bet, or fold?',
-    icon: '&#x1F4B0;', // money bag
-    category: 'preflop',
-    tier: 1,
-    badge: null
-  },
-  'bb-defense': {
-    id: 'bb-defense',
-    title: 'BB Defense',
-    description: 'Villain opens, you\'re in BB. Call, 3-bet, or fold?',
-    icon: '&#x1F6E1;', // shield
-    category: 'preflop',
-    tier: 1,
-    badge: null
-  },
-  '3bet-value': {
-    id: '3bet-value',
-    title: '3-Bet for Value',
-    description: 'Identify when to 3-bet for value vs calling or folding.',
-    icon: '&#x1F4B8;', // money with wings
-    category: 'preflop',
-    tier: 1,
-    badge: null
-  },
-  'sb-3bet-fold': {
-    id: 'sb-3bet-fold',
-    title: 'SB: 3-Bet or Fold',
-    description: 'From SB, learn when to 3-bet and when to fold (rarely call).',
-    icon: '&#x1F3AF;', // target
-    category: 'preflop',
-    tier: 1,
-    badge: null
-  },
-  'cold-4bet': {
-    id: 'cold-4bet',
-    title: 'Cold 4-Bet Spots',
-    description: 'Someone opens, another 3-bets. 4-bet or fold?',
-    icon: '&#x1F525;', // fire
-    category: 'preflop',
-    tier: 2,
-    badge: 'simplified'
-  },
   'board-texture': {
     id: 'board-texture',
     title: 'Board Texture',
@@ -69,7 +25,35 @@ const SCENARIOS = {
     category: 'postflop',
     tier: 3,
     badge: 'educational'
-  }
+  },
+  'cbet': {
+    id: 'cbet',
+    title: 'Flop C-Bet',
+    description: 'You raised and got called. Check, bet small, or bet big?',
+    icon: '&#x1F3B2;', // game die
+    category: 'postflop',
+    tier: 3,
+    badge: 'educational'
+  },
+  'turn-river': {
+    id: 'turn-river',
+    title: 'Turn & River',
+    description: 'Barrel again, give up, or call down a river bet.',
+    icon: '&#x1F3B0;', // slot machine
+    category: 'postflop',
+    tier: 3,
+    badge: 'educational'
+  },
+  // Spots written as data, played by ScenarioRunner
+  ...Object.fromEntries(Object.values(SCENARIO_DEFINITIONS).map(definition => [definition.id, {
+    id: definition.id,
+    title: definition.title,
+    description: definition.description,
+    icon: definition.icon,
+    category: definition.category || 'preflop',
+    tier: definition.tier || 1,
+    badge: definition.badge || null
+  }]))
 };
 
 // Achievement definitions
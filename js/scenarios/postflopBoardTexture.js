@@ -12,6 +12,7 @@ import { isScenarioUnlocked, getScenarioProgress, getScenarioThreshold } from '.
 import { generateBoardWithTexture, analyzeBoardTexture, BOARD_TEXTURES } from '../data/scenarioRanges.js';
 import { PlayingCard } from '../components/PlayingCard.js';
 import { DrillResults } from '../components/DrillResults.js';
+import { showCountdown } from '../components/Countdown.js';
 
 const SCENARIO_ID = 'board-texture';
 const SCENARIO_NAME = 'Board Texture';
@@ -128,41 +129,11 @@ function startScenario() {
     }
   );
 
-  showCountdown(() => {
+  showCountdown(container, () => {
     engine.start();
   });
 }
 
-/**
- * Show countdown
- */
-function showCountdown(callback) {
-  const overlay = document.createElement('div');
-  overlay.className = 'drill-countdown';
-  overlay.innerHTML = '<div class="drill-countdown__number">3</div>';
-  container.appendChild(overlay);
-
-  let count = 3;
-  const countdownEl = overlay.querySelector('.drill-countdown__number');
-
-  const interval = setInterval(() => {
-    count--;
-    if (count > 0) {
-      countdownEl.textContent = count;
-      countdownEl.classList.remove('drill-countdown__number--pulse');
-      void countdownEl.offsetWidth;
-      countdownEl.classList.add('drill-countdown__number--pulse');
-    } else if (count === 0) {
-      countdownEl.textContent = 'GO!';
-      countdownEl.classList.add('drill-countdown__number--go');
-    } else {
-      clearInterval(interval);
-      overlay.remove();
-      callback();
-    }
-  }, 800);
-}
-
 /**
  * Generate a question
  */
@@ -375,9 +346,9 @@ function onScenarioEnd(data) {
     drillName: SCENARIO_NAME,
     previousBest,
     onPlayAgain: () => renderBoardTextureScenario(container),
-    onNextDrill: null, // This is the last scenario
+    onNextDrill: () => { window.location.hash = '#/scenario/cbet'; },
     onBackToHub: () => { window.location.hash = '#/scenarios'; },
-    nextLabel: null
+    nextLabel: 'Next Scenario'
   });
 
   results.render(container.querySelector('.drill-results-container'), {
@@ -0,0 +1,193 @@
+/**
+ * Scenario 3.7: Flop C-Bet
+ * Setup: You raised preflop and got called; the flop is dealt
+ * Decisions: Check / Bet 33% / Bet 75%
+ *
+ * This is a HEURISTIC scenario: board texture x position x hand class,
+ * adjusted for SPR (js/data/cbetStrategy.js). It teaches sizing logic, not solver frequencies.
+ */
+
+import { randomPick } from './ScenarioEngine.js';
+import { runScenario } from './ScenarioRunner.js';
+import { generateOpenActions, createAction } from '../components/ActionHistory.js';
+import { getEffectiveStack, calculateSPR, getSPRCategory } from '../components/PotDisplay.js';
+import { generateBoardWithTexture, analyzeBoardTexture, BOARD_TEXTURES } from '../data/scenarioRanges.js';
+import { CBET_ACTIONS, CBET_SIZES, POSTFLOP_HAND_CLASSES, RANGE_ADVANTAGE, classifyPostflopHand, getCbetAction, gradeCbetAnswer } from '../data/cbetStrategy.js';
+import { getRangeCombos, getHandNotation } from '../data/equityCalculator.js';
+import { describeMadeHand } from '../data/evaluator.js';
+import { getOpeningRangeForPosition } from '../data/ranges.js';
+
+const TEXTURES = ['dry', 'wet', 'paired', 'monotone'];
+
+// Single-raised pots hero opened and one player called
+const SPOTS = [
+  { key: 'BTN_vs_BB', hero: 'BTN', villain: 'BB', inPosition: true, openSize: 2.5, potSize: 5.5 },
+  { key: 'CO_vs_BB', hero: 'CO', villain: 'BB', inPosition: true, openSize: 2.5, potSize: 5.5 },
+  { key: 'UTG_vs_BB', hero: 'UTG', villain: 'BB', inPosition: true, openSize: 2.5, potSize: 5.5 },
+  { key: 'UTG_vs_BTN', hero: 'UTG', villain: 'BTN', inPosition: false, openSize: 2.5, potSize: 6.5 },
+  { key: 'SB_vs_BB', hero: 'SB', villain: 'BB', inPosition: false, openSize: 2.5, potSize: 5 }
+];
+
+// Buttons take the raise/4-bet colours so the two sizes read apart
+const DECISION_VARIANTS = { 'Check': 'check', 'Bet 33%': 'raise', 'Bet 75%': '4bet' };
+
+/**
+ * Render the c-bet scenario
+ */
+export function renderCbetScenario(containerElement) {
+  runScenario(containerElement, {
+    id: 'cbet',
+    name: 'Flop C-Bet',
+    subtitle: 'Check or bet the flop as the preflop raiser',
+    icon: '&#x1F3B2;',
+    intro: `
+      <p class="drill-start__description">
+        You opened and got called. Read the flop and your hand, then pick a line:
+      </p>
+      <ul class="scenario-texture-list">
+        <li><strong>Dry and paired boards</strong> - your range is ahead, bet small often</li>
+        <li><strong>Wet boards</strong> - bet big with strong hands and draws, check the middle</li>
+        <li><strong>Monotone boards</strong> - bet small, and less often</li>
+        <li><strong>Out of position</strong> - check more; <strong>low SPR</strong> - strong hands bet big</li>
+      </ul>
+    `,
+    totalQuestions: 20,
+    whyItMatters: `
+      <p class="scenario-why-text">
+        The preflop raiser gets to bet first on most flops, but betting every flop the same way
+        is easy to exploit. Texture decides who the board favours, position decides how often you
+        can bet, and SPR decides how big the strong hands need to go.
+      </p>
+    `,
+    generateQuestion,
+    validateAnswer,
+    getExplanation,
+    getQuestionView,
+    breakdown: { title: 'Accuracy by Board Texture', label: capitalizeFirst }
+  });
+}
+
+/**
+ * Generate a question
+ */
+function generateQuestion(stackDepth) {
+  const spot = randomPick(SPOTS);
+  const board = generateBoardWithTexture(randomPick(TEXTURES));
+  const texture = analyzeBoardTexture(board);
+
+  // Deal from hero's opening range, picking the hand class first so air doesn't crowd out the rest
+  const combosByClass = {};
+  getRangeCombos(getOpeningRangeForPosition(spot.hero, stackDepth), board).forEach(combo => {
+    const handClass = classifyPostflopHand(combo, board);
+    (combosByClass[handClass] = combosByClass[handClass] || []).push(combo);
+  });
+  const handClass = randomPick(Object.keys(combosByClass));
+  const heroCards = randomPick(combosByClass[handClass]);
+
+  const effectiveStack = getEffectiveStack(stackDepth, spot.openSize);
+  const spr = calculateSPR(effectiveStack, spot.potSize);
+  const sprCategory = getSPRCategory(spr);
+
+  return {
+    spot,
+    board,
+    texture,
+    heroCards,
+    hand: getHandNotation(heroCards),
+    handClass,
+    potSize: spot.potSize,
+    effectiveStack,
+    spr,
+    sprCategory,
+    strategy: getCbetAction({ texture, inPosition: spot.inPosition, handClass, sprCategory: sprCategory.category }),
+    category: texture
+  };
+}
+
+/**
+ * Validate an answer
+ */
+function validateAnswer(answer, questionData) {
+  const correctAnswer = questionData.strategy.action;
+
+  return {
+    ...gradeCbetAnswer(answer, correctAnswer),
+    correctAnswer
+  };
+}
+
+/**
+ * Get explanation, citing the texture, position and SPR
+ */
+function getExplanation(questionData, validation) {
+  const { spot, board, texture, heroCards, handClass, spr, sprCategory, strategy } = questionData;
+  const textureInfo = BOARD_TEXTURES[texture];
+
+  return {
+    text: `${describeMadeHand(heroCards, board)} (${POSTFLOP_HAND_CLASSES[handClass].toLowerCase()}) on a ${texture.toUpperCase()} board.`,
+    points: [
+      `${capitalizeFirst(texture)}: ${textureInfo.description.toLowerCase()}. ${RANGE_ADVANTAGE[texture]}`,
+      spot.inPosition
+        ? `In position against ${spot.villain}, you act last and can bet more of your range`
+        : `Out of position against ${spot.villain}, you check more so your checks aren't all weak hands`,
+      strategy.reason,
+      `SPR ${spr.toFixed(1)}: ${sprCategory.description}`
+    ]
+  };
+}
+
+/**
+ * Capitalize first letter
+ */
+function capitalizeFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Get the decision buttons for a question
+ */
+function getDecisions(questionData) {
+  return CBET_ACTIONS.map(action => ({
+    action,
+    label: action.toUpperCase(),
+    detail: CBET_SIZES[action] > 0 ? `${formatBB(questionData.potSize * CBET_SIZES[action])}BB` : undefined,
+    variant: DECISION_VARIANTS[action]
+  }));
+}
+
+// Round a bet to one decimal place
+function formatBB(amount) {
+  return Math.round(amount * 10) / 10;
+}
+
+/**
+ * Build the preflop action: hero opens, the caller calls, everyone else folds
+ */
+function buildActionHistory(spot) {
+  const actions = generateOpenActions(spot.hero, spot.openSize);
+  const seats = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+
+  seats.slice(seats.indexOf(spot.hero) + 1).forEach(position => {
+    actions.push(createAction(position, position === spot.villain ? 'call' : 'fold'));
+  });
+
+  return actions;
+}
+
+/**
+ * Get the question view: the flop, hero's cards and the preflop action
+ */
+function getQuestionView(questionData) {
+  const { spot } = questionData;
+
+  return {
+    heroPosition: spot.hero,
+    heroHand: questionData.heroCards,
+    actionHistory: buildActionHistory(spot),
+    potSize: questionData.potSize,
+    effectiveStack: questionData.effectiveStack,
+    board: questionData.board,
+    decisions: getDecisions(questionData),
+    prompt: `You opened ${spot.hero} and ${spot.villain} called. ${spot.inPosition ? `${spot.villain} checks to you.` : 'You\'re first to act.'} What\'s your play?`
+  };
+}
@@ -0,0 +1,414 @@
+/**
+ * Scenario 3.8: Turn & River
+ * Setup: BTN opens, BB calls, and the hand plays to the turn or river
+ * Decisions: Bet / Check as the barreling BTN, Call / Fold facing a river bet in the BB
+ *
+ * This is a SIMPLIFIED scenario: both ranges follow the street-by-street rules in
+ * js/data/turnRiverStrategy.js, and answers compare hero's equity against what the
+ * bet or call needs.
+ */
+
+import { randomPick } from './ScenarioEngine.js';
+import { runScenario } from './ScenarioRunner.js';
+import { generateOpenActions, createAction } from '../components/ActionHistory.js';
+import { generateRandomBoard } from '../components/BoardDisplay.js';
+import { getEffectiveStack, calculatePotOdds, formatPotOdds } from '../components/PotDisplay.js';
+import {
+  STREET_CARDS, CALLING_CLASSES, BARREL_CLASSES, CHECK_BACK_CLASSES, VALUE_BET_EQUITY,
+  filterCombosByClass, getRiverBettingRange, getBarrelAction, getBluffCatchAction
+} from '../data/turnRiverStrategy.js';
+import { classifyPostflopHand, POSTFLOP_HAND_CLASSES } from '../data/cbetStrategy.js';
+import { getRangeCombos, getHandVsRangeEquity, getHandNotation, cardKey } from '../data/equityCalculator.js';
+import { describeMadeHand } from '../data/evaluator.js';
+import { getRangeActions } from '../data/scenarioRanges.js';
+import { getPreflopNode } from '../data/preflopStrategy.js';
+import { getOpeningRangeForPosition } from '../data/ranges.js';
+
+const SCENARIO_NAME = 'Turn & River';
+
+// BTN opens 2.5BB and the BB calls: 2.5 each plus the SB's 0.5
+const OPEN_SIZE = 2.5;
+const STARTING_POT = 5.5;
+
+// Give up on a deal after this many runouts that leave a range empty
+const MAX_DEAL_ATTEMPTS = 25;
+
+// Lines to quiz. Each earlier street is a bet (by 'hero' or 'villain', called) or a check-through;
+// `heroKeeps` / `villainKeeps` are the hand classes that take that line
+const LINES = {
+  'double-barrel': {
+    name: 'Double Barrel',
+    hero: 'BTN',
+    villain: 'BB',
+    street: 'turn',
+    betFraction: 0.75,
+    history: [
+      { street: 'flop', bettor: 'hero', betFraction: 0.33, villainKeeps: CALLING_CLASSES }
+    ],
+    prompt: 'You c-bet the flop and BB called. BB checks the turn.'
+  },
+  'delayed-cbet': {
+    name: 'Delayed C-Bet',
+    hero: 'BTN',
+    villain: 'BB',
+    street: 'turn',
+    betFraction: 0.5,
+    history: [
+      { street: 'flop', bettor: null }
+    ],
+    prompt: 'You checked back the flop. BB checks the turn.'
+  },
+  'triple-barrel': {
+    name: 'Triple Barrel',
+    hero: 'BTN',
+    villain: 'BB',
+    street: 'river',
+    betFraction: 0.75,
+    history: [
+      { street: 'flop', bettor: 'hero', betFraction: 0.33, villainKeeps: CALLING_CLASSES },
+      { street: 'turn', bettor: 'hero', betFraction: 0.75, heroKeeps: BARREL_CLASSES, villainKeeps: CALLING_CLASSES }
+    ],
+    prompt: 'You bet the flop and turn and BB called both. BB checks the river.'
+  },
+  'bluff-catch': {
+    name: 'River Bluff-Catch',
+    hero: 'BB',
+    villain: 'BTN',
+    street: 'river',
+    betFraction: 0.75,
+    history: [
+      { street: 'flop', bettor: 'villain', betFraction: 0.33, heroKeeps: CALLING_CLASSES },
+      { street: 'turn', bettor: null, villainKeeps: CHECK_BACK_CLASSES }
+    ],
+    prompt: 'BTN c-bet the flop, you called, and the turn checked through. You check the river and BTN bets {bet}BB.'
+  }
+};
+
+/**
+ * Render the turn and river scenario
+ */
+export function renderTurnRiverScenario(containerElement) {
+  runScenario(containerElement, {
+    id: 'turn-river',
+    name: SCENARIO_NAME,
+    subtitle: 'Keep betting, check, or catch the bluff',
+    icon: '&#x1F3B0;',
+    intro: `
+      <p class="drill-start__description">
+        BTN opens, BB calls, and the hand goes past the flop. Four lines come up:
+      </p>
+      <ul class="scenario-texture-list">
+        <li><strong>Double barrel</strong> - you c-bet, BB called; bet the turn again?</li>
+        <li><strong>Delayed c-bet</strong> - you checked the flop; bet the turn?</li>
+        <li><strong>Triple barrel</strong> - you bet flop and turn; bet the river?</li>
+        <li><strong>Bluff-catch</strong> - in the BB, call a river bet or fold?</li>
+      </ul>
+      <p class="drill-start__description">
+        Bet for value when you're ahead of the hands that call (${VALUE_BET_EQUITY}%+), bluff when
+        enough hands fold, and call when your equity beats the pot odds.
+      </p>
+    `,
+    totalQuestions: 20,
+    whyItMatters: `
+      <p class="scenario-why-text">
+        Turn and river bets are bigger, so mistakes cost more. Every bet should either get called
+        by worse hands or fold out enough better ones, and every call needs more equity than the
+        pot odds ask for.
+      </p>
+    `,
+    generateQuestion,
+    validateAnswer,
+    getExplanation,
+    getQuestionView,
+    breakdown: { title: 'Accuracy by Line', label: lineKey => LINES[lineKey]?.name || lineKey }
+  });
+}
+
+/**
+ * Generate a question
+ */
+function generateQuestion(stackDepth) {
+  const lineKey = randomPick(Object.keys(LINES));
+
+  for (let attempt = 0; attempt < MAX_DEAL_ATTEMPTS; attempt++) {
+    const question = dealLine(lineKey, stackDepth);
+    if (question) return question;
+  }
+
+  // Every line has plenty of playable runouts; this only guards against an endless loop
+  console.error(`Turn & River: no playable runout for ${lineKey}`);
+  return dealLine('delayed-cbet', stackDepth);
+}
+
+/**
+ * Deal a runout and play a line up to hero's decision
+ * @returns {Object|null} Question data, or null if the runout leaves a range empty
+ */
+function dealLine(lineKey, stackDepth) {
+  const line = LINES[lineKey];
+  const runout = generateRandomBoard(5);
+  const boardOn = street => runout.slice(0, STREET_CARDS[street]);
+  const board = boardOn(line.street);
+
+  let heroCombos = getRangeCombos(getPreflopRange(line.hero, stackDepth), board);
+  let villainCombos = getRangeCombos(getPreflopRange(line.villain, stackDepth), board);
+
+  // Play the earlier streets, keeping the hands that took each line
+  let pot = STARTING_POT;
+  let heroInvested = OPEN_SIZE;
+  const streets = [{ name: 'Preflop', actions: getPreflopActions() }];
+
+  line.history.forEach(step => {
+    const stepBoard = boardOn(step.street);
+    heroCombos = filterCombosByClass(heroCombos, stepBoard, step.heroKeeps || null);
+    villainCombos = filterCombosByClass(villainCombos, stepBoard, step.villainKeeps || null);
+
+    const bet = step.bettor ? getBetSize(pot, step.betFraction, heroInvested, stackDepth) : 0;
+    streets.push({
+      name: capitalizeFirst(step.street),
+      cards: step.street === 'flop' ? stepBoard : stepBoard.slice(-1),
+      actions: getStreetActions(line, step.bettor, bet)
+    });
+
+    pot = roundBB(pot + bet * 2);
+    heroInvested = roundBB(heroInvested + bet);
+  });
+
+  const effectiveStack = getEffectiveStack(stackDepth, heroInvested);
+  const bet = getBetSize(pot, line.betFraction, heroInvested, stackDepth);
+  const decisionStreet = {
+    name: capitalizeFirst(line.street),
+    cards: board.slice(-1),
+    actions: line.hero === 'BB' ? getStreetActions(line, 'villain', bet, false) : [createAction('BB', 'check')]
+  };
+  streets.push(decisionStreet);
+
+  // Pick the hand class first so one class doesn't crowd out the rest
+  const combosByClass = {};
+  heroCombos.forEach(combo => {
+    const handClass = classifyPostflopHand(combo, board);
+    (combosByClass[handClass] = combosByClass[handClass] || []).push(combo);
+  });
+  const classes = Object.keys(combosByClass);
+  if (classes.length === 0 || bet <= 0) return null;
+
+  const handClass = randomPick(classes);
+  const heroCards = randomPick(combosByClass[handClass]);
+
+  // Villain can't hold hero's cards
+  const heroKeys = heroCards.map(cardKey);
+  villainCombos = villainCombos.filter(combo => !combo.some(card => heroKeys.includes(cardKey(card))));
+  if (villainCombos.length === 0) return null;
+
+  const question = {
+    lineKey,
+    line,
+    board,
+    streets,
+    heroCards,
+    hand: getHandNotation(heroCards),
+    handClass,
+    potSize: line.hero === 'BB' ? roundBB(pot + bet) : pot,
+    bet,
+    effectiveStack,
+    category: lineKey
+  };
+
+  return line.hero === 'BB'
+    ? gradeBluffCatch(question, villainCombos, pot)
+    : gradeBarrel(question, villainCombos, pot);
+}
+
+/**
+ * Work out the bet-or-check answer for a barrel line
+ */
+function gradeBarrel(question, villainCombos, pot) {
+  const { line, board, heroCards, handClass, bet } = question;
+
+  const callers = filterCombosByClass(villainCombos, board, CALLING_CLASSES);
+  const equityWhenCalled = callers.length > 0
+    ? getHandVsRangeEquity(heroCards, callers, { board })?.equity ?? null
+    : null;
+  const foldShare = (1 - callers.length / villainCombos.length) * 100;
+  const requiredFolds = Number(calculatePotOdds(pot, bet).percentage);
+
+  return {
+    ...question,
+    equityWhenCalled,
+    foldShare,
+    requiredFolds,
+    strategy: getBarrelAction({ street: line.street, handClass, equityWhenCalled, foldShare, requiredFolds })
+  };
+}
+
+/**
+ * Work out the call-or-fold answer facing a river bet
+ */
+function gradeBluffCatch(question, villainCombos, pot) {
+  const { line, board, heroCards, bet } = question;
+
+  const { value, bluffs } = getRiverBettingRange(villainCombos, board, line.betFraction);
+  if (value.length === 0) return null;
+
+  const result = getHandVsRangeEquity(heroCards, [...value, ...bluffs], { board });
+  if (!result) return null;
+
+  const requiredEquity = Number(calculatePotOdds(pot + bet, bet).percentage);
+
+  return {
+    ...question,
+    valueCombos: value.length,
+    bluffCombos: bluffs.length,
+    equity: result.equity,
+    requiredEquity,
+    potOdds: formatPotOdds(pot + bet, bet),
+    strategy: getBluffCatchAction(result.equity, requiredEquity)
+  };
+}
+
+// Preflop range for a seat in a BTN open / BB call pot
+function getPreflopRange(position, stackDepth) {
+  if (position === 'BTN') {
+    return getOpeningRangeForPosition('BTN', stackDepth);
+  }
+
+  const rangeData = getPreflopNode('vs-open', 'BB_vs_BTN', stackDepth).rangeData;
+  return Object.entries(getRangeActions(rangeData))
+    .filter(([, frequencies]) => frequencies['Call'])
+    .map(([hand]) => hand);
+}
+
+// Bet size in BB, capped at what's left behind
+function getBetSize(pot, betFraction, invested, stackDepth) {
+  return Math.min(roundBB(pot * betFraction), getEffectiveStack(stackDepth, invested));
+}
+
+// Round a BB amount to one decimal
+function roundBB(amount) {
+  return Math.round(amount * 10) / 10;
+}
+
+// BTN opens and the BB calls
+function getPreflopActions() {
+  return [
+    ...generateOpenActions('BTN', OPEN_SIZE),
+    createAction('SB', 'fold'),
+    createAction('BB', 'call')
+  ];
+}
+
+// One postflop street: the BB acts first, then the bettor bets and (unless it's hero's decision) gets called
+function getStreetActions(line, bettor, bet, called = true) {
+  if (!bettor) {
+    return [createAction('BB', 'check'), createAction('BTN', 'check')];
+  }
+
+  const betPosition = bettor === 'hero' ? line.hero : line.villain;
+  const callPosition = betPosition === 'BTN' ? 'BB' : 'BTN';
+  const actions = betPosition === 'BTN' ? [createAction('BB', 'check')] : [];
+
+  actions.push(createAction(betPosition, 'bet', bet));
+  if (called) actions.push(createAction(callPosition, 'call'));
+
+  return actions;
+}
+
+/**
+ * Validate an answer
+ */
+function validateAnswer(answer, questionData) {
+  const correctAnswer = questionData.strategy.action;
+
+  return {
+    correct: answer === correctAnswer,
+    correctAnswer
+  };
+}
+
+/**
+ * Get explanation, comparing hero's equity with what the play needs
+ */
+function getExplanation(questionData, validation) {
+  const { line, board, heroCards, handClass, strategy } = questionData;
+  const handText = `${describeMadeHand(heroCards, board)} (${POSTFLOP_HAND_CLASSES[handClass].toLowerCase()})`;
+
+  if (line.hero === 'BB') {
+    const { bet, potSize, potOdds, equity, requiredEquity, valueCombos, bluffCombos } = questionData;
+
+    return {
+      text: `${handText} facing ${bet}BB into ${roundBB(potSize - bet)}BB.`,
+      points: [
+        `Pot odds ${potOdds}: calling ${bet}BB to win ${potSize}BB needs ${requiredEquity.toFixed(1)}% equity`,
+        `BTN bets ${valueCombos} value combos and ${bluffCombos} bluffs; you have ${equity.toFixed(1)}% against that range`,
+        strategy.reason
+      ],
+      equity: { required: requiredEquity, actual: equity }
+    };
+  }
+
+  const { bet, potSize, equityWhenCalled, foldShare, requiredFolds } = questionData;
+  const points = [
+    equityWhenCalled === null
+      ? 'Nothing in BB\'s range calls'
+      : `Against the hands that call you have ${equityWhenCalled.toFixed(1)}% (value bets want ${VALUE_BET_EQUITY}%+)`,
+    `A ${bet}BB bluff into ${potSize}BB needs ${requiredFolds.toFixed(1)}% folds; ${foldShare.toFixed(1)}% of BB's range folds`,
+    strategy.reason
+  ];
+
+  // Value bets compare equity when called; everything else compares folds
+  const isValue = equityWhenCalled !== null && equityWhenCalled >= VALUE_BET_EQUITY;
+
+  return {
+    text: `${handText} on the ${line.street} of a ${line.name.toLowerCase()}.`,
+    points,
+    equity: isValue
+      ? { required: VALUE_BET_EQUITY, actual: equityWhenCalled, requiredLabel: 'Value bet needs', actualLabel: 'Equity when called' }
+      : { required: requiredFolds, actual: foldShare, requiredLabel: 'Bluff needs folds', actualLabel: 'BB folds' }
+  };
+}
+
+/**
+ * Capitalize first letter
+ */
+function capitalizeFirst(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * Get the decision buttons for a question
+ */
+function getDecisions(questionData) {
+  const { line, bet } = questionData;
+
+  if (line.hero === 'BB') {
+    return [
+      { action: 'Call', label: 'CALL', detail: `${bet}BB` },
+      { action: 'Fold', label: 'FOLD' }
+    ];
+  }
+
+  return [
+    { action: 'Check', label: 'CHECK' },
+    { action: 'Bet', label: 'BET', detail: `${bet}BB (${Math.round(line.betFraction * 100)}%)`, variant: 'raise' }
+  ];
+}
+
+/**
+ * Get the question view: the streets so far, the board and hero's cards
+ */
+function getQuestionView(questionData) {
+  const { line } = questionData;
+
+  return {
+    scenarioName: `${SCENARIO_NAME} - ${line.name}`,
+    heroPosition: line.hero,
+    heroHand: questionData.heroCards,
+    streetHistory: questionData.streets,
+    potSize: questionData.potSize,
+    effectiveStack: questionData.effectiveStack,
+    toCall: line.hero === 'BB' ? questionData.bet : null,
+    board: questionData.board,
+    decisions: getDecisions(questionData),
+    prompt: `${line.prompt.replace('{bet}', questionData.bet)} What's your play?`
+  };
+}
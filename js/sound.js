@@ -0,0 +1,86 @@
+/**
+ * Sound
+ * Short synthesized cues for answers, streak milestones, countdowns and running-out timers.
+ * Notes are built with WebAudio oscillators, so there are no audio files to download.
+ * Nothing plays when sound is off in Settings.
+ */
+
+import { getSettings } from './storage.js';
+
+// Each cue is an oscillator type and its notes: [frequency (Hz), start (s), length (s)]
+const SOUNDS = {
+  correct: { type: 'sine', notes: [[660, 0, 0.08], [880, 0.08, 0.14]] },
+  wrong: { type: 'triangle', notes: [[220, 0, 0.12], [165, 0.12, 0.2]] },
+  milestone: { type: 'triangle', notes: [[523, 0, 0.1], [659, 0.1, 0.1], [784, 0.2, 0.1], [1047, 0.3, 0.3]] },
+  countdown: { type: 'sine', notes: [[440, 0, 0.1]] },
+  go: { type: 'sine', notes: [[880, 0, 0.25]] },
+  urgent: { type: 'square', notes: [[988, 0, 0.06], [988, 0.14, 0.06]], volume: 0.06 }
+};
+
+// Peak gain for a note (square waves are loud, so cues can ask for less)
+const DEFAULT_VOLUME = 0.15;
+
+let audioContext = null;
+
+/**
+ * Check if sound is on in Settings
+ */
+export function isSoundEnabled() {
+  return getSettings().soundEnabled !== false;
+}
+
+/**
+ * Play a cue if sound is on
+ * @param {string} name - correct, wrong, milestone, countdown, go or urgent
+ * @returns {boolean} Whether anything played
+ */
+export function playSound(name) {
+  const sound = SOUNDS[name];
+  if (!sound) {
+    console.error(`Unknown sound: ${name}`);
+    return false;
+  }
+
+  if (!isSoundEnabled()) return false;
+
+  const context = getAudioContext();
+  if (!context) return false;
+
+  const now = context.currentTime;
+  const volume = sound.volume || DEFAULT_VOLUME;
+
+  sound.notes.forEach(([frequency, start, length]) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = sound.type;
+    oscillator.frequency.value = frequency;
+
+    // Quick fade in and out so notes don't click
+    gain.gain.setValueAtTime(0, now + start);
+    gain.gain.linearRampToValueAtTime(volume, now + start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + start + length);
+
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(now + start);
+    oscillator.stop(now + start + length + 0.02);
+  });
+
+  return true;
+}
+
+// One shared context, made on first use (browsers only start audio after the player interacts)
+function getAudioContext() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+
+  if (!audioContext) {
+    audioContext = new AudioContextClass();
+  }
+
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+
+  return audioContext;
+}
@@ -3,11 +3,30 @@
  * localStorage wrapper for progress persistence
  */
 
+import { parseRangeHands } from './data/rangeNotation.js';
+import { SCENARIO_DEFINITIONS } from './data/scenarioDefinitions.js';
+import { STACK_DEPTHS, DEFAULT_STACK_DEPTH, TABLE_FORMATS, DEFAULT_TABLE_FORMAT } from './data/ranges.js';
+import { DRILL_MODES, DEFAULT_DRILL_MODE } from './data/drillModes.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from './data/handDifficulty.js';
+
 const STORAGE_KEY = 'libregto-progress';
 
+// Schema version of DEFAULT_PROGRESS (bump it and add a migration when the shape changes)
+const PROGRESS_VERSION = 6;
+
+// Scenarios in unlock order, each with its tier below (the preflop ones are written as data
+// in SCENARIO_DEFINITIONS, but keep their place in the progression)
+const TIERED_SCENARIOS = [
+  'defend-3bet', 'bb-defense', '3bet-value', 'sb-3bet-fold',
+  'cold-4bet', 'board-texture', 'cbet', 'turn-river'
+];
+
+// Scenarios added as data after them
+const ADDED_SCENARIOS = Object.keys(SCENARIO_DEFINITIONS).filter(id => !TIERED_SCENARIOS.includes(id));
+
 // Default progress state
 const DEFAULT_PROGRESS = {
-  version: 1,
+  version: PROGRESS_VERSION,
   stages: {
     foundations: {
       unlocked: true,
@@ -95,6 +114,43 @@ const DEFAULT_PROGRESS = {
           bestTime: null,
           attempts: 0,
           lastAttempt: null
+        },
+        'outs': {
+          unlocked: false,
+          completed: false,
+          bestScore: 0,
+          bestStreak: 0,
+          bestTime: null,
+          attempts: 0,
+          lastAttempt: null
+        },
+        'pot-odds': {
+          unlocked: false,
+          completed: false,
+          bestScore: 0,
+          bestStreak: 0,
+          bestTime: null,
+          attempts: 0,
+          lastAttempt: null
+        },
+        'combos': {
+          unlocked: false,
+          completed: false,
+          bestScore: 0,
+          bestStreak: 0,
+          bestTime: null,
+          attempts: 0,
+          lastAttempt: null
+        },
+        // Side drill (outside the unlock order, see SIDE_DRILL_UNLOCKS)
+        'push-fold': {
+          unlocked: false,
+          completed: false,
+          bestScore: 0,
+          bestStreak: 0,
+          bestTime: null,
+          attempts: 0,
+          lastAttempt: null
         }
       },
       totalAttempts: 0,
@@ -148,14 +204,46 @@ const DEFAULT_PROGRESS = {
           bestScore: 0,
           attempts: 0,
           lastAttempt: null
-        }
+        },
+        'cbet': {
+          unlocked: true,
+          completed: false,
+          bestScore: 0,
+          attempts: 0,
+          lastAttempt: null
+        },
+        'turn-river': {
+          unlocked: true,
+          completed: false,
+          bestScore: 0,
+          attempts: 0,
+          lastAttempt: null
+        },
+        // Spots added as data (available when Stage 3 unlocks)
+        ...Object.fromEntries(ADDED_SCENARIOS.map(id => [id, {
+          unlocked: true,
+          completed: false,
+          bestScore: 0,
+          attempts: 0,
+          lastAttempt: null
+        }]))
       },
       achievements: []
     },
     'full-hands': {
       unlocked: false,
       completed: false,
-      modules: {}
+      modules: {
+        'play-hands': {
+          unlocked: true,
+          completed: false,
+          bestScore: 0,
+          handsPlayed: 0,
+          netResult: 0,
+          attempts: 0,
+          lastAttempt: null
+        }
+      }
     }
   },
   stats: {
@@ -167,8 +255,22 @@ const DEFAULT_PROGRESS = {
   },
   settings: {
     soundEnabled: true,
-    animationsEnabled: true
+    animationsEnabled: true,
+    stackDepth: DEFAULT_STACK_DEPTH, // Effective stack (BB) drills and scenarios are played at
+    tableFormat: DEFAULT_TABLE_FORMAT, // Seats the position drills and lessons use (key of TABLE_FORMATS)
+    drillMode: DEFAULT_DRILL_MODE, // Last mode picked on a drill start screen (key of DRILL_MODES)
+    drillDifficulty: DEFAULT_DIFFICULTY, // How the range drills pick hands (key of DIFFICULTIES)
+    hotkeys: {} // Action -> key overrides for drill and scenario hotkeys (see hotkeys.js)
+  },
+  customRanges: {
+    ranges: {}, // id -> { id, name, position, spot, notation, createdAt, updatedAt }
+    active: {}, // position -> id of the opening range drills quiz against
+    useInDrills: false
+  },
+  review: {
+    items: {} // "source|spot|hand" -> missed question waiting for review
   },
+  answerLog: [], // { date, source, spot, position, hand, credit, time } per answer, oldest first
   lastUpdated: null
 };
 
@@ -176,7 +278,7 @@ const DEFAULT_PROGRESS = {
 const MODULE_ORDER = ['hand-strength', 'position', 'equity', 'ranges'];
 
 // Drill order for unlocking
-const DRILL_ORDER = ['hand-ranking', 'open-fold', 'equity-snap', 'range-check', 'position-speed'];
+const DRILL_ORDER = ['hand-ranking', 'open-fold', 'equity-snap', 'range-check', 'position-speed', 'outs', 'pot-odds', 'combos'];
 
 // Drill pass thresholds
 const DRILL_THRESHOLDS = {
@@ -184,28 +286,38 @@ const DRILL_THRESHOLDS = {
   'open-fold': 75,
   'equity-snap': 70,
   'range-check': 75,
-  'position-speed': 80
+  'position-speed': 80,
+  'outs': 70,
+  'pot-odds': 70,
+  'combos': 70,
+  'push-fold': 70
+};
+
+// Side drills, keyed to the drill whose pass unlocks them
+// (they don't count toward finishing the stage)
+const SIDE_DRILL_UNLOCKS = {
+  'push-fold': 'open-fold'
 };
 
 // Scenario order for unlocking
-const SCENARIO_ORDER = [
-  'defend-3bet', 'bb-defense', '3bet-value', 'sb-3bet-fold',
-  'cold-4bet', 'board-texture'
-];
+const SCENARIO_ORDER = [...TIERED_SCENARIOS, ...ADDED_SCENARIOS];
 
-// Scenario pass thresholds
+// Scenario pass thresholds (data-defined scenarios set their own)
 const SCENARIO_THRESHOLDS = {
-  'defend-3bet': 75,
-  'bb-defense': 75,
-  '3bet-value': 75,
-  'sb-3bet-fold': 75,
-  'cold-4bet': 70,
-  'board-texture': 80  // Higher threshold for conceptual quiz
+  'board-texture': 80,  // Higher threshold for conceptual quiz
+  'cbet': 70,
+  'turn-river': 70,
+  ...Object.fromEntries(
+    Object.values(SCENARIO_DEFINITIONS).map(definition => [definition.id, definition.threshold || 75])
+  )
 };
 
 // Tier 1 scenarios (available when Stage 3 unlocks)
 const TIER_1_SCENARIOS = ['defend-3bet', 'bb-defense', '3bet-value', 'sb-3bet-fold'];
 
+// Full hands pass threshold (share of correct decisions)
+const FULL_HANDS_THRESHOLD = 70;
+
 /**
  * Load progress from localStorage
  */
@@ -213,14 +325,21 @@ export function loadProgress() {
   try {
     const stored = localStorage.getItem(STORAGE_KEY);
     if (stored) {
-      const parsed = JSON.parse(stored);
-      // Merge with defaults to handle new fields
-      return mergeWithDefaults(parsed, DEFAULT_PROGRESS);
+      const migrated = migrateProgress(JSON.parse(stored));
+      if (migrated) {
+        // Merge with defaults to handle new fields
+        return mergeWithDefaults(migrated, cloneDefaults());
+      }
     }
   } catch (error) {
     console.error('Error loading progress:', error);
   }
-  return { ...DEFAULT_PROGRESS };
+  return cloneDefaults();
+}
+
+// Fresh copy of the defaults, so edits to loaded progress never leak into them
+function cloneDefaults() {
+  return JSON.parse(JSON.stringify(DEFAULT_PROGRESS));
 }
 
 /**
@@ -472,6 +591,90 @@ export function updateSettings(settings) {
   return saveProgress(progress);
 }
 
+/**
+ * Get the effective stack depth (BB) drills and scenarios use
+ */
+export function getStackDepth() {
+  const { stackDepth } = getSettings();
+  return STACK_DEPTHS.includes(stackDepth) ? stackDepth : DEFAULT_STACK_DEPTH;
+}
+
+/**
+ * Set the effective stack depth (BB) drills and scenarios use
+ * @param {number} depth - One of STACK_DEPTHS
+ * @returns {boolean} Whether it was saved
+ */
+export function setStackDepth(depth) {
+  if (!STACK_DEPTHS.includes(depth)) {
+    console.error(`Unsupported stack depth: ${depth}`);
+    return false;
+  }
+  return updateSettings({ stackDepth: depth });
+}
+
+/**
+ * Get the table format (heads-up, 6-max or 9-max) the position drills use
+ */
+export function getTableFormat() {
+  const { tableFormat } = getSettings();
+  return TABLE_FORMATS[tableFormat] ? tableFormat : DEFAULT_TABLE_FORMAT;
+}
+
+/**
+ * Set the table format the position drills use
+ * @param {string} format - Key of TABLE_FORMATS
+ * @returns {boolean} Whether it was saved
+ */
+export function setTableFormat(format) {
+  if (!TABLE_FORMATS[format]) {
+    console.error(`Unsupported table format: ${format}`);
+    return false;
+  }
+  return updateSettings({ tableFormat: format });
+}
+
+/**
+ * Get the drill mode (classic, blitz, survival or sudden death) start screens preselect
+ */
+export function getDrillMode() {
+  const { drillMode } = getSettings();
+  return DRILL_MODES[drillMode] ? drillMode : DEFAULT_DRILL_MODE;
+}
+
+/**
+ * Set the drill mode start screens preselect
+ * @param {string} mode - Key of DRILL_MODES
+ * @returns {boolean} Whether it was saved
+ */
+export function setDrillMode(mode) {
+  if (!DRILL_MODES[mode]) {
+    console.error(`Unsupported drill mode: ${mode}`);
+    return false;
+  }
+  return updateSettings({ drillMode: mode });
+}
+
+/**
+ * Get the difficulty (easy, normal, edge only or adaptive) the range drills pick hands at
+ */
+export function getDrillDifficulty() {
+  const { drillDifficulty } = getSettings();
+  return DIFFICULTIES[drillDifficulty] ? drillDifficulty : DEFAULT_DIFFICULTY;
+}
+
+/**
+ * Set the difficulty the range drills pick hands at
+ * @param {string} difficulty - Key of DIFFICULTIES
+ * @returns {boolean} Whether it was saved
+ */
+export function setDrillDifficulty(difficulty) {
+  if (!DIFFICULTIES[difficulty]) {
+    console.error(`Unsupported drill difficulty: ${difficulty}`);
+    return false;
+  }
+  return updateSettings({ drillDifficulty: difficulty });
+}
+
 /**
  * Get the current/next module to work on
  */
@@ -503,15 +706,377 @@ export function exportProgress() {
 
 /**
  * Import progress from JSON (for restore)
+ * The blob is validated and migrated to the current schema before it's saved.
+ * @param {string} jsonString - Exported progress
+ * @param {object} options - { mode: 'replace' (default) or 'merge' into the current progress }
  */
-export function importProgress(jsonString) {
+export function importProgress(jsonString, options = {}) {
+  const { progress, errors } = readProgressImport(jsonString);
+
+  if (!progress) {
+    console.error('Error importing progress:', errors.join('; '));
+    return false;
+  }
+
+  return saveProgress(options.mode === 'merge' ? mergeProgress(loadProgress(), progress) : progress);
+}
+
+// Parse, validate and migrate an exported blob
+function readProgressImport(jsonString) {
+  let parsed;
   try {
-    const imported = JSON.parse(jsonString);
-    return saveProgress(imported);
+    parsed = JSON.parse(jsonString);
   } catch (error) {
-    console.error('Error importing progress:', error);
-    return false;
+    return { progress: null, errors: ['the file is not valid JSON'] };
+  }
+
+  const errors = validateProgress(parsed);
+  if (errors.length > 0) return { progress: null, errors };
+
+  const migrated = migrateProgress(parsed);
+  if (!migrated) return { progress: null, errors: ['the progress version is not supported'] };
+
+  return { progress: mergeWithDefaults(migrated, cloneDefaults()), errors: [] };
+}
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+// Each step upgrades a blob from the version it's keyed on to the next one.
+// Steps must not drop data they don't understand.
+const MIGRATIONS = {
+  // v2: custom ranges, the review queue and the answer log get their own sections
+  1: progress => ({
+    ...progress,
+    version: 2,
+    customRanges: isPlainObject(progress.customRanges)
+      ? progress.customRanges
+      : { ranges: {}, active: {}, useInDrills: false },
+    review: isPlainObject(progress.review) ? progress.review : { items: {} },
+    answerLog: Array.isArray(progress.answerLog) ? progress.answerLog : []
+  }),
+
+  // v3: side drills unlock for players who already passed the drill they hang off
+  2: progress => {
+    const drills = progress.stages?.drills?.modules;
+    if (!isPlainObject(drills)) return { ...progress, version: 3 };
+
+    const sideDrills = Object.fromEntries(
+      Object.entries(SIDE_DRILL_UNLOCKS)
+        .filter(([sideId, requiredId]) => !drills[sideId] && drills[requiredId]?.completed)
+        .map(([sideId]) => [sideId, { unlocked: true }])
+    );
+
+    return {
+      ...progress,
+      version: 3,
+      stages: {
+        ...progress.stages,
+        drills: { ...progress.stages.drills, modules: { ...drills, ...sideDrills } }
+      }
+    };
+  },
+
+  // v4: the Pot Odds drill joins the order
+  3: progress => unlockNewDrills(progress, 4, { 'pot-odds': 'position-speed' }),
+
+  // v5: the Outs drill joins the order
+  4: progress => unlockNewDrills(progress, 5, { outs: 'position-speed' }),
+
+  // v6: the Combos drill joins the order
+  5: progress => unlockNewDrills(progress, 6, { combos: 'pot-odds' })
+};
+
+// Unlock drills new in a version for players who already passed the drill before them.
+// Each migration names its drills and their predecessors as the order stood then, so
+// later changes to DRILL_ORDER can't change what an old save unlocks.
+function unlockNewDrills(progress, version, newDrillUnlocks) {
+  const drills = progress.stages?.drills?.modules;
+  if (!isPlainObject(drills)) return { ...progress, version };
+
+  const newDrills = Object.fromEntries(
+    Object.entries(newDrillUnlocks)
+      .filter(([drillId, requiredId]) => !drills[drillId] && drills[requiredId]?.completed)
+      .map(([drillId]) => [drillId, { unlocked: true }])
+  );
+
+  return {
+    ...progress,
+    version,
+    stages: {
+      ...progress.stages,
+      drills: { ...progress.stages.drills, modules: { ...drills, ...newDrills } }
+    }
+  };
+}
+
+/**
+ * Migrate a progress blob to the current schema version
+ * Blobs without a version are treated as version 1.
+ * @param {object} progress - Parsed progress data
+ * @returns {object|null} Migrated progress, or null if it can't be migrated
+ */
+export function migrateProgress(progress) {
+  if (!isPlainObject(progress)) {
+    console.error('Progress data must be an object');
+    return null;
+  }
+
+  let migrated = progress;
+  let version = progress.version === undefined ? 1 : progress.version;
+
+  if (!Number.isInteger(version) || version < 1 || version > PROGRESS_VERSION) {
+    console.error(`Unsupported progress version: ${progress.version}`);
+    return null;
+  }
+
+  while (version < PROGRESS_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+
+  return migrated;
+}
+
+/**
+ * Check a progress blob's shape before it's imported
+ * Only the fields the app reads are checked; unknown fields are left alone.
+ * @param {object} progress - Parsed progress data
+ * @returns {Array} Problems found (empty when the blob is usable)
+ */
+export function validateProgress(progress) {
+  if (!isPlainObject(progress)) {
+    return ['progress must be an object'];
+  }
+
+  const errors = [];
+  const { version, stages, stats, settings, customRanges, review, answerLog } = progress;
+
+  if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+    errors.push('version must be a positive whole number');
+  } else if (version > PROGRESS_VERSION) {
+    errors.push(`version ${version} is newer than this app supports (${PROGRESS_VERSION})`);
+  }
+
+  if (stages !== undefined) {
+    if (!isPlainObject(stages)) {
+      errors.push('stages must be an object');
+    } else {
+      for (const stage in stages) {
+        if (!isPlainObject(stages[stage])) {
+          errors.push(`stages.${stage} must be an object`);
+        } else if (stages[stage].modules !== undefined && !isPlainObject(stages[stage].modules)) {
+          errors.push(`stages.${stage}.modules must be an object`);
+        }
+      }
+    }
+  }
+
+  if (stats !== undefined) {
+    if (!isPlainObject(stats)) {
+      errors.push('stats must be an object');
+    } else {
+      for (const key in stats) {
+        if (typeof stats[key] !== 'number') errors.push(`stats.${key} must be a number`);
+      }
+    }
+  }
+
+  if (settings !== undefined && !isPlainObject(settings)) {
+    errors.push('settings must be an object');
+  }
+
+  if (customRanges !== undefined && (!isPlainObject(customRanges) || !isPlainObject(customRanges.ranges || {}))) {
+    errors.push('customRanges.ranges must be an object');
+  }
+
+  if (review !== undefined && (!isPlainObject(review) || !isPlainObject(review.items || {}))) {
+    errors.push('review.items must be an object');
+  }
+
+  if (answerLog !== undefined && !Array.isArray(answerLog)) {
+    errors.push('answerLog must be an array');
+  }
+
+  return errors;
+}
+
+// Plain object check (arrays and null don't count)
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ============================================
+// IMPORT MERGING AND PREVIEW
+// ============================================
+
+// Module fields that add up across devices
+const SUMMED_FIELDS = ['attempts', 'handsPlayed', 'netResult'];
+
+// Overall stats that add up across devices
+const SUMMED_STATS = ['totalQuizzes', 'correctAnswers', 'totalTime'];
+
+/**
+ * Preview what an import would change, without saving anything
+ * @param {string} jsonString - Exported progress
+ * @param {object} options - { mode: 'replace' or 'merge' }
+ * @returns {object} { valid, errors, changes: [{ label, from, to }] }
+ */
+export function previewProgressImport(jsonString, options = {}) {
+  const { progress, errors } = readProgressImport(jsonString);
+  if (!progress) return { valid: false, errors, changes: [] };
+
+  const current = loadProgress();
+  const result = options.mode === 'merge' ? mergeProgress(current, progress) : progress;
+  const before = summarizeProgress(current);
+  const after = summarizeProgress(result);
+
+  const changes = [...new Set([...Object.keys(after), ...Object.keys(before)])]
+    .filter(label => before[label] !== after[label])
+    .map(label => ({ label, from: before[label] ?? '-', to: after[label] ?? '-' }));
+
+  return { valid: true, errors: [], changes };
+}
+
+/**
+ * Merge imported progress into the current progress
+ * Best scores and streaks keep the better value, attempts add up, achievements
+ * and saved data are combined, and this device's settings are kept.
+ * @param {object} current - Current progress
+ * @param {object} incoming - Imported progress (already migrated)
+ * @returns {object} Merged progress
+ */
+export function mergeProgress(current, incoming) {
+  const merged = JSON.parse(JSON.stringify(current));
+
+  for (const stageId in incoming.stages) {
+    const source = incoming.stages[stageId];
+    const target = merged.stages[stageId] || (merged.stages[stageId] = { modules: {} });
+
+    target.unlocked = Boolean(target.unlocked || source.unlocked);
+    target.completed = Boolean(target.completed || source.completed);
+
+    if (Array.isArray(source.achievements)) {
+      target.achievements = [...new Set([...(target.achievements || []), ...source.achievements])];
+    }
+
+    for (const moduleId in source.modules || {}) {
+      target.modules = target.modules || {};
+      target.modules[moduleId] = mergeModuleProgress(target.modules[moduleId] || {}, source.modules[moduleId]);
+    }
+  }
+
+  SUMMED_STATS.forEach(key => {
+    merged.stats[key] = (merged.stats[key] || 0) + (incoming.stats[key] || 0);
+  });
+  merged.stats.bestStreak = Math.max(merged.stats.bestStreak || 0, incoming.stats.bestStreak || 0);
+
+  // Saved ranges: the most recently edited copy wins
+  for (const id in incoming.customRanges.ranges) {
+    const theirs = incoming.customRanges.ranges[id];
+    const ours = merged.customRanges.ranges[id];
+    if (!ours || (theirs.updatedAt || '') > (ours.updatedAt || '')) {
+      merged.customRanges.ranges[id] = theirs;
+    }
   }
+  merged.customRanges.active = { ...incoming.customRanges.active, ...merged.customRanges.active };
+  merged.customRanges.useInDrills = merged.customRanges.useInDrills || incoming.customRanges.useInDrills;
+
+  // Review items: the most recently seen copy wins
+  for (const key in incoming.review.items) {
+    const theirs = incoming.review.items[key];
+    const ours = merged.review.items[key];
+    if (!ours || theirs.lastSeen > ours.lastSeen) {
+      merged.review.items[key] = theirs;
+    }
+  }
+
+  // Answer log: combine, drop duplicates from earlier imports, keep it in date order
+  const seen = new Set();
+  merged.answerLog = [...merged.answerLog, ...incoming.answerLog]
+    .filter(entry => {
+      const key = `${entry.date}|${entry.source}|${entry.spot}|${entry.hand}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.date - b.date)
+    .slice(-MAX_ANSWER_LOG);
+
+  return merged;
+}
+
+// Merge one module's progress from two devices
+function mergeModuleProgress(ours, theirs) {
+  const result = { ...ours };
+  const theirsIsNewer = (theirs.lastAttempt || '') > (ours.lastAttempt || '');
+
+  for (const key in theirs) {
+    const a = ours[key];
+    const b = theirs[key];
+
+    if (a === undefined || a === null) {
+      result[key] = b;
+    } else if (b === undefined || b === null) {
+      result[key] = a;
+    } else if (key === 'modeBests') {
+      result[key] = mergeModeBests(a, b);
+    } else if (typeof a === 'boolean') {
+      result[key] = a || b;
+    } else if (SUMMED_FIELDS.includes(key)) {
+      result[key] = a + b;
+    } else if (key === 'bestTime') {
+      result[key] = Math.min(a, b);
+    } else if (key.startsWith('best')) {
+      result[key] = Math.max(a, b);
+    } else if (key === 'lastAttempt') {
+      result[key] = a > b ? a : b;
+    } else {
+      result[key] = theirsIsNewer ? b : a;
+    }
+  }
+
+  return result;
+}
+
+// Merge per-mode drill bests the same way as the module fields
+function mergeModeBests(ours, theirs) {
+  const result = { ...ours };
+  for (const mode in theirs) {
+    result[mode] = mergeModuleProgress(ours[mode] || {}, theirs[mode]);
+  }
+  return result;
+}
+
+// Flatten the fields an import preview reports into label -> display value
+function summarizeProgress(progress) {
+  const summary = {};
+  let achievements = 0;
+
+  for (const stageId in progress.stages) {
+    const stage = progress.stages[stageId];
+    achievements += (stage.achievements || []).length;
+
+    for (const moduleId in stage.modules || {}) {
+      const module = stage.modules[moduleId];
+      if (!module.attempts) continue;
+
+      const name = moduleId.charAt(0).toUpperCase() + moduleId.slice(1).replace(/-/g, ' ');
+      summary[`${name} best score`] = `${Math.round(module.bestScore || 0)}%`;
+      summary[`${name} attempts`] = module.attempts;
+      summary[`${name} completed`] = module.completed ? 'Yes' : 'No';
+    }
+  }
+
+  summary['Achievements'] = achievements;
+  summary['Correct answers'] = progress.stats.correctAnswers || 0;
+  summary['Best streak'] = progress.stats.bestStreak || 0;
+  summary['Custom ranges'] = Object.keys(progress.customRanges.ranges).length;
+  summary['Review queue'] = Object.keys(progress.review.items).length;
+  summary['Logged answers'] = progress.answerLog.length;
+
+  return summary;
 }
 
 // ============================================
@@ -526,6 +1091,16 @@ export function getDrillProgress(drillId) {
   return progress.stages.drills?.modules[drillId] || null;
 }
 
+/**
+ * Get a drill's bests in a blitz, survival or sudden death mode
+ * @param {string} drillId - Drill ID
+ * @param {string} mode - Key of DRILL_MODES
+ * @returns {object|null} { bestScore, bestAccuracy, bestStreak, attempts, lastAttempt }
+ */
+export function getDrillModeBest(drillId, mode) {
+  return getDrillProgress(drillId)?.modeBests?.[mode] || null;
+}
+
 /**
  * Get all drills progress
  */
@@ -547,6 +1122,17 @@ export function updateDrillProgress(drillId, stats) {
   }
 
   const drill = drillData.modules[drillId];
+
+  // Runs in the other modes keep their own bests and don't count toward passing
+  if (stats.mode && stats.mode !== DEFAULT_DRILL_MODE) {
+    if (!DRILL_MODES[stats.mode]) {
+      console.error(`Unsupported drill mode: ${stats.mode}`);
+      return false;
+    }
+    recordModeRun(drill, stats);
+    return saveProgress(progress);
+  }
+
   const threshold = DRILL_THRESHOLDS[drillId] || 70;
   const passed = stats.accuracy >= threshold;
 
@@ -583,6 +1169,13 @@ export function updateDrillProgress(drillId, stats) {
       }
     }
 
+    // Unlock side drills that hang off this one
+    for (const [sideId, requiredId] of Object.entries(SIDE_DRILL_UNLOCKS)) {
+      if (requiredId === drillId && drillData.modules[sideId]) {
+        drillData.modules[sideId].unlocked = true;
+      }
+    }
+
     // Check if all drills completed
     const allCompleted = DRILL_ORDER.every(
       id => drillData.modules[id]?.completed
@@ -602,6 +1195,24 @@ export function updateDrillProgress(drillId, stats) {
   return saveProgress(progress);
 }
 
+// Update a drill's bests for a non-classic mode (score = correct answers in the run)
+function recordModeRun(drill, stats) {
+  const modeBests = drill.modeBests || (drill.modeBests = {});
+  const best = modeBests[stats.mode] || (modeBests[stats.mode] = {
+    bestScore: 0,
+    bestAccuracy: 0,
+    bestStreak: 0,
+    attempts: 0,
+    lastAttempt: null
+  });
+
+  best.attempts += 1;
+  best.lastAttempt = new Date().toISOString();
+  best.bestScore = Math.max(best.bestScore, stats.score || 0);
+  best.bestAccuracy = Math.max(best.bestAccuracy, stats.accuracy || 0);
+  best.bestStreak = Math.max(best.bestStreak, stats.bestStreak || 0);
+}
+
 /**
  * Check and award drill achievements
  */
@@ -962,3 +1573,379 @@ export function checkScenariosUnlock() {
 
   return qualifyingDrills >= 3;
 }
+
+// ============================================
+// FULL HANDS FUNCTIONS
+// ============================================
+
+/**
+ * Get full hands progress
+ */
+export function getFullHandsProgress(moduleId = 'play-hands') {
+  const progress = loadProgress();
+  return progress.stages['full-hands']?.modules[moduleId] || null;
+}
+
+/**
+ * Update full hands progress after a session
+ */
+export function updateFullHandsProgress(moduleId, stats) {
+  const progress = loadProgress();
+  const stageData = progress.stages['full-hands'];
+
+  if (!stageData?.modules[moduleId]) {
+    console.error(`Full hands module ${moduleId} not found`);
+    return false;
+  }
+
+  const module = stageData.modules[moduleId];
+
+  module.attempts += 1;
+  module.lastAttempt = new Date().toISOString();
+  module.handsPlayed += stats.handsPlayed || 0;
+  module.netResult += stats.netResult || 0;
+
+  if (stats.accuracy > module.bestScore) {
+    module.bestScore = stats.accuracy;
+  }
+
+  if (stats.accuracy >= FULL_HANDS_THRESHOLD && !module.completed) {
+    module.completed = true;
+
+    const allCompleted = Object.values(stageData.modules).every(m => m.completed);
+    if (allCompleted) {
+      stageData.completed = true;
+    }
+  }
+
+  return saveProgress(progress);
+}
+
+/**
+ * Get full hands pass threshold
+ */
+export function getFullHandsThreshold() {
+  return FULL_HANDS_THRESHOLD;
+}
+
+// ============================================
+// CUSTOM RANGE FUNCTIONS
+// ============================================
+
+// Positions a saved range can belong to
+const CUSTOM_RANGE_POSITIONS = ['UTG', 'MP', 'CO', 'BTN', 'SB', 'BB'];
+
+/**
+ * Get all saved custom ranges, newest first
+ */
+export function getCustomRanges() {
+  const progress = loadProgress();
+  return Object.values(progress.customRanges.ranges)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Get a saved custom range by id
+ */
+export function getCustomRange(rangeId) {
+  const progress = loadProgress();
+  return progress.customRanges.ranges[rangeId] || null;
+}
+
+/**
+ * Save a custom range (creates one when range.id is missing)
+ * @param {object} range - { id?, name, position, spot, notation }
+ * @returns {object|null} The saved range, or null if it's invalid
+ */
+export function saveCustomRange(range) {
+  const name = (range.name || '').trim();
+
+  if (!name || !CUSTOM_RANGE_POSITIONS.includes(range.position) || typeof range.notation !== 'string') {
+    console.error('Custom range needs a name, a position and range notation');
+    return null;
+  }
+
+  const progress = loadProgress();
+  const now = new Date().toISOString();
+  const existing = range.id ? progress.customRanges.ranges[range.id] : null;
+  const id = existing ? existing.id : `range-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  const saved = {
+    id,
+    name,
+    position: range.position,
+    spot: range.spot || 'open',
+    notation: range.notation,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  progress.customRanges.ranges[id] = saved;
+  return saveProgress(progress) ? saved : null;
+}
+
+/**
+ * Delete a custom range (and stop drills from using it)
+ */
+export function deleteCustomRange(rangeId) {
+  const progress = loadProgress();
+
+  if (!progress.customRanges.ranges[rangeId]) {
+    console.error(`Custom range ${rangeId} not found`);
+    return false;
+  }
+
+  delete progress.customRanges.ranges[rangeId];
+
+  for (const position in progress.customRanges.active) {
+    if (progress.customRanges.active[position] === rangeId) {
+      delete progress.customRanges.active[position];
+    }
+  }
+
+  return saveProgress(progress);
+}
+
+/**
+ * Pick the opening range drills use for a position (null restores the built-in range)
+ */
+export function setActiveCustomRange(position, rangeId) {
+  const progress = loadProgress();
+
+  if (rangeId) {
+    const range = progress.customRanges.ranges[rangeId];
+    if (!range || range.position !== position || range.spot !== 'open') {
+      console.error(`Custom range ${rangeId} is not an opening range for ${position}`);
+      return false;
+    }
+    progress.customRanges.active[position] = rangeId;
+  } else {
+    delete progress.customRanges.active[position];
+  }
+
+  return saveProgress(progress);
+}
+
+/**
+ * Get the id of the custom opening range drills use for a position
+ */
+export function getActiveCustomRangeId(position) {
+  const progress = loadProgress();
+  return progress.customRanges.active[position] || null;
+}
+
+/**
+ * Turn quizzing against custom ranges on or off
+ */
+export function setUseCustomRanges(enabled) {
+  const progress = loadProgress();
+  progress.customRanges.useInDrills = Boolean(enabled);
+  return saveProgress(progress);
+}
+
+/**
+ * Check if drills should quiz against custom ranges
+ */
+export function isUsingCustomRanges() {
+  const progress = loadProgress();
+  return progress.customRanges.useInDrills;
+}
+
+/**
+ * Get the custom opening range drills should use for a position
+ * @returns {Set|null} Hands in the range, or null to use the built-in range
+ */
+export function getCustomOpeningRange(position) {
+  const progress = loadProgress();
+  const { useInDrills, active, ranges } = progress.customRanges;
+
+  if (!useInDrills || !active[position] || !ranges[active[position]]) {
+    return null;
+  }
+
+  const hands = parseRangeHands(ranges[active[position]].notation);
+  return hands ? new Set(hands) : null;
+}
+
+// ============================================
+// REVIEW QUEUE FUNCTIONS
+// ============================================
+
+// Leitner boxes: days to wait before a missed question comes back
+const REVIEW_INTERVALS = [0, 1, 3, 7, 14];
+
+// Cap on stored review items (the least recently seen are dropped first)
+const MAX_REVIEW_ITEMS = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Record an answer to a question the review queue tracks
+ * A miss puts the question (back) in the first box; a correct answer to a due
+ * question moves it up a box, and it leaves the queue after the last box.
+ * @param {string} source - Drill or scenario id (e.g. 'open-fold', 'bb-defense')
+ * @param {object} item - { spot, hand, position, tableFormat, prompt, options: [{ action, label }], correctAnswer }
+ * @param {boolean} isCorrect - Whether the player got it right
+ * @returns {boolean} Whether the queue was saved
+ */
+export function recordReviewAnswer(source, item, isCorrect) {
+  if (!source || !item || !item.spot || !item.hand) {
+    console.error('Review item needs a source, a spot and a hand');
+    return false;
+  }
+
+  const progress = loadProgress();
+  const items = progress.review.items;
+  const key = `${source}|${item.spot}|${item.hand}`;
+  const existing = items[key];
+  const now = Date.now();
+
+  // Correct answers only matter for questions already in the queue
+  if (isCorrect && !existing) return true;
+
+  if (!isCorrect) {
+    items[key] = {
+      key,
+      source,
+      spot: item.spot,
+      hand: item.hand,
+      position: item.position || null,
+      tableFormat: item.tableFormat || null, // Table the position sits at (6-max when unset)
+      prompt: item.prompt || '',
+      options: item.options || [],
+      correctAnswer: item.correctAnswer,
+      box: 0,
+      due: now,
+      lapses: (existing?.lapses || 0) + 1,
+      reps: existing?.reps || 0,
+      lastSeen: now
+    };
+    trimReviewItems(items);
+  } else if (existing.due <= now) {
+    const box = existing.box + 1;
+
+    if (box >= REVIEW_INTERVALS.length) {
+      delete items[key];
+    } else {
+      items[key] = {
+        ...existing,
+        box,
+        due: now + REVIEW_INTERVALS[box] * DAY_MS,
+        reps: existing.reps + 1,
+        lastSeen: now
+      };
+    }
+  }
+
+  return saveProgress(progress);
+}
+
+// Drop the least recently seen items once the queue is over its cap
+function trimReviewItems(items) {
+  const keys = Object.keys(items);
+  if (keys.length <= MAX_REVIEW_ITEMS) return;
+
+  keys
+    .sort((a, b) => items[a].lastSeen - items[b].lastSeen)
+    .slice(0, keys.length - MAX_REVIEW_ITEMS)
+    .forEach(key => delete items[key]);
+}
+
+/**
+ * Get review items that are due, lowest box first
+ * @param {number} limit - Maximum number of items to return
+ */
+export function getDueReviewItems(limit = Infinity) {
+  const progress = loadProgress();
+  const now = Date.now();
+
+  return Object.values(progress.review.items)
+    .filter(item => item.due <= now)
+    .sort((a, b) => a.box - b.box || b.lapses - a.lapses || a.due - b.due)
+    .slice(0, limit);
+}
+
+/**
+ * Get a summary of the review queue
+ * @returns {object} { total, due, nextDue } (nextDue is a timestamp, or null when nothing is waiting)
+ */
+export function getReviewQueueStats() {
+  const progress = loadProgress();
+  const items = Object.values(progress.review.items);
+  const now = Date.now();
+  const waiting = items.filter(item => item.due > now).map(item => item.due);
+
+  return {
+    total: items.length,
+    due: items.length - waiting.length,
+    nextDue: waiting.length > 0 ? Math.min(...waiting) : null
+  };
+}
+
+/**
+ * Empty the review queue
+ */
+export function clearReviewQueue() {
+  const progress = loadProgress();
+  progress.review.items = {};
+  return saveProgress(progress);
+}
+
+// ============================================
+// ANSWER LOG FUNCTIONS
+// ============================================
+
+// Cap on logged answers (the oldest are dropped first)
+const MAX_ANSWER_LOG = 3000;
+
+/**
+ * Log one answer from a drill or scenario for the stats page
+ * @param {string} source - Drill or scenario id (e.g. 'open-fold', 'bb-defense')
+ * @param {object} answer - { spot, position, hand, correct, credit, time }
+ *   credit (0-1) defaults to 1 for a correct answer and 0 otherwise; time is in ms
+ * @returns {boolean} Whether the log was saved
+ */
+export function logAnswer(source, answer) {
+  if (!source || !answer) {
+    console.error('Answer log entry needs a source');
+    return false;
+  }
+
+  const progress = loadProgress();
+  const credit = answer.credit !== undefined ? answer.credit : (answer.correct ? 1 : 0);
+
+  progress.answerLog.push({
+    date: Date.now(),
+    source,
+    spot: answer.spot || null,
+    position: answer.position || null,
+    hand: answer.hand || null,
+    credit,
+    time: Math.round(answer.time || 0)
+  });
+
+  if (progress.answerLog.length > MAX_ANSWER_LOG) {
+    progress.answerLog.splice(0, progress.answerLog.length - MAX_ANSWER_LOG);
+  }
+
+  return saveProgress(progress);
+}
+
+/**
+ * Get logged answers, optionally from one drill or scenario
+ */
+export function getAnswerLog(source = null) {
+  const progress = loadProgress();
+  return source
+    ? progress.answerLog.filter(entry => entry.source === source)
+    : progress.answerLog;
+}
+
+/**
+ * Empty the answer log
+ */
+export function clearAnswerLog() {
+  const progress = loadProgress();
+  progress.answerLog = [];
+  return saveProgress(progress);
+}
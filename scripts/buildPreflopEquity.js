@@ -0,0 +1,77 @@
+/**
+ * Build PREFLOP_EQUITY
+ * Reruns getEquityVsRandom for all 169 hand classes and writes the table back into
+ * js/data/equityCalculator.js. Each hand is simulated with its own seeded random
+ * source, so the same evaluator always produces the same table.
+ *
+ * Usage (from the repo root):
+ *   node scripts/buildPreflopEquity.js          Rewrite the table
+ *   node scripts/buildPreflopEquity.js --check  Compare only; exits 1 on any difference
+ *
+ * A full run takes about 20 minutes (200,000 trials for each of the 169 hands).
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { RANKS } from '../js/data/hands.js';
+import { getEquityVsRandom, PREFLOP_EQUITY } from '../js/data/equityCalculator.js';
+import { createRandom, seedFor } from './seededRandom.js';
+
+const TABLE_FILE = new URL('../js/data/equityCalculator.js', import.meta.url);
+const TRIALS = 200000;
+const SEED = 20240601;
+const PER_LINE = 5;
+
+// Hand groups in table order: pocket pairs, then suited and offsuit by high card
+function getGroups() {
+  const groups = [{ title: 'Pocket pairs', hands: RANKS.map(rank => rank + rank) }];
+
+  RANKS.slice(0, -1).forEach((high, i) => {
+    const kickers = RANKS.slice(i + 1);
+    groups.push({ title: `Suited ${high}x`, hands: kickers.map(low => `${high}${low}s`) });
+    groups.push({ title: `Offsuit ${high}x`, hands: kickers.map(low => `${high}${low}o`) });
+  });
+
+  return groups;
+}
+
+// Equity vs a random hand, rounded like the table
+function simulate(hand) {
+  const result = getEquityVsRandom(hand, { iterations: TRIALS, random: createRandom(seedFor(SEED, hand)) });
+  return Math.round(result.equity * 10) / 10;
+}
+
+// Table body in the file's layout: a comment per group, PER_LINE entries per line
+function formatTable(groups, equities) {
+  const blocks = groups.map(({ title, hands }) => {
+    const lines = [];
+    for (let i = 0; i < hands.length; i += PER_LINE) {
+      lines.push('  ' + hands.slice(i, i + PER_LINE).map(hand => `'${hand}': ${equities[hand].toFixed(1)}`).join(', '));
+    }
+    return `  // ${title}\n${lines.join(',\n')}`;
+  });
+
+  return `export const PREFLOP_EQUITY = {\n${blocks.join(',\n\n')}\n};`;
+}
+
+const check = process.argv.includes('--check');
+const groups = getGroups();
+const equities = {};
+
+for (const { hands } of groups) {
+  for (const hand of hands) {
+    equities[hand] = simulate(hand);
+    process.stderr.write(`${hand} ${equities[hand]}\n`);
+  }
+}
+
+if (check) {
+  const differences = Object.keys(equities).filter(hand => PREFLOP_EQUITY[hand] !== equities[hand]);
+  differences.forEach(hand => console.log(`${hand}: table ${PREFLOP_EQUITY[hand]}, engine ${equities[hand]}`));
+  console.log(differences.length === 0 ? 'PREFLOP_EQUITY matches the engine' : `${differences.length} entries differ`);
+  process.exit(differences.length === 0 ? 0 : 1);
+}
+
+const source = readFileSync(TABLE_FILE, 'utf8');
+const updated = source.replace(/export const PREFLOP_EQUITY = \{[\s\S]*?\n\};/, formatTable(groups, equities));
+writeFileSync(TABLE_FILE, updated);
+console.log('Wrote PREFLOP_EQUITY to js/data/equityCalculator.js');
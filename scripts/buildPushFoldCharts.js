@@ -0,0 +1,244 @@
+/**
+ * Build the push/fold charts
+ * Solves chip-EV Nash shove and call-vs-shove ranges for 6-max at 1-20BB and writes
+ * SHOVE_CHARTS and CALL_CHARTS back into js/data/pushFoldCharts.js.
+ *
+ * 1. Equity of every hand class against every other, sampled over RUNOUTS boards
+ *    with the app's evaluator (js/data/evaluator.js) and a seeded random source.
+ * 2. Fictitious play at each stack depth: every seat best-responds to the average
+ *    strategies so far, for ITERATIONS rounds. Model: folded to the shover, equal
+ *    effective stacks, blinds 0.5/1, no rake, only the first caller sees a showdown.
+ *    The BB ante format adds 1BB of dead money posted by the big blind.
+ * 3. A chart cell is the deepest stack at which the hand shoves (or calls) at least
+ *    half the time.
+ *
+ * Usage (from the repo root): node scripts/buildPushFoldCharts.js
+ * A full run takes 10-15 minutes.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { ALL_HANDS, RANKS, SUITS, getHandFromGrid } from '../js/data/hands.js';
+import { getHandValue } from '../js/data/evaluator.js';
+import { PUSH_FOLD_MIN_STACK, PUSH_FOLD_MAX_STACK, PUSH_FOLD_ANTES, SHOVE_POSITIONS, getCallerPositions } from '../js/data/pushFoldCharts.js';
+import { createRandom, seedFor } from './seededRandom.js';
+
+const CHART_FILE = new URL('../js/data/pushFoldCharts.js', import.meta.url);
+const RUNOUTS = 5000;
+const ITERATIONS = 300;
+const SEED = 20240602;
+
+// Chips each seat has posted before the shove (BB ante adds the ante to the BB)
+const BLINDS = { SB: 0.5, BB: 1 };
+const BB_ANTE = 1;
+
+const DECK = RANKS.flatMap(rank => SUITS.map(suit => ({ rank, suit })));
+const HAND_COUNT = ALL_HANDS.length;
+
+// Every two-card combo of a hand class, as indexes into DECK
+function getCombos(hand) {
+  const card = (rank, suit) => RANKS.indexOf(rank) * SUITS.length + suit;
+  const [high, low] = hand;
+  const combos = [];
+
+  for (let a = 0; a < SUITS.length; a++) {
+    for (let b = 0; b < SUITS.length; b++) {
+      const pair = hand.length === 2 && a < b;
+      const suited = hand[2] === 's' && a === b;
+      const offsuit = hand[2] === 'o' && a !== b;
+      if (pair || suited || offsuit) combos.push([card(high, a), card(low, b)]);
+    }
+  }
+
+  return combos;
+}
+
+const COMBOS = ALL_HANDS.map(getCombos);
+
+const overlaps = (a, b) => a[0] === b[0] || a[0] === b[1] || a[1] === b[0] || a[1] === b[1];
+
+// Average number of villain combos left per hero combo, for each pair of hand classes
+function buildComboCounts() {
+  return COMBOS.map(heroCombos => Float64Array.from(COMBOS, villainCombos => {
+    let compatible = 0;
+    heroCombos.forEach(hero => villainCombos.forEach(villain => {
+      if (!overlaps(hero, villain)) compatible++;
+    }));
+    return compatible / heroCombos.length;
+  }));
+}
+
+// Equity of each hand class against each other, sampled over RUNOUTS boards
+function buildEquityMatrix(comboCounts) {
+  const equity = ALL_HANDS.map(() => new Float64Array(HAND_COUNT));
+
+  for (let i = 0; i < HAND_COUNT; i++) {
+    for (let j = i; j < HAND_COUNT; j++) {
+      if (comboCounts[i][j] === 0) {
+        equity[i][j] = equity[j][i] = 0.5;
+        continue;
+      }
+
+      const random = createRandom(seedFor(SEED, `${ALL_HANDS[i]}|${ALL_HANDS[j]}`));
+      const pick = list => list[Math.floor(random() * list.length)];
+      let won = 0;
+
+      for (let runout = 0; runout < RUNOUTS;) {
+        const hero = pick(COMBOS[i]);
+        const villain = pick(COMBOS[j]);
+        if (overlaps(hero, villain)) continue;
+
+        const used = new Set([...hero, ...villain]);
+        const board = [];
+        while (board.length < 5) {
+          const card = Math.floor(random() * DECK.length);
+          if (used.has(card)) continue;
+          used.add(card);
+          board.push(DECK[card]);
+        }
+
+        const heroValue = getHandValue([DECK[hero[0]], DECK[hero[1]], ...board]);
+        const villainValue = getHandValue([DECK[villain[0]], DECK[villain[1]], ...board]);
+        won += heroValue > villainValue ? 1 : heroValue === villainValue ? 0.5 : 0;
+        runout++;
+      }
+
+      equity[i][j] = won / RUNOUTS;
+      equity[j][i] = 1 - won / RUNOUTS;
+    }
+
+    process.stderr.write(`equity ${i + 1}/${HAND_COUNT}\n`);
+  }
+
+  return equity;
+}
+
+// Each hand's equity against a range (hand frequencies) and the chance the range holds a hand
+function getRangeOdds(range, equity, comboCounts, totalCombos) {
+  const handEquity = new Float64Array(HAND_COUNT);
+  const hitChance = new Float64Array(HAND_COUNT);
+
+  for (let i = 0; i < HAND_COUNT; i++) {
+    let weightedEquity = 0;
+    let weight = 0;
+    for (let j = 0; j < HAND_COUNT; j++) {
+      const combos = range[j] * comboCounts[i][j];
+      if (!combos) continue;
+      weightedEquity += combos * equity[i][j];
+      weight += combos;
+    }
+    handEquity[i] = weight ? weightedEquity / weight : 0.5;
+    hitChance[i] = weight / totalCombos[i];
+  }
+
+  return { handEquity, hitChance };
+}
+
+// Average shove and call frequencies at one stack depth, by fictitious play
+function solve(stack, ante, equity, comboCounts, totalCombos) {
+  const posted = seat => Math.min((BLINDS[seat] || 0) + (seat === 'BB' && ante === 'bb' ? BB_ANTE : 0), stack);
+  const deadMoney = ['SB', 'BB'].reduce((sum, seat) => sum + posted(seat), 0);
+
+  const shove = {};
+  const call = {};
+  SHOVE_POSITIONS.forEach(shover => {
+    shove[shover] = new Float64Array(HAND_COUNT).fill(0.5);
+    getCallerPositions(shover).forEach(caller => {
+      call[`${caller}_vs_${shover}`] = new Float64Array(HAND_COUNT).fill(0.3);
+    });
+  });
+
+  for (let round = 1; round <= ITERATIONS; round++) {
+    const bestShove = {};
+    const bestCall = {};
+
+    SHOVE_POSITIONS.forEach(shover => {
+      const callers = getCallerPositions(shover);
+      const potWhenCalled = caller => 2 * stack + deadMoney - posted(shover) - posted(caller);
+
+      // Callers call when their equity against the shoving range beats the price
+      const { handEquity } = getRangeOdds(shove[shover], equity, comboCounts, totalCombos);
+      callers.forEach(caller => {
+        bestCall[`${caller}_vs_${shover}`] = Float64Array.from(handEquity, e =>
+          e * potWhenCalled(caller) - (stack - posted(caller)) > 0 ? 1 : 0);
+      });
+
+      // The shover wins the blinds when everyone folds, or plays the first caller
+      const callerOdds = callers.map(caller => getRangeOdds(call[`${caller}_vs_${shover}`], equity, comboCounts, totalCombos));
+      bestShove[shover] = new Float64Array(HAND_COUNT);
+      for (let i = 0; i < HAND_COUNT; i++) {
+        let reach = 1;
+        let value = 0;
+        callers.forEach((caller, c) => {
+          const { handEquity: vsCaller, hitChance } = callerOdds[c];
+          value += reach * hitChance[i] * (vsCaller[i] * potWhenCalled(caller) - stack + posted(shover));
+          reach *= 1 - hitChance[i];
+        });
+        value += reach * deadMoney;
+        bestShove[shover][i] = value > 0 ? 1 : 0;
+      }
+    });
+
+    // Move the average strategies toward this round's best responses
+    const step = 1 / (round + 1);
+    Object.keys(shove).forEach(key => shove[key].forEach((f, i) => { shove[key][i] = f + (bestShove[key][i] - f) * step; }));
+    Object.keys(call).forEach(key => call[key].forEach((f, i) => { call[key][i] = f + (bestCall[key][i] - f) * step; }));
+  }
+
+  return { shove, call };
+}
+
+// Deepest stack each hand plays at least half the time, by chart
+function getThresholds(solutions, kind) {
+  const keys = Object.keys(solutions[PUSH_FOLD_MIN_STACK][kind]);
+
+  return Object.fromEntries(keys.map(key => [key, ALL_HANDS.map((hand, i) => {
+    let deepest = 0;
+    for (let stack = PUSH_FOLD_MIN_STACK; stack <= PUSH_FOLD_MAX_STACK; stack++) {
+      if (solutions[stack][kind][key][i] >= 0.5) deepest = stack;
+    }
+    return deepest;
+  })]));
+}
+
+// A chart as the file's 13x13 grid string
+function formatGrid(thresholds) {
+  const rows = [];
+  for (let row = 0; row < 13; row++) {
+    const cells = [];
+    for (let col = 0; col < 13; col++) {
+      cells.push(String(thresholds[ALL_HANDS.indexOf(getHandFromGrid(row, col))]).padStart(2));
+    }
+    rows.push(`      ${cells.join(' ')}`);
+  }
+  return `\`\n${rows.join('\n')}\n    \``;
+}
+
+function formatCharts(name, charts) {
+  const antes = Object.keys(PUSH_FOLD_ANTES).map(ante => {
+    const entries = Object.entries(charts[ante]).map(([key, thresholds]) => `    ${key}: ${formatGrid(thresholds)}`);
+    return `  ${ante}: {\n${entries.join(',\n')}\n  }`;
+  });
+  return `const ${name} = {\n${antes.join(',\n')}\n};`;
+}
+
+const comboCounts = buildComboCounts();
+const totalCombos = comboCounts.map(row => row.reduce((sum, count) => sum + count, 0));
+const equity = buildEquityMatrix(comboCounts);
+
+const shoveCharts = {};
+const callCharts = {};
+Object.keys(PUSH_FOLD_ANTES).forEach(ante => {
+  const solutions = {};
+  for (let stack = PUSH_FOLD_MIN_STACK; stack <= PUSH_FOLD_MAX_STACK; stack++) {
+    solutions[stack] = solve(stack, ante, equity, comboCounts, totalCombos);
+    process.stderr.write(`solved ${ante} ${stack}BB\n`);
+  }
+  shoveCharts[ante] = getThresholds(solutions, 'shove');
+  callCharts[ante] = getThresholds(solutions, 'call');
+});
+
+const source = readFileSync(CHART_FILE, 'utf8')
+  .replace(/const SHOVE_CHARTS = \{[\s\S]*?\n\};/, formatCharts('SHOVE_CHARTS', shoveCharts))
+  .replace(/const CALL_CHARTS = \{[\s\S]*?\n\};/, formatCharts('CALL_CHARTS', callCharts));
+writeFileSync(CHART_FILE, source);
+console.log('Wrote SHOVE_CHARTS and CALL_CHARTS to js/data/pushFoldCharts.js');
@@ -0,0 +1,32 @@
+/**
+ * Seeded Random
+ * Reproducible random sources for the table builders in scripts/, so a rebuild with an
+ * unchanged evaluator writes the same numbers.
+ */
+
+/**
+ * Create a random source (Mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive a seed for one named item (a hand, a matchup) from a base seed
+ * Results then don't depend on the order items are run in.
+ * @param {number} seed - Base seed
+ * @param {string} name - Item name
+ * @returns {number} 32-bit seed
+ */
+export function seedFor(seed, name) {
+  return [...name].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), seed) >>> 0;
+}
@@ -0,0 +1,172 @@
+/**
+ * Service Worker
+ * Precaches the app shell so LibreGTO installs and runs offline.
+ *
+ * Bump CACHE_VERSION whenever a precached file changes: the browser sees a new sw.js,
+ * installs the new cache alongside the old one and waits. The page then shows an
+ * "update available" banner (js/pwa.js), and the old cache is deleted once the player
+ * takes the update. Add new js/ and css/ files to PRECACHE_URLS.
+ */
+
+const CACHE_VERSION = 16;
+const CACHE_PREFIX = 'libregto-';
+const APP_CACHE = `${CACHE_PREFIX}app-v${CACHE_VERSION}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts`; // Google Fonts, cached as they're first used
+
+// Font hosts (the stylesheet and the font files it points at)
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/apple-touch-icon.png',
+  'css/base.css',
+  'css/components.css',
+  'css/drills.css',
+  'css/fullhands.css',
+  'css/pages.css',
+  'css/scenarios.css',
+  'css/variables.css',
+  'js/app.js',
+  'js/components/ActionHistory.js',
+  'js/components/BoardDisplay.js',
+  'js/components/Countdown.js',
+  'js/components/DifficultySelector.js',
+  'js/components/DrillResults.js',
+  'js/components/ModeSelector.js',
+  'js/components/PlayingCard.js',
+  'js/components/PositionTableMini.js',
+  'js/components/PotDisplay.js',
+  'js/components/Quiz.js',
+  'js/components/RangeGrid.js',
+  'js/components/ScenarioDisplay.js',
+  'js/components/StackSelector.js',
+  'js/components/StreakCounter.js',
+  'js/components/TableFormatSelector.js',
+  'js/components/Timer.js',
+  'js/data/cbetStrategy.js',
+  'js/data/combinatorics.js',
+  'js/data/drawOdds.js',
+  'js/data/drillModes.js',
+  'js/data/equityCalculator.js',
+  'js/data/evaluator.js',
+  'js/data/handDifficulty.js',
+  'js/data/hands.js',
+  'js/data/preflopStrategy.js',
+  'js/data/pushFoldCharts.js',
+  'js/data/rangeNotation.js',
+  'js/data/ranges.js',
+  'js/data/scenarioDefinitions.js',
+  'js/data/scenarioRanges.js',
+  'js/data/turnRiverStrategy.js',
+  'js/drills/combosDrill.js',
+  'js/drills/equitySnapDrill.js',
+  'js/drills/handRankDrill.js',
+  'js/drills/index.js',
+  'js/drills/openFoldDrill.js',
+  'js/drills/outsDrill.js',
+  'js/drills/positionDrill.js',
+  'js/drills/potOddsDrill.js',
+  'js/drills/pushFoldDrill.js',
+  'js/drills/rangeCheckDrill.js',
+  'js/drills/reviewDrill.js',
+  'js/fullhands/HandEngine.js',
+  'js/fullhands/index.js',
+  'js/hotkeys.js',
+  'js/modules/equity.js',
+  'js/modules/handStrength.js',
+  'js/modules/position.js',
+  'js/modules/ranges.js',
+  'js/motion.js',
+  'js/pages/hotkeySettings.js',
+  'js/pages/methodology.js',
+  'js/pages/progressTransfer.js',
+  'js/pages/rangeEditor.js',
+  'js/pages/stats.js',
+  'js/pwa.js',
+  'js/router.js',
+  'js/scenarios/ScenarioEngine.js',
+  'js/scenarios/ScenarioRunner.js',
+  'js/scenarios/index.js',
+  'js/scenarios/postflopBoardTexture.js',
+  'js/scenarios/postflopCbet.js',
+  'js/scenarios/postflopTurnRiver.js',
+  'js/sound.js',
+  'js/storage.js',
+];
+
+self.addEventListener('install', (event) => {
+  // Skip the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(APP_CACHE).then(cache =>
+      cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== APP_CACHE && key !== FONT_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting worker to take over when the player accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Every page is the same shell; the route lives in the hash
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('index.html').then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+  );
+});
+
+// Answer from the cache straight away and refresh it in the background
+function staleWhileRevalidate(request, cacheName) {
+  return caches.open(cacheName).then(cache =>
+    cache.match(request).then(cached => {
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(() => cached);
+
+      return cached || network;
+    })
+  );
+}
@@ -1,4 +1,5 @@
 import { test, expect } from '@playwright/test';
+import { readFileSync, readdirSync } from 'fs';
 
 const BASE_URL = 'http://localhost:8080';
 
@@ -85,6 +86,56 @@ test.describe('Stage 1: Foundations', () => {
       await page.waitForTimeout(500);
     }
   });
+
+  test('ranges exercise imports range notation', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        stages: {
+          foundations: {
+            modules: { ranges: { unlocked: true } }
+          }
+        }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/module/ranges');
+    await page.waitForTimeout(500);
+    await page.locator('#start-exercise-btn').click();
+
+    await page.locator('#user-grid-container .range-notation__import').click();
+    await page.locator('#user-grid-container .range-notation__input').fill('22+, AKs:0.5');
+    await page.locator('#user-grid-container .range-notation__apply').click();
+
+    // 13 pairs plus a half-weighted AKs
+    await expect(page.locator('#user-hand-count')).toHaveText('14');
+    await expect(page.locator('#user-grid-container [data-hand="AKs"]')).toHaveClass(/range-grid__cell--mixed/);
+  });
+
+  test('range notation formats pair, kicker and connector runs that parse back the same', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const result = await page.evaluate(async () => {
+      const { parseRange, formatRange } = await import('/js/data/rangeNotation.js');
+      const roundTrip = text => {
+        const weights = parseRange(text);
+        const again = parseRange(formatRange(weights));
+        return Object.keys(weights).length === Object.keys(again).length
+          && Object.entries(weights).every(([hand, weight]) => again[hand] === weight);
+      };
+
+      return {
+        connectors: formatRange(['T9s', '98s', '87s']),
+        mixed: formatRange(parseRange('22+, A2s+, KTo+, JTo, T9o, 98o, 65s:0.5, 54s:0.5')),
+        roundTrips: ['22+, A2s+, KTo+, 76s-54s, AKs:0.5', 'KQs-32s, JTo-98o, K9s-Q8s', 'T9s:0.5, 98s:0.5'].every(roundTrip)
+      };
+    });
+
+    expect(result.connectors).toBe('T9s-87s');
+    expect(result.mixed).toBe('22+, A2s+, KTo+, JTo-98o, 65s:0.5, 54s:0.5');
+    expect(result.roundTrips).toBe(true);
+  });
 });
 
 test.describe('Stage 2: Drills', () => {
@@ -262,6 +313,45 @@ test.describe('Stage 2: Drills', () => {
     await expect(cards).toHaveCount(2);
   });
 
+  test('range-check edge-only difficulty deals hands on the edge of the range', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        stages: { drills: { unlocked: true, modules: { 'range-check': { unlocked: true } } } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drill/range-check');
+    await page.locator('.difficulty-selector__option[data-difficulty="edge"]').click();
+    await expect(page.locator('.difficulty-selector__note')).toContainText('edge of the range');
+    await page.locator('#start-drill-btn').click();
+    await expect(page.locator('#hand-display .playing-card')).toHaveCount(2, { timeout: 6000 });
+
+    const position = (await page.locator('#position-display').textContent()).trim();
+    const hand = (await page.locator('#hand-label').textContent()).trim();
+    const result = await page.evaluate(async ({ position, hand }) => {
+      const { getOpeningRangeForPosition } = await import('/js/data/ranges.js');
+      const { getBoundaryDistance, getAdaptiveBias } = await import('/js/data/handDifficulty.js');
+      return {
+        distance: getBoundaryDistance(getOpeningRangeForPosition(position), hand),
+        // Adaptive eases off on misses and leans into the edge on hits
+        adaptiveRamps: getAdaptiveBias(Array(10).fill(false)) < getAdaptiveBias([]) && getAdaptiveBias([]) < getAdaptiveBias(Array(10).fill(true)),
+        saved: JSON.parse(localStorage.getItem('libregto-progress')).settings.drillDifficulty
+      };
+    }, { position, hand });
+
+    expect(result.distance).toBe(1);
+    expect(result.adaptiveRamps).toBe(true);
+    expect(result.saved).toBe('edge');
+    expect(errors).toHaveLength(0);
+  });
+
   test('position-speed drill loads and starts without errors', async ({ page }) => {
     const errors = [];
     page.on('pageerror', err => {
@@ -296,6 +386,375 @@ test.describe('Stage 2: Drills', () => {
     const count = await optionBtns.count();
     expect(count).toBeGreaterThanOrEqual(2);
   });
+
+  test('table format setting changes the seats, charts and position questions', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 3,
+        stages: { drills: { unlocked: true, modules: { 'position-speed': { unlocked: true } } } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drill/position-speed');
+    await page.locator('.table-format-selector__option[data-format="9max"]').click();
+
+    const charts = await page.evaluate(async () => {
+      const { getOpeningRangeForPosition, getOpeningSeats } = await import('/js/data/ranges.js');
+      return {
+        saved: JSON.parse(localStorage.getItem('libregto-progress')).settings.tableFormat,
+        seats: ['heads-up', '6max', '9max'].map(format => getOpeningSeats(format).length),
+        utgTighterAtFullRing: getOpeningRangeForPosition('UTG', 100, '9max').size < getOpeningRangeForPosition('UTG', 100).size,
+        hijackPlaysLikeMp: getOpeningRangeForPosition('HJ', 100, '9max') === getOpeningRangeForPosition('MP', 100),
+        headsUpButton: getOpeningRangeForPosition('BTN', 100, 'heads-up').has('K2o')
+      };
+    });
+
+    expect(charts).toEqual({ saved: '9max', seats: [1, 5, 8], utgTighterAtFullRing: true, hijackPlaysLikeMp: true, headsUpButton: true });
+
+    await page.locator('#start-drill-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('.mini-table--9max .mini-table__seat')).toHaveCount(9);
+    expect(errors).toHaveLength(0);
+  });
+
+  test('review drill re-asks a missed hand', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        stages: { drills: { unlocked: true } },
+        review: {
+          items: {
+            'open-fold|BTN|K9o': {
+              key: 'open-fold|BTN|K9o',
+              source: 'open-fold',
+              spot: 'BTN',
+              hand: 'K9o',
+              position: 'BTN',
+              prompt: 'Should you open?',
+              options: [{ action: 'Open', label: 'OPEN' }, { action: 'Fold', label: 'FOLD' }],
+              correctAnswer: 'Open',
+              box: 0,
+              due: 0,
+              lapses: 1,
+              reps: 0,
+              lastSeen: 0
+            }
+          }
+        }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drills');
+    await expect(page.locator('#review-card')).toContainText('1 due');
+
+    await page.goto(BASE_URL + '/#/drill/review');
+    await page.locator('#start-drill-btn').click();
+    await page.locator('#review-actions [data-action="Open"]').click();
+
+    // A correct answer moves the hand to the next box
+    const item = await page.evaluate(() => JSON.parse(localStorage.getItem('libregto-progress')).review.items['open-fold|BTN|K9o']);
+    expect(item.box).toBe(1);
+
+    await expect(page.locator('.drill-results')).toBeVisible({ timeout: 3000 });
+    expect(errors).toHaveLength(0);
+  });
+
+  test('push-fold drill unlocks after open-fold and follows the Nash charts', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    // Saved before the drill existed: the migration unlocks it for open-fold passes
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 2,
+        stages: { drills: { unlocked: true, modules: { 'open-fold': { unlocked: true, completed: true } } } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drills');
+    await expect(page.locator('.drill-card', { hasText: 'Push/Fold' })).not.toHaveClass(/drill-card--locked/);
+
+    const charts = await page.evaluate(async () => {
+      const { isNashShove, isNashCall } = await import('/js/data/pushFoldCharts.js');
+      return {
+        sbK2o: [10, 12].map(stack => isNashShove('K2o', 'SB', stack)),
+        utgA9o: [10, 12].map(stack => isNashShove('A9o', 'UTG', stack)),
+        bbQ8oVsSb: [6, 16].map(stack => isNashCall('Q8o', 'SB', 'BB', stack)),
+        anteWidens: isNashShove('K9o', 'UTG', 6, 'bb') && !isNashShove('K9o', 'UTG', 6)
+      };
+    });
+
+    expect(charts.sbK2o).toEqual([true, false]);
+    expect(charts.utgA9o).toEqual([true, false]);
+    expect(charts.bbQ8oVsSb).toEqual([true, false]);
+    expect(charts.anteWidens).toBe(true);
+
+    // Calling spots played as a blitz: the drill's own mode and the run's mode stay apart
+    await page.goto(BASE_URL + '/#/drill/push-fold');
+    await page.locator('.push-fold-options__choice[data-value="call"]').click();
+    await page.locator('.mode-selector__option[data-mode="blitz"]').click();
+    await page.locator('#start-drill-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('#yes-btn')).toHaveText('CALL');
+    await expect(page.locator('.timer__time')).toHaveText(/^5\d$/);
+    await expect(page.locator('#stack-display')).toContainText('BB effective');
+    await expect(page.locator('#hand-display .playing-card')).toHaveCount(2);
+    expect(errors).toHaveLength(0);
+  });
+
+  test('pot odds drill prices draws by outs and grades the typed required equity', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    // Saved before the drill existed: the migration unlocks it for position-speed passes
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 3,
+        stages: { drills: { unlocked: true, modules: { 'position-speed': { unlocked: true, completed: true } } } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drills');
+    await expect(page.locator('.drill-card', { hasText: 'Pot Odds' })).not.toHaveClass(/drill-card--locked/);
+    await expect(page.locator('.drill-card', { hasText: 'Outs' })).not.toHaveClass(/drill-card--locked/);
+
+    const odds = await page.evaluate(async () => {
+      const { getOutsEquity, getRuleOfThumbEquity, getImpliedOddsNeeded } = await import('/js/data/drawOdds.js');
+      return {
+        flushDrawTwoCards: Math.round(getOutsEquity(9, 'flop', 2) * 10) / 10,
+        flushDrawOneCard: Math.round(getOutsEquity(9, 'turn') * 10) / 10,
+        ruleOfFour: getRuleOfThumbEquity(9, 2),
+        ruleOfTwo: getRuleOfThumbEquity(9, 1),
+        impliedNeeded: getImpliedOddsNeeded(15, 5, 20)
+      };
+    });
+
+    expect(odds).toEqual({ flushDrawTwoCards: 35, flushDrawOneCard: 19.6, ruleOfFour: 36, ruleOfTwo: 18, impliedNeeded: 5 });
+
+    await page.goto(BASE_URL + '/#/drill/pot-odds');
+    await page.locator('.pot-odds-options__choice[data-value="required-equity"]').click();
+    await page.locator('#start-drill-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('#call-fold-actions')).toBeHidden();
+    const [pot, bet] = (await page.locator('.pot-odds-spot__value').allTextContents()).map(text => parseFloat(text));
+    await page.locator('#equity-input').fill(((bet / (pot + bet * 2)) * 100).toFixed(1));
+    await page.locator('#equity-submit').click();
+
+    await expect(page.locator('#drill-feedback')).toHaveClass(/drill-feedback--correct/);
+    expect(errors).toHaveLength(0);
+  });
+
+  test('outs drill counts clean and discounted outs from the remaining deck', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    // Saved before the drill existed: the migration unlocks it for position-speed passes
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 4,
+        stages: { drills: { unlocked: true, modules: { 'position-speed': { unlocked: true, completed: true } } } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drills');
+    await expect(page.locator('.drill-card', { hasText: 'Outs' })).not.toHaveClass(/drill-card--locked/);
+
+    const outs = await page.evaluate(async () => {
+      const { countOuts, OUT_TARGETS } = await import('/js/data/drawOdds.js');
+      const { parseCards } = await import('/js/data/equityCalculator.js');
+      const count = (hand, board, target) => {
+        const result = countOuts(parseCards(hand), parseCards(board), OUT_TARGETS[target].category);
+        return [result.outs.length, result.clean.length];
+      };
+
+      return {
+        nutFlushDraw: count('AhQh', 'Kh7h2c', 'flush'),
+        openEnder: count('9s8d', 'Th7c2d', 'straight'),
+        openEnderTwoTone: count('9s8d', 'Th7c2h', 'straight'),
+        comboDraw: count('9h8h', 'Th7h2d', 'straight'),
+        madeStraight: count('9s8d', 'Th7c2dJs', 'straight'),
+        pocketPairTwoPair: count('7s7d', 'Kh8c2d', 'two-pair'),
+        topPairTwoPair: count('AsKd', 'Ah7c2d', 'two-pair'),
+        setToFullHouse: count('7s7d', '7hKc2d', 'full-house')
+      };
+    });
+
+    expect(outs).toEqual({
+      nutFlushDraw: [9, 8],
+      openEnder: [8, 8],
+      openEnderTwoTone: [8, 6],
+      comboDraw: [15, 14],
+      madeStraight: [0, 0],
+      // A card that pairs the board gives everyone that pair, so it isn't an out to two pair
+      pocketPairTwoPair: [2, 2],
+      topPairTwoPair: [5, 3],
+      setToFullHouse: [7, 1]
+    });
+
+    await page.goto(BASE_URL + '/#/drill/outs');
+    await page.locator('#start-drill-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('#hand-display .playing-card')).toHaveCount(2);
+    expect(await page.locator('#board-cards .playing-card').count()).toBeGreaterThanOrEqual(3);
+    await expect(page.locator('#prompt-display')).toContainText('outs to');
+
+    await page.locator('.equity-options__btn').first().click();
+    await expect(page.locator('#drill-feedback')).toContainText('clean');
+    expect(errors).toHaveLength(0);
+  });
+
+  test('combos drill counts combos left after board cards and blockers', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    // Saved before the drill existed: the migration unlocks it for pot-odds passes
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 5,
+        stages: { drills: { unlocked: true, modules: { 'pot-odds': { unlocked: true, completed: true } } } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/drills');
+    await expect(page.locator('.drill-card', { hasText: 'Combos' })).not.toHaveClass(/drill-card--locked/);
+
+    const combos = await page.evaluate(async () => {
+      const { countCombos, getValueRange } = await import('/js/data/combinatorics.js');
+      const { parseCards } = await import('/js/data/equityCalculator.js');
+      const board = parseCards('As7d2c');
+
+      return {
+        handTypes: ['QQ', 'JTs', 'AKo', 'AK'].map(hand => countCombos([hand]).total),
+        akOnBoard: countCombos(['AK'], board).remaining,
+        setsOnBoard: countCombos(['77'], board).remaining,
+        valueRange: getValueRange(board),
+        valueCombos: countCombos(getValueRange(board), board).remaining,
+        blockedByAce: countCombos(getValueRange(board), [...board, ...parseCards('AhKd')]).remaining
+      };
+    });
+
+    expect(combos).toEqual({
+      handTypes: [6, 4, 12, 16],
+      akOnBoard: 12,
+      setsOnBoard: 3,
+      valueRange: ['AA', '77', '22', 'A7', 'A2', '72', 'AK'],
+      valueCombos: 48,
+      blockedByAce: 34
+    });
+
+    await page.goto(BASE_URL + '/#/drill/combos');
+    await page.locator('#start-drill-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('#prompt-display')).toContainText('combos');
+    await expect(page.locator('.equity-options__btn')).toHaveCount(4);
+
+    await page.locator('.equity-options__btn').first().click();
+    await expect(page.locator('#drill-feedback')).toContainText('combos');
+    expect(errors).toHaveLength(0);
+  });
+
+  test('drills answer from the keyboard with hotkeys rebound in settings', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    // Move "left hand" to L; Esc still quits
+    await page.goto(BASE_URL + '/#/settings');
+    const leftKey = page.locator('.hotkey-settings__key[data-action="left"]');
+    await expect(leftKey).toHaveText('←');
+    await leftKey.click();
+    await page.keyboard.press('l');
+    await expect(page.locator('.hotkey-settings__key[data-action="left"]')).toHaveText('L');
+
+    const hotkeys = await page.evaluate(() => JSON.parse(localStorage.getItem('libregto-progress')).settings.hotkeys);
+    expect(hotkeys.left).toBe('l');
+
+    await page.goto(BASE_URL + '/#/drill/hand-ranking');
+    await page.locator('#start-drill-btn').click();
+    await page.waitForTimeout(4500);
+
+    // The old key does nothing, the new one answers
+    await page.keyboard.press('ArrowLeft');
+    await expect(page.locator('#drill-feedback')).toHaveClass('drill-feedback');
+    await page.keyboard.press('l');
+    await expect(page.locator('#drill-feedback')).toHaveClass(/drill-feedback--(correct|wrong)/);
+    await expect(page.locator('#left-choice')).toBeDisabled();
+
+    await page.keyboard.press('Escape');
+    await expect(page).toHaveURL(/#\/drills$/);
+    expect(errors).toHaveLength(0);
+  });
+
+  test('drill modes: blitz runs on a 60s clock, sudden death ends on the first miss', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL + '/#/drill/hand-ranking');
+    await page.locator('.mode-selector__option[data-mode="blitz"]').click();
+    await expect(page.locator('.mode-selector__note')).toContainText('60 seconds');
+    await page.locator('#start-drill-btn').click();
+    await expect(page.locator('.timer__time')).toHaveText('1:00');
+    await page.locator('#quit-drill').click();
+
+    // The picked mode is remembered
+    await page.goto(BASE_URL + '/#/drill/hand-ranking');
+    await expect(page.locator('.mode-selector__option--active')).toHaveText('Blitz');
+    await page.locator('.mode-selector__option[data-mode="sudden-death"]').click();
+    await page.locator('#start-drill-btn').click();
+    await expect(page.locator('#drill-lives .drill-header__life')).toHaveCount(1);
+
+    // Always pick the left hand until a miss ends the run
+    const results = page.locator('.drill-results');
+    for (let i = 0; i < 150 && await results.count() === 0; i++) {
+      const left = page.locator('#left-choice:not([disabled])');
+      if (await left.count()) await left.click();
+      await page.waitForTimeout(200);
+    }
+    await expect(page.locator('.drill-results__title')).toHaveText('Run Over!');
+    await expect(page.locator('.drill-results__message')).toContainText('correct in Sudden Death');
+    await expect(page.locator('.drill-results__badge')).toHaveCount(0);
+
+    // Kept apart from the classic record, so it can't pass the drill
+    const progress = await page.evaluate(() => JSON.parse(localStorage.getItem('libregto-progress')));
+    const drill = progress.stages.drills.modules['hand-ranking'];
+    expect(drill.attempts).toBe(0);
+    expect(drill.completed).toBe(false);
+    expect(drill.modeBests['sudden-death'].attempts).toBe(1);
+    expect(progress.settings.drillMode).toBe('sudden-death');
+    expect(errors).toHaveLength(0);
+  });
 });
 
 test.describe('Stage 3: Scenarios', () => {
@@ -425,6 +884,41 @@ test.describe('Stage 3: Scenarios', () => {
     expect(count).toBeGreaterThanOrEqual(2);
   });
 
+  test('bb-defense feedback shows the range chart', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        stages: {
+          scenarios: {
+            unlocked: true,
+            modules: { 'bb-defense': { unlocked: true } }
+          }
+        }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/scenario/bb-defense');
+    await page.waitForTimeout(500);
+    await page.locator('#start-scenario-btn').click();
+    await page.waitForTimeout(4500);
+
+    await page.locator('.scenario-decision-btn').first().click();
+    await page.waitForTimeout(500);
+
+    await expect(page.locator('.scenario-feedback__range-grid .range-grid')).toBeVisible();
+    // Mixed hands (e.g. A5s vs BTN/CO) are drawn as split cells
+    const mixedCells = await page.locator('.scenario-feedback__range-grid .range-grid__cell--mixed').count();
+    expect(mixedCells).toBeGreaterThan(0);
+
+    expect(errors).toHaveLength(0);
+  });
+
   test('3bet-value scenario loads and starts', async ({ page }) => {
     const errors = [];
     page.on('pageerror', err => {
@@ -589,6 +1083,282 @@ test.describe('Stage 3: Scenarios', () => {
     expect(cardCount).toBe(3); // Flop = 3 cards
   });
 
+  test('c-bet scenario deals a flop and grades by texture, position and SPR', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 3,
+        stages: {
+          scenarios: {
+            unlocked: true,
+            modules: { 'cbet': { unlocked: true } }
+          }
+        }
+      }));
+    });
+
+    const heuristics = await page.evaluate(async () => {
+      const { classifyPostflopHand, getCbetAction, gradeCbetAnswer } = await import('/js/data/cbetStrategy.js');
+      const { parseCards } = await import('/js/data/equityCalculator.js');
+      const board = parseCards('Kh7c2d');
+
+      return {
+        topPair: classifyPostflopHand(parseCards('AsKd'), board),
+        underpair: classifyPostflopHand(parseCards('9h9d'), board),
+        flushDraw: classifyPostflopHand(parseCards('Ah5h'), parseCards('Kh7h2d')),
+        dryAirInPosition: getCbetAction({ texture: 'dry', inPosition: true, handClass: 'air', sprCategory: 'very-deep' }).action,
+        wetAirOutOfPosition: getCbetAction({ texture: 'wet', inPosition: false, handClass: 'air', sprCategory: 'very-deep' }).action,
+        lowSprStrong: getCbetAction({ texture: 'dry', inPosition: true, handClass: 'strong', sprCategory: 'medium' }).action,
+        wrongSizeCredit: gradeCbetAnswer('Bet 33%', 'Bet 75%').credit
+      };
+    });
+
+    expect(heuristics).toEqual({
+      topPair: 'strong',
+      underpair: 'medium',
+      flushDraw: 'draw',
+      dryAirInPosition: 'Bet 33%',
+      wetAirOutOfPosition: 'Check',
+      lowSprStrong: 'Bet 75%',
+      wrongSizeCredit: 0.5
+    });
+
+    await page.goto(BASE_URL + '/#/scenario/cbet');
+    await page.locator('#start-scenario-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('#board-cards .playing-card')).toHaveCount(3);
+    await expect(page.locator('#hero-hand .playing-card')).toHaveCount(2);
+    await expect(page.locator('.scenario-decision-btn')).toHaveCount(3);
+
+    await page.locator('.scenario-decision-btn[data-action="Check"]').click();
+    await expect(page.locator('.scenario-feedback__explanation')).toContainText('SPR');
+    await expect(page.locator('.scenario-feedback__explanation')).toContainText(/dry|wet|paired|monotone/i);
+
+    expect(errors).toHaveLength(0);
+  });
+
+  test('turn and river scenario shows every street and compares required vs actual equity', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 3,
+        stages: {
+          scenarios: {
+            unlocked: true,
+            modules: { 'turn-river': { unlocked: true } }
+          }
+        }
+      }));
+    });
+
+    const heuristics = await page.evaluate(async () => {
+      const { getBluffShare, getBarrelAction, getBluffCatchAction } = await import('/js/data/turnRiverStrategy.js');
+
+      return {
+        potSizedBluffShare: Math.round(getBluffShare(1) * 1000) / 1000,
+        value: getBarrelAction({ street: 'river', handClass: 'strong', equityWhenCalled: 70, foldShare: 10, requiredFolds: 43 }).action,
+        turnSemiBluff: getBarrelAction({ street: 'turn', handClass: 'draw', equityWhenCalled: 30, foldShare: 10, requiredFolds: 43 }).action,
+        riverBluff: getBarrelAction({ street: 'river', handClass: 'air', equityWhenCalled: 0, foldShare: 50, requiredFolds: 43 }).action,
+        riverGiveUp: getBarrelAction({ street: 'river', handClass: 'air', equityWhenCalled: 0, foldShare: 20, requiredFolds: 43 }).action,
+        goodCall: getBluffCatchAction(35, 30).action,
+        badCall: getBluffCatchAction(25, 30).action
+      };
+    });
+
+    expect(heuristics).toEqual({
+      potSizedBluffShare: 0.333,
+      value: 'Bet',
+      turnSemiBluff: 'Bet',
+      riverBluff: 'Bet',
+      riverGiveUp: 'Check',
+      goodCall: 'Call',
+      badCall: 'Fold'
+    });
+
+    await page.goto(BASE_URL + '/#/scenario/turn-river');
+    await page.locator('#start-scenario-btn').click();
+    await page.waitForTimeout(4500);
+
+    await expect(page.locator('.action-history__street').first()).toContainText('Preflop');
+    expect(await page.locator('.action-history__street').count()).toBeGreaterThanOrEqual(3);
+    await expect(page.locator('#hero-hand .playing-card')).toHaveCount(2);
+    await expect(page.locator('.scenario-decision-btn')).toHaveCount(2);
+
+    await page.locator('.scenario-decision-btn').first().click();
+    await expect(page.locator('.scenario-feedback__equity')).toBeVisible();
+    await expect(page.locator('.scenario-feedback__explanation')).toContainText('%');
+
+    expect(errors).toHaveLength(0);
+  });
+
+  test('data-defined scenario plays through the generic runner', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 2,
+        stages: { scenarios: { unlocked: true } }
+      }));
+    });
+
+    // Listed on the hub alongside the hand-written scenarios
+    await page.goto(BASE_URL + '/#/scenarios');
+    await page.waitForTimeout(500);
+    await expect(page.locator('.scenario-card[data-scenario="utg-vs-3bet"]')).toBeVisible();
+
+    await page.goto(BASE_URL + '/#/scenario/utg-vs-3bet');
+    await page.waitForTimeout(500);
+    await page.locator('#start-scenario-btn').click();
+    await page.waitForTimeout(4500);
+
+    // 4-bet / Call / Fold, with the prompt filled in from the spot
+    await expect(page.locator('.scenario-decision-btn')).toHaveCount(3);
+    await expect(page.locator('.scenario-question__prompt')).toContainText('You opened UTG');
+
+    await page.locator('.scenario-decision-btn').first().click();
+    await page.waitForTimeout(500);
+    await expect(page.locator('.scenario-feedback__range-grid .range-grid')).toBeVisible();
+
+    expect(errors).toHaveLength(0);
+  });
+
+  test('preflop scenarios written as data keep their tiers and thresholds', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const result = await page.evaluate(async () => {
+      localStorage.clear();
+      const { SCENARIO_DEFINITIONS } = await import('/js/data/scenarioDefinitions.js');
+      const { getScenarioOrder, getScenarioThreshold, isScenarioUnlocked, loadProgress, saveProgress } = await import('/js/storage.js');
+
+      const progress = loadProgress();
+      progress.stages.scenarios.unlocked = true;
+      saveProgress(progress);
+
+      const order = getScenarioOrder();
+      return {
+        defined: ['defend-3bet', 'bb-defense', '3bet-value', 'sb-3bet-fold', 'cold-4bet'].every(id => SCENARIO_DEFINITIONS[id]),
+        order,
+        unique: new Set(order).size === order.length,
+        thresholds: ['defend-3bet', 'cold-4bet'].map(getScenarioThreshold),
+        unlocked: ['sb-3bet-fold', 'cold-4bet'].map(isScenarioUnlocked)
+      };
+    });
+
+    expect(result.defined).toBe(true);
+    expect(result.order.slice(0, 5)).toEqual(['defend-3bet', 'bb-defense', '3bet-value', 'sb-3bet-fold', 'cold-4bet']);
+    expect(result.unique).toBe(true);
+    expect(result.thresholds).toEqual([75, 70]);
+    expect(result.unlocked).toEqual([true, false]);
+  });
+
+  test('preflop strategy library covers every node', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const result = await page.evaluate(async () => {
+      const { getPreflopStrategy, getPreflopSpots } = await import('/js/data/preflopStrategy.js');
+      const act = (position, action) => ({ position, action });
+      const describe = strategy => strategy && `${strategy.title}: ${strategy.actions.join('/')}`;
+
+      return {
+        counts: ['rfi', 'vs-open', 'vs-3bet', 'vs-4bet', 'vs-squeeze', 'limped'].map(node => getPreflopSpots(node).length),
+        rfi: describe(getPreflopStrategy('SB', [])),
+        vsOpen: describe(getPreflopStrategy('BTN', [act('CO', 'open')])),
+        vs3bet: describe(getPreflopStrategy('UTG', [act('UTG', 'open'), act('BB', '3bet')])),
+        vs4bet: describe(getPreflopStrategy('BB', [act('SB', 'open'), act('BB', '3bet'), act('SB', '4bet')])),
+        squeeze: describe(getPreflopStrategy('CO', [act('CO', 'open'), act('BTN', 'call'), act('BB', '3bet')])),
+        limped: describe(getPreflopStrategy('BB', [act('SB', 'limp')])),
+        walk: getPreflopStrategy('BB', [])
+      };
+    });
+
+    expect(result.counts).toEqual([5, 15, 15, 15, 10, 2]);
+    expect(result.rfi).toBe('SB Open: Open/Limp/Fold');
+    expect(result.vsOpen).toBe('BTN vs CO Open: 3-bet/Call/Fold');
+    expect(result.vs3bet).toBe('UTG vs BB 3-Bet: 4-bet/Call/Fold');
+    expect(result.vs4bet).toBe('BB vs SB 4-Bet: 5-bet/Call/Fold');
+    expect(result.squeeze).toBe('CO vs BB Squeeze: 4-bet/Call/Fold');
+    expect(result.limped).toBe('BB vs SB Limp: Raise/Check');
+    expect(result.walk).toBeNull();
+  });
+
+  test('mixed hands grade by frequency and empty mixes fall back to the rest action', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const result = await page.evaluate(async () => {
+      const { getCorrectAction, gradeAction } = await import('/js/data/scenarioRanges.js');
+      const rangeData = { rest: 'check', raise: ['AA'], mixed: { KQs: { raise: 0.6, check: 0.4 }, J9s: { raise: 0 }, T8s: {} } };
+
+      return {
+        mixedCredit: [gradeAction('Raise', 'KQs', rangeData).credit, gradeAction('Check', 'KQs', rangeData).credit],
+        allZero: gradeAction('Check', 'J9s', rangeData),
+        empty: getCorrectAction('T8s', rangeData)
+      };
+    });
+
+    expect(result.mixedCredit).toEqual([1, 0.67]);
+    expect(result.allZero.correctAnswer).toBe('Check');
+    expect(result.allZero.credit).toBe(1);
+    expect(result.empty).toBe('Check');
+  });
+
+  test('stack depth selector changes the charts and the pot display', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 2,
+        stages: { scenarios: { unlocked: true } }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/scenario/bb-defense');
+    await page.waitForTimeout(500);
+    await page.locator('.stack-selector__option[data-depth="20"]').click();
+
+    const charts = await page.evaluate(async () => {
+      const { getOpeningRangeForPosition } = await import('/js/data/ranges.js');
+      const { getPreflopNode } = await import('/js/data/preflopStrategy.js');
+      const { getCorrectAction } = await import('/js/data/scenarioRanges.js');
+      const bbVsBtn = depth => getPreflopNode('vs-open', 'BB_vs_BTN', depth).rangeData;
+
+      return {
+        saved: JSON.parse(localStorage.getItem('libregto-progress')).settings.stackDepth,
+        utgOpensA9s: [20, 100].map(depth => getOpeningRangeForPosition('UTG', depth).has('A9s')),
+        bbWith99: [20, 100].map(depth => getCorrectAction('99', bbVsBtn(depth)))
+      };
+    });
+
+    expect(charts.saved).toBe(20);
+    expect(charts.utgOpensA9s).toEqual([true, false]);
+    expect(charts.bbWith99).toEqual(['3-bet', 'Call']);
+
+    // The pot display starts from the chosen stack (20BB less the big blind)
+    await page.locator('#start-scenario-btn').click();
+    await page.waitForTimeout(4500);
+    await expect(page.locator('.pot-display__value--stack')).toContainText('19');
+
+    expect(errors).toHaveLength(0);
+  });
+
   test('methodology page loads', async ({ page }) => {
     const errors = [];
     page.on('pageerror', err => {
@@ -611,6 +1381,381 @@ test.describe('Stage 3: Scenarios', () => {
   });
 });
 
+test.describe('Stage 4: Full Hands', () => {
+  test('full hands shows locked state before scenarios are complete', async ({ page }) => {
+    await page.goto(BASE_URL + '/#/full-hands');
+    await page.waitForTimeout(500);
+
+    await expect(page.locator('.scenario-locked')).toBeVisible();
+  });
+
+  test('full hands deals a hand and grades a decision', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        stages: {
+          'full-hands': { unlocked: true }
+        }
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/full-hands');
+    await page.waitForTimeout(500);
+
+    const startBtn = page.locator('#start-hands-btn');
+    await expect(startBtn).toBeVisible();
+    await startBtn.click();
+
+    // Hero's hole cards and at least two decisions are shown
+    await expect(page.locator('#hero-hand .playing-card')).toHaveCount(2);
+    const decisionBtns = page.locator('.scenario-decision-btn');
+    expect(await decisionBtns.count()).toBeGreaterThanOrEqual(2);
+
+    await decisionBtns.first().click();
+    await expect(page.locator('.scenario-feedback')).toBeVisible();
+
+    // Preflop decisions grade against the strategy's frequencies, like the scenarios
+    const graded = await page.evaluate(async () => {
+      const { HandEngine } = await import('/js/fullhands/HandEngine.js');
+      const engine = new HandEngine({ id: 'play-hands', totalHands: 10 });
+      engine.start();
+
+      // TT on the BTN vs a CO open 3-bets 40% and calls 60%
+      Object.assign(engine.hand, { heroPosition: 'BTN', villainPosition: 'CO', spot: 'vs-open' });
+      engine.hand.players.BTN.hand = 'TT';
+      engine.hand.players.CO.folded = false;
+      engine.hand.pending = engine.buildPreflopDecision();
+
+      const result = engine.submitDecision('3-bet');
+      return { isCorrect: result.isCorrect, credit: result.credit, accuracy: engine.getFinalStats().accuracy };
+    });
+
+    expect(graded).toEqual({ isCorrect: false, credit: 0.67, accuracy: 67 });
+
+    if (errors.length > 0) {
+      console.log('Full hands errors:', errors);
+    }
+
+    expect(errors).toHaveLength(0);
+  });
+});
+
+test.describe('Equity engine', () => {
+  test('computes hand vs hand, board, dead card and range equity from real cards', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const equity = await page.evaluate(async () => {
+      const { getHandVsHandEquity, getHandVsRangeEquity, getEquityVsRandom, getEquity, getHandStrength, PREFLOP_EQUITY } = await import('/js/data/equityCalculator.js');
+      const round = result => Math.round(result.equity * 100) / 100;
+
+      const preflop = getHandVsHandEquity('AhKh', 'QsQd', { iterations: 20000 });
+      const turn = getHandVsHandEquity('AhKh', 'QsQd', { board: 'Qh7h2c5d' });
+      const turnDead = getHandVsHandEquity('AhKh', 'QsQd', { board: 'Qh7h2c5d', deadCards: '3h4h' });
+      const vsRange = getHandVsRangeEquity('AhAd', ['KK', 'QQ'], { iterations: 20000 });
+      const flopVsRange = getHandVsRangeEquity('AhAd', ['KK', 'QQ'], { board: 'Kc7s2d' });
+
+      return {
+        preflop: preflop.equity,
+        turn: [round(turn), turn.exact, turn.samples],
+        turnDead: [round(turnDead), turnDead.samples],
+        vsRange: vsRange.equity,
+        flopVsRange: [round(flopVsRange), flopVsRange.exact],
+        cachedAKo: getEquity('AKo'),
+        engineAKo: getEquityVsRandom('AKo', { iterations: 20000 }).equity,
+        specificCards: getEquity('AhKd') === PREFLOP_EQUITY.AKo,
+        vsVillain: getEquity('AhKh', { villain: 'QsQd', iterations: 20000 }),
+        unknown: [getEquity('ZZ'), getHandStrength('ZZ')]
+      };
+    });
+
+    // AhKh vs QsQd is a coin flip the pair slightly leads
+    expect(equity.preflop).toBeGreaterThan(44);
+    expect(equity.preflop).toBeLessThan(48);
+
+    // Turn Qh7h2c5d: 9 hearts left, but 2h and 5h fill villain up (7/44); two dead hearts leave 5/42
+    expect(equity.turn).toEqual([15.91, true, 44]);
+    expect(equity.turnDead).toEqual([11.9, 42]);
+
+    expect(equity.vsRange).toBeGreaterThan(80);
+    expect(equity.vsRange).toBeLessThan(84.5);
+    expect(equity.flopVsRange).toEqual([63.94, true]);
+
+    // The preflop table is only a cache of the engine; there's no default for unknown hands
+    expect(Math.abs(equity.cachedAKo - equity.engineAKo)).toBeLessThan(1.5);
+    expect(equity.specificCards).toBe(true);
+    expect(equity.vsVillain).toBeGreaterThan(44);
+    expect(equity.vsVillain).toBeLessThan(48);
+    expect(equity.unknown).toEqual([null, null]);
+  });
+});
+
+test.describe('Range Editor', () => {
+  test('saves a custom range and uses it in drills', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL + '/#/ranges/edit');
+    await page.waitForTimeout(500);
+
+    await page.locator('#range-name').fill('Tight BTN');
+    await page.locator('#range-position').selectOption('BTN');
+    await page.locator('#editor-grid-container .range-notation__import').click();
+    await page.locator('#editor-grid-container .range-notation__input').fill('TT+, AQs+');
+    await page.locator('#editor-grid-container .range-notation__apply').click();
+    await page.locator('#save-range-btn').click();
+
+    const item = page.locator('.range-editor__item');
+    await expect(item).toHaveCount(1);
+    await expect(item.locator('.range-editor__item-notation')).toHaveText('TT+, AQs+');
+
+    await item.locator('[data-action="activate"]').check();
+    await page.locator('#use-custom-toggle').check();
+
+    const customRanges = await page.evaluate(() => JSON.parse(localStorage.getItem('libregto-progress')).customRanges);
+    expect(customRanges.useInDrills).toBe(true);
+    expect(Object.keys(customRanges.active)).toEqual(['BTN']);
+
+    // Custom ranges are 6-max charts: a heads-up run quizzes and labels the heads-up chart instead
+    await page.evaluate(() => {
+      const progress = JSON.parse(localStorage.getItem('libregto-progress'));
+      progress.stages.drills.unlocked = true;
+      progress.stages.drills.modules['range-check'] = { unlocked: true };
+      localStorage.setItem('libregto-progress', JSON.stringify(progress));
+    });
+
+    await page.goto(BASE_URL + '/#/drill/range-check');
+    await page.locator('.table-format-selector__option[data-format="heads-up"]').click();
+    await page.locator('#start-drill-btn').click();
+    await expect(page.locator('#hand-display .playing-card')).toHaveCount(2, { timeout: 6000 });
+
+    const hand = (await page.locator('#hand-label').textContent()).trim();
+    const inRange = await page.evaluate(async (hand) => {
+      const { getOpeningRangeForPosition } = await import('/js/data/ranges.js');
+      return getOpeningRangeForPosition('BTN', 100, 'heads-up').has(hand);
+    }, hand);
+
+    await page.locator(inRange ? '#no-btn' : '#yes-btn').click();
+    await expect(page.locator('.range-preview__title')).toHaveText('Opening Range (100BB Heads-up)');
+
+    expect(errors).toHaveLength(0);
+  });
+});
+
+test.describe('Stats', () => {
+  test('stats page shows the accuracy heatmap and breakdowns', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', err => {
+      errors.push(err.message);
+    });
+
+    await page.goto(BASE_URL);
+    await page.evaluate(() => {
+      const day = 24 * 60 * 60 * 1000;
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        answerLog: [
+          { date: Date.now() - day, source: 'open-fold', spot: 'BTN', position: 'BTN', hand: 'K9o', credit: 0, time: 2500 },
+          { date: Date.now() - day, source: 'open-fold', spot: 'BTN', position: 'BTN', hand: 'K9o', credit: 1, time: 1500 },
+          { date: Date.now(), source: 'bb-defense', spot: 'vs_BTN', position: 'BB', hand: 'AA', credit: 1, time: 800 }
+        ]
+      }));
+    });
+
+    await page.goto(BASE_URL + '/#/stats');
+    await expect(page.locator('#stats-total')).toHaveText('3');
+    await expect(page.locator('#stats-accuracy')).toHaveText('67%');
+    await expect(page.locator('#stats-heatmap [data-hand="K9o"]')).toHaveClass(/range-grid__cell--heat/);
+    await expect(page.locator('#stats-positions .stats-bars__row')).toHaveCount(2);
+    await expect(page.locator('#stats-trend .stats-chart__column')).toHaveCount(2);
+
+    await page.locator('#stats-source').selectOption('bb-defense');
+    await expect(page.locator('#stats-total')).toHaveText('1');
+
+    expect(errors).toHaveLength(0);
+  });
+});
+
+test.describe('Progress migrations', () => {
+  // Load a fixture blob from tests/fixtures and run it through storage.js in the page
+  async function importFixture(page, name) {
+    return page.evaluate(async (fixture) => {
+      const storage = await import('/js/storage.js');
+      const text = await (await fetch(`/tests/fixtures/${fixture}`)).text();
+      return { imported: storage.importProgress(text), progress: storage.loadProgress() };
+    }, name);
+  }
+
+  test('version 1 progress migrates without losing scores', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const { imported, progress } = await importFixture(page, 'progress-v1.json');
+
+    expect(imported).toBe(true);
+    expect(progress.version).toBe(6);
+    expect(progress.stages.foundations.modules.ranges.bestScore).toBe(82);
+    expect(progress.stages.drills.modules['open-fold'].attempts).toBe(2);
+    expect(progress.stages.drills.modules['push-fold'].unlocked).toBe(false);
+    expect(progress.stages.drills.achievements).toEqual(['on-fire']);
+    expect(progress.settings.soundEnabled).toBe(false);
+    expect(progress.customRanges.ranges).toEqual({});
+    expect(progress.answerLog).toEqual([]);
+  });
+
+  test('unversioned progress is treated as version 1', async ({ page }) => {
+    await page.goto(BASE_URL);
+
+    const { imported, progress } = await importFixture(page, 'progress-unversioned.json');
+
+    expect(imported).toBe(true);
+    expect(progress.version).toBe(6);
+    expect(progress.stages.foundations.modules['hand-strength'].bestScore).toBe(80);
+    expect(progress.stats.bestStreak).toBe(5);
+  });
+
+  test('import rejects malformed or newer progress and keeps the old data', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await importFixture(page, 'progress-v1.json');
+
+    const results = await page.evaluate(async () => {
+      const storage = await import('/js/storage.js');
+      return {
+        newer: storage.importProgress(JSON.stringify({ version: 99 })),
+        badStages: storage.importProgress(JSON.stringify({ stages: [] })),
+        badLog: storage.importProgress(JSON.stringify({ answerLog: {} })),
+        notJson: storage.importProgress('not json'),
+        bestScore: storage.loadProgress().stages.foundations.modules.ranges.bestScore
+      };
+    });
+
+    expect(results).toEqual({ newer: false, badStages: false, badLog: false, notJson: false, bestScore: 82 });
+  });
+
+  test('settings toggles sound effects and reduced motion', async ({ page }) => {
+    await page.goto(BASE_URL + '/#/settings');
+    await expect(page.locator('html')).not.toHaveClass(/reduce-motion/);
+
+    const playsSound = () => page.evaluate(async () => {
+      const { playSound } = await import('/js/sound.js');
+      return playSound('correct');
+    });
+    expect(await playsSound()).toBe(true);
+
+    await page.locator('#sound-toggle').uncheck();
+    await page.locator('#animations-toggle').uncheck();
+    expect(await playsSound()).toBe(false);
+    await expect(page.locator('html')).toHaveClass(/reduce-motion/);
+
+    const settings = await page.evaluate(() => JSON.parse(localStorage.getItem('libregto-progress')).settings);
+    expect(settings.soundEnabled).toBe(false);
+    expect(settings.animationsEnabled).toBe(false);
+
+    // Reduced motion is applied on load
+    await page.reload();
+    await expect(page.locator('html')).toHaveClass(/reduce-motion/);
+    await expect(page.locator('#animations-toggle')).not.toBeChecked();
+
+    // Drills skip the 3-2-1 countdown and deal the first question right away
+    await page.goto(BASE_URL + '/#/drill/hand-ranking');
+    await page.locator('#start-drill-btn').click();
+    await expect(page.locator('.drill-countdown')).toHaveCount(0);
+    await expect(page.locator('#left-choice .playing-card')).toHaveCount(2, { timeout: 1000 });
+  });
+
+  test('settings previews and merges an uploaded progress file', async ({ page }) => {
+    await page.goto(BASE_URL);
+    await importFixture(page, 'progress-unversioned.json');
+
+    await page.goto(BASE_URL + '/#/settings');
+
+    const download = page.waitForEvent('download');
+    await page.locator('#export-progress-btn').click();
+    expect((await download).suggestedFilename()).toMatch(/^libregto-progress-.*\.json$/);
+
+    await page.locator('#import-file').setInputFiles('tests/fixtures/progress-v1.json');
+    const preview = page.locator('#import-preview');
+    await expect(preview).toContainText('Hand strength best score');
+    await expect(preview).toContainText('80% → 95%');
+
+    await page.locator('#apply-import-btn').click();
+    await expect(page.locator('#import-message')).toHaveText('Progress imported.');
+
+    // Merge sums attempts (1 here + 3 in the file)
+    const module = await page.evaluate(() => JSON.parse(localStorage.getItem('libregto-progress')).stages.foundations.modules['hand-strength']);
+    expect(module.bestScore).toBe(95);
+    expect(module.attempts).toBe(4);
+  });
+});
+
+test.describe('Offline app', () => {
+  test('service worker precaches every js and css file', async () => {
+    const sw = readFileSync('sw.js', 'utf8');
+    const listFiles = (dir) => readdirSync(dir, { recursive: true })
+      .filter(file => /\.(js|css)$/.test(file))
+      .map(file => `${dir}/${file.split('\\').join('/')}`);
+
+    for (const file of [...listFiles('js'), ...listFiles('css')]) {
+      expect(sw, `${file} missing from PRECACHE_URLS`).toContain(`'${file}'`);
+    }
+  });
+
+  test('manifest lists PNG and maskable icons at 192 and 512, all precached', async () => {
+    const sw = readFileSync('sw.js', 'utf8');
+    const { icons } = JSON.parse(readFileSync('manifest.webmanifest', 'utf8'));
+    const index = readFileSync('index.html', 'utf8');
+    const appleIcon = index.match(/rel="apple-touch-icon"[^>]*href="([^"]+)"/)?.[1];
+
+    // PNG width and height sit in the IHDR chunk
+    const pngSize = src => {
+      const png = readFileSync(src);
+      return `${png.readUInt32BE(16)}x${png.readUInt32BE(20)}`;
+    };
+
+    const pngs = icons.filter(icon => icon.type === 'image/png');
+    for (const purpose of ['any', 'maskable']) {
+      expect(pngs.filter(icon => icon.purpose === purpose).map(icon => icon.sizes).sort()).toEqual(['192x192', '512x512']);
+    }
+    for (const icon of pngs) {
+      expect(pngSize(icon.src)).toBe(icon.sizes);
+    }
+
+    expect(appleIcon).toMatch(/\.png$/);
+    expect(pngSize(appleIcon)).toBe('180x180');
+
+    for (const src of [...icons.map(icon => icon.src), appleIcon]) {
+      expect(sw, `${src} missing from PRECACHE_URLS`).toContain(`'${src}'`);
+    }
+  });
+
+  test('app loads offline once the service worker is installed', async ({ page, context }) => {
+    await page.goto(BASE_URL);
+    await page.evaluate(() => navigator.serviceWorker.ready);
+    await expect.poll(() => page.evaluate(() => !!navigator.serviceWorker.controller)).toBe(true);
+    await page.evaluate(() => {
+      localStorage.setItem('libregto-progress', JSON.stringify({
+        version: 1,
+        stages: { drills: { unlocked: true } }
+      }));
+    });
+
+    await context.setOffline(true);
+    await page.goto(BASE_URL + '/#/drills');
+    await page.reload();
+    await expect(page.locator('.drill-card').first()).toBeVisible();
+
+    // No banner without a new version
+    await expect(page.locator('#update-banner')).toHaveCount(0);
+    await context.setOffline(false);
+  });
+});
+
 test.describe('Debug: Find all errors', () => {
   test('check home page for JS errors', async ({ page }) => {
     const errors = [];